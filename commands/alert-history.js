@@ -0,0 +1,191 @@
+// commands/alert-history.js
+const { SlashCommandBuilder } = require("discord.js");
+
+const logger = require("../utils/logger");
+
+const { getDb, getOrCreateUserId } = require("../db");
+const { prepareQueries } = require("../db/queries");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const { shortenAddress } = require("../utils/ethers/shortenAddress");
+const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
+const { parseDateFilter, listAlertedPositions } = require("../monitoring/alertHistory");
+const { ALERT_TYPE_LABELS } = require("../monitoring/alertActions");
+
+// UI entrypoint
+const { startHistory, renderTimeline } = require("../handlers/ui/alert-history-ui");
+
+// "<walletId>:<contractId>:<tokenId>"
+function parsePositionValue(v) {
+  const [walletIdRaw, contractIdRaw, tokenId] = String(v || "").split(":");
+  const walletId = Number(walletIdRaw);
+  const contractId = Number(contractIdRaw);
+  if (!Number.isInteger(walletId) || !Number.isInteger(contractId) || !tokenId) return null;
+  return { walletId, contractId, tokenId };
+}
+
+function walletChoiceName(w) {
+  return `${w.chain_id}${w.label ? ` ${w.label}` : ""} ${shortenAddress(w.address_eip55)}`.slice(0, 100);
+}
+
+function positionChoiceName(p) {
+  const who = p.walletLabel || (p.walletAddress ? shortenAddress(p.walletAddress) : "");
+  return `${p.contractKind || "POSITION"} ${p.protocol || ""} #${shortenTroveId(p.tokenId)}${who ? ` (${who})` : ""}`
+    .replace(/\s+/g, " ")
+    .slice(0, 100);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("alert-history")
+    .setDescription("Browse the alerts sent to you, or one position's tier timeline.")
+    .addStringOption((o) => {
+      o.setName("alert_type").setDescription("Only this alert type").setRequired(false);
+      for (const [value, name] of Object.entries(ALERT_TYPE_LABELS)) o.addChoices({ name, value });
+      return o;
+    })
+    .addStringOption((o) =>
+      o.setName("position").setDescription("Only this position").setRequired(false).setAutocomplete(true)
+    )
+    .addStringOption((o) =>
+      o.setName("wallet").setDescription("Only this wallet").setRequired(false).setAutocomplete(true)
+    )
+    .addStringOption((o) => o.setName("from").setDescription("From date, YYYY-MM-DD (UTC)").setRequired(false))
+    .addStringOption((o) => o.setName("to").setDescription("To date, YYYY-MM-DD (UTC, inclusive)").setRequired(false))
+    .addStringOption((o) =>
+      o
+        .setName("view")
+        .setDescription("List (default) or the position's tier timeline")
+        .setRequired(false)
+        .addChoices({ name: "List", value: "list" }, { name: "Timeline (needs position)", value: "timeline" })
+    ),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== "position" && focused.name !== "wallet") return;
+
+    const db = getDb();
+    const q = prepareQueries(db);
+    const discordId = interaction.user.id;
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId, discordName });
+
+    const query = (focused.value || "").toLowerCase();
+    const options = [];
+
+    if (focused.name === "wallet") {
+      for (const w of q.selUserWallets.all(userId)) {
+        const name = walletChoiceName(w);
+        if (query && !name.toLowerCase().includes(query) && !w.address_lower.includes(query)) continue;
+        options.push({ name, value: String(w.id) });
+        if (options.length >= 25) break;
+      }
+    } else {
+      // Positions that have alerts, including closed ones
+      for (const p of listAlertedPositions(userId)) {
+        const name = positionChoiceName(p);
+        const value = `${p.walletId}:${p.contractId}:${p.tokenId}`;
+        if (value.length > 100) continue;
+        if (query && !name.toLowerCase().includes(query) && !String(p.tokenId).includes(query)) continue;
+        options.push({ name, value });
+        if (options.length >= 25) break;
+      }
+    }
+
+    await interaction.respond(options);
+  },
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      const db = getDb();
+      const q = prepareQueries(db);
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const alertType = interaction.options.getString("alert_type") || null;
+      const positionRaw = interaction.options.getString("position");
+      const walletRaw = interaction.options.getString("wallet");
+      const fromRaw = interaction.options.getString("from");
+      const toRaw = interaction.options.getString("to");
+      const view = interaction.options.getString("view") || "list";
+
+      let from;
+      let to;
+      try {
+        from = parseDateFilter(fromRaw);
+        to = parseDateFilter(toRaw, { endOfDay: true });
+      } catch (err) {
+        await interaction.editReply(err.message);
+        return;
+      }
+      if (from && to && from > to) {
+        await interaction.editReply("`from` must be on or before `to`.");
+        return;
+      }
+
+      const filter = { userId, alertType, from, to };
+      const labels = { alertType: ALERT_TYPE_LABELS[alertType] || null, from: from && fromRaw, to: to && toRaw };
+
+      if (walletRaw) {
+        const wallet = q.selUserWalletByIdForUser.get(Number(walletRaw), userId);
+        if (!wallet) {
+          await interaction.editReply("Pick a wallet from the list.");
+          return;
+        }
+        filter.walletId = wallet.id;
+        labels.wallet = walletChoiceName(wallet);
+      }
+
+      let position = null;
+      if (positionRaw) {
+        const parsed = parsePositionValue(positionRaw);
+        position = parsed
+          ? listAlertedPositions(userId, 1000).find(
+              (p) =>
+                p.walletId === parsed.walletId &&
+                p.contractId === parsed.contractId &&
+                String(p.tokenId) === parsed.tokenId
+            )
+          : null;
+        if (!position) {
+          await interaction.editReply("Pick a position from the list (only positions with alerts are listed).");
+          return;
+        }
+        filter.walletId = position.walletId;
+        filter.contractId = position.contractId;
+        filter.tokenId = String(position.tokenId);
+        labels.position = positionChoiceName(position);
+      }
+
+      if (view === "timeline") {
+        if (!position) {
+          await interaction.editReply("The timeline view needs a `position`.");
+          return;
+        }
+        await interaction.editReply(
+          renderTimeline({ actorId: discordId, userId, alertLogId: position.lastAlertLogId })
+        );
+        return;
+      }
+
+      await interaction.editReply(startHistory({ actorId: discordId, filter, labels }));
+    } catch (err) {
+      logger.error("Error in /alert-history:", err);
+
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/alert-history`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/alert-history`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
@@ -0,0 +1,305 @@
+// commands/alert-rules.js
+const { SlashCommandBuilder, PermissionFlagsBits } = require("discord.js");
+
+const { getDb, getOrCreateUserId } = require("../db");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const logger = require("../utils/logger");
+const { getLoanSummaries } = require("../monitoring/loanMonitor");
+const { getLpSummaries } = require("../monitoring/lpMonitor");
+const {
+  RULE_FIELDS,
+  RULE_KINDS,
+  RULE_SEVERITIES,
+  DEFAULT_COOLDOWN_MIN,
+  compileCondition,
+  normalizeRuleInput,
+  formatRuleValue,
+  positionText,
+  createRule,
+  getRule,
+  listRulesForUser,
+  setRuleEnabled,
+  deleteRule,
+  dryRunRule,
+} = require("../monitoring/alertRules");
+
+const SEVERITY_EMOJI = { CRITICAL: "🟥", HIGH: "🟧", MEDIUM: "🟨", LOW: "🟩" };
+const kindChoices = Object.entries(RULE_KINDS).map(([value, name]) => ({ name, value }));
+const MAX_DRY_RUN_MATCHES = 10;
+
+function ruleOption(required) {
+  return (o) => o.setName("rule").setDescription("Rule").setRequired(required).setAutocomplete(true);
+}
+
+function kindOption(required) {
+  return (o) =>
+    o
+      .setName("kind")
+      .setDescription("Position kind the condition reads")
+      .setRequired(required)
+      .addChoices(...kindChoices);
+}
+
+function conditionOption(required) {
+  return (o) =>
+    o
+      .setName("condition")
+      .setDescription("e.g. icr < 1.6 AND debtAheadPct < 5 (see /alert-rules fields)")
+      .setRequired(required)
+      .setMaxLength(300);
+}
+
+function messageOption(o) {
+  return o
+    .setName("message")
+    .setDescription("Alert text; {field}, {rule} and {position} are filled in")
+    .setRequired(false)
+    .setMaxLength(300);
+}
+
+function ruleLine(r) {
+  const status = r.isEnabled ? "🟢" : "⏸️";
+  const scope = r.userId == null ? " · global" : "";
+  return (
+    `${status} \`#${r.id}\` **${r.name}** · ${RULE_KINDS[r.positionKind]} · ` +
+    `${SEVERITY_EMOJI[r.severity] || ""} ${r.severity} · ${r.cooldownMin}m cooldown${scope}\n` +
+    `  \`${r.condition}\``
+  );
+}
+
+function canManage(interaction, rule, userId) {
+  if (rule.userId == null) return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+  return rule.userId === userId;
+}
+
+function clip(text) {
+  return text.length > 1900 ? text.slice(0, 1896) + "\n…" : text;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("alert-rules")
+    .setDescription("Custom alert conditions over your loan and LP positions.")
+    .addSubcommand((sc) =>
+      sc
+        .setName("add")
+        .setDescription("Add a rule")
+        .addStringOption((o) => o.setName("name").setDescription("Rule name").setRequired(true).setMaxLength(60))
+        .addStringOption(kindOption(true))
+        .addStringOption(conditionOption(true))
+        .addStringOption((o) =>
+          o
+            .setName("severity")
+            .setDescription("Severity (default MEDIUM)")
+            .setRequired(false)
+            .addChoices(...RULE_SEVERITIES.map((s) => ({ name: s, value: s })))
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("cooldown_min")
+            .setDescription(`Minutes before the rule can alert again for a position (default ${DEFAULT_COOLDOWN_MIN})`)
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(7 * 24 * 60)
+        )
+        .addStringOption(messageOption)
+        .addBooleanOption((o) =>
+          o.setName("global").setDescription("Apply to every user's positions (Manage Server)").setRequired(false)
+        )
+    )
+    .addSubcommand((sc) => sc.setName("list").setDescription("List your rules and global rules"))
+    .addSubcommand((sc) => sc.setName("remove").setDescription("Delete a rule").addStringOption(ruleOption(true)))
+    .addSubcommand((sc) => sc.setName("enable").setDescription("Resume a rule").addStringOption(ruleOption(true)))
+    .addSubcommand((sc) => sc.setName("disable").setDescription("Pause a rule").addStringOption(ruleOption(true)))
+    .addSubcommand((sc) =>
+      sc
+        .setName("dry-run")
+        .setDescription("Preview which of your positions a rule matches right now (nothing is sent)")
+        .addStringOption(ruleOption(false))
+        .addStringOption(kindOption(false))
+        .addStringOption(conditionOption(false))
+        .addStringOption(messageOption)
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("fields")
+        .setDescription("Fields a condition can use")
+        .addStringOption(kindOption(true))
+    ),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== "rule") return;
+
+    const db = getDb();
+    const discordId = interaction.user.id;
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId, discordName });
+
+    const query = (focused.value || "").toLowerCase();
+    const options = listRulesForUser(userId)
+      .map((r) => ({
+        name: `#${r.id} ${r.name}${r.userId == null ? " (global)" : ""}${r.isEnabled ? "" : " (paused)"}`.slice(0, 100),
+        value: String(r.id),
+      }))
+      .filter((o) => !query || o.name.toLowerCase().includes(query))
+      .slice(0, 25);
+    await interaction.respond(options);
+  },
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      const db = getDb();
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "fields") {
+        const kind = interaction.options.getString("kind", true);
+        const lines = Object.entries(RULE_FIELDS[kind]).map(
+          ([name, f]) => `\`${name}\`${f.type === "string" ? " (text)" : ""} — ${f.desc}`
+        );
+        await interaction.editReply(
+          clip(
+            `**${RULE_KINDS[kind]} fields**\n${lines.join("\n")}\n\n` +
+              "Combine with `AND`, `OR`, `NOT` and parentheses; compare with `< <= > >= = !=`; " +
+              'arithmetic `+ - * /`; text in quotes, e.g. `liquidationTier = "HIGH"`.'
+          )
+        );
+        return;
+      }
+
+      if (sub === "list") {
+        const rules = listRulesForUser(userId);
+        if (!rules.length) {
+          await interaction.editReply("No rules yet. Use `/alert-rules add` to create one.");
+          return;
+        }
+        await interaction.editReply(clip(rules.map(ruleLine).join("\n")));
+        return;
+      }
+
+      if (sub === "add") {
+        const isGlobal = interaction.options.getBoolean("global") === true;
+        if (isGlobal && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.editReply("You need the **Manage Server** permission to add global rules.");
+          return;
+        }
+        let rule;
+        try {
+          rule = createRule({
+            userId: isGlobal ? null : userId,
+            createdBy: userId,
+            name: interaction.options.getString("name", true),
+            positionKind: interaction.options.getString("kind", true),
+            condition: interaction.options.getString("condition", true),
+            severity: interaction.options.getString("severity"),
+            cooldownMin: interaction.options.getInteger("cooldown_min"),
+            messageTemplate: interaction.options.getString("message"),
+          });
+        } catch (err) {
+          await interaction.editReply(`Rule not saved: ${err.message}`);
+          return;
+        }
+        await interaction.editReply(
+          `Added rule:\n${ruleLine(rule)}\nPreview it with \`/alert-rules dry-run\`; it runs after each monitor cycle.`
+        );
+        return;
+      }
+
+      if (sub === "dry-run") {
+        const ruleRaw = interaction.options.getString("rule");
+        let rule;
+        if (ruleRaw) {
+          rule = getRule(Number(ruleRaw));
+          if (!rule || (rule.userId != null && rule.userId !== userId)) {
+            await interaction.editReply("Pick a rule from the list.");
+            return;
+          }
+        } else {
+          const kind = interaction.options.getString("kind");
+          const condition = interaction.options.getString("condition");
+          if (!kind || !condition) {
+            await interaction.editReply("Pick a saved `rule`, or give a `kind` and `condition` to try.");
+            return;
+          }
+          try {
+            rule = {
+              id: null,
+              ...normalizeRuleInput({
+                name: "dry run",
+                positionKind: kind,
+                condition,
+                messageTemplate: interaction.options.getString("message"),
+              }),
+            };
+          } catch (err) {
+            await interaction.editReply(`Invalid rule: ${err.message}`);
+            return;
+          }
+        }
+
+        const { fields } = compileCondition(rule.positionKind, rule.condition);
+        const { matches, checked } = dryRunRule(rule, {
+          loanSummaries: rule.positionKind === "LOAN" ? await getLoanSummaries(userId) : [],
+          lpSummaries: rule.positionKind === "LP" ? await getLpSummaries(userId) : [],
+        });
+
+        const lines = [
+          `**Dry run** · \`${rule.condition}\` · ${RULE_KINDS[rule.positionKind]}`,
+          `Matches ${matches.length} of ${checked} of your ${RULE_KINDS[rule.positionKind]} position(s).`,
+        ];
+        for (const m of matches.slice(0, MAX_DRY_RUN_MATCHES)) {
+          const values = fields.map((f) => `${f}=${formatRuleValue(m.values[f])}`).join(", ");
+          lines.push(
+            `• **${positionText(rule.positionKind, m.summary)}** (${values})`,
+            `  ${m.message}`,
+            rule.id != null ? `  ${m.blockedBy ? `Would not alert now: ${m.blockedBy}` : "Would alert now"}` : null
+          );
+        }
+        if (matches.length > MAX_DRY_RUN_MATCHES) lines.push(`…and ${matches.length - MAX_DRY_RUN_MATCHES} more.`);
+        if (rule.userId == null && rule.id != null) lines.push("_Global rule: only your own positions are shown._");
+        await interaction.editReply(clip(lines.filter(Boolean).join("\n")));
+        return;
+      }
+
+      const rule = getRule(Number(interaction.options.getString("rule", true)));
+      if (!rule || (rule.userId != null && rule.userId !== userId)) {
+        await interaction.editReply("Pick a rule from the list.");
+        return;
+      }
+      if (!canManage(interaction, rule, userId)) {
+        await interaction.editReply("You need the **Manage Server** permission to change global rules.");
+        return;
+      }
+
+      if (sub === "remove") {
+        deleteRule(rule.id);
+        await interaction.editReply(`Deleted rule \`#${rule.id}\` **${rule.name}**.`);
+        return;
+      }
+
+      setRuleEnabled(rule.id, sub === "enable");
+      await interaction.editReply(`${sub === "enable" ? "Resumed" : "Paused"} rule \`#${rule.id}\` **${rule.name}**.`);
+    } catch (err) {
+      logger.error("Error in /alert-rules:", err);
+
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/alert-rules`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/alert-rules`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
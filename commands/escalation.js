@@ -0,0 +1,175 @@
+// commands/escalation.js
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require("discord.js");
+
+const { getDb, getOrCreateUserId } = require("../db");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const logger = require("../utils/logger");
+const {
+  ESCALATION_POLICIES,
+  ALERT_ESCALATION_CHANNEL_ID,
+  getEscalationPolicy,
+  getEscalationTarget,
+  setEscalationTarget,
+  clearEscalationTarget,
+  CONTACT_INVITE_TTL_HOURS,
+  getPendingContactInvite,
+  cancelContactInvites,
+  createContactInvite,
+} = require("../monitoring/alertEscalation");
+const { ALERT_TYPE_LABELS } = require("../monitoring/alertActions");
+const { buildContactInviteRows, contactInviteText } = require("../handlers/ui/escalation-ui");
+
+function describeTarget(target) {
+  if (target?.kind === "DISCORD_USER") return `DM to <@${target.targetId}>`;
+  if (target?.kind === "DISCORD_CHANNEL") return `<#${target.targetId}>`;
+  if (ALERT_ESCALATION_CHANNEL_ID) return `<#${ALERT_ESCALATION_CHANNEL_ID}> (bot default)`;
+  return "**none**, reminders continue but nothing is escalated";
+}
+
+function describe(userId) {
+  const lines = ["**CRITICAL alert escalation**"];
+  for (const type of Object.keys(ESCALATION_POLICIES)) {
+    const policy = getEscalationPolicy(type);
+    lines.push(
+      policy
+        ? `• ${ALERT_TYPE_LABELS[type] || type}: reminder every **${policy.repeatMin} min** until acknowledged, ` +
+            `escalated after **${policy.escalateAfter}** reminder(s)`
+        : `• ${ALERT_TYPE_LABELS[type] || type}: off`
+    );
+  }
+  const pending = getPendingContactInvite(userId);
+  lines.push(
+    "",
+    `Escalation target: ${describeTarget(getEscalationTarget(userId))}`,
+    pending ? `Invite pending: <@${pending.contactDiscordId}> has not accepted yet.` : null,
+    "Press **Acknowledge** on any alert of the episode to stop reminders. Snoozed or muted alerts are not repeated."
+  );
+  return lines.filter((l) => l != null).join("\n");
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("escalation")
+    .setDescription("Who gets your unacknowledged CRITICAL alerts after repeated reminders.")
+    .addSubcommand((sc) =>
+      sc
+        .setName("contact")
+        .setDescription("Invite a secondary contact to receive escalations by DM (they must accept)")
+        .addUserOption((o) => o.setName("user").setDescription("Secondary contact").setRequired(true))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("channel")
+        .setDescription("Escalate to a server channel or thread")
+        .addChannelOption((o) =>
+          o
+            .setName("channel")
+            .setDescription("Target channel or thread")
+            .setRequired(true)
+            .addChannelTypes(
+              ChannelType.GuildText,
+              ChannelType.GuildAnnouncement,
+              ChannelType.PublicThread,
+              ChannelType.PrivateThread
+            )
+        )
+    )
+    .addSubcommand((sc) => sc.setName("off").setDescription("Remove your escalation target"))
+    .addSubcommand((sc) => sc.setName("status").setDescription("Show the escalation policy and your target")),
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      const db = getDb();
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "contact") {
+        const contact = interaction.options.getUser("user", true);
+        if (contact.bot || contact.id === discordId) {
+          await interaction.editReply("Pick another person (not yourself or a bot) as your secondary contact.");
+          return;
+        }
+        const current = getEscalationTarget(userId);
+        if (current?.kind === "DISCORD_USER" && current.targetId === contact.id) {
+          cancelContactInvites(userId);
+          await interaction.editReply(`<@${contact.id}> is already your secondary contact.\n\n${describe(userId)}`);
+          return;
+        }
+
+        // Stored only once they accept (handlers/ui/escalation-ui.js)
+        const invite = createContactInvite(userId, contact.id);
+        try {
+          await contact.send({ content: contactInviteText(discordId), components: buildContactInviteRows(invite.id) });
+        } catch (err) {
+          cancelContactInvites(userId);
+          logger.warn(`[escalation] Could not DM contact invite to ${contact.id}: ${err?.message || err}`);
+          await interaction.editReply(
+            `I couldn't DM <@${contact.id}>. They must share a server with me and allow DMs from its members. ` +
+              "Your escalation target is unchanged."
+          );
+          return;
+        }
+        await interaction.editReply(
+          `📨 Invite sent to <@${contact.id}> by DM. They become your secondary contact once they press **Accept** ` +
+            `(within ${CONTACT_INVITE_TTL_HOURS} h); I'll DM you their answer.\n\n${describe(userId)}`
+        );
+        return;
+      }
+
+      if (sub === "channel") {
+        if (!interaction.guildId) {
+          await interaction.editReply("Run this in the server that owns the channel.");
+          return;
+        }
+        const channel = interaction.options.getChannel("channel", true);
+        const needed = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages];
+        const isThread = typeof channel.isThread === "function" && channel.isThread();
+        if (isThread) needed.push(PermissionFlagsBits.SendMessagesInThreads);
+
+        const userPerms = interaction.member ? channel.permissionsFor(interaction.member) : null;
+        if (!userPerms || !userPerms.has(needed)) {
+          await interaction.editReply("You need permission to post in that channel to escalate alerts there.");
+          return;
+        }
+        const botPerms = interaction.client?.user ? channel.permissionsFor(interaction.client.user) : null;
+        if (!botPerms || !botPerms.has([...needed, PermissionFlagsBits.EmbedLinks])) {
+          await interaction.editReply("I can’t post embeds in that channel. Check my channel permissions.");
+          return;
+        }
+
+        cancelContactInvites(userId);
+        setEscalationTarget(userId, { kind: "DISCORD_CHANNEL", targetId: channel.id, guildId: interaction.guildId });
+        await interaction.editReply(describe(userId));
+        return;
+      }
+
+      if (sub === "off") {
+        cancelContactInvites(userId);
+        clearEscalationTarget(userId);
+        await interaction.editReply(describe(userId));
+        return;
+      }
+
+      await interaction.editReply(describe(userId));
+    } catch (error) {
+      logger.error("Error in /escalation:", error?.stack || error?.message || error);
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/escalation`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/escalation`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
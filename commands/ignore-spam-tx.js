@@ -14,7 +14,7 @@ const { renderMain } = require("../handlers/ui/ignore-spam-tx-ui");
 module.exports = {
   data: new SlashCommandBuilder()
     .setName("ignore-spam-tx")
-    .setDescription("Ignore a scam/spam NFT position by ID (LP tokenId or Loan troveId)."),
+    .setDescription("Ignore a scam/spam NFT position by ID, or review LP positions auto-hidden as spam."),
 
   async execute(interaction) {
     // Decide ephemeral/public ONCE (locked on first response)
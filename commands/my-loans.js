@@ -5,11 +5,14 @@ const { getDb, getOrCreateUserId } = require("../db");
 const { prepareQueries } = require("../db/queries");
 const { ensureDmOnboarding } = require("../utils/discord/dm");
 const { ephemeralFlags } = require("../utils/discord/ephemerals");
-const { createDecimalFormatter } = require("../utils/intlNumberFormats");
+const { createDecimalFormatter, createCurrencyFormatter } = require("../utils/intlNumberFormats");
 const { formatLoanTroveLink, formatAddressLink } = require("../utils/links");
 const logger = require("../utils/logger");
 const { getTestOffsets, getDebtAheadOffsetPpForProtocol } = require("../monitoring/testOffsets");
+const { resolveThresholdOverrides, pickThreshold } = require("../monitoring/alertThresholds");
 const { shortenAddress } = require("../utils/ethers/shortenAddress");
+const { summarizeUsdTotals } = require("../monitoring/usdPricing");
+const { formatHitChance } = require("../monitoring/volatility");
 
 function requireNumberEnv(name) {
   const raw = process.env[name];
@@ -37,6 +40,7 @@ function chunk(arr, size) {
 const fmt2 = createDecimalFormatter(0, 2);
 const fmt4 = createDecimalFormatter(0, 4);
 const fmt5 = createDecimalFormatter(0, 5);
+const fmtUsdCcy = createCurrencyFormatter("USD", 0, 2);
 
 function fmtNum(n) {
   if (typeof n !== "number" || !Number.isFinite(n)) return "n/a";
@@ -53,6 +57,11 @@ function fmtNum5(n) {
   return fmt5.format(n);
 }
 
+function fmtUsd(n) {
+  if (typeof n !== "number" || !Number.isFinite(n)) return "n/a";
+  return fmtUsdCcy.format(n);
+}
+
 function shortId(id, head = 4, tail = 4) {
   if (id == null) return "?";
   const s = String(id);
@@ -60,15 +69,18 @@ function shortId(id, head = 4, tail = 4) {
   return `${s.slice(0, head)}…${s.slice(-tail)}`;
 }
 
-function classifyDebtAheadTier(pct) {
+function classifyDebtAheadTier(pct, thresholds = null) {
   const v = Number(pct);
+  const low = pickThreshold(thresholds, "redempDebtAheadLowPct", REDEMP_DEBT_AHEAD_LOW_PCT);
+  const med = pickThreshold(thresholds, "redempDebtAheadMedPct", REDEMP_DEBT_AHEAD_MED_PCT);
+  const high = pickThreshold(thresholds, "redempDebtAheadHighPct", REDEMP_DEBT_AHEAD_HIGH_PCT);
   if (!Number.isFinite(v)) return "UNKNOWN";
-  if (!Number.isFinite(REDEMP_DEBT_AHEAD_LOW_PCT)) return "UNKNOWN";
-  if (v >= REDEMP_DEBT_AHEAD_LOW_PCT) return "LOW";
-  if (!Number.isFinite(REDEMP_DEBT_AHEAD_MED_PCT)) return "UNKNOWN";
-  if (v >= REDEMP_DEBT_AHEAD_MED_PCT) return "MEDIUM";
-  if (!Number.isFinite(REDEMP_DEBT_AHEAD_HIGH_PCT)) return "UNKNOWN";
-  if (v >= REDEMP_DEBT_AHEAD_HIGH_PCT) return "HIGH";
+  if (!Number.isFinite(low)) return "UNKNOWN";
+  if (v >= low) return "LOW";
+  if (!Number.isFinite(med)) return "UNKNOWN";
+  if (v >= med) return "MEDIUM";
+  if (!Number.isFinite(high)) return "UNKNOWN";
+  if (v >= high) return "HIGH";
   return "CRITICAL";
 }
 
@@ -192,6 +204,24 @@ module.exports = {
         );
       }
 
+      const usdTotals = summarizeUsdTotals({ loans: summaries });
+      const priced = usdTotals.total.positions - usdTotals.total.unpriced;
+      if (priced > 0) {
+        descLines.push(
+          `USD: collateral **${fmtUsd(usdTotals.total.collateral)}**, debt **${fmtUsd(usdTotals.total.debt)}**, ` +
+            `net **${fmtUsd(usdTotals.total.net)}**`
+        );
+        if (usdTotals.wallets.length > 1) {
+          for (const w of usdTotals.wallets) {
+            const name = w.walletLabel || (w.owner ? shortenAddress(w.owner) : "wallet");
+            descLines.push(`• ${name}: net **${fmtUsd(w.net)}**`);
+          }
+        }
+        if (usdTotals.total.unpriced > 0) {
+          descLines.push(`_${usdTotals.total.unpriced} loan(s) have no USD price and are not included._`);
+        }
+      }
+
       const snapshotTimes = summaries
         .map((s) => (s.snapshotAt ? String(s.snapshotAt) : null))
         .filter(Boolean)
@@ -234,7 +264,11 @@ module.exports = {
 
           valueLines.push(`LTV: **${ltvText}**`);
           valueLines.push(`Price / Liq: **${fmtNum5(s.price)} / ${fmtNum5(s.liquidationPrice)}**`);
-          valueLines.push(`Liq buffer: **${liqBufferText}** (tier **${s.liquidationTier || "UNKNOWN"}**)`);
+          const ccrNote = s.belowCcr ? `, below CCR ${(s.ccr * 100).toFixed(0)}%` : "";
+          valueLines.push(`Liq buffer: **${liqBufferText}** (tier **${s.liquidationTier || "UNKNOWN"}**${ccrNote})`);
+          valueLines.push(
+            `Liq chance (est.): ${formatHitChance(s.liquidationHitChance, { bold: true }) || "n/a"}`
+          );
         } else {
           valueLines.push("Price / liquidation: *(unavailable; cannot compute LTV / buffer)*");
         }
@@ -245,6 +279,12 @@ module.exports = {
         if (typeof s.debtAmount === "number") {
           valueLines.push(`Debt: **${fmtNum(s.debtAmount)}**`);
         }
+        if (s.usd && s.usd.collateral != null && s.usd.debt != null) {
+          valueLines.push(
+            `USD: collateral **${fmtUsd(s.usd.collateral)}**, debt **${fmtUsd(s.usd.debt)}**, ` +
+              `net **${fmtUsd(s.usd.net)}**`
+          );
+        }
 
         if (typeof s.interestPct === "number") {
           let irLine = `IR: **${s.interestPct.toFixed(2)}% p.a.**`;
@@ -263,7 +303,13 @@ module.exports = {
           if (pctVal != null && Number.isFinite(offsetPp) && offsetPp !== 0) {
             const adjustedPct = clamp01(pctVal + offsetPp / 100);
             pctVal = adjustedPct;
-            tierVal = classifyDebtAheadTier(adjustedPct);
+            const thresholds = resolveThresholdOverrides({
+              userId: s.userId,
+              walletId: s.walletId,
+              contractId: s.contractId,
+              tokenId: s.troveId,
+            });
+            tierVal = classifyDebtAheadTier(adjustedPct, thresholds);
           }
           const pct =
             typeof pctVal === "number" && Number.isFinite(pctVal)
@@ -286,6 +332,14 @@ module.exports = {
           valueLines.push(
             `Redemption debt: **${fmtNum2(debtAheadVal)}** vs total **${fmtNum2(totalDebtVal)}**`
           );
+          if (Number.isFinite(s.redemptionTrovesAhead) && Number.isFinite(s.redemptionTroveCount)) {
+            const pctl = Number.isFinite(s.redemptionPercentile)
+              ? ` (${(s.redemptionPercentile * 100).toFixed(0)}th percentile)`
+              : "";
+            valueLines.push(
+              `Troves ahead: **${s.redemptionTrovesAhead}** of **${s.redemptionTroveCount}**${pctl}`
+            );
+          }
           valueLines.push(`Redemption tier: **${tierVal}**${pct} - Higher % = safer`);
           valueLines.push(`Redemption position: ${renderPositionBar(pctVal)}`);
           valueLines.push(`Meaning: ${redemptionMeaning(tierVal, aheadPctText)}`);
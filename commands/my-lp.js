@@ -6,6 +6,7 @@ const { prepareQueries } = require("../db/queries");
 const { ensureDmOnboarding } = require("../utils/discord/dm");
 const { ephemeralFlags } = require("../utils/discord/ephemerals");
 const logger = require("../utils/logger");
+const { countHiddenSpam } = require("../jobs/lpSpamClassifier");
 
 function requireNumberEnv(name) {
   const raw = process.env[name];
@@ -26,12 +27,15 @@ function chunk(arr, size) {
   return out;
 }
 
-const { createDecimalFormatter } = require("../utils/intlNumberFormats");
+const { createDecimalFormatter, createCurrencyFormatter } = require("../utils/intlNumberFormats");
 const { formatBandRuler, classifyLpRangeTier } = require("../monitoring/lpMonitor");
+const { resolveThresholdOverrides } = require("../monitoring/alertThresholds");
+const { lpRangeExitChance, formatHitChance } = require("../monitoring/volatility");
 const { applyLpTickShift, getTestOffsets } = require("../monitoring/testOffsets");
-const { formatLpPositionLink, formatAddressLink } = require("../utils/links");
+const { formatLpPositionLink, formatAddressLink, formatTxLink } = require("../utils/links");
 const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
 const { shortenAddress } = require("../utils/ethers/shortenAddress");
+const { summarizeUsdTotals } = require("../monitoring/usdPricing");
 
 // 4 decimals, thousands separators
 const fmt4 = createDecimalFormatter(0, 4);
@@ -41,6 +45,49 @@ function fmtNum(n) {
   return fmt4.format(n);
 }
 
+const fmtUsdCcy = createCurrencyFormatter("USD", 0, 2);
+
+function fmtUsd(n) {
+  if (typeof n !== "number" || !Number.isFinite(n)) return null;
+  return fmtUsdCcy.format(n);
+}
+
+function fmtSignedPct(n) {
+  if (typeof n !== "number" || !Number.isFinite(n)) return null;
+  return `${n >= 0 ? "+" : ""}${n.toFixed(2)}%`;
+}
+
+// "**1.5 WFLR** + **2 USDT0**" (zero sides dropped; "0" when both are zero)
+function fmtPair(a0, a1, sym0, sym1) {
+  const p = [];
+  if (a0 > 0) p.push(`**${fmtNum(a0)} ${sym0}**`);
+  if (a1 > 0) p.push(`**${fmtNum(a1)} ${sym1}**`);
+  return p.length ? p.join(" + ") : "**0**";
+}
+
+// Deposit history + realized fees lines from the indexed liquidity events
+function liquidityHistoryLines(s, sym0, sym1) {
+  const h = s.liquidityHistory;
+  if (!h) return [];
+  const lines = [];
+  const since = h.complete ? "" : ` _(since block ${h.sinceBlock})_`;
+  if (h.deposits || h.withdrawals) {
+    lines.push(
+      `Deposited: ${fmtPair(h.deposited0, h.deposited1, sym0, sym1)} (${h.deposits}x)` +
+        (h.withdrawals ? ` | Withdrawn: ${fmtPair(h.withdrawn0, h.withdrawn1, sym0, sym1)} (${h.withdrawals}x)` : "") +
+        since
+    );
+  }
+  if (h.collects) {
+    lines.push(`Realized fees: ${fmtPair(h.realizedFees0, h.realizedFees1, sym0, sym1)}${since}`);
+  }
+  for (const c of h.recentChanges || []) {
+    const sign = c.type === "INCREASE" ? "➕" : "➖";
+    lines.push(`${sign} ${fmtPair(c.amount0, c.amount1, sym0, sym1)} · ${formatTxLink(s.chainId, c.txHash)}`);
+  }
+  return lines;
+}
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName("my-lp")
@@ -77,11 +124,21 @@ module.exports = {
       const { lpRangeShiftPct } = getTestOffsets();
       const hasLpShift = Number.isFinite(lpRangeShiftPct) && lpRangeShiftPct !== 0;
 
+      const hiddenSpam = countHiddenSpam(db, userId);
+      const hiddenSpamLine = hiddenSpam
+        ? `🚫 ${hiddenSpam} position(s) hidden as spam; review them with \`/ignore-spam-tx\`.`
+        : null;
+
       if (!summaries.length) {
-        await interaction.editReply("No LP positions are currently being monitored for you.");
+        await interaction.editReply(
+          ["No LP positions are currently being monitored for you.", hiddenSpamLine].filter(Boolean).join("\n")
+        );
         return;
       }
 
+      // Emptied positions (net liquidity back to 0 per the event index, RPC liquidity for
+      // positions older than the index) are listed separately
+      const emptiedSummaries = summaries.filter((s) => s.status === "INACTIVE");
       const displaySummaries = summaries
         .filter((s) => s.status !== "INACTIVE")
         .map((s) => {
@@ -98,13 +155,35 @@ module.exports = {
             Number.isFinite(shiftedTick) && shiftedTick >= s.tickLower && shiftedTick < s.tickUpper
               ? "IN_RANGE"
               : "OUT_OF_RANGE";
-          const lpClass = classifyLpRangeTier(rangeStatus, s.tickLower, s.tickUpper, shiftedTick);
+          const thresholds = resolveThresholdOverrides({
+            userId: s.userId,
+            walletId: s.walletId,
+            contractId: s.contractId,
+            tokenId: s.tokenId,
+          });
+          const hitChance = lpRangeExitChance({
+            contractId: s.contractId,
+            tokenId: s.tokenId,
+            rangeStatus,
+            currentTick: shiftedTick,
+            tickLower: s.tickLower,
+            tickUpper: s.tickUpper,
+          });
+          const lpClass = classifyLpRangeTier(
+            rangeStatus,
+            s.tickLower,
+            s.tickUpper,
+            shiftedTick,
+            thresholds,
+            hitChance
+          );
           out.currentTick = shiftedTick;
           out.rangeStatus = rangeStatus;
           out.lpRangeTier = lpClass.tier;
           out.lpRangeLabel = lpClass.label;
           out.lpPositionFrac = lpClass.positionFrac;
           out.lpDistanceFrac = lpClass.distanceFrac;
+          out.lpHitChance = hitChance;
         }
           return out;
         });
@@ -128,8 +207,28 @@ module.exports = {
         "Current status of your monitored LP positions.",
         "_Range status is based on the current pool tick vs your position bounds._",
         "_Amounts are estimated from liquidity + pool price; fees are current uncollected amounts when available._",
+        "_Value, HODL, and PnL are in the pair's second token, measured from the mint block; " +
+          "fees include realized (collected) fees once the position's full deposit history is indexed._",
       ];
 
+      const usdTotals = summarizeUsdTotals({ lps: displaySummaries });
+      if (usdTotals.total.positions > usdTotals.total.unpriced) {
+        descLines.push("");
+        descLines.push(
+          `USD: **${fmtUsd(usdTotals.total.lp + usdTotals.total.fees)}** ` +
+            `(principal ${fmtUsd(usdTotals.total.lp)} + fees ${fmtUsd(usdTotals.total.fees)})`
+        );
+        if (usdTotals.wallets.length > 1) {
+          for (const w of usdTotals.wallets) {
+            const name = w.walletLabel || (w.owner ? shortenAddress(w.owner) : "wallet");
+            descLines.push(`• ${name}: **${fmtUsd(w.lp + w.fees)}**`);
+          }
+        }
+        if (usdTotals.total.unpriced > 0) {
+          descLines.push(`_${usdTotals.total.unpriced} position(s) have no USD price and are not included._`);
+        }
+      }
+
       const snapshotTimes = displaySummaries
         .map((s) => (s.snapshotAt ? String(s.snapshotAt) : null))
         .filter(Boolean)
@@ -147,6 +246,10 @@ module.exports = {
         descLines.push("");
         descLines.push(`Data captured: <t:${latest}:f>${warn}`);
       }
+      if (hiddenSpamLine) {
+        descLines.push("");
+        descLines.push(hiddenSpamLine);
+      }
 
       const tierColorEmoji = {
         LOW: "🟩",
@@ -193,6 +296,30 @@ module.exports = {
           valueLines.push(`Uncollected fees: ${p.join(" + ")}`);
         }
 
+        if (s.usd && s.usd.principal != null) {
+          const feesUsd = fmtUsd(s.usd.fees);
+          valueLines.push(`USD: **${fmtUsd(s.usd.principal)}**${feesUsd ? ` + fees **${feesUsd}**` : ""}`);
+        }
+
+        // ---- entry vs now (token1 terms)
+        const a = s.analytics;
+        if (a) {
+          const unit = s.valueSymbol || sym1;
+          const il = fmtSignedPct(a.ilPct);
+          valueLines.push(
+            `Value: **${fmtNum(a.positionValue)} ${unit}** (HODL ${fmtNum(a.hodlValue)}${il ? `, IL ${il}` : ""})`
+          );
+          const pnlSign = a.netPnl >= 0 ? "+" : "-";
+          const pnlPct = fmtSignedPct(a.netPnlPct);
+          const apr =
+            typeof a.feeAprPct === "number" && Number.isFinite(a.feeAprPct) ? `${a.feeAprPct.toFixed(2)}%` : null;
+          const since = a.entryAt ? ` since <t:${a.entryAt}:d>` : "";
+          valueLines.push(
+            `Net PnL: **${pnlSign}${fmtNum(Math.abs(a.netPnl))} ${unit}**${pnlPct ? ` (${pnlPct})` : ""}${since}` +
+              (apr ? ` | Fee APR: **${apr}**` : "")
+          );
+        }
+
         if (typeof s.lpPositionFrac === "number") {
           valueLines.push(
             `Position in band: **${(s.lpPositionFrac * 100).toFixed(2)}%** from lower bound`
@@ -208,6 +335,12 @@ module.exports = {
           valueLines.push(`\`${emoji} Range tier: ${s.lpRangeTier}${labelText}\``);
         }
 
+        if (s.rangeStatus === "IN_RANGE") {
+          valueLines.push(`Range exit chance (est.): ${formatHitChance(s.lpHitChance, { bold: true }) || "n/a"}`);
+        }
+
+        valueLines.push(...liquidityHistoryLines(s, sym0, sym1));
+
 
         let value = valueLines.join("\n");
         if (value.length > 1024) value = value.slice(0, 1020) + "…";
@@ -215,6 +348,30 @@ module.exports = {
         return { name: header, value };
       });
 
+      for (const s of emptiedSummaries) {
+        const sym0 = s.token0Symbol || s.token0 || "?";
+        const sym1 = s.token1Symbol || s.token1 || "?";
+        const valueLines = [];
+        if (s.pairLabel) valueLines.push(`Pair: **${s.pairLabel}**`);
+        valueLines.push(`Token: ${formatLpPositionLink(s.protocol, s.tokenId, shortenTroveId(s.tokenId))}`);
+        if (s.owner) {
+          valueLines.push(`Wallet: ${formatAddressLink(s.chainId, s.owner) || `**${shortenAddress(s.owner)}**`}`);
+        }
+        valueLines.push(
+          s.emptied
+            ? `Emptied: all liquidity withdrawn at block **${s.emptied.blockNumber}** · ${formatTxLink(
+                s.chainId,
+                s.emptied.txHash
+              )}`
+            : "Emptied: no liquidity left (withdrawn before event history)"
+        );
+        valueLines.push(...liquidityHistoryLines(s, sym0, sym1));
+
+        let value = valueLines.join("\n");
+        if (value.length > 1024) value = value.slice(0, 1020) + "…";
+        fields.push({ name: `⚫ ${s.protocol || "UNKNOWN_PROTOCOL"} (${s.chainId || "?"}) – emptied`, value });
+      }
+
       const MAX_EMBED_CHARS = 5200;
       const descText = descLines.join("\n");
       const embeds = [];
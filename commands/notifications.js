@@ -0,0 +1,271 @@
+// commands/notifications.js
+const crypto = require("crypto");
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require("discord.js");
+
+const { getDb, getOrCreateUserId } = require("../db");
+const { ephemeralFlags, EPHEMERAL_FLAG } = require("../utils/discord/ephemerals");
+const logger = require("../utils/logger");
+const {
+  listUserNotifiers,
+  getUserNotifier,
+  addUserNotifier,
+  setUserNotifierEnabled,
+  removeUserNotifier,
+  getRecentDeliveries,
+  deliverAlert,
+} = require("../monitoring/notifiers");
+
+const KIND_LABEL = {
+  DISCORD_DM: "Discord DM",
+  DISCORD_CHANNEL: "Discord channel",
+  WEBHOOK: "Webhook",
+  TELEGRAM: "Telegram",
+};
+
+function describeTarget(n) {
+  const c = n.config || {};
+  if (n.kind === "DISCORD_CHANNEL") return `<#${c.channelId}>`;
+  if (n.kind === "WEBHOOK") {
+    let host = c.url;
+    try {
+      host = new URL(c.url).host;
+    } catch (_) {}
+    return `${host}${c.secret ? " (signed)" : ""}`;
+  }
+  if (n.kind === "TELEGRAM") return `chat ${c.chatId}`;
+  return "your DMs";
+}
+
+function formatNotifierLine(n) {
+  const status = n.isEnabled ? "🟢" : "⚪";
+  const label = n.label ? ` **${n.label}**` : "";
+  return `${status} \`#${n.id}\` ${KIND_LABEL[n.kind] || n.kind}${label} → ${describeTarget(n)}`;
+}
+
+function renderList(userId) {
+  const notifiers = listUserNotifiers(userId);
+  const lines = ["**Alert outputs**"];
+  if (!notifiers.length) {
+    lines.push("None configured, alerts go to your Discord DMs.");
+  } else {
+    lines.push(...notifiers.map(formatNotifierLine));
+    if (!notifiers.some((n) => n.isEnabled)) lines.push("_All outputs disabled, alerts go to your Discord DMs._");
+  }
+
+  const deliveries = getRecentDeliveries(userId, 5);
+  if (deliveries.length) {
+    lines.push("", "**Recent deliveries**");
+    for (const d of deliveries) {
+      const icon = d.status === "SENT" ? "✅" : "❌";
+      const err = d.last_error ? ` — ${String(d.last_error).slice(0, 80)}` : "";
+      lines.push(
+        `${icon} ${d.created_at} ${KIND_LABEL[d.kind] || d.kind}${d.notifier_id ? ` #${d.notifier_id}` : ""} ` +
+          `${d.alert_type || ""} ${d.phase || ""} (${d.attempts}x)${err}`
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+function formatResults(results) {
+  if (!results.length) return "No outputs to test.";
+  return results
+    .map((r) => {
+      const name = `${KIND_LABEL[r.kind] || r.kind}${r.notifierId ? ` #${r.notifierId}` : ""}`;
+      if (r.status === "SENT") return `✅ ${name}: sent`;
+      if (r.status == null) return `⚪ ${name}: skipped (DMs not enabled, run /my-wallets first)`;
+      if (r.status === "RETRYING") return `🔁 ${name}: failed, retrying in the background — ${r.error}`;
+      return `❌ ${name}: failed after ${r.attempts} attempt(s) — ${r.error}`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("notifications")
+    .setDescription("Choose where your alerts are delivered (DM, channel, webhook, Telegram).")
+    .addSubcommand((sc) => sc.setName("list").setDescription("Show your alert outputs and recent deliveries"))
+    .addSubcommand((sc) => sc.setName("add-dm").setDescription("Send alerts to your Discord DMs"))
+    .addSubcommand((sc) =>
+      sc
+        .setName("add-channel")
+        .setDescription("Post alerts to a server channel or thread")
+        .addChannelOption((o) =>
+          o
+            .setName("channel")
+            .setDescription("Target channel or thread")
+            .setRequired(true)
+            .addChannelTypes(
+              ChannelType.GuildText,
+              ChannelType.GuildAnnouncement,
+              ChannelType.PublicThread,
+              ChannelType.PrivateThread
+            )
+        )
+        .addStringOption((o) => o.setName("label").setDescription("Optional label").setRequired(false))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("add-webhook")
+        .setDescription("POST alerts as signed JSON to an HTTPS endpoint")
+        .addStringOption((o) => o.setName("url").setDescription("https URL on a public host").setRequired(true))
+        .addStringOption((o) =>
+          o.setName("secret").setDescription("HMAC secret (generated if omitted)").setRequired(false)
+        )
+        .addStringOption((o) => o.setName("label").setDescription("Optional label").setRequired(false))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("add-telegram")
+        .setDescription("Send alerts to a Telegram chat via the bot API")
+        .addStringOption((o) =>
+          o.setName("chat_id").setDescription("Telegram chat id or @channel").setRequired(true)
+        )
+        .addStringOption((o) => o.setName("label").setDescription("Optional label").setRequired(false))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("enable")
+        .setDescription("Enable an output")
+        .addIntegerOption((o) => o.setName("id").setDescription("Output id from /notifications list").setRequired(true))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("disable")
+        .setDescription("Disable an output")
+        .addIntegerOption((o) => o.setName("id").setDescription("Output id from /notifications list").setRequired(true))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove")
+        .setDescription("Delete an output")
+        .addIntegerOption((o) => o.setName("id").setDescription("Output id from /notifications list").setRequired(true))
+    )
+    .addSubcommand((sc) => sc.setName("test").setDescription("Send a test message to every enabled output")),
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      const sub = interaction.options.getSubcommand();
+      // The webhook URL and signing secret are never posted publicly, even with EPHEMERALS_OFF
+      await interaction.deferReply({ flags: sub === "add-webhook" ? EPHEMERAL_FLAG : ephFlags });
+
+      const db = getDb();
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const label = interaction.options.getString("label") || null;
+
+      if (sub === "list") {
+        await interaction.editReply(renderList(userId));
+        return;
+      }
+
+      if (sub === "add-dm") {
+        const n = await addUserNotifier({ userId, kind: "DISCORD_DM", label });
+        await interaction.editReply(`Added ${formatNotifierLine(n)}`);
+        return;
+      }
+
+      if (sub === "add-channel") {
+        const channel = interaction.options.getChannel("channel", true);
+        const needed = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages];
+        const isThread = typeof channel.isThread === "function" && channel.isThread();
+        if (isThread) needed.push(PermissionFlagsBits.SendMessagesInThreads);
+
+        const userPerms = interaction.member ? channel.permissionsFor(interaction.member) : null;
+        if (!userPerms || !userPerms.has(needed)) {
+          await interaction.editReply("You need permission to post in that channel to route alerts there.");
+          return;
+        }
+        const botPerms = interaction.client?.user ? channel.permissionsFor(interaction.client.user) : null;
+        if (!botPerms || !botPerms.has([...needed, PermissionFlagsBits.EmbedLinks])) {
+          await interaction.editReply("I can’t post embeds in that channel. Check my channel permissions.");
+          return;
+        }
+
+        const n = await addUserNotifier({ userId, kind: "DISCORD_CHANNEL", label, config: { channelId: channel.id } });
+        await interaction.editReply(`Added ${formatNotifierLine(n)}`);
+        return;
+      }
+
+      if (sub === "add-webhook") {
+        const url = interaction.options.getString("url", true);
+        const given = interaction.options.getString("secret");
+        const secret = given || crypto.randomBytes(24).toString("hex");
+
+        let n;
+        try {
+          n = await addUserNotifier({ userId, kind: "WEBHOOK", label, config: { url, secret } });
+        } catch (err) {
+          await interaction.editReply(`Invalid webhook: ${err.message}`);
+          return;
+        }
+        const lines = [`Added ${formatNotifierLine(n)}`];
+        if (!given) {
+          lines.push(
+            "",
+            `Signing secret (shown once): \`${secret}\``,
+            "Verify `X-Alert-Signature: sha256=HMAC_SHA256(secret, \"<X-Alert-Timestamp>.<raw body>\")`."
+          );
+        }
+        await interaction.editReply(lines.join("\n"));
+        return;
+      }
+
+      if (sub === "add-telegram") {
+        const chatId = interaction.options.getString("chat_id", true);
+        let n;
+        try {
+          n = await addUserNotifier({ userId, kind: "TELEGRAM", label, config: { chatId } });
+        } catch (err) {
+          await interaction.editReply(`Invalid Telegram output: ${err.message}`);
+          return;
+        }
+        await interaction.editReply(`Added ${formatNotifierLine(n)}`);
+        return;
+      }
+
+      if (sub === "enable" || sub === "disable" || sub === "remove") {
+        const id = interaction.options.getInteger("id", true);
+        const ok =
+          sub === "remove"
+            ? removeUserNotifier(userId, id)
+            : setUserNotifierEnabled(userId, id, sub === "enable");
+        await interaction.editReply(ok ? `Output #${id} ${sub}d.` : `No output #${id} found.`);
+        return;
+      }
+
+      if (sub === "test") {
+        const enabled = listUserNotifiers(userId).filter((n) => n.isEnabled);
+        const message = `Test notification from ${interaction.client?.user?.username || "the alert bot"}.`;
+        const results = await deliverAlert({
+          client: interaction.client,
+          userId,
+          logPrefix: "[notifications]",
+          notifiers: enabled.length ? enabled : null,
+          payload: { alertType: "TEST", phase: "TEST", message, meta: {}, discord: { content: `🔔 ${message}` } },
+        });
+        await interaction.editReply(formatResults(results));
+        return;
+      }
+
+      // Should never happen
+      await interaction.editReply("Unknown subcommand.");
+    } catch (error) {
+      logger.error("Error in /notifications:", error?.stack || error?.message || error);
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/notifications`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/notifications`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
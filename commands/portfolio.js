@@ -0,0 +1,144 @@
+// commands/portfolio.js
+const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+
+const { getDb, getOrCreateUserId } = require("../db");
+const { prepareQueries } = require("../db/queries");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const { createDecimalFormatter, createCurrencyFormatter } = require("../utils/intlNumberFormats");
+const { formatAddressLink } = require("../utils/links");
+const { shortenAddress } = require("../utils/ethers/shortenAddress");
+const logger = require("../utils/logger");
+const { getPortfolio } = require("../monitoring/portfolio");
+
+function requireNumberEnv(name) {
+  const raw = process.env[name];
+  if (!raw || String(raw).trim() === "") {
+    throw new Error(`Missing env var ${name}`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) throw new Error(`Env var ${name} must be numeric (got "${raw}")`);
+  return n;
+}
+
+const SNAPSHOT_STALE_WARN_MIN = requireNumberEnv("SNAPSHOT_STALE_WARN_MIN");
+const SNAPSHOT_STALE_WARN_MS = Math.max(0, Math.floor(SNAPSHOT_STALE_WARN_MIN * 60 * 1000));
+
+const fmt4 = createDecimalFormatter(0, 4);
+const fmtUsdCcy = createCurrencyFormatter("USD", 0, 2);
+
+const TIER_EMOJI = { CRITICAL: "🟥", HIGH: "🟧", MEDIUM: "🟨", LOW: "🟩", UNKNOWN: "⬜" };
+const TIER_COLOR = { CRITICAL: "Red", HIGH: "Orange", MEDIUM: "Yellow", LOW: "Green", UNKNOWN: "DarkBlue" };
+
+function fmtUsd(n) {
+  if (typeof n !== "number" || !Number.isFinite(n)) return "n/a";
+  return fmtUsdCcy.format(n);
+}
+
+// "1,234.5 FXRP + 10 WFLR"
+function fmtTokenAmounts(byToken) {
+  const parts = [];
+  for (const [symbol, amount] of byToken) parts.push(`${fmt4.format(amount)} ${symbol}`);
+  return parts.length ? parts.join(" + ") : "none";
+}
+
+function parseSnapshotTs(raw) {
+  if (!raw) return null;
+  const iso = String(raw).includes("T") ? String(raw) : String(raw).replace(" ", "T");
+  const ts = Date.parse(iso.endsWith("Z") ? iso : `${iso}Z`);
+  return Number.isFinite(ts) ? Math.floor(ts / 1000) : null;
+}
+
+// Loan + LP lines shared by the total and each wallet
+function bucketLines(b, usd) {
+  const lines = [];
+  const priced = usd && usd.positions > usd.unpriced;
+
+  if (b.loans) {
+    const tier = b.worstLiquidationTier;
+    lines.push(`Loans: **${b.loans}** | Worst liquidation tier: ${TIER_EMOJI[tier] || "⬜"} **${tier}**`);
+    lines.push(`Collateral: **${priced ? fmtUsd(usd.collateral) : "n/a"}** (${fmtTokenAmounts(b.collateralByToken)})`);
+    lines.push(`Debt: **${priced ? fmtUsd(usd.debt) : "n/a"}** (${fmtTokenAmounts(b.debtByToken)})`);
+  }
+
+  if (b.lps || b.inactiveLps) {
+    const oor = b.outOfRangeLps ? `🔴 **${b.outOfRangeLps}** out of range` : "all in range";
+    const inactive = b.inactiveLps ? ` | ${b.inactiveLps} inactive` : "";
+    lines.push(`LPs: **${b.lps}** (${b.lps ? oor : "none active"})${inactive}`);
+    if (b.lps) lines.push(`Net LP value: **${priced ? fmtUsd(usd.lp + usd.fees) : "n/a"}** (incl. fees)`);
+  }
+
+  if (priced) {
+    lines.push(`Net worth: **${fmtUsd(usd.net)}**`);
+    if (usd.unpriced > 0) lines.push(`_${usd.unpriced} position(s) without a USD price are not included._`);
+  }
+  return lines;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("portfolio")
+    .setDescription("Totals for your loans and LPs across all enabled wallets."),
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      const db = getDb();
+      const q = prepareQueries(db);
+
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const portfolio = await getPortfolio({ userId, wallets: q.selUserWallets.all(userId) });
+      const { total } = portfolio;
+
+      if (!total.loans && !total.lps && !total.inactiveLps) {
+        await interaction.editReply(
+          "No monitored positions found for your enabled wallets. Use `/my-wallets` to add one."
+        );
+        return;
+      }
+
+      const descLines = [...bucketLines(total, total.usd)];
+      const ts = parseSnapshotTs(portfolio.snapshotAt);
+      if (ts) {
+        const stale = Date.now() - ts * 1000 > SNAPSHOT_STALE_WARN_MS;
+        descLines.push("", `Data captured: <t:${ts}:f>${stale ? " ⚠️ Data may be stale." : ""}`);
+      }
+
+      const fields = portfolio.wallets.slice(0, 25).map((w) => {
+        const addr = shortenAddress(w.address);
+        const name = `${w.label || addr} (${w.chainId})`;
+        const walletLink = formatAddressLink(w.chainId, w.address) || addr;
+        let value = [`Wallet: ${walletLink}`, ...bucketLines(w, w.usd)].join("\n");
+        if (value.length > 1024) value = value.slice(0, 1020) + "…";
+        return { name: name.slice(0, 256), value };
+      });
+
+      const embed = new EmbedBuilder()
+        .setTitle("My Portfolio")
+        .setColor(TIER_COLOR[total.worstLiquidationTier] || "DarkBlue")
+        .setDescription(descLines.join("\n"))
+        .addFields(fields)
+        .setTimestamp();
+      if (interaction.client?.user) embed.setThumbnail(interaction.client.user.displayAvatarURL());
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      logger.error("Error in /portfolio:", error?.stack || error?.message || error);
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/portfolio`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/portfolio`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
@@ -0,0 +1,291 @@
+// commands/position-history.js
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require("discord.js");
+
+const logger = require("../utils/logger");
+
+const { getDb, getOrCreateUserId } = require("../db");
+const { prepareQueries } = require("../db/queries");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
+const { formatLoanTroveLink, formatLpPositionLink } = require("../utils/links");
+const { renderLineChart } = require("../utils/pngChart");
+const { getLoanHistory, getLpHistory, toSeries, summarizeSeries } = require("../monitoring/positionHistory");
+
+const WINDOWS = {
+  "24h": { hours: 24, label: "last 24 hours" },
+  "7d": { hours: 24 * 7, label: "last 7 days" },
+  "30d": { hours: 24 * 30, label: "last 30 days" },
+};
+
+const COLOR_PRICE = "#5865f2";
+const COLOR_LIQ = "#ed4245";
+const COLOR_TICK = "#57f287";
+const COLOR_BOUND = "#fee75c";
+
+const CHART_FILE = "position-history.png";
+
+function fmtNum(v, digits = 4) {
+  if (v == null || !Number.isFinite(v)) return "n/a";
+  return new Intl.NumberFormat("en-US", {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: digits,
+  }).format(v);
+}
+
+function fmtPct(frac, digits = 2) {
+  if (frac == null || !Number.isFinite(frac)) return "n/a";
+  return `${(frac * 100).toFixed(digits)}%`;
+}
+
+function fmtDelta(delta, formatter) {
+  if (delta == null || !Number.isFinite(delta)) return "n/a";
+  return `${delta >= 0 ? "+" : "-"}${formatter(Math.abs(delta))}`;
+}
+
+// "LOAN:<contractId>:<tokenId>" | "LP:<contractId>:<tokenId>"
+function encodePositionValue(kind, contractId, tokenId) {
+  return `${kind}:${contractId}:${tokenId}`;
+}
+
+function parsePositionValue(v) {
+  const [kind, contractIdRaw, tokenId] = String(v || "").split(":");
+  const contractId = Number(contractIdRaw);
+  if ((kind !== "LOAN" && kind !== "LP") || !Number.isInteger(contractId) || !tokenId) return null;
+  return { kind, contractId, tokenId };
+}
+
+function positionChoiceName(row) {
+  const kindLabel = row.kind === "LOAN" ? "Loan" : "LP";
+  const id = row.kind === "LOAN" ? shortenTroveId(row.token_id) : `#${row.token_id}`;
+  const label = row.wallet_label ? ` (${row.wallet_label})` : "";
+  return `${kindLabel} ${row.protocol} ${id}${label}`.slice(0, 100);
+}
+
+function buildLoanReply({ position, history, windowDef }) {
+  const price = toSeries(history, "price");
+  const liq = toSeries(history, "liquidationPrice");
+  if (!price.length && !liq.length) return null;
+
+  const png = renderLineChart({
+    series: [
+      { points: liq, color: COLOR_LIQ, dash: [8, 6] },
+      { points: price, color: COLOR_PRICE },
+    ],
+  });
+
+  const priceSum = summarizeSeries(price);
+  const bufferSum = summarizeSeries(toSeries(history, "liquidationBufferFrac"));
+  const icrSum = summarizeSeries(toSeries(history, "icr"));
+  const aheadSum = summarizeSeries(toSeries(history, "debtAheadPct"));
+
+  const troveLink =
+    formatLoanTroveLink(position.protocol, position.tokenId, shortenTroveId(position.tokenId)) ||
+    shortenTroveId(position.tokenId);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Loan history - ${position.protocol}`)
+    .setDescription(
+      `Trove ${troveLink} over the ${windowDef.label}.\n` +
+        "🟦 price  ·  🟥 liquidation price (dashed)"
+    )
+    .setColor(0x2b2d31)
+    .setImage(`attachment://${CHART_FILE}`)
+    .addFields(
+      {
+        name: "Price",
+        value: priceSum
+          ? `${fmtNum(priceSum.last, 5)} (${fmtDelta(priceSum.delta, (v) => fmtNum(v, 5))})`
+          : "n/a",
+        inline: true,
+      },
+      {
+        name: "Liquidation buffer",
+        value: bufferSum
+          ? `${fmtPct(bufferSum.last)} (min ${fmtPct(bufferSum.min)})`
+          : "n/a",
+        inline: true,
+      },
+      {
+        name: "ICR",
+        value: icrSum ? `${fmtPct(icrSum.last, 1)} (${fmtDelta(icrSum.delta, (v) => fmtPct(v, 1))})` : "n/a",
+        inline: true,
+      },
+      {
+        name: "Debt ahead",
+        value: aheadSum
+          ? `${fmtPct(aheadSum.last)} (${fmtDelta(aheadSum.delta, (v) => `${(v * 100).toFixed(2)} pp`)})`
+          : "n/a",
+        inline: true,
+      },
+      { name: "Samples", value: String(history.length), inline: true }
+    )
+    .setFooter({ text: "Times are UTC" })
+    .setTimestamp(new Date());
+
+  return { embed, png };
+}
+
+function buildLpReply({ position, history, windowDef }) {
+  const tick = toSeries(history, "currentTick");
+  const lower = toSeries(history, "tickLower");
+  const upper = toSeries(history, "tickUpper");
+  if (!tick.length) return null;
+
+  const png = renderLineChart({
+    series: [
+      { points: lower, color: COLOR_BOUND, dash: [8, 6] },
+      { points: upper, color: COLOR_BOUND, dash: [8, 6] },
+      { points: tick, color: COLOR_TICK },
+    ],
+    formatY: (v) => v.toFixed(0),
+  });
+
+  const posSum = summarizeSeries(toSeries(history, "lpPositionFrac"));
+  const inRange = history.filter((h) => h.rangeStatus === "IN_RANGE").length;
+  const known = history.filter((h) => h.rangeStatus === "IN_RANGE" || h.rangeStatus === "OUT_OF_RANGE").length;
+  const last = history[history.length - 1];
+
+  const embed = new EmbedBuilder()
+    .setTitle(`LP history - ${position.protocol}`)
+    .setDescription(
+      `Position ${formatLpPositionLink(position.protocol, position.tokenId, `#${position.tokenId}`)} over the ${windowDef.label}.\n` +
+        "🟩 current tick  ·  🟨 tickLower / tickUpper (dashed)"
+    )
+    .setColor(0x2b2d31)
+    .setImage(`attachment://${CHART_FILE}`)
+    .addFields(
+      { name: "Status", value: last?.rangeStatus ? last.rangeStatus.replace(/_/g, " ") : "n/a", inline: true },
+      {
+        name: "Position in range",
+        value: posSum ? `${fmtPct(posSum.last, 1)} (min ${fmtPct(posSum.min, 1)}, max ${fmtPct(posSum.max, 1)})` : "n/a",
+        inline: true,
+      },
+      { name: "Time in range", value: known ? fmtPct(inRange / known, 1) : "n/a", inline: true },
+      { name: "Samples", value: String(history.length), inline: true }
+    )
+    .setFooter({ text: "Times are UTC" })
+    .setTimestamp(new Date());
+
+  return { embed, png };
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("position-history")
+    .setDescription("Chart a loan or LP position over time.")
+    .addStringOption((o) =>
+      o
+        .setName("position")
+        .setDescription("Loan (trove) or LP position")
+        .setRequired(true)
+        .setAutocomplete(true)
+    )
+    .addStringOption((o) =>
+      o
+        .setName("window")
+        .setDescription("Time window (default 24h)")
+        .setRequired(false)
+        .addChoices(
+          { name: "24h", value: "24h" },
+          { name: "7d", value: "7d" },
+          { name: "30d", value: "30d" }
+        )
+    ),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== "position") return;
+
+    const db = getDb();
+    const q = prepareQueries(db);
+    const discordId = interaction.user.id;
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId, discordName });
+
+    const query = (focused.value || "").toLowerCase();
+    const options = [];
+    for (const row of q.selUserSnapshotPositions.all({ userId })) {
+      const name = positionChoiceName(row);
+      const value = encodePositionValue(row.kind, row.contract_id, row.token_id);
+      if (query && !name.toLowerCase().includes(query) && !String(row.token_id).includes(query)) continue;
+      options.push({ name, value });
+      if (options.length >= 25) break;
+    }
+
+    await interaction.respond(options);
+  },
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      const db = getDb();
+      const q = prepareQueries(db);
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const parsed = parsePositionValue(interaction.options.getString("position"));
+      const windowKey = interaction.options.getString("window") || "24h";
+      const windowDef = WINDOWS[windowKey] || WINDOWS["24h"];
+
+      if (!parsed) {
+        await interaction.editReply("Pick a position from the list.");
+        return;
+      }
+
+      // Only positions the user currently holds (same source as autocomplete)
+      const owned = q.selUserSnapshotPositions
+        .all({ userId })
+        .find(
+          (r) =>
+            r.kind === parsed.kind &&
+            Number(r.contract_id) === parsed.contractId &&
+            String(r.token_id) === parsed.tokenId
+        );
+      if (!owned) {
+        await interaction.editReply("Selected position not found for your wallets.");
+        return;
+      }
+
+      const position = { ...parsed, protocol: owned.protocol };
+      const historyQuery = {
+        userId,
+        contractId: parsed.contractId,
+        tokenId: parsed.tokenId,
+        sinceHours: windowDef.hours,
+      };
+
+      const reply =
+        parsed.kind === "LOAN"
+          ? buildLoanReply({ position, history: getLoanHistory(historyQuery), windowDef })
+          : buildLpReply({ position, history: getLpHistory(historyQuery), windowDef });
+
+      if (!reply) {
+        await interaction.editReply(
+          `No history recorded for this position in the ${windowDef.label} yet. ` +
+            "History is collected on each monitor run."
+        );
+        return;
+      }
+
+      const file = new AttachmentBuilder(reply.png, { name: CHART_FILE });
+      await interaction.editReply({ embeds: [reply.embed], files: [file] });
+    } catch (err) {
+      logger.error("Error in /position-history:", err);
+
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/position-history`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/position-history`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
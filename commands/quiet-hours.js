@@ -0,0 +1,116 @@
+// commands/quiet-hours.js
+const { SlashCommandBuilder } = require("discord.js");
+
+const { getDb, getOrCreateUserId } = require("../db");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const logger = require("../utils/logger");
+const {
+  parseClock,
+  formatClock,
+  getQuietHours,
+  setQuietHours,
+  disableQuietHours,
+  isInQuietHours,
+} = require("../monitoring/quietHours");
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : ["UTC"];
+
+function describe(qh, userId) {
+  if (!qh || !qh.isEnabled) return "Quiet hours are **off**. Alerts are delivered immediately.";
+  const active = isInQuietHours(userId);
+  return [
+    `Quiet hours: **${formatClock(qh.startMin)} – ${formatClock(qh.endMin)}** (${qh.timezone})${active ? " 🌙 active now" : ""}`,
+    "Non-critical alerts in this window are held and sent as one digest when it ends.",
+    "🟥 CRITICAL alerts of any type and actual liquidations are always sent immediately.",
+  ].join("\n");
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("quiet-hours")
+    .setDescription("Hold non-critical alerts overnight and get a digest instead.")
+    .addSubcommand((sc) =>
+      sc
+        .setName("set")
+        .setDescription("Set your quiet hours window")
+        .addStringOption((o) => o.setName("start").setDescription("Start time, HH:MM (e.g. 22:00)").setRequired(true))
+        .addStringOption((o) => o.setName("end").setDescription("End time, HH:MM (e.g. 07:00)").setRequired(true))
+        .addStringOption((o) =>
+          o
+            .setName("timezone")
+            .setDescription("IANA timezone (e.g. Europe/Berlin)")
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand((sc) => sc.setName("off").setDescription("Turn quiet hours off"))
+    .addSubcommand((sc) => sc.setName("status").setDescription("Show your quiet hours")),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== "timezone") return;
+
+    const query = (focused.value || "").toLowerCase();
+    const options = TIME_ZONES.filter((tz) => !query || tz.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map((tz) => ({ name: tz, value: tz }));
+    await interaction.respond(options);
+  },
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      const db = getDb();
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "set") {
+        const startMin = parseClock(interaction.options.getString("start", true));
+        const endMin = parseClock(interaction.options.getString("end", true));
+        const timezone = interaction.options.getString("timezone", true).trim();
+        if (startMin == null || endMin == null) {
+          await interaction.editReply("Times must be in 24h `HH:MM` format, e.g. `22:00`.");
+          return;
+        }
+
+        let qh;
+        try {
+          qh = setQuietHours(userId, { startMin, endMin, timezone });
+        } catch (err) {
+          await interaction.editReply(err.message);
+          return;
+        }
+        await interaction.editReply(describe(qh, userId));
+        return;
+      }
+
+      if (sub === "off") {
+        disableQuietHours(userId);
+        await interaction.editReply(
+          "Quiet hours are **off**. Any held alerts will be sent as a digest on the next check."
+        );
+        return;
+      }
+
+      await interaction.editReply(describe(getQuietHours(userId), userId));
+    } catch (error) {
+      logger.error("Error in /quiet-hours:", error?.stack || error?.message || error);
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/quiet-hours`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/quiet-hours`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
@@ -5,6 +5,7 @@ const { ephemeralFlags } = require("../utils/discord/ephemerals");
 const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
 const { shortenAddress } = require("../utils/ethers/shortenAddress");
 const { formatAddressLink, formatLoanTroveLink } = require("../utils/links");
+const { getLoanContractConfig } = require("../config/loanContracts");
 const logger = require("../utils/logger");
 const { getDebtAheadOffsetPpForProtocol, classifyDebtAheadTier } = require("../monitoring/testOffsets");
 const SNAPSHOT_STALE_WARN_MIN = (() => {
@@ -241,6 +242,7 @@ module.exports = {
     }
 
     const chainId = String(contractRow.chain_id).toUpperCase();
+    const debtSymbol = getLoanContractConfig(protocol)?.debtSymbol || "debt";
     const rateRow = db
       .prepare(
         `
@@ -329,12 +331,12 @@ module.exports = {
 
       embed.addFields({
         name: "Debt (your loan)",
-        value: `${fmtNum(loanInfo.debtAmount, 2)} CDP`,
+        value: `${fmtNum(loanInfo.debtAmount, 2)} ${debtSymbol}`,
         inline: true,
       });
       embed.addFields({
         name: "Total debt (of contract)",
-        value: `${fmtNum(totalDebt, 2)} CDP`,
+        value: `${fmtNum(totalDebt, 2)} ${debtSymbol}`,
         inline: true,
       });
 
@@ -371,7 +373,7 @@ module.exports = {
 
       embed.addFields({
         name: "Maximum Change fee (if updated now)",
-        value: feeMeta.feeApplies ? `${fmtNum(feeMeta.fee, 2)} CDP (estimated)` : "NONE",
+        value: feeMeta.feeApplies ? `${fmtNum(feeMeta.fee, 2)} ${debtSymbol} (estimated)` : "NONE",
         inline: false,
       });
 
@@ -0,0 +1,80 @@
+// commands/scan-now.js
+const { SlashCommandBuilder, PermissionFlagsBits } = require("discord.js");
+
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const logger = require("../utils/logger");
+const { triggerScan, cancelScan } = require("../jobs/scanJob");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("scan-now")
+    .setDescription("Run the position scanner now, or cancel the running scan (admin).")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addStringOption((o) =>
+      o
+        .setName("chain")
+        .setDescription("Only scan one chain")
+        .setRequired(false)
+        .addChoices({ name: "FLR", value: "FLR" }, { name: "XDC", value: "XDC" })
+    )
+    .addStringOption((o) =>
+      o
+        .setName("kind")
+        .setDescription("Only scan one contract kind")
+        .setRequired(false)
+        .addChoices({ name: "LP NFTs", value: "LP_NFT" }, { name: "Loan NFTs", value: "LOAN_NFT" })
+    )
+    .addBooleanOption((o) =>
+      o.setName("cancel").setDescription("Cancel the running in-process scan instead").setRequired(false)
+    ),
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        await interaction.editReply("You need the **Manage Server** permission to run the scanner.");
+        return;
+      }
+
+      if (interaction.options.getBoolean("cancel") === true) {
+        const ok = cancelScan();
+        await interaction.editReply(
+          ok
+            ? "Cancelling: the scan stops after the current block window. Progress so far is kept."
+            : "No in-process scan is running."
+        );
+        return;
+      }
+
+      const chainId = interaction.options.getString("chain");
+      const kind = interaction.options.getString("kind");
+      const res = triggerScan({ trigger: `manual by ${interaction.user.username}`, chainId, kind });
+
+      if (!res.started) {
+        await interaction.editReply(
+          res.reason === "running"
+            ? "A scan is already running. Use `/scan-status` to follow it."
+            : "Another scanner process (pm2/CLI) holds the scan lock. Try again when it finishes."
+        );
+        return;
+      }
+      await interaction.editReply("Scan started. Use `/scan-status` to follow progress.");
+    } catch (error) {
+      logger.error("Error in /scan-now:", error?.stack || error?.message || error);
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/scan-now`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/scan-now`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
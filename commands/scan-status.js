@@ -0,0 +1,131 @@
+// commands/scan-status.js
+const { SlashCommandBuilder, PermissionFlagsBits } = require("discord.js");
+
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const { createDecimalFormatter } = require("../utils/intlNumberFormats");
+const logger = require("../utils/logger");
+const { getScanStatus } = require("../jobs/scanJob");
+const { getTransferListenerStatus } = require("../jobs/transferListener");
+
+const fmtInt = createDecimalFormatter(0, 0);
+
+const STATUS_ICON = { pending: "⏳", scanning: "▶️", done: "✅", cancelled: "⏹️" };
+const OUTCOME_ICON = { ok: "✅", cancelled: "⏹️", failed: "❌" };
+
+function formatDuration(sec) {
+  if (sec == null || !Number.isFinite(sec)) return "?";
+  const s = Math.max(0, Math.round(sec));
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${s % 60}s`;
+  return `${Math.floor(m / 60)}h ${m % 60}m`;
+}
+
+function ts(ms) {
+  return `<t:${Math.floor(ms / 1000)}:R>`;
+}
+
+function formatContractLine(c) {
+  const name = `${STATUS_ICON[c.status] || "•"} ${c.chainId} ${c.kind} \`${c.contractKey}\``;
+  if (c.status === "done") return `${name} — done`;
+  if (c.remaining == null) return `${name} — ${c.status} (chain head unknown)`;
+  const parts = [`${fmtInt.format(c.remaining)} blocks left`];
+  if (c.pct != null && c.status !== "pending") parts.unshift(`${c.pct}%`);
+  if (c.etaSec != null) parts.push(`ETA ~${formatDuration(c.etaSec)}`);
+  return `${name} — ${c.status === "pending" ? "pending · " : ""}${parts.join(" · ")}`;
+}
+
+function formatListenerLine(l) {
+  const state = l.connected ? `🟢 connected ${ts(l.connectedAt)}` : `🔴 reconnecting${l.lastError ? ` (${l.lastError})` : ""}`;
+  const parts = [`${fmtInt.format(l.logsApplied)} live log(s)`];
+  if (l.lastLogAt) parts.push(`last ${ts(l.lastLogAt)}`);
+  if (l.disconnects) parts.push(`${l.disconnects} drop(s)`);
+  if (l.lastBackfill) parts.push(`gap backfill ${l.lastBackfill.outcome} ${ts(l.lastBackfill.at)}`);
+  return `• ${l.chainId}: ${state} · ${parts.join(" · ")}`;
+}
+
+function renderStatus(st, listeners = []) {
+  const lines = [];
+
+  if (st.running) {
+    const filter = st.filter ? ` [${[st.filter.chainId, st.filter.kind].filter(Boolean).join(" ")}]` : "";
+    lines.push(
+      `**Scanner:** 🔄 ${st.cancelling ? "cancelling" : "running"} (${st.trigger}${filter}, started ${ts(st.startedAt)}) · phase: ${st.phase || "?"}`
+    );
+    if (st.phase === "scan") {
+      const rate = st.blocksPerSec ? ` · ${fmtInt.format(st.blocksPerSec)} blocks/s` : "";
+      const eta = st.etaSec != null ? ` · ETA ~${formatDuration(st.etaSec)}` : "";
+      lines.push(`Progress: ${fmtInt.format(st.totalRemaining)} blocks left${rate}${eta}`);
+    } else if (st.phase === "snapshots") {
+      lines.push("All contracts scanned, refreshing loan / LP / redemption snapshots…");
+    }
+    const shown = st.contracts.slice(0, 20);
+    lines.push(...shown.map(formatContractLine));
+    if (st.contracts.length > shown.length) lines.push(`…and ${st.contracts.length - shown.length} more`);
+  } else {
+    lines.push("**Scanner:** 💤 idle in this process");
+  }
+
+  if (st.last) {
+    const l = st.last;
+    const took = formatDuration((l.finishedAt - l.startedAt) / 1000);
+    lines.push(
+      "",
+      `Last in-process run: ${OUTCOME_ICON[l.outcome] || ""} ${l.outcome} (${l.trigger}) finished ${ts(l.finishedAt)} ` +
+        `in ${took}, ${l.contracts} contract(s)${l.error ? `\nError: ${String(l.error).slice(0, 300)}` : ""}`
+    );
+  }
+
+  lines.push(
+    "",
+    st.schedule
+      ? `Schedule: \`${st.schedule}\` (in-process)`
+      : "Schedule: not scheduled in-process (`SCAN_CRON` unset); pm2/CLI runs are not tracked here"
+  );
+
+  lines.push(
+    "",
+    listeners.length
+      ? `**Live listener (WebSocket):**\n${listeners.map(formatListenerLine).join("\n")}`
+      : "Live listener: off (no `*_MAINNET_WS` configured)"
+  );
+
+  let text = lines.join("\n");
+  if (text.length > 1900) text = text.slice(0, 1896) + "\n…";
+  return text;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("scan-status")
+    .setDescription("Show position scanner progress (admin).")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false),
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        await interaction.editReply("You need the **Manage Server** permission to view scanner status.");
+        return;
+      }
+
+      await interaction.editReply(renderStatus(getScanStatus(), getTransferListenerStatus()));
+    } catch (error) {
+      logger.error("Error in /scan-status:", error?.stack || error?.message || error);
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/scan-status`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/scan-status`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
@@ -0,0 +1,335 @@
+// commands/watch-group.js
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require("discord.js");
+
+const { getDb, getOrCreateUserId } = require("../db");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const { formatAddressLink } = require("../utils/links");
+const { shortenAddress } = require("../utils/ethers/shortenAddress");
+const logger = require("../utils/logger");
+const {
+  listWatchGroups,
+  getWatchGroupByName,
+  createWatchGroup,
+  updateWatchGroup,
+  deleteWatchGroup,
+  listWatchGroupWallets,
+  addWatchGroupWallet,
+  removeWatchGroupWallet,
+} = require("../monitoring/watchGroups");
+
+const TEXT_CHANNEL_TYPES = [
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.PublicThread,
+  ChannelType.PrivateThread,
+];
+
+function loadChainChoices() {
+  try {
+    return getDb()
+      .prepare(`SELECT id FROM chains ORDER BY id`)
+      .all()
+      .map((r) => String(r.id))
+      .filter(Boolean)
+      .slice(0, 25)
+      .map((id) => ({ name: id, value: id }));
+  } catch (err) {
+    logger.warn(`[watch-group] Failed to load chains for choices: ${err?.message || err}`);
+    return [];
+  }
+}
+
+const chainChoices = loadChainChoices();
+
+function groupOption(o) {
+  return o.setName("group").setDescription("Watch group name").setRequired(true).setAutocomplete(true);
+}
+
+function roleOptions(sc) {
+  return sc
+    .addRoleOption((o) => o.setName("critical_role").setDescription("Role to mention on CRITICAL").setRequired(false))
+    .addRoleOption((o) => o.setName("high_role").setDescription("Role to mention on HIGH").setRequired(false))
+    .addRoleOption((o) => o.setName("medium_role").setDescription("Role to mention on MEDIUM").setRequired(false));
+}
+
+function chainOption(o) {
+  o.setName("chain").setDescription("Chain").setRequired(true);
+  return chainChoices.length ? o.addChoices(...chainChoices) : o;
+}
+
+function readRoles(interaction) {
+  return {
+    critical: interaction.options.getRole("critical_role")?.id || null,
+    high: interaction.options.getRole("high_role")?.id || null,
+    medium: interaction.options.getRole("medium_role")?.id || null,
+  };
+}
+
+function formatRoles(g) {
+  const parts = [
+    g.role_critical_id ? `🟥 <@&${g.role_critical_id}>` : null,
+    g.role_high_id ? `🟧 <@&${g.role_high_id}>` : null,
+    g.role_medium_id ? `🟨 <@&${g.role_medium_id}>` : null,
+  ].filter(Boolean);
+  return parts.length ? parts.join(" ") : "no mentions";
+}
+
+// Bot must be able to post embeds (and mention roles) in the target channel
+function missingBotPermissions(channel, botUser) {
+  const perms = botUser ? channel.permissionsFor(botUser) : null;
+  const isThread = typeof channel.isThread === "function" && channel.isThread();
+  const needed = [
+    PermissionFlagsBits.ViewChannel,
+    isThread ? PermissionFlagsBits.SendMessagesInThreads : PermissionFlagsBits.SendMessages,
+    PermissionFlagsBits.EmbedLinks,
+  ];
+  return !perms || !perms.has(needed);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("watch-group")
+    .setDescription("Shared wallets whose alerts are posted to a server channel.")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand((sc) => sc.setName("list").setDescription("List watch groups in this server"))
+    .addSubcommand((sc) =>
+      roleOptions(
+        sc
+          .setName("create")
+          .setDescription("Create a watch group posting to a channel")
+          .addStringOption((o) => o.setName("name").setDescription("Group name").setRequired(true).setMaxLength(64))
+          .addChannelOption((o) =>
+            o
+              .setName("channel")
+              .setDescription("Channel or thread for alerts")
+              .setRequired(true)
+              .addChannelTypes(...TEXT_CHANNEL_TYPES)
+          )
+      )
+    )
+    .addSubcommand((sc) =>
+      roleOptions(
+        sc
+          .setName("edit")
+          .setDescription("Change a group's channel, role mentions, or pause it")
+          .addStringOption(groupOption)
+          .addChannelOption((o) =>
+            o
+              .setName("channel")
+              .setDescription("New channel or thread")
+              .setRequired(false)
+              .addChannelTypes(...TEXT_CHANNEL_TYPES)
+          )
+          .addBooleanOption((o) =>
+            o.setName("clear_roles").setDescription("Remove all role mentions").setRequired(false)
+          )
+          .addBooleanOption((o) => o.setName("enabled").setDescription("Enable or pause the group").setRequired(false))
+      )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("add-wallet")
+        .setDescription("Attach a wallet to a group")
+        .addStringOption(groupOption)
+        .addStringOption(chainOption)
+        .addStringOption((o) => o.setName("address").setDescription("Wallet address").setRequired(true))
+        .addStringOption((o) => o.setName("label").setDescription("Optional label").setRequired(false))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove-wallet")
+        .setDescription("Detach a wallet from a group")
+        .addStringOption(groupOption)
+        .addStringOption(chainOption)
+        .addStringOption((o) => o.setName("address").setDescription("Wallet address").setRequired(true))
+    )
+    .addSubcommand((sc) =>
+      sc.setName("delete").setDescription("Delete a watch group").addStringOption(groupOption)
+    ),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== "group" || !interaction.guildId) return;
+
+    const query = (focused.value || "").toLowerCase();
+    const options = listWatchGroups(interaction.guildId)
+      .filter((g) => !query || g.name.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map((g) => ({ name: g.name, value: g.name }));
+    await interaction.respond(options);
+  },
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      if (!interaction.guildId) {
+        await interaction.editReply("Watch groups can only be managed inside a server.");
+        return;
+      }
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        await interaction.editReply("You need the **Manage Server** permission to manage watch groups.");
+        return;
+      }
+
+      const db = getDb();
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const guildId = interaction.guildId;
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "list") {
+        const groups = listWatchGroups(guildId);
+        if (!groups.length) {
+          await interaction.editReply("No watch groups yet. Use `/watch-group create` to add one.");
+          return;
+        }
+        const lines = [];
+        for (const g of groups) {
+          const status = g.is_enabled ? "🟢" : "⏸️";
+          lines.push(`${status} **${g.name}** → <#${g.channel_id}> | ${formatRoles(g)}`);
+          for (const w of listWatchGroupWallets(g.id)) {
+            const link = formatAddressLink(w.chain_id, w.address_eip55) || shortenAddress(w.address_eip55);
+            const warn = w.tracker_count ? "" : " ⚠️ not monitored";
+            lines.push(`  • ${w.chain_id} ${w.label ? `${w.label} ` : ""}${link}${warn}`);
+          }
+        }
+        let text = lines.join("\n");
+        if (text.length > 1900) text = text.slice(0, 1896) + "\n…";
+        await interaction.editReply(text);
+        return;
+      }
+
+      if (sub === "create") {
+        const name = interaction.options.getString("name", true);
+        const channel = interaction.options.getChannel("channel", true);
+        if (missingBotPermissions(channel, interaction.client?.user)) {
+          await interaction.editReply(`I can’t post embeds in <#${channel.id}>. Check my channel permissions.`);
+          return;
+        }
+        let group;
+        try {
+          group = createWatchGroup({
+            guildId,
+            channelId: channel.id,
+            name,
+            roles: readRoles(interaction),
+            createdByUserId: userId,
+          });
+        } catch (err) {
+          await interaction.editReply(err.message);
+          return;
+        }
+        await interaction.editReply(
+          `Created watch group **${group.name}** → <#${group.channel_id}> (${formatRoles(group)}).\n` +
+            "Attach wallets with `/watch-group add-wallet`."
+        );
+        return;
+      }
+
+      const group = getWatchGroupByName(guildId, interaction.options.getString("group", true));
+      if (!group) {
+        await interaction.editReply("No watch group with that name in this server.");
+        return;
+      }
+
+      if (sub === "edit") {
+        const channel = interaction.options.getChannel("channel");
+        if (channel && missingBotPermissions(channel, interaction.client?.user)) {
+          await interaction.editReply(`I can’t post embeds in <#${channel.id}>. Check my channel permissions.`);
+          return;
+        }
+        const newRoles = readRoles(interaction);
+        const anyRole = newRoles.critical || newRoles.high || newRoles.medium;
+        const clearRoles = interaction.options.getBoolean("clear_roles") === true;
+        const roles = clearRoles
+          ? {}
+          : anyRole
+          ? {
+              critical: newRoles.critical || group.role_critical_id,
+              high: newRoles.high || group.role_high_id,
+              medium: newRoles.medium || group.role_medium_id,
+            }
+          : undefined;
+
+        const updated = updateWatchGroup(group.id, {
+          channelId: channel?.id,
+          roles,
+          isEnabled: interaction.options.getBoolean("enabled"),
+        });
+        await interaction.editReply(
+          `Updated **${updated.name}** → <#${updated.channel_id}> | ${formatRoles(updated)}` +
+            (updated.is_enabled ? "" : " | ⏸️ paused (members get DMs again)")
+        );
+        return;
+      }
+
+      if (sub === "add-wallet") {
+        let res;
+        try {
+          res = addWatchGroupWallet({
+            groupId: group.id,
+            chainId: interaction.options.getString("chain", true),
+            addressInput: interaction.options.getString("address", true),
+            label: interaction.options.getString("label"),
+            actingUserId: userId,
+          });
+        } catch (err) {
+          await interaction.editReply(`Invalid wallet: ${err.message}`);
+          return;
+        }
+        const link = formatAddressLink(res.chainId, res.addressEip55) || res.addressEip55;
+        const lines = [`Attached ${res.chainId} ${link} to **${group.name}**. Its alerts now post to <#${group.channel_id}>.`];
+        if (res.addedTracking) {
+          lines.push("Nobody was tracking this wallet yet, so it was added to your `/my-wallets` for monitoring.");
+        }
+        await interaction.editReply(lines.join("\n"));
+        return;
+      }
+
+      if (sub === "remove-wallet") {
+        let removed;
+        try {
+          removed = removeWatchGroupWallet({
+            groupId: group.id,
+            chainId: interaction.options.getString("chain", true),
+            addressInput: interaction.options.getString("address", true),
+          });
+        } catch (err) {
+          await interaction.editReply(`Invalid wallet: ${err.message}`);
+          return;
+        }
+        await interaction.editReply(
+          removed ? `Detached the wallet from **${group.name}**.` : `That wallet is not in **${group.name}**.`
+        );
+        return;
+      }
+
+      if (sub === "delete") {
+        deleteWatchGroup(group.id);
+        await interaction.editReply(`Deleted watch group **${group.name}**. Members tracking its wallets get DMs again.`);
+        return;
+      }
+
+      // Should never happen
+      await interaction.editReply("Unknown subcommand.");
+    } catch (error) {
+      logger.error("Error in /watch-group:", error?.stack || error?.message || error);
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/watch-group`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/watch-group`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
@@ -0,0 +1,143 @@
+// ./config/loanContracts.js
+//
+// Liquity v2 style loan contracts, read from data/loan_contracts.json.
+// Each contract entry declares everything the loan pipeline needs, so forks are
+// added by config only (no protocol-name matching in code):
+//
+//   branchKey          key under `branch` in the global IR JSON (e.g. "FXRP")
+//   globalIrUrl        optional, defaults to GLOBAL_IR_URL
+//   troveUrlTemplate   trove UI link; "{troveId}" is substituted when present
+//   debtSymbol         stablecoin symbol shown next to debt amounts
+//   priceSource        { type: "troveManager" | "feed" | "fixed", address?, methods?, price? }
+//   collateralRatios   { mcr: "contract" | number, ccr: "contract" | number | null }
+
+const fs = require("fs");
+const path = require("path");
+
+const LOAN_CONFIG_PATH = path.join(__dirname, "..", "data", "loan_contracts.json");
+
+const PRICE_SOURCE_TYPES = ["troveManager", "feed", "fixed"];
+const DEFAULT_PRICE_METHODS = ["fetchPrice", "lastGoodPrice", "fetchRedemptionPrice"];
+
+function normalizeRatio(v, { field, context, allowNull }) {
+  if (v == null) {
+    if (allowNull) return null;
+    return "contract";
+  }
+  if (v === "contract") return v;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) {
+    throw new Error(`[loanContracts] ${context}: ${field} must be "contract" or a positive number`);
+  }
+  return n;
+}
+
+function normalizePriceSource(ps, context) {
+  const src = ps || { type: "troveManager" };
+  const type = src.type || "troveManager";
+  if (!PRICE_SOURCE_TYPES.includes(type)) {
+    throw new Error(
+      `[loanContracts] ${context}: priceSource.type must be one of ${PRICE_SOURCE_TYPES.join(", ")}`
+    );
+  }
+  if (type === "feed" && !src.address) {
+    throw new Error(`[loanContracts] ${context}: priceSource.address is required for type "feed"`);
+  }
+  if (type === "fixed") {
+    const price = Number(src.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error(`[loanContracts] ${context}: priceSource.price must be a positive number`);
+    }
+    return { type, price };
+  }
+  const methods = Array.isArray(src.methods) && src.methods.length ? src.methods : DEFAULT_PRICE_METHODS;
+  for (const m of methods) {
+    if (!DEFAULT_PRICE_METHODS.includes(m)) {
+      throw new Error(`[loanContracts] ${context}: unsupported price method "${m}"`);
+    }
+  }
+  return { type, address: src.address || null, methods };
+}
+
+function normalizeEntry(chainId, c) {
+  const context = `${chainId}/${c?.key || "?"}`;
+  if (!c?.key || !c?.protocol || !c?.address) {
+    throw new Error(`[loanContracts] ${context}: key, protocol and address are required`);
+  }
+  if (!c.branchKey) {
+    throw new Error(`[loanContracts] ${context}: branchKey is required`);
+  }
+
+  const ratios = c.collateralRatios || {};
+  return {
+    chainId: String(chainId).toUpperCase(),
+    key: c.key,
+    protocol: c.protocol,
+    address: c.address,
+    envStartKey: c.envStartKey || null,
+    csvFile: c.csvFile || null,
+    defaultStartBlock: c.default_start_block,
+    branchKey: String(c.branchKey),
+    globalIrUrl: c.globalIrUrl || null,
+    troveUrlTemplate: c.troveUrlTemplate || null,
+    debtSymbol: c.debtSymbol || "debt",
+    priceSource: normalizePriceSource(c.priceSource, context),
+    collateralRatios: {
+      mcr: normalizeRatio(ratios.mcr, { field: "collateralRatios.mcr", context, allowNull: false }),
+      ccr: normalizeRatio(ratios.ccr, { field: "collateralRatios.ccr", context, allowNull: true }),
+    },
+  };
+}
+
+function readLoanContractConfigs(configPath = LOAN_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) throw new Error(`Missing file: ${configPath}`);
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+  const out = [];
+  const seen = new Set();
+  for (const [chainId, chainCfg] of Object.entries(cfg?.chains || {})) {
+    for (const c of chainCfg?.contracts || []) {
+      const entry = normalizeEntry(chainId, c);
+      const protocolKey = entry.protocol.toUpperCase();
+      if (seen.has(protocolKey)) {
+        throw new Error(`[loanContracts] duplicate protocol "${entry.protocol}"`);
+      }
+      seen.add(protocolKey);
+      out.push(entry);
+    }
+  }
+  return out;
+}
+
+let _configs = null;
+let _byProtocol = null;
+
+function getLoanContractConfigs() {
+  if (!_configs) {
+    _configs = readLoanContractConfigs();
+    _byProtocol = new Map(_configs.map((c) => [c.protocol.toUpperCase(), c]));
+  }
+  return _configs;
+}
+
+// contracts.protocol is seeded from this file, so protocol is the lookup key
+function getLoanContractConfig(protocol) {
+  if (!protocol) return null;
+  getLoanContractConfigs();
+  return _byProtocol.get(String(protocol).toUpperCase()) || null;
+}
+
+function formatTroveUrl(cfg, troveId) {
+  const tpl = String(cfg?.troveUrlTemplate || "").trim();
+  if (!tpl) return null;
+  return tpl.includes("{troveId}") ? tpl.replace(/\{troveId\}/g, String(troveId)) : tpl;
+}
+
+module.exports = {
+  LOAN_CONFIG_PATH,
+  DEFAULT_PRICE_METHODS,
+  readLoanContractConfigs,
+  getLoanContractConfigs,
+  getLoanContractConfig,
+  formatTroveUrl,
+};
@@ -0,0 +1,101 @@
+// ./config/usdPricing.js
+//
+// USD pricing routes, read from data/usd_pricing.json (per chain):
+//
+//   stablecoins   tokens valued at exactly 1 USD
+//   routeTokens   intermediate tokens tried when a token has no direct stablecoin pool
+//   feeds         [{ token, address, methods? }] Liquity-style price feeds (18-decimal USD)
+//   pools         [{ token, pool }] pinned Uniswap v3 pools, used before factory discovery
+//   feeTiers      fee tiers probed on the factory when discovering pools
+
+const fs = require("fs");
+const path = require("path");
+
+const { DEFAULT_PRICE_METHODS } = require("./loanContracts");
+
+const USD_PRICING_CONFIG_PATH = path.join(__dirname, "..", "data", "usd_pricing.json");
+const DEFAULT_FEE_TIERS = [100, 500, 3000, 10000];
+
+function isAddress(v) {
+  return typeof v === "string" && /^0x[0-9a-fA-F]{40}$/.test(v);
+}
+
+function requireAddress(v, field, context) {
+  if (!isAddress(v)) {
+    throw new Error(`[usdPricing] ${context}: ${field} must be a 0x address`);
+  }
+  return v.toLowerCase();
+}
+
+function normalizeChain(chainId, c) {
+  const context = String(chainId).toUpperCase();
+
+  const stablecoins = (c?.stablecoins || []).map((s, i) => ({
+    symbol: s?.symbol || null,
+    address: requireAddress(s?.address, `stablecoins[${i}].address`, context),
+  }));
+  const routeTokens = (c?.routeTokens || []).map((t, i) => ({
+    symbol: t?.symbol || null,
+    address: requireAddress(t?.address, `routeTokens[${i}].address`, context),
+  }));
+
+  const feeds = (c?.feeds || []).map((f, i) => {
+    const methods = Array.isArray(f?.methods) && f.methods.length ? f.methods : DEFAULT_PRICE_METHODS;
+    for (const m of methods) {
+      if (!DEFAULT_PRICE_METHODS.includes(m)) {
+        throw new Error(`[usdPricing] ${context}: feeds[${i}] unsupported price method "${m}"`);
+      }
+    }
+    return {
+      token: requireAddress(f?.token, `feeds[${i}].token`, context),
+      address: requireAddress(f?.address, `feeds[${i}].address`, context),
+      methods,
+    };
+  });
+
+  const pools = (c?.pools || []).map((p, i) => ({
+    token: requireAddress(p?.token, `pools[${i}].token`, context),
+    pool: requireAddress(p?.pool, `pools[${i}].pool`, context),
+  }));
+
+  const feeTiers = Array.isArray(c?.feeTiers) && c.feeTiers.length ? c.feeTiers.map(Number) : DEFAULT_FEE_TIERS;
+  if (feeTiers.some((f) => !Number.isInteger(f) || f <= 0)) {
+    throw new Error(`[usdPricing] ${context}: feeTiers must be positive integers`);
+  }
+
+  return {
+    chainId: context,
+    stablecoins,
+    stablecoinSet: new Set(stablecoins.map((s) => s.address)),
+    routeTokens,
+    feedByToken: new Map(feeds.map((f) => [f.token, f])),
+    poolsByToken: pools.reduce((m, p) => m.set(p.token, [...(m.get(p.token) || []), p.pool]), new Map()),
+    feeTiers,
+  };
+}
+
+function readUsdPricingConfig(configPath = USD_PRICING_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) throw new Error(`Missing file: ${configPath}`);
+  const cfg = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+  const out = new Map();
+  for (const [chainId, chainCfg] of Object.entries(cfg?.chains || {})) {
+    out.set(String(chainId).toUpperCase(), normalizeChain(chainId, chainCfg));
+  }
+  return out;
+}
+
+let _byChain = null;
+
+// Chains missing from the file get an empty config (nothing priced except seeded oracle prices)
+function getUsdPricingConfig(chainId) {
+  if (!_byChain) _byChain = readUsdPricingConfig();
+  const key = String(chainId || "").toUpperCase();
+  return _byChain.get(key) || normalizeChain(key, {});
+}
+
+module.exports = {
+  USD_PRICING_CONFIG_PATH,
+  readUsdPricingConfig,
+  getUsdPricingConfig,
+};
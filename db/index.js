@@ -51,6 +51,7 @@ function initSchema(db) {
     start_block            INTEGER NOT NULL DEFAULT 0 CHECK (start_block >= 0),
     last_scanned_block     INTEGER NOT NULL DEFAULT 0 CHECK (last_scanned_block >= 0),
     last_scanned_log_index INTEGER,
+    lp_events_from_block   INTEGER,
     last_scanned_at        TEXT,
     created_at             TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at             TEXT NOT NULL DEFAULT (datetime('now')),
@@ -75,6 +76,15 @@ function initSchema(db) {
     UNIQUE (contract_id, tx_hash, log_index)
   );
 
+  CREATE TABLE IF NOT EXISTS scan_block_hashes (
+    contract_id     INTEGER NOT NULL,
+    block_number    INTEGER NOT NULL,
+    block_hash      TEXT NOT NULL,
+    recorded_at     TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (contract_id, block_number),
+    FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+  );
+
   CREATE TABLE IF NOT EXISTS nft_tokens (
     contract_id       INTEGER NOT NULL,
     token_id          TEXT NOT NULL,
@@ -87,6 +97,11 @@ function initSchema(db) {
     first_seen_block  INTEGER,
     first_seen_at     TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at        TEXT NOT NULL DEFAULT (datetime('now')),
+    spam_score        INTEGER,
+    spam_reasons      TEXT,
+    is_spam           INTEGER NOT NULL DEFAULT 0 CHECK (is_spam IN (0,1)),
+    spam_checked_at   TEXT,
+    spam_notified_at  TEXT,
     PRIMARY KEY (contract_id, token_id),
     FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
     CHECK (length(owner_lower) = 42 AND substr(owner_lower, 1, 2) = '0x'),
@@ -196,6 +211,52 @@ function initSchema(db) {
     UNIQUE (user_id, position_kind, wallet_id, contract_id, token_id)
   );
 
+  CREATE TABLE IF NOT EXISTS lp_spam_unhides (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    wallet_id     INTEGER NOT NULL,
+    contract_id   INTEGER NOT NULL,
+    token_id      TEXT NOT NULL,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+    UNIQUE (user_id, wallet_id, contract_id, token_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_threshold_profiles (
+    id                          INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id                     INTEGER NOT NULL,
+    scope                       TEXT NOT NULL CHECK (scope IN ('USER','WALLET','POSITION')),
+    scope_key                   TEXT NOT NULL,
+    wallet_id                   INTEGER,
+    contract_id                 INTEGER,
+    token_id                    TEXT,
+    liq_buffer_warn             REAL,
+    liq_buffer_high             REAL,
+    liq_buffer_crit             REAL,
+    redemp_below_critical       REAL,
+    redemp_above_med            REAL,
+    redemp_debt_ahead_low_pct   REAL,
+    redemp_debt_ahead_med_pct   REAL,
+    redemp_debt_ahead_high_pct  REAL,
+    lp_edge_warn_frac           REAL,
+    lp_edge_high_frac           REAL,
+    lp_out_warn_frac            REAL,
+    lp_out_high_frac            REAL,
+    price_move_pct              REAL,
+    price_move_window_min       REAL,
+    hit_prob_warn_pct           REAL,
+    hit_prob_high_pct           REAL,
+    hit_prob_crit_pct           REAL,
+    created_at                  TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at                  TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+    UNIQUE (user_id, scope_key)
+  );
+
   CREATE TABLE IF NOT EXISTS alert_state (
     id            INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id       INTEGER NOT NULL,
@@ -232,6 +293,235 @@ function initSchema(db) {
     FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
   );
 
+  CREATE TABLE IF NOT EXISTS alert_acks (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    alert_log_id  INTEGER NOT NULL,
+    user_id       INTEGER NOT NULL,
+    wallet_id     INTEGER NOT NULL,
+    contract_id   INTEGER NOT NULL,
+    token_id      TEXT NOT NULL,
+    alert_type    TEXT NOT NULL,
+    acked_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (alert_log_id) REFERENCES alert_log(id)     ON DELETE CASCADE,
+    FOREIGN KEY (user_id)      REFERENCES users(id)         ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)    REFERENCES user_wallets(id)  ON DELETE CASCADE,
+    FOREIGN KEY (contract_id)  REFERENCES contracts(id)     ON DELETE CASCADE,
+    UNIQUE (alert_log_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_snoozes (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    wallet_id     INTEGER NOT NULL,
+    contract_id   INTEGER NOT NULL,
+    token_id      TEXT NOT NULL,
+    alert_type    TEXT NOT NULL,
+    snoozed_until TEXT NOT NULL,
+    alert_log_id  INTEGER,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id)      REFERENCES users(id)         ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)    REFERENCES user_wallets(id)  ON DELETE CASCADE,
+    FOREIGN KEY (contract_id)  REFERENCES contracts(id)     ON DELETE CASCADE,
+    FOREIGN KEY (alert_log_id) REFERENCES alert_log(id)     ON DELETE SET NULL,
+    UNIQUE (user_id, wallet_id, contract_id, token_id, alert_type)
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_mutes (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    wallet_id     INTEGER NOT NULL,
+    contract_id   INTEGER NOT NULL,
+    token_id      TEXT NOT NULL,
+    alert_type    TEXT NOT NULL,
+    alert_log_id  INTEGER,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id)      REFERENCES users(id)         ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)    REFERENCES user_wallets(id)  ON DELETE CASCADE,
+    FOREIGN KEY (contract_id)  REFERENCES contracts(id)     ON DELETE CASCADE,
+    FOREIGN KEY (alert_log_id) REFERENCES alert_log(id)     ON DELETE SET NULL,
+    UNIQUE (user_id, wallet_id, contract_id, token_id, alert_type)
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_escalations (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id             INTEGER NOT NULL,
+    wallet_id           INTEGER NOT NULL,
+    contract_id         INTEGER NOT NULL,
+    token_id            TEXT NOT NULL,
+    alert_type          TEXT NOT NULL,
+    anchor_alert_log_id INTEGER NOT NULL,
+    reminders           INTEGER NOT NULL DEFAULT 0,
+    last_step_at        TEXT NOT NULL DEFAULT (datetime('now')),
+    escalated_at        TEXT,
+    created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id)             REFERENCES users(id)        ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)           REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id)         REFERENCES contracts(id)    ON DELETE CASCADE,
+    FOREIGN KEY (anchor_alert_log_id) REFERENCES alert_log(id)    ON DELETE CASCADE,
+    UNIQUE (user_id, wallet_id, contract_id, token_id, alert_type)
+  );
+
+  CREATE TABLE IF NOT EXISTS user_escalation_targets (
+    user_id       INTEGER PRIMARY KEY,
+    kind          TEXT NOT NULL CHECK (kind IN ('DISCORD_USER','DISCORD_CHANNEL')),
+    target_id     TEXT NOT NULL,
+    guild_id      TEXT,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS escalation_contact_invites (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id             INTEGER NOT NULL,
+    contact_discord_id  TEXT NOT NULL,
+    status              TEXT NOT NULL DEFAULT 'PENDING'
+                        CHECK (status IN ('PENDING','ACCEPTED','DECLINED','CANCELLED')),
+    created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+    responded_at        TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_rules (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id           INTEGER,
+    name              TEXT NOT NULL,
+    position_kind     TEXT NOT NULL CHECK (position_kind IN ('LOAN','LP')),
+    condition         TEXT NOT NULL,
+    severity          TEXT NOT NULL DEFAULT 'MEDIUM' CHECK (severity IN ('LOW','MEDIUM','HIGH','CRITICAL')),
+    cooldown_min      INTEGER NOT NULL DEFAULT 60,
+    message_template  TEXT,
+    is_enabled        INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+    created_by        TEXT,
+    created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at        TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules(user_id);
+
+  CREATE TABLE IF NOT EXISTS alert_rule_state (
+    rule_id           INTEGER NOT NULL,
+    user_id           INTEGER NOT NULL,
+    wallet_id         INTEGER NOT NULL,
+    contract_id       INTEGER NOT NULL,
+    token_id          TEXT NOT NULL,
+    last_fired_at     TEXT NOT NULL DEFAULT (datetime('now')),
+    last_snapshot_at  TEXT,
+    fire_count        INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (rule_id, user_id, wallet_id, contract_id, token_id),
+    FOREIGN KEY (rule_id)     REFERENCES alert_rules(id)  ON DELETE CASCADE,
+    FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS user_notifiers (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    kind          TEXT NOT NULL CHECK (kind IN ('DISCORD_DM','DISCORD_CHANNEL','WEBHOOK','TELEGRAM')),
+    label         TEXT,
+    config_json   TEXT NOT NULL DEFAULT '{}',
+    is_enabled    INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    notifier_id   INTEGER,
+    kind          TEXT NOT NULL,
+    alert_log_id  INTEGER,
+    alert_type    TEXT,
+    phase         TEXT,
+    status        TEXT NOT NULL CHECK (status IN ('SENT','FAILED')),
+    attempts      INTEGER NOT NULL DEFAULT 0,
+    last_error    TEXT,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id)      REFERENCES users(id)          ON DELETE CASCADE,
+    FOREIGN KEY (notifier_id)  REFERENCES user_notifiers(id) ON DELETE SET NULL,
+    FOREIGN KEY (alert_log_id) REFERENCES alert_log(id)      ON DELETE SET NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS watch_groups (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id            TEXT NOT NULL,
+    channel_id          TEXT NOT NULL,
+    name                TEXT NOT NULL,
+    role_critical_id    TEXT,
+    role_high_id        TEXT,
+    role_medium_id      TEXT,
+    created_by_user_id  INTEGER,
+    is_enabled          INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+    created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at          TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE (guild_id, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS watch_group_wallets (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id       INTEGER NOT NULL,
+    chain_id       TEXT NOT NULL,
+    address_lower  TEXT NOT NULL,
+    address_eip55  TEXT NOT NULL,
+    label          TEXT,
+    created_at     TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (group_id) REFERENCES watch_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (chain_id) REFERENCES chains(id)       ON DELETE RESTRICT,
+    CHECK (address_lower = lower(address_lower)),
+    CHECK (length(address_lower) = 42 AND substr(address_lower, 1, 2) = '0x'),
+    UNIQUE (group_id, chain_id, address_lower)
+  );
+
+  CREATE TABLE IF NOT EXISTS watch_group_alert_state (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id       INTEGER NOT NULL,
+    contract_id    INTEGER NOT NULL,
+    token_id       TEXT NOT NULL,
+    alert_type     TEXT NOT NULL,
+    is_active      INTEGER NOT NULL DEFAULT 0 CHECK (is_active IN (0,1)),
+    signature      TEXT,
+    last_posted_at TEXT,
+    created_at     TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at     TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (group_id)    REFERENCES watch_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+    UNIQUE (group_id, contract_id, token_id, alert_type)
+  );
+
+  CREATE TABLE IF NOT EXISTS user_quiet_hours (
+    user_id       INTEGER PRIMARY KEY,
+    start_min     INTEGER NOT NULL CHECK (start_min BETWEEN 0 AND 1439),
+    end_min       INTEGER NOT NULL CHECK (end_min BETWEEN 0 AND 1439),
+    timezone      TEXT NOT NULL DEFAULT 'UTC',
+    is_enabled    INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CHECK (start_min <> end_min)
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_digest_queue (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    alert_log_id  INTEGER,
+    wallet_id     INTEGER,
+    contract_id   INTEGER,
+    token_id      TEXT,
+    alert_type    TEXT NOT NULL,
+    phase         TEXT NOT NULL,
+    tier          TEXT,
+    message       TEXT NOT NULL,
+    meta_json     TEXT,
+    queued_at     TEXT NOT NULL DEFAULT (datetime('now')),
+    delivered_at  TEXT,
+    FOREIGN KEY (user_id)      REFERENCES users(id)     ON DELETE CASCADE,
+    FOREIGN KEY (alert_log_id) REFERENCES alert_log(id) ON DELETE SET NULL
+  );
+
   CREATE TABLE IF NOT EXISTS loan_position_snapshots (
     user_id         INTEGER NOT NULL,
     wallet_id       INTEGER NOT NULL,
@@ -275,6 +565,139 @@ function initSchema(db) {
     FOREIGN KEY (contract_id) REFERENCES contracts(id)     ON DELETE CASCADE
   );
 
+  CREATE TABLE IF NOT EXISTS lp_position_entries (
+    contract_id           INTEGER NOT NULL,
+    token_id              TEXT NOT NULL,
+    mint_block            INTEGER,
+    mint_tx_hash          TEXT,
+    mint_ts               INTEGER,
+    entry_liquidity       TEXT,
+    entry_sqrt_price_x96  TEXT,
+    entry_price           REAL,
+    entry_amount0         REAL,
+    entry_amount1         REAL,
+    last_error            TEXT,
+    attempted_at          TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (contract_id, token_id),
+    FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS lp_liquidity_events (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    contract_id     INTEGER NOT NULL,
+    token_id        TEXT NOT NULL,
+    event_type      TEXT NOT NULL CHECK (event_type IN ('INCREASE','DECREASE','COLLECT')),
+    block_number    INTEGER NOT NULL,
+    tx_hash         TEXT NOT NULL,
+    log_index       INTEGER NOT NULL,
+    liquidity       TEXT,
+    amount0_raw     TEXT NOT NULL,
+    amount1_raw     TEXT NOT NULL,
+    recipient_lower TEXT,
+    created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
+    UNIQUE (contract_id, tx_hash, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS loan_position_history (
+    id                      INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id                 INTEGER NOT NULL,
+    wallet_id               INTEGER NOT NULL,
+    contract_id             INTEGER NOT NULL,
+    token_id                TEXT NOT NULL,
+    chain_id                TEXT NOT NULL,
+    protocol                TEXT NOT NULL,
+    sampled_at              TEXT NOT NULL DEFAULT (datetime('now')),
+    price                   REAL,
+    liquidation_price       REAL,
+    liquidation_buffer_frac REAL,
+    icr                     REAL,
+    ltv_pct                 REAL,
+    coll_amount             REAL,
+    debt_amount             REAL,
+    interest_pct            REAL,
+    debt_ahead_pct          REAL,
+    liquidation_tier        TEXT,
+    redemption_tier         TEXT,
+    FOREIGN KEY (user_id)     REFERENCES users(id)         ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id)  ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)     ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS lp_position_history (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id           INTEGER NOT NULL,
+    wallet_id         INTEGER NOT NULL,
+    contract_id       INTEGER NOT NULL,
+    token_id          TEXT NOT NULL,
+    chain_id          TEXT NOT NULL,
+    protocol          TEXT NOT NULL,
+    sampled_at        TEXT NOT NULL DEFAULT (datetime('now')),
+    range_status      TEXT,
+    current_tick      INTEGER,
+    tick_lower        INTEGER,
+    tick_upper        INTEGER,
+    lp_position_frac  REAL,
+    current_price     REAL,
+    amount0           REAL,
+    amount1           REAL,
+    fees0             REAL,
+    fees1             REAL,
+    lp_range_tier     TEXT,
+    FOREIGN KEY (user_id)     REFERENCES users(id)         ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id)  ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)     ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS trove_event_cursors (
+    contract_id        INTEGER PRIMARY KEY,
+    trove_manager      TEXT NOT NULL,
+    last_scanned_block INTEGER NOT NULL,
+    updated_at         TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS trove_events (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    contract_id   INTEGER NOT NULL,
+    token_id      TEXT NOT NULL,
+    operation     TEXT NOT NULL CHECK (operation IN ('REDEEM','LIQUIDATE')),
+    block_number  INTEGER NOT NULL,
+    tx_hash       TEXT NOT NULL,
+    log_index     INTEGER NOT NULL,
+    owner_lower   TEXT,
+    debt_change   REAL,
+    coll_change   REAL,
+    debt_after    REAL,
+    coll_after    REAL,
+    price         REAL,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
+    UNIQUE (contract_id, tx_hash, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS trove_index (
+    contract_id       INTEGER NOT NULL,
+    trove_id          TEXT NOT NULL,
+    ir_pct            REAL,
+    debt              REAL NOT NULL DEFAULT 0,
+    batch_manager     TEXT,
+    batch_debt_shares REAL,
+    list_pos          INTEGER,
+    updated_block     INTEGER NOT NULL,
+    updated_at        TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (contract_id, trove_id),
+    FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS trove_index_state (
+    contract_id      INTEGER PRIMARY KEY,
+    reconciled_block INTEGER NOT NULL,
+    reconciled_at    TEXT NOT NULL,
+    trove_count      INTEGER NOT NULL DEFAULT 0,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+  );
+
   CREATE INDEX IF NOT EXISTS idx_contracts_chain_kind ON contracts(chain_id, kind);
   CREATE INDEX IF NOT EXISTS idx_contracts_protocol   ON contracts(protocol);
   CREATE INDEX IF NOT EXISTS idx_redemption_rate_protocol ON redemption_rate_snapshots(protocol);
@@ -295,13 +718,29 @@ function initSchema(db) {
   CREATE INDEX IF NOT EXISTS idx_position_ignores_user       ON position_ignores(user_id, position_kind);
   CREATE INDEX IF NOT EXISTS idx_position_ignores_wallet     ON position_ignores(wallet_id, position_kind);
   CREATE INDEX IF NOT EXISTS idx_position_ignores_contract   ON position_ignores(contract_id, position_kind);
+  CREATE INDEX IF NOT EXISTS idx_threshold_profiles_user   ON alert_threshold_profiles(user_id, scope);
   CREATE INDEX IF NOT EXISTS idx_alert_state_user_active     ON alert_state(user_id, is_active);
   CREATE INDEX IF NOT EXISTS idx_alert_state_position        ON alert_state(wallet_id, contract_id, token_id, alert_type);
   CREATE UNIQUE INDEX IF NOT EXISTS uq_alert_state_identity  ON alert_state(user_id, wallet_id, contract_id, token_id, alert_type);
   CREATE INDEX IF NOT EXISTS idx_alert_log_user_created      ON alert_log(user_id, created_at);
   CREATE INDEX IF NOT EXISTS idx_alert_log_position          ON alert_log(wallet_id, contract_id, token_id);
+  CREATE INDEX IF NOT EXISTS idx_alert_acks_position         ON alert_acks(user_id, wallet_id, contract_id, token_id, alert_type);
+  CREATE INDEX IF NOT EXISTS idx_user_notifiers_user          ON user_notifiers(user_id, is_enabled);
+  CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user ON notification_deliveries(user_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_notification_deliveries_notifier ON notification_deliveries(notifier_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_watch_group_wallets_address  ON watch_group_wallets(chain_id, address_lower);
+  CREATE INDEX IF NOT EXISTS idx_alert_digest_queue_pending    ON alert_digest_queue(user_id, delivered_at);
   CREATE INDEX IF NOT EXISTS idx_loan_snapshots_user         ON loan_position_snapshots(user_id);
   CREATE INDEX IF NOT EXISTS idx_lp_snapshots_user           ON lp_position_snapshots(user_id);
+  CREATE INDEX IF NOT EXISTS idx_loan_history_position      ON loan_position_history(user_id, contract_id, token_id, sampled_at);
+  CREATE INDEX IF NOT EXISTS idx_loan_history_sampled       ON loan_position_history(sampled_at);
+  CREATE INDEX IF NOT EXISTS idx_lp_history_position        ON lp_position_history(user_id, contract_id, token_id, sampled_at);
+  CREATE INDEX IF NOT EXISTS idx_lp_history_sampled         ON lp_position_history(sampled_at);
+  CREATE INDEX IF NOT EXISTS idx_lp_liquidity_events_token  ON lp_liquidity_events(contract_id, token_id, block_number);
+  CREATE INDEX IF NOT EXISTS idx_lp_liquidity_events_block  ON lp_liquidity_events(contract_id, block_number);
+  CREATE INDEX IF NOT EXISTS idx_trove_events_token         ON trove_events(contract_id, token_id, block_number);
+  CREATE INDEX IF NOT EXISTS idx_trove_index_order          ON trove_index(contract_id, ir_pct, list_pos);
+  CREATE INDEX IF NOT EXISTS idx_trove_index_batch          ON trove_index(contract_id, batch_manager);
 
   CREATE TRIGGER IF NOT EXISTS trg_contracts_updated_at
   AFTER UPDATE ON contracts
@@ -333,6 +772,55 @@ function initSchema(db) {
     UPDATE user_wallets SET updated_at = datetime('now') WHERE id = OLD.id;
   END;
 
+  CREATE TRIGGER IF NOT EXISTS trg_alert_threshold_profiles_updated_at
+  AFTER UPDATE ON alert_threshold_profiles
+  FOR EACH ROW
+  BEGIN
+    UPDATE alert_threshold_profiles SET updated_at = datetime('now') WHERE id = OLD.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS trg_user_notifiers_updated_at
+  AFTER UPDATE ON user_notifiers
+  FOR EACH ROW
+  BEGIN
+    UPDATE user_notifiers SET updated_at = datetime('now') WHERE id = OLD.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS trg_watch_groups_updated_at
+  AFTER UPDATE ON watch_groups
+  FOR EACH ROW
+  BEGIN
+    UPDATE watch_groups SET updated_at = datetime('now') WHERE id = OLD.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS trg_watch_group_alert_state_updated_at
+  AFTER UPDATE ON watch_group_alert_state
+  FOR EACH ROW
+  BEGIN
+    UPDATE watch_group_alert_state SET updated_at = datetime('now') WHERE id = OLD.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS trg_user_quiet_hours_updated_at
+  AFTER UPDATE ON user_quiet_hours
+  FOR EACH ROW
+  BEGIN
+    UPDATE user_quiet_hours SET updated_at = datetime('now') WHERE user_id = OLD.user_id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS trg_user_escalation_targets_updated_at
+  AFTER UPDATE ON user_escalation_targets
+  FOR EACH ROW
+  BEGIN
+    UPDATE user_escalation_targets SET updated_at = datetime('now') WHERE user_id = OLD.user_id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS trg_alert_rules_updated_at
+  AFTER UPDATE ON alert_rules
+  FOR EACH ROW
+  BEGIN
+    UPDATE alert_rules SET updated_at = datetime('now') WHERE id = OLD.id;
+  END;
+
   CREATE TRIGGER IF NOT EXISTS trg_alert_state_updated_at
   AFTER UPDATE ON alert_state
   FOR EACH ROW
@@ -370,6 +858,18 @@ function initSchema(db) {
     "INTEGER NOT NULL DEFAULT 0 CHECK (lp_alerts_status_only IN (0,1))"
   );
 
+  ensureColumn("contract_scan_cursors", "lp_events_from_block", "INTEGER");
+  ensureColumn("nft_tokens", "spam_score", "INTEGER");
+  ensureColumn("nft_tokens", "spam_reasons", "TEXT");
+  ensureColumn("nft_tokens", "is_spam", "INTEGER NOT NULL DEFAULT 0 CHECK (is_spam IN (0,1))");
+  ensureColumn("nft_tokens", "spam_checked_at", "TEXT");
+  ensureColumn("nft_tokens", "spam_notified_at", "TEXT");
+  ensureColumn("alert_threshold_profiles", "price_move_pct", "REAL");
+  ensureColumn("alert_threshold_profiles", "price_move_window_min", "REAL");
+  ensureColumn("alert_threshold_profiles", "hit_prob_warn_pct", "REAL");
+  ensureColumn("alert_threshold_profiles", "hit_prob_high_pct", "REAL");
+  ensureColumn("alert_threshold_profiles", "hit_prob_crit_pct", "REAL");
+
   if (alertTypeAdded) {
     const rows = db
       .prepare(`SELECT id, state_json FROM alert_state WHERE alert_type = 'GENERIC'`)
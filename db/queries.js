@@ -6,6 +6,7 @@
 // - commands/my-wallets.js
 // - handlers/ui/my-wallets-ui.js
 // - handlers/ui/ignore-spam-tx-ui.js
+// - handlers/ui/alert-settings-ui.js
 //
 // Assumptions / NEW SCHEMA:
 // - users: (id PK, discord_id, discord_name, accepts_dm, updated_at)
@@ -17,6 +18,11 @@
 //   where token_id NULL => ignore ALL tokens for that (user, kind, wallet, contract)
 //
 // UNIQUE is on: (user_id, position_kind, wallet_id, contract_id, token_id)
+// - alert_threshold_profiles:
+//     (id, user_id, scope, scope_key, wallet_id, contract_id, token_id, <threshold columns NULLABLE>)
+//   UNIQUE is on: (user_id, scope_key)
+// - lp_spam_unhides: (id, user_id, wallet_id, contract_id, token_id, created_at)
+//   UNIQUE is on: (user_id, wallet_id, contract_id, token_id); unhides nft_tokens.is_spam = 1 positions
 
 function prepareQueries(db) {
   return {
@@ -148,6 +154,133 @@ function prepareQueries(db) {
       WHERE id = ?
         AND user_id = ?
     `),
+
+    // =========================
+    // LP SPAM REVIEW (nft_tokens.is_spam + lp_spam_unhides)
+    // =========================
+    selUserSpamLps: db.prepare(`
+      SELECT
+        nt.contract_id        AS contract_id,
+        nt.token_id           AS token_id,
+        nt.spam_score         AS spam_score,
+        nt.spam_reasons       AS spam_reasons,
+
+        uw.id                 AS wallet_id,
+        uw.chain_id           AS chain_id,
+        uw.address_eip55      AS wallet_address,
+        COALESCE(uw.label,'') AS wallet_label,
+
+        c.protocol            AS protocol,
+        su.id                 AS unhide_id
+      FROM user_wallets uw
+      JOIN contracts c
+        ON c.chain_id = uw.chain_id
+       AND c.kind = 'LP_NFT'
+       AND c.is_enabled = 1
+      JOIN nft_tokens nt
+        ON nt.contract_id = c.id
+       AND nt.owner_lower = uw.address_lower
+       AND nt.is_burned = 0
+      LEFT JOIN lp_spam_unhides su
+        ON su.user_id     = uw.user_id
+       AND su.wallet_id   = uw.id
+       AND su.contract_id = c.id
+       AND su.token_id    = nt.token_id
+      WHERE uw.user_id = ?
+        AND uw.is_enabled = 1
+        AND nt.is_spam = 1
+      ORDER BY su.id IS NOT NULL, nt.spam_score DESC, c.protocol, nt.token_id
+    `),
+
+    insertSpamUnhide: db.prepare(`
+      INSERT INTO lp_spam_unhides (user_id, wallet_id, contract_id, token_id)
+      VALUES (@userId, @walletId, @contractId, @tokenId)
+      ON CONFLICT(user_id, wallet_id, contract_id, token_id) DO NOTHING
+    `),
+
+    deleteSpamUnhide: db.prepare(`
+      DELETE FROM lp_spam_unhides
+      WHERE user_id = @userId
+        AND wallet_id = @walletId
+        AND contract_id = @contractId
+        AND token_id = @tokenId
+    `),
+
+    // =========================
+    // ALERT THRESHOLD PROFILES
+    // =========================
+    selThresholdProfile: db.prepare(`
+      SELECT *
+      FROM alert_threshold_profiles
+      WHERE user_id = ?
+        AND scope_key = ?
+      LIMIT 1
+    `),
+
+    upsertThresholdProfile: db.prepare(`
+      INSERT INTO alert_threshold_profiles (
+        user_id, scope, scope_key, wallet_id, contract_id, token_id,
+        liq_buffer_warn, liq_buffer_high, liq_buffer_crit,
+        redemp_below_critical, redemp_above_med,
+        redemp_debt_ahead_low_pct, redemp_debt_ahead_med_pct, redemp_debt_ahead_high_pct,
+        lp_edge_warn_frac, lp_edge_high_frac, lp_out_warn_frac, lp_out_high_frac,
+        price_move_pct, price_move_window_min,
+        hit_prob_warn_pct, hit_prob_high_pct, hit_prob_crit_pct
+      )
+      VALUES (
+        @userId, @scope, @scopeKey, @walletId, @contractId, @tokenId,
+        @liq_buffer_warn, @liq_buffer_high, @liq_buffer_crit,
+        @redemp_below_critical, @redemp_above_med,
+        @redemp_debt_ahead_low_pct, @redemp_debt_ahead_med_pct, @redemp_debt_ahead_high_pct,
+        @lp_edge_warn_frac, @lp_edge_high_frac, @lp_out_warn_frac, @lp_out_high_frac,
+        @price_move_pct, @price_move_window_min,
+        @hit_prob_warn_pct, @hit_prob_high_pct, @hit_prob_crit_pct
+      )
+      ON CONFLICT(user_id, scope_key)
+      DO UPDATE SET
+        liq_buffer_warn            = excluded.liq_buffer_warn,
+        liq_buffer_high            = excluded.liq_buffer_high,
+        liq_buffer_crit            = excluded.liq_buffer_crit,
+        redemp_below_critical      = excluded.redemp_below_critical,
+        redemp_above_med           = excluded.redemp_above_med,
+        redemp_debt_ahead_low_pct  = excluded.redemp_debt_ahead_low_pct,
+        redemp_debt_ahead_med_pct  = excluded.redemp_debt_ahead_med_pct,
+        redemp_debt_ahead_high_pct = excluded.redemp_debt_ahead_high_pct,
+        lp_edge_warn_frac          = excluded.lp_edge_warn_frac,
+        lp_edge_high_frac          = excluded.lp_edge_high_frac,
+        lp_out_warn_frac           = excluded.lp_out_warn_frac,
+        lp_out_high_frac           = excluded.lp_out_high_frac,
+        price_move_pct             = excluded.price_move_pct,
+        price_move_window_min      = excluded.price_move_window_min,
+        hit_prob_warn_pct          = excluded.hit_prob_warn_pct,
+        hit_prob_high_pct          = excluded.hit_prob_high_pct,
+        hit_prob_crit_pct          = excluded.hit_prob_crit_pct
+    `),
+
+    deleteThresholdProfile: db.prepare(`
+      DELETE FROM alert_threshold_profiles
+      WHERE user_id = ?
+        AND scope_key = ?
+    `),
+
+    // Positions the user can scope a profile to (from the command snapshot cache)
+    selUserSnapshotPositions: db.prepare(`
+      SELECT 'LOAN' AS kind, wallet_id, contract_id, token_id, chain_id, protocol, wallet_label
+      FROM loan_position_snapshots
+      WHERE user_id = @userId
+      UNION ALL
+      SELECT 'LP' AS kind, wallet_id, contract_id, token_id, chain_id, protocol, wallet_label
+      FROM lp_position_snapshots
+      WHERE user_id = @userId
+      ORDER BY kind, protocol, token_id
+    `),
+
+    selUserThresholdProfiles: db.prepare(`
+      SELECT scope, scope_key, wallet_id, contract_id, token_id, updated_at
+      FROM alert_threshold_profiles
+      WHERE user_id = ?
+      ORDER BY scope, scope_key
+    `),
   };
 }
 
@@ -3,18 +3,44 @@ PRAGMA foreign_keys = ON;
 -- =========================================================
 -- DROP (dependency order)
 -- =========================================================
+DROP TABLE IF EXISTS trove_index_state;
+DROP TABLE IF EXISTS trove_index;
+DROP TABLE IF EXISTS trove_events;
+DROP TABLE IF EXISTS trove_event_cursors;
+DROP TABLE IF EXISTS alert_digest_queue;
+DROP TABLE IF EXISTS user_quiet_hours;
+DROP TABLE IF EXISTS watch_group_alert_state;
+DROP TABLE IF EXISTS watch_group_wallets;
+DROP TABLE IF EXISTS watch_groups;
+DROP TABLE IF EXISTS notification_deliveries;
+DROP TABLE IF EXISTS user_notifiers;
+DROP TABLE IF EXISTS alert_rule_state;
+DROP TABLE IF EXISTS alert_rules;
+DROP TABLE IF EXISTS escalation_contact_invites;
+DROP TABLE IF EXISTS user_escalation_targets;
+DROP TABLE IF EXISTS alert_escalations;
+DROP TABLE IF EXISTS alert_mutes;
+DROP TABLE IF EXISTS alert_snoozes;
+DROP TABLE IF EXISTS alert_acks;
 DROP TABLE IF EXISTS alert_log;
 DROP TABLE IF EXISTS alert_state;
+DROP TABLE IF EXISTS alert_threshold_profiles;
+DROP TABLE IF EXISTS lp_spam_unhides;
 DROP TABLE IF EXISTS position_ignores;
 DROP TABLE IF EXISTS firelight_subscriptions;
 DROP TABLE IF EXISTS firelight_config;
 DROP TABLE IF EXISTS redemption_rate_snapshots;
+DROP TABLE IF EXISTS loan_position_history;
+DROP TABLE IF EXISTS lp_position_history;
+DROP TABLE IF EXISTS lp_position_entries;
+DROP TABLE IF EXISTS lp_liquidity_events;
 
 DROP TABLE IF EXISTS global_params;
 DROP TABLE IF EXISTS loan_token_meta;
 DROP TABLE IF EXISTS lp_token_meta;
 
 DROP TABLE IF EXISTS nft_tokens;
+DROP TABLE IF EXISTS scan_block_hashes;
 DROP TABLE IF EXISTS nft_transfers;
 DROP TABLE IF EXISTS contract_scan_cursors;
 
@@ -80,6 +106,7 @@ CREATE TABLE contract_scan_cursors (
   start_block            INTEGER NOT NULL DEFAULT 0 CHECK (start_block >= 0),
   last_scanned_block     INTEGER NOT NULL DEFAULT 0 CHECK (last_scanned_block >= 0),
   last_scanned_log_index INTEGER,
+  lp_events_from_block   INTEGER,           -- LP_NFT: first block with liquidity events indexed
 
   last_scanned_at        TEXT,
   created_at             TEXT NOT NULL DEFAULT (datetime('now')),
@@ -124,6 +151,19 @@ CREATE INDEX idx_nft_transfers_to            ON nft_transfers(contract_id, to_lo
 CREATE INDEX idx_nft_transfers_from          ON nft_transfers(contract_id, from_lower);
 CREATE INDEX idx_nft_transfers_token         ON nft_transfers(contract_id, token_id);
 
+-- =========================================================
+-- SCAN BLOCK HASHES (reorg detection for the scanned tail)
+-- =========================================================
+CREATE TABLE scan_block_hashes (
+  contract_id     INTEGER NOT NULL,
+  block_number    INTEGER NOT NULL,
+  block_hash      TEXT NOT NULL, -- lowercase 0x hash
+  recorded_at     TEXT NOT NULL DEFAULT (datetime('now')),
+
+  PRIMARY KEY (contract_id, block_number),
+  FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+);
+
 -- =========================================================
 -- NFT TOKENS (canonical current owner index)
 -- =========================================================
@@ -144,6 +184,13 @@ CREATE TABLE nft_tokens (
   first_seen_at     TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at        TEXT NOT NULL DEFAULT (datetime('now')),
 
+  -- LP spam classifier (jobs/lpSpamClassifier.js)
+  spam_score        INTEGER,       -- sum of reason weights
+  spam_reasons      TEXT,          -- comma list: issuer, mass_mint, bad_token, zero_value_pool
+  is_spam           INTEGER NOT NULL DEFAULT 0 CHECK (is_spam IN (0,1)),
+  spam_checked_at   TEXT,          -- last position/pool read
+  spam_notified_at  TEXT,          -- owners told it is hidden (reset when unflagged)
+
   PRIMARY KEY (contract_id, token_id),
   FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
 
@@ -185,6 +232,67 @@ CREATE TABLE lp_token_meta (
 
 CREATE INDEX idx_lp_token_meta_pair ON lp_token_meta(pair_label);
 
+-- =========================================================
+-- LP POSITION ENTRIES (entry value at mint, computed once)
+-- Source: first mint transfer in nft_transfers + pool/position state at that block.
+-- Needs an archive-capable RPC; failures are kept in last_error and retried later.
+-- =========================================================
+CREATE TABLE lp_position_entries (
+  contract_id           INTEGER NOT NULL,
+  token_id              TEXT NOT NULL,
+
+  mint_block            INTEGER,
+  mint_tx_hash          TEXT,
+  mint_ts               INTEGER,          -- unix seconds of mint block
+
+  entry_liquidity       TEXT,             -- position liquidity at mint block
+  entry_sqrt_price_x96  TEXT,
+  entry_price           REAL,             -- token1 per token0 (decimals applied)
+  entry_amount0         REAL,
+  entry_amount1         REAL,
+
+  last_error            TEXT,             -- NULL when entry_* are valid
+  attempted_at          TEXT NOT NULL DEFAULT (datetime('now')),
+
+  PRIMARY KEY (contract_id, token_id),
+
+  FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+);
+
+-- =========================================================
+-- LP LIQUIDITY EVENTS (NonfungiblePositionManager logs)
+-- IncreaseLiquidity / DecreaseLiquidity / Collect, indexed by the
+-- Transfer scanner in the same getLogs windows (same cursor + reorg rollback).
+-- Amounts are raw token units; decimals are applied when summarized.
+-- =========================================================
+CREATE TABLE lp_liquidity_events (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  contract_id     INTEGER NOT NULL,       -- LP_NFT contract
+  token_id        TEXT NOT NULL,
+  event_type      TEXT NOT NULL CHECK (event_type IN ('INCREASE','DECREASE','COLLECT')),
+
+  block_number    INTEGER NOT NULL,
+  tx_hash         TEXT NOT NULL,
+  log_index       INTEGER NOT NULL,
+
+  liquidity       TEXT,                   -- liquidity delta (INCREASE / DECREASE)
+  amount0_raw     TEXT NOT NULL,
+  amount1_raw     TEXT NOT NULL,
+  recipient_lower TEXT,                   -- COLLECT only
+
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
+  UNIQUE (contract_id, tx_hash, log_index)
+);
+
+CREATE INDEX idx_lp_liquidity_events_token
+  ON lp_liquidity_events(contract_id, token_id, block_number);
+
+CREATE INDEX idx_lp_liquidity_events_block
+  ON lp_liquidity_events(contract_id, block_number);
+
 -- =========================================================
 -- LOAN TOKEN META (optional cache)
 -- =========================================================
@@ -341,6 +449,76 @@ CREATE INDEX idx_position_ignores_wallet
 CREATE INDEX idx_position_ignores_contract
   ON position_ignores(contract_id, position_kind);
 
+-- =========================================================
+-- LP SPAM UNHIDES
+-- Positions flagged by the spam classifier (nft_tokens.is_spam) that the user
+-- chose to keep monitoring
+-- =========================================================
+CREATE TABLE lp_spam_unhides (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id       INTEGER NOT NULL,
+  wallet_id     INTEGER NOT NULL,
+  contract_id   INTEGER NOT NULL,
+  token_id      TEXT NOT NULL,
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+
+  UNIQUE (user_id, wallet_id, contract_id, token_id)
+);
+
+-- =========================================================
+-- ALERT THRESHOLD PROFILES
+-- Per-user overrides of the env tier thresholds (NULL = inherit).
+-- Resolution per field: POSITION -> WALLET -> USER -> env.
+-- scope_key: 'U' | 'W:<walletId>' | 'P:<walletId>:<contractId>:<tokenId>'
+-- =========================================================
+CREATE TABLE alert_threshold_profiles (
+  id                          INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id                     INTEGER NOT NULL,
+  scope                       TEXT NOT NULL CHECK (scope IN ('USER','WALLET','POSITION')),
+  scope_key                   TEXT NOT NULL,
+
+  wallet_id                   INTEGER,     -- WALLET / POSITION scope
+  contract_id                 INTEGER,     -- POSITION scope
+  token_id                    TEXT,        -- POSITION scope (LP tokenId or Loan troveId)
+
+  liq_buffer_warn             REAL,        -- LIQ_BUFFER_WARN
+  liq_buffer_high             REAL,        -- LIQ_BUFFER_HIGH
+  liq_buffer_crit             REAL,        -- LIQ_BUFFER_CRIT
+  redemp_below_critical       REAL,        -- REDEMP_BELOW_CRITICAL
+  redemp_above_med            REAL,        -- REDEMP_ABOVE_MED
+  redemp_debt_ahead_low_pct   REAL,        -- REDEMP_DEBT_AHEAD_LOW_PCT
+  redemp_debt_ahead_med_pct   REAL,        -- REDEMP_DEBT_AHEAD_MED_PCT
+  redemp_debt_ahead_high_pct  REAL,        -- REDEMP_DEBT_AHEAD_HIGH_PCT
+  lp_edge_warn_frac           REAL,        -- LP_EDGE_WARN_FRAC
+  lp_edge_high_frac           REAL,        -- LP_EDGE_HIGH_FRAC
+  lp_out_warn_frac            REAL,        -- LP_OUT_WARN_FRAC
+  lp_out_high_frac            REAL,        -- LP_OUT_HIGH_FRAC
+  price_move_pct              REAL,        -- PRICE_MOVE_ALERT_PCT
+  price_move_window_min       REAL,        -- PRICE_MOVE_WINDOW_MIN
+  hit_prob_warn_pct           REAL,        -- HIT_PROB_WARN_PCT
+  hit_prob_high_pct           REAL,        -- HIT_PROB_HIGH_PCT
+  hit_prob_crit_pct           REAL,        -- HIT_PROB_CRIT_PCT
+
+  created_at                  TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at                  TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+
+  UNIQUE (user_id, scope_key)
+);
+
+CREATE INDEX idx_threshold_profiles_user
+  ON alert_threshold_profiles(user_id, scope);
+
 -- =========================================================
 -- ALERT STATE
 -- =========================================================
@@ -406,6 +584,353 @@ CREATE INDEX idx_alert_log_user_created
 CREATE INDEX idx_alert_log_position
   ON alert_log(wallet_id, contract_id, token_id);
 
+-- =========================================================
+-- ALERT ACTIONS
+-- Written by the buttons on alert DMs. Snoozes and mutes apply to one
+-- alert type of one position; suppressed alerts are still logged.
+-- A snooze is cleared when the tier escalates to CRITICAL.
+-- =========================================================
+CREATE TABLE alert_acks (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  alert_log_id  INTEGER NOT NULL,
+  user_id       INTEGER NOT NULL,
+  wallet_id     INTEGER NOT NULL,
+  contract_id   INTEGER NOT NULL,
+  token_id      TEXT NOT NULL,
+  alert_type    TEXT NOT NULL,
+
+  acked_at      TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (alert_log_id) REFERENCES alert_log(id)     ON DELETE CASCADE,
+  FOREIGN KEY (user_id)      REFERENCES users(id)         ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)    REFERENCES user_wallets(id)  ON DELETE CASCADE,
+  FOREIGN KEY (contract_id)  REFERENCES contracts(id)     ON DELETE CASCADE,
+  UNIQUE (alert_log_id)
+);
+
+CREATE INDEX idx_alert_acks_position
+  ON alert_acks(user_id, wallet_id, contract_id, token_id, alert_type);
+
+CREATE TABLE alert_snoozes (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id       INTEGER NOT NULL,
+  wallet_id     INTEGER NOT NULL,
+  contract_id   INTEGER NOT NULL,
+  token_id      TEXT NOT NULL,
+  alert_type    TEXT NOT NULL,
+
+  snoozed_until TEXT NOT NULL,               -- UTC, datetime('now') format
+  alert_log_id  INTEGER,                     -- alert the snooze was set from
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id)      REFERENCES users(id)         ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)    REFERENCES user_wallets(id)  ON DELETE CASCADE,
+  FOREIGN KEY (contract_id)  REFERENCES contracts(id)     ON DELETE CASCADE,
+  FOREIGN KEY (alert_log_id) REFERENCES alert_log(id)     ON DELETE SET NULL,
+  UNIQUE (user_id, wallet_id, contract_id, token_id, alert_type)
+);
+
+CREATE TABLE alert_mutes (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id       INTEGER NOT NULL,
+  wallet_id     INTEGER NOT NULL,
+  contract_id   INTEGER NOT NULL,
+  token_id      TEXT NOT NULL,
+  alert_type    TEXT NOT NULL,
+
+  alert_log_id  INTEGER,                     -- alert the mute was set from
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id)      REFERENCES users(id)         ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)    REFERENCES user_wallets(id)  ON DELETE CASCADE,
+  FOREIGN KEY (contract_id)  REFERENCES contracts(id)     ON DELETE CASCADE,
+  FOREIGN KEY (alert_log_id) REFERENCES alert_log(id)     ON DELETE SET NULL,
+  UNIQUE (user_id, wallet_id, contract_id, token_id, alert_type)
+);
+
+-- =========================================================
+-- CRITICAL ALERT ESCALATION
+-- One open episode per position + alert type while it sits at CRITICAL:
+-- REMINDER alerts repeat until acknowledged (any alert_acks row from the
+-- anchor alert on) or no longer CRITICAL; after N reminders one ESCALATED
+-- alert goes to the user's escalation target. Steps are logged in alert_log.
+-- =========================================================
+CREATE TABLE alert_escalations (
+  id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id             INTEGER NOT NULL,
+  wallet_id           INTEGER NOT NULL,
+  contract_id         INTEGER NOT NULL,
+  token_id            TEXT NOT NULL,
+  alert_type          TEXT NOT NULL,
+
+  anchor_alert_log_id INTEGER NOT NULL,      -- alert that reached CRITICAL
+  reminders           INTEGER NOT NULL DEFAULT 0,
+  last_step_at        TEXT NOT NULL DEFAULT (datetime('now')),
+  escalated_at        TEXT,                  -- NULL = not escalated yet
+
+  created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id)             REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)           REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id)         REFERENCES contracts(id)    ON DELETE CASCADE,
+  FOREIGN KEY (anchor_alert_log_id) REFERENCES alert_log(id)    ON DELETE CASCADE,
+  UNIQUE (user_id, wallet_id, contract_id, token_id, alert_type)
+);
+
+-- Secondary contact (DM) or guild channel for escalations; set with /escalation
+CREATE TABLE user_escalation_targets (
+  user_id       INTEGER PRIMARY KEY,
+
+  kind          TEXT NOT NULL CHECK (kind IN ('DISCORD_USER','DISCORD_CHANNEL')),
+  target_id     TEXT NOT NULL,               -- Discord user id or channel id
+  guild_id      TEXT,                        -- DISCORD_CHANNEL only
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- /escalation contact invites; the contact becomes the target only after accepting by DM
+CREATE TABLE escalation_contact_invites (
+  id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id             INTEGER NOT NULL,            -- who asked
+  contact_discord_id  TEXT NOT NULL,               -- who was asked
+  status              TEXT NOT NULL DEFAULT 'PENDING'
+                      CHECK (status IN ('PENDING','ACCEPTED','DECLINED','CANCELLED')),
+
+  created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+  responded_at        TEXT,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- =========================================================
+-- ALERT RULES
+-- Declarative conditions over snapshot fields (/alert-rules), evaluated after
+-- every monitor run against each position's latest snapshot. Matches are sent
+-- as RULE alerts (alert_log) at most once per cooldown and per new snapshot.
+-- =========================================================
+CREATE TABLE alert_rules (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id           INTEGER,                 -- NULL = global rule (admins), applies to every user
+  name              TEXT NOT NULL,
+  position_kind     TEXT NOT NULL CHECK (position_kind IN ('LOAN','LP')),
+  condition         TEXT NOT NULL,           -- e.g. icr < 1.6 AND debtAheadPct < 5
+  severity          TEXT NOT NULL DEFAULT 'MEDIUM' CHECK (severity IN ('LOW','MEDIUM','HIGH','CRITICAL')),
+  cooldown_min      INTEGER NOT NULL DEFAULT 60,
+  message_template  TEXT,                    -- {field} placeholders; NULL = default message
+  is_enabled        INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+  created_by        TEXT,                    -- Discord user id
+
+  created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at        TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_alert_rules_user ON alert_rules(user_id);
+
+-- Last match per rule and position (cooldown / same-snapshot dedupe)
+CREATE TABLE alert_rule_state (
+  rule_id           INTEGER NOT NULL,
+  user_id           INTEGER NOT NULL,
+  wallet_id         INTEGER NOT NULL,
+  contract_id       INTEGER NOT NULL,
+  token_id          TEXT NOT NULL,
+
+  last_fired_at     TEXT NOT NULL DEFAULT (datetime('now')),
+  last_snapshot_at  TEXT,                    -- snapshot_at that fired
+  fire_count        INTEGER NOT NULL DEFAULT 0,
+
+  PRIMARY KEY (rule_id, user_id, wallet_id, contract_id, token_id),
+  FOREIGN KEY (rule_id)     REFERENCES alert_rules(id)  ON DELETE CASCADE,
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
+);
+
+-- =========================================================
+-- USER NOTIFIERS
+-- Alert outputs per user. No enabled rows = implicit Discord DM (accepts_dm).
+-- config_json by kind:
+--   DISCORD_DM       {}
+--   DISCORD_CHANNEL  { "channelId": "..." }            (text channel or thread)
+--   WEBHOOK          { "url": "...", "secret": "..." } (HMAC-SHA256 signed JSON)
+--   TELEGRAM         { "chatId": "...", "apiBase"?: "...", "botToken"?: "..." }
+-- =========================================================
+CREATE TABLE user_notifiers (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id       INTEGER NOT NULL,
+  kind          TEXT NOT NULL CHECK (kind IN ('DISCORD_DM','DISCORD_CHANNEL','WEBHOOK','TELEGRAM')),
+  label         TEXT,
+  config_json   TEXT NOT NULL DEFAULT '{}',
+  is_enabled    INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_user_notifiers_user
+  ON user_notifiers(user_id, is_enabled);
+
+-- =========================================================
+-- NOTIFICATION DELIVERIES
+-- One row per alert per notifier (after retries).
+-- notifier_id NULL = implicit Discord DM.
+-- =========================================================
+CREATE TABLE notification_deliveries (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id       INTEGER NOT NULL,
+  notifier_id   INTEGER,
+  kind          TEXT NOT NULL,
+
+  alert_log_id  INTEGER,
+  alert_type    TEXT,
+  phase         TEXT,
+
+  status        TEXT NOT NULL CHECK (status IN ('SENT','FAILED')),
+  attempts      INTEGER NOT NULL DEFAULT 0,
+  last_error    TEXT,
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id)      REFERENCES users(id)          ON DELETE CASCADE,
+  FOREIGN KEY (notifier_id)  REFERENCES user_notifiers(id) ON DELETE SET NULL,
+  FOREIGN KEY (alert_log_id) REFERENCES alert_log(id)      ON DELETE SET NULL
+);
+
+CREATE INDEX idx_notification_deliveries_user
+  ON notification_deliveries(user_id, created_at);
+
+CREATE INDEX idx_notification_deliveries_notifier
+  ON notification_deliveries(notifier_id, created_at);
+
+-- =========================================================
+-- WATCH GROUPS
+-- Shared wallets whose alerts are posted once into a guild channel
+-- instead of DMing each member. Managed with /watch-group.
+-- =========================================================
+CREATE TABLE watch_groups (
+  id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  guild_id            TEXT NOT NULL,
+  channel_id          TEXT NOT NULL,           -- text channel or thread
+  name                TEXT NOT NULL,
+
+  -- Role pinged per alert severity (newTier); NULL = no mention
+  role_critical_id    TEXT,
+  role_high_id        TEXT,
+  role_medium_id      TEXT,
+
+  created_by_user_id  INTEGER,
+  is_enabled          INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+
+  created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at          TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE (guild_id, name)
+);
+
+CREATE TABLE watch_group_wallets (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  group_id       INTEGER NOT NULL,
+  chain_id       TEXT NOT NULL,
+  address_lower  TEXT NOT NULL,
+  address_eip55  TEXT NOT NULL,
+  label          TEXT,
+
+  created_at     TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (group_id) REFERENCES watch_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (chain_id) REFERENCES chains(id)       ON DELETE RESTRICT,
+  CHECK (address_lower = lower(address_lower)),
+  CHECK (length(address_lower) = 42 AND substr(address_lower, 1, 2) = '0x'),
+  UNIQUE (group_id, chain_id, address_lower)
+);
+
+CREATE INDEX idx_watch_group_wallets_address
+  ON watch_group_wallets(chain_id, address_lower);
+
+-- Per-group dedup (replaces per-member alert_state for delivery)
+CREATE TABLE watch_group_alert_state (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  group_id      INTEGER NOT NULL,
+  contract_id   INTEGER NOT NULL,
+  token_id      TEXT NOT NULL,
+  alert_type    TEXT NOT NULL,
+
+  is_active     INTEGER NOT NULL DEFAULT 0 CHECK (is_active IN (0,1)),
+  signature     TEXT,
+  last_posted_at TEXT,
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (group_id)    REFERENCES watch_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+  UNIQUE (group_id, contract_id, token_id, alert_type)
+);
+
+-- =========================================================
+-- QUIET HOURS + DIGEST
+-- During the window non-CRITICAL alerts are queued and sent as one digest
+-- when it ends. CRITICAL liquidation alerts always go out immediately.
+-- =========================================================
+CREATE TABLE user_quiet_hours (
+  user_id       INTEGER PRIMARY KEY,
+
+  start_min     INTEGER NOT NULL CHECK (start_min BETWEEN 0 AND 1439),  -- minutes after local midnight
+  end_min       INTEGER NOT NULL CHECK (end_min BETWEEN 0 AND 1439),    -- may be < start_min (wraps midnight)
+  timezone      TEXT NOT NULL DEFAULT 'UTC',                            -- IANA name
+  is_enabled    INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CHECK (start_min <> end_min)
+);
+
+CREATE TABLE alert_digest_queue (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id       INTEGER NOT NULL,
+  alert_log_id  INTEGER,
+  wallet_id     INTEGER,
+  contract_id   INTEGER,
+  token_id      TEXT,
+  alert_type    TEXT NOT NULL,
+  phase         TEXT NOT NULL,
+  tier          TEXT,
+  message       TEXT NOT NULL,
+  meta_json     TEXT,
+
+  queued_at     TEXT NOT NULL DEFAULT (datetime('now')),
+  delivered_at  TEXT,                        -- NULL = pending
+
+  FOREIGN KEY (user_id)      REFERENCES users(id)     ON DELETE CASCADE,
+  FOREIGN KEY (alert_log_id) REFERENCES alert_log(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_alert_digest_queue_pending
+  ON alert_digest_queue(user_id, delivered_at);
+
 -- =========================================================
 -- POSITION SNAPSHOTS (COMMAND CACHE)
 -- =========================================================
@@ -449,6 +974,163 @@ CREATE INDEX idx_loan_snapshots_user
 CREATE INDEX idx_lp_snapshots_user
   ON lp_position_snapshots(user_id);
 
+-- =========================================================
+-- POSITION HISTORY (append-only time series)
+-- Written by monitorLoans / monitorLPs every run, then downsampled:
+--   < 48h   : every run
+--   48h-30d : last sample per position per hour
+--   > 30d   : last sample per position per day
+-- =========================================================
+CREATE TABLE loan_position_history (
+  id                      INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id                 INTEGER NOT NULL,
+  wallet_id               INTEGER NOT NULL,
+  contract_id             INTEGER NOT NULL,
+  token_id                TEXT NOT NULL,     -- troveId
+  chain_id                TEXT NOT NULL,
+  protocol                TEXT NOT NULL,
+
+  sampled_at              TEXT NOT NULL DEFAULT (datetime('now')),
+
+  price                   REAL,              -- collateral price
+  liquidation_price       REAL,
+  liquidation_buffer_frac REAL,              -- (price - liq) / price
+  icr                     REAL,              -- coll value / debt
+  ltv_pct                 REAL,
+  coll_amount             REAL,
+  debt_amount             REAL,
+  interest_pct            REAL,
+  debt_ahead_pct          REAL,              -- fraction of branch debt ahead (redemption order)
+  liquidation_tier        TEXT,
+  redemption_tier         TEXT,
+
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_loan_history_position
+  ON loan_position_history(user_id, contract_id, token_id, sampled_at);
+
+CREATE INDEX idx_loan_history_sampled
+  ON loan_position_history(sampled_at);
+
+CREATE TABLE lp_position_history (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id           INTEGER NOT NULL,
+  wallet_id         INTEGER NOT NULL,
+  contract_id       INTEGER NOT NULL,
+  token_id          TEXT NOT NULL,
+  chain_id          TEXT NOT NULL,
+  protocol          TEXT NOT NULL,
+
+  sampled_at        TEXT NOT NULL DEFAULT (datetime('now')),
+
+  range_status      TEXT,
+  current_tick      INTEGER,
+  tick_lower        INTEGER,
+  tick_upper        INTEGER,
+  lp_position_frac  REAL,                    -- (tick - tickLower) / width; <0 or >1 when out of range
+  current_price     REAL,
+  amount0           REAL,
+  amount1           REAL,
+  fees0             REAL,
+  fees1             REAL,
+  lp_range_tier     TEXT,
+
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_lp_history_position
+  ON lp_position_history(user_id, contract_id, token_id, sampled_at);
+
+CREATE INDEX idx_lp_history_sampled
+  ON lp_position_history(sampled_at);
+
+-- =========================================================
+-- TROVE EVENTS (redemptions / liquidations that happened)
+-- TroveManager TroveOperation logs for monitored loan contracts;
+-- one row per affected trove, alerted once as REDEEMED / LIQUIDATED
+-- =========================================================
+CREATE TABLE trove_event_cursors (
+  contract_id        INTEGER PRIMARY KEY,  -- LOAN_NFT contract
+  trove_manager      TEXT NOT NULL,        -- lowercase TroveManager address
+  last_scanned_block INTEGER NOT NULL,
+  updated_at         TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+);
+
+CREATE TABLE trove_events (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  contract_id   INTEGER NOT NULL,          -- LOAN_NFT contract
+  token_id      TEXT NOT NULL,             -- troveId
+  operation     TEXT NOT NULL CHECK (operation IN ('REDEEM','LIQUIDATE')),
+
+  block_number  INTEGER NOT NULL,
+  tx_hash       TEXT NOT NULL,
+  log_index     INTEGER NOT NULL,
+  owner_lower   TEXT,                      -- trove owner when it happened (if known)
+
+  debt_change   REAL,                      -- signed, debt token units
+  coll_change   REAL,                      -- signed, collateral units
+  debt_after    REAL,                      -- from TroveUpdated in the same tx
+  coll_after    REAL,
+  price         REAL,                      -- price from the Redemption / Liquidation event
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
+  UNIQUE (contract_id, tx_hash, log_index)
+);
+
+CREATE INDEX idx_trove_events_token
+  ON trove_events(contract_id, token_id, block_number);
+
+-- =========================================================
+-- TROVE INDEX (local copy of SortedTroves per loan branch)
+-- Rewritten by the scanner's periodic reconciliation walk,
+-- kept current in between from TroveManager events
+-- =========================================================
+CREATE TABLE trove_index (
+  contract_id       INTEGER NOT NULL,      -- LOAN_NFT contract (branch)
+  trove_id          TEXT NOT NULL,
+
+  ir_pct            REAL,                  -- annual interest rate, percent (NULL until known)
+  debt              REAL NOT NULL DEFAULT 0,
+
+  batch_manager     TEXT,                  -- lowercase, when the trove is in a batch
+  batch_debt_shares REAL,
+
+  list_pos          INTEGER,               -- position from the last walk (0 = redeemed first);
+                                           -- NULL when new / re-rated since
+  updated_block     INTEGER NOT NULL,      -- block of the walk / event that last wrote the row
+  updated_at        TEXT NOT NULL DEFAULT (datetime('now')),
+
+  PRIMARY KEY (contract_id, trove_id),
+  FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+);
+
+CREATE TABLE trove_index_state (
+  contract_id      INTEGER PRIMARY KEY,
+  reconciled_block INTEGER NOT NULL,       -- head block when the last walk started
+  reconciled_at    TEXT NOT NULL,
+  trove_count      INTEGER NOT NULL DEFAULT 0,
+
+  FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_trove_index_order
+  ON trove_index(contract_id, ir_pct, list_pos);
+
+CREATE INDEX idx_trove_index_batch
+  ON trove_index(contract_id, batch_manager);
+
 -- =========================================================
 -- UPDATED_AT TRIGGERS
 -- =========================================================
@@ -482,6 +1164,55 @@ BEGIN
   UPDATE user_wallets SET updated_at = datetime('now') WHERE id = OLD.id;
 END;
 
+CREATE TRIGGER trg_alert_threshold_profiles_updated_at
+AFTER UPDATE ON alert_threshold_profiles
+FOR EACH ROW
+BEGIN
+  UPDATE alert_threshold_profiles SET updated_at = datetime('now') WHERE id = OLD.id;
+END;
+
+CREATE TRIGGER trg_user_notifiers_updated_at
+AFTER UPDATE ON user_notifiers
+FOR EACH ROW
+BEGIN
+  UPDATE user_notifiers SET updated_at = datetime('now') WHERE id = OLD.id;
+END;
+
+CREATE TRIGGER trg_watch_groups_updated_at
+AFTER UPDATE ON watch_groups
+FOR EACH ROW
+BEGIN
+  UPDATE watch_groups SET updated_at = datetime('now') WHERE id = OLD.id;
+END;
+
+CREATE TRIGGER trg_watch_group_alert_state_updated_at
+AFTER UPDATE ON watch_group_alert_state
+FOR EACH ROW
+BEGIN
+  UPDATE watch_group_alert_state SET updated_at = datetime('now') WHERE id = OLD.id;
+END;
+
+CREATE TRIGGER trg_user_quiet_hours_updated_at
+AFTER UPDATE ON user_quiet_hours
+FOR EACH ROW
+BEGIN
+  UPDATE user_quiet_hours SET updated_at = datetime('now') WHERE user_id = OLD.user_id;
+END;
+
+CREATE TRIGGER trg_user_escalation_targets_updated_at
+AFTER UPDATE ON user_escalation_targets
+FOR EACH ROW
+BEGIN
+  UPDATE user_escalation_targets SET updated_at = datetime('now') WHERE user_id = OLD.user_id;
+END;
+
+CREATE TRIGGER trg_alert_rules_updated_at
+AFTER UPDATE ON alert_rules
+FOR EACH ROW
+BEGIN
+  UPDATE alert_rules SET updated_at = datetime('now') WHERE id = OLD.id;
+END;
+
 CREATE TRIGGER trg_alert_state_updated_at
 AFTER UPDATE ON alert_state
 FOR EACH ROW
@@ -79,6 +79,7 @@ function main() {
       "users",
       "user_wallets",
       "position_ignores",
+      "lp_spam_unhides",
       "alert_state",
     ];
 
@@ -9,6 +9,9 @@
  *   --min-count 50     (only consider issuer candidates with >= this many first-transfers)
  *   --top 10           (show top N issuer candidates)
  *   --issuer 0xabc...  (skip auto-detect; directly list tokens whose first-transfer from this address)
+ *
+ * The scanner applies the same issuer heuristic automatically (jobs/lpSpamClassifier.js);
+ * this script remains for investigating a contract by hand.
  */
 
 const path = require("path");
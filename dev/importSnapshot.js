@@ -129,6 +129,7 @@ function main() {
       "user_wallets",
 
       "position_ignores",
+      "lp_spam_unhides",
       "alert_state",
 
       // optional large tables
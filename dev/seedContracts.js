@@ -3,6 +3,7 @@ const fs = require("fs");
 const path = require("path");
 const Database = require("better-sqlite3");
 const { ethers } = require("ethers");
+const { readLoanContractConfigs } = require("../config/loanContracts");
 
 // Always load .env from project root
 require("dotenv").config({
@@ -19,7 +20,6 @@ function requireEnv(name) {
 const DB_PATH = requireEnv("DB_PATH");
 
 // Config locations
-const LOAN_CONFIG_PATH = path.join(__dirname, "..", "data", "loan_contracts.json");
 const LP_CONFIG_PATH = path.join(__dirname, "..", "data", "lp_contracts.json");
 
 function readJson(p) {
@@ -49,23 +49,16 @@ function normalizeStartBlock(v, { fallback = 0, context = "" } = {}) {
   return n;
 }
 
-function collectContractsFromLoanConfig(loanCfg) {
-  const out = [];
-  const chains = loanCfg?.chains || {};
-  for (const [chainId, chainCfg] of Object.entries(chains)) {
-    const contracts = chainCfg?.contracts || [];
-    for (const c of contracts) {
-      out.push({
-        chain_id: chainId,
-        kind: "LOAN_NFT",
-        contract_key: c.key,
-        protocol: c.protocol,
-        address: c.address, // loan JSON uses "address"
-        default_start_block: c.default_start_block,
-      });
-    }
-  }
-  return out;
+// Loan entries go through the shared loader so branch/price/MCR config is validated at seed time
+function collectContractsFromLoanConfig(loanCfgs) {
+  return loanCfgs.map((c) => ({
+    chain_id: c.chainId,
+    kind: "LOAN_NFT",
+    contract_key: c.key,
+    protocol: c.protocol,
+    address: c.address, // loan JSON uses "address"
+    default_start_block: c.defaultStartBlock,
+  }));
 }
 
 function collectContractsFromLpConfig(lpCfg) {
@@ -108,11 +101,11 @@ function seed() {
       )
     `);
 
-    const loanCfg = readJson(LOAN_CONFIG_PATH);
+    const loanCfgs = readLoanContractConfigs();
     const lpCfg = readJson(LP_CONFIG_PATH);
 
     const rowsRaw = [
-      ...collectContractsFromLoanConfig(loanCfg),
+      ...collectContractsFromLoanConfig(loanCfgs),
       ...collectContractsFromLpConfig(lpCfg),
     ];
 
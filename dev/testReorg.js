@@ -0,0 +1,166 @@
+// dev/testReorg.js
+// Reorg regression check for jobs/nftScanner.js.
+// Feeds scanContract() a fake provider, rewrites the chain tail (reorg) and verifies
+// that orphaned transfers are rolled back and nft_tokens ownership is recomputed.
+// Uses an in-memory SQLite DB; exits non-zero on failure.
+// Load .env before requiring logger (logger reads env at import time)
+const path = require("path");
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const assert = require("assert");
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+
+const logger = require("../utils/logger");
+const { initSchema } = require("../db");
+const { TRANSFER_TOPIC, scanContract } = require("../jobs/nftScanner");
+
+const CONTRACT = "0x1000000000000000000000000000000000000001";
+const ZERO = "0x0000000000000000000000000000000000000000";
+const ALICE = "0xa000000000000000000000000000000000000001";
+const BOB = "0xb000000000000000000000000000000000000002";
+const CAROL = "0xc000000000000000000000000000000000000003";
+
+const SCAN_OPTS = { overlapBlocks: 10, maxBlocks: 50, pauseMs: 0 };
+
+function topicAddr(a) {
+  return ethers.zeroPadValue(a, 32);
+}
+
+// Minimal provider: a block -> { hash, transfers[] } map that tests can rewrite
+function createFakeProvider() {
+  const blocks = new Map();
+  let head = 0;
+  let fork = "a";
+
+  function hashFor(n) {
+    return ethers.id(`${fork}:${n}`);
+  }
+
+  return {
+    setHead(n) {
+      for (let b = head + 1; b <= n; b++) blocks.set(b, { hash: hashFor(b), transfers: [] });
+      head = n;
+    },
+    // Replace every block >= fromBlock with a new fork
+    reorg(fromBlock, tag) {
+      fork = tag;
+      for (let b = fromBlock; b <= head; b++) blocks.set(b, { hash: hashFor(b), transfers: [] });
+    },
+    addTransfer(blockNumber, from, to, tokenId) {
+      blocks.get(blockNumber).transfers.push({ from, to, tokenId });
+    },
+
+    async getBlockNumber() {
+      return head;
+    },
+    async getBlock(n) {
+      const b = blocks.get(n);
+      return b ? { number: n, hash: b.hash } : null;
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      const logs = [];
+      for (let n = fromBlock; n <= Math.min(toBlock, head); n++) {
+        const b = blocks.get(n);
+        b.transfers.forEach((t, i) => {
+          logs.push({
+            address: CONTRACT,
+            blockNumber: n,
+            blockHash: b.hash,
+            transactionHash: ethers.id(`${b.hash}:${i}`),
+            index: i,
+            removed: false,
+            topics: [TRANSFER_TOPIC, topicAddr(t.from), topicAddr(t.to), ethers.toBeHex(t.tokenId, 32)],
+          });
+        });
+      }
+      return logs;
+    },
+  };
+}
+
+function setupDb() {
+  const db = new Database(":memory:");
+  db.pragma("foreign_keys = ON");
+  initSchema(db);
+  db.prepare(`INSERT OR IGNORE INTO chains (id, name) VALUES ('FLR', 'Flare')`).run();
+  const info = db
+    .prepare(
+      `
+    INSERT INTO contracts (chain_id, kind, protocol, contract_key, address_eip55, address_lower, default_start_block)
+    VALUES ('FLR', 'LP_NFT', 'TEST', 'test_nft', ?, ?, 100)
+  `
+    )
+    .run(ethers.getAddress(CONTRACT), CONTRACT);
+  return { db, contractId: Number(info.lastInsertRowid) };
+}
+
+function owner(db, contractId, tokenId) {
+  return db
+    .prepare(`SELECT owner_lower FROM nft_tokens WHERE contract_id = ? AND token_id = ?`)
+    .get(contractId, String(tokenId))?.owner_lower;
+}
+
+function transferCount(db, contractId) {
+  return db.prepare(`SELECT COUNT(*) AS n FROM nft_transfers WHERE contract_id = ?`).get(contractId).n;
+}
+
+async function main() {
+  const { db, contractId } = setupDb();
+  const c = {
+    contract_id: contractId,
+    chain_id: "FLR",
+    kind: "LP_NFT",
+    contract_key: "test_nft",
+    address_eip55: ethers.getAddress(CONTRACT),
+    default_start_block: 100,
+  };
+  const provider = createFakeProvider();
+
+  // Canonical chain: #1 minted to Alice @105 and moved to Bob @108, #2 minted to Bob @109
+  provider.setHead(110);
+  provider.addTransfer(105, ZERO, ALICE, 1);
+  provider.addTransfer(108, ALICE, BOB, 1);
+  provider.addTransfer(109, ZERO, BOB, 2);
+
+  await scanContract(db, provider, c, SCAN_OPTS);
+  assert.strictEqual(owner(db, contractId, 1), BOB, "token 1 owned by Bob before reorg");
+  assert.strictEqual(owner(db, contractId, 2), BOB, "token 2 minted before reorg");
+  assert.strictEqual(transferCount(db, contractId), 3);
+
+  // Reorg from block 107: #1 goes to Carol instead, #2 is never minted
+  provider.reorg(107, "b");
+  provider.addTransfer(108, ALICE, CAROL, 1);
+  provider.setHead(112);
+
+  await scanContract(db, provider, c, SCAN_OPTS);
+  assert.strictEqual(owner(db, contractId, 1), CAROL, "token 1 re-owned by Carol after reorg");
+  assert.strictEqual(owner(db, contractId, 2), undefined, "token 2 (orphaned mint) removed");
+  assert.strictEqual(transferCount(db, contractId), 2, "orphaned transfers removed");
+
+  const cursor = db
+    .prepare(`SELECT last_scanned_block FROM contract_scan_cursors WHERE contract_id = ?`)
+    .get(contractId);
+  assert.strictEqual(cursor.last_scanned_block, 112, "cursor advanced to new head");
+
+  // Reorg of the head only (no transfers in the orphaned blocks): tail marker catches it
+  provider.reorg(112, "c");
+  provider.addTransfer(112, CAROL, ALICE, 1);
+  await scanContract(db, provider, c, SCAN_OPTS);
+  assert.strictEqual(owner(db, contractId, 1), ALICE, "head-only reorg picked up");
+
+  // Stable chain: a rescan changes nothing
+  await scanContract(db, provider, c, SCAN_OPTS);
+  assert.strictEqual(transferCount(db, contractId), 3);
+
+  db.close();
+  logger.info("✅ reorg test passed");
+}
+
+main().catch((err) => {
+  logger.error("❌ reorg test failed:", err?.stack || err?.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,237 @@
+// dev/testTransferListener.js
+// WebSocket listener check for jobs/transferListener.js.
+// Starts a local JSON-RPC stub (HTTP for the scanner, WebSocket for eth_subscribe) and verifies:
+// live Transfer logs are applied, a removed (reorged) log rolls the contract back, and a dropped
+// socket reconnects and backfills the gap through scanContract.
+// Uses a throwaway SQLite file in the OS temp dir and the scan lock in locks/; exits non-zero on failure.
+// Load .env before requiring logger (logger reads env at import time)
+const path = require("path");
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const fs = require("fs");
+const os = require("os");
+const http = require("http");
+const assert = require("assert");
+const { WebSocketServer } = require("ws");
+const { ethers } = require("ethers");
+
+const DB_FILE = path.join(os.tmpdir(), `testTransferListener-${process.pid}.sqlite`);
+Object.assign(process.env, {
+  DB_PATH: DB_FILE,
+  TRANSFER_WS_RECONNECT_MS: "100",
+  TRANSFER_WS_RECONNECT_MAX_MS: "500",
+  TRANSFER_WS_PING_MS: "2000",
+  FLR_MAINNET_SCAN_BLOCKS: "100",
+  FLR_MAINNET_SCAN_PAUSE_MS: "0",
+  SCAN_OVERLAP_BLOCKS: "5",
+});
+// Only FLR is stubbed
+delete process.env.XDC_MAINNET_WS;
+
+const CONTRACT = "0x1000000000000000000000000000000000000001";
+const ZERO = "0x0000000000000000000000000000000000000000";
+const ALICE = "0xa000000000000000000000000000000000000001";
+const BOB = "0xb000000000000000000000000000000000000002";
+const CAROL = "0xc000000000000000000000000000000000000003";
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+
+const hex = (n) => ethers.toQuantity(n);
+const blockHash = (n) => ethers.id(`block:${n}`);
+
+function transferLog(block, from, to, tokenId, logIndex = 0) {
+  return {
+    address: CONTRACT,
+    topics: [TRANSFER_TOPIC, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32), ethers.toBeHex(tokenId, 32)],
+    data: "0x",
+    blockNumber: hex(block),
+    blockHash: blockHash(block),
+    transactionHash: ethers.id(`tx:${block}:${logIndex}`),
+    transactionIndex: "0x0",
+    logIndex: hex(logIndex),
+    removed: false,
+  };
+}
+
+function rpcBlock(n) {
+  return {
+    number: hex(n),
+    hash: blockHash(n),
+    parentHash: blockHash(n - 1),
+    timestamp: hex(1700000000 + n),
+    nonce: "0x0000000000000000",
+    difficulty: "0x0",
+    gasLimit: "0x1c9c380",
+    gasUsed: "0x0",
+    miner: ZERO,
+    extraData: "0x",
+    baseFeePerGas: "0x0",
+    transactions: [],
+  };
+}
+
+// One chain for both transports: head + logs the scanner can read with eth_getLogs
+function startStub() {
+  const chain = { head: 10, logs: [] };
+  const sockets = new Set();
+  let subSeq = 0;
+
+  function answer(req, socket) {
+    const { id, method, params = [] } = req;
+    const ok = (result) => ({ jsonrpc: "2.0", id, result });
+    switch (method) {
+      case "eth_chainId":
+        return ok("0xe");
+      case "net_version":
+        return ok("14");
+      case "eth_blockNumber":
+        return ok(hex(chain.head));
+      case "eth_getBlockByNumber":
+        return ok(rpcBlock(Number(params[0] === "latest" ? chain.head : params[0])));
+      case "eth_getLogs": {
+        const from = Number(params[0].fromBlock);
+        const to = Number(params[0].toBlock);
+        return ok(chain.logs.filter((l) => Number(l.blockNumber) >= from && Number(l.blockNumber) <= to));
+      }
+      case "eth_subscribe": {
+        const subId = hex(++subSeq);
+        socket.subs.set(subId, params[1]);
+        return ok(subId);
+      }
+      case "eth_unsubscribe":
+        return ok(socket.subs.delete(params[0]));
+      default:
+        return { jsonrpc: "2.0", id, error: { code: -32601, message: `method ${method} not stubbed` } };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const payload = JSON.parse(body);
+      const out = Array.isArray(payload) ? payload.map((r) => answer(r)) : answer(payload);
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify(out));
+    });
+  });
+
+  const wss = new WebSocketServer({ server });
+  wss.on("connection", (ws) => {
+    ws.subs = new Map();
+    sockets.add(ws);
+    ws.on("close", () => sockets.delete(ws));
+    ws.on("message", (data) => ws.send(JSON.stringify(answer(JSON.parse(data), ws))));
+  });
+
+  // Push a log to every matching logs subscription, as eth_subscription notifications
+  function push(log) {
+    for (const ws of sockets) {
+      for (const [subId, filter] of ws.subs) {
+        if (String(filter.address).toLowerCase() !== log.address.toLowerCase()) continue;
+        ws.send(JSON.stringify({ jsonrpc: "2.0", method: "eth_subscription", params: { subscription: subId, result: log } }));
+      }
+    }
+  }
+
+  function dropAll() {
+    for (const ws of sockets) ws.terminate();
+  }
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      const port = server.address().port;
+      resolve({ server, wss, chain, push, dropAll, port, subscribers: () => [...sockets].reduce((n, s) => n + s.subs.size, 0) });
+    });
+  });
+}
+
+async function waitFor(what, fn, timeoutMs = 5000) {
+  const t0 = Date.now();
+  while (Date.now() - t0 < timeoutMs) {
+    if (fn()) return;
+    await new Promise((r) => setTimeout(r, 25));
+  }
+  throw new Error(`timed out waiting for ${what}`);
+}
+
+async function main() {
+  const stub = await startStub();
+  process.env.FLR_MAINNET_WS = `ws://127.0.0.1:${stub.port}`;
+  process.env.FLR_MAINNET_SCAN = `http://127.0.0.1:${stub.port}`;
+
+  const logger = require("../utils/logger");
+  const { getDb } = require("../db");
+  const {
+    startTransferListener,
+    stopTransferListener,
+    getTransferListenerStatus,
+  } = require("../jobs/transferListener");
+
+  const db = getDb();
+  db.prepare(`INSERT OR IGNORE INTO chains (id, name) VALUES ('FLR', 'Flare')`).run();
+  db.prepare(
+    `
+    INSERT INTO contracts (chain_id, kind, protocol, contract_key, address_eip55, address_lower, default_start_block)
+    VALUES ('FLR', 'LOAN_NFT', 'TEST_LOAN', 'test-loan', ?, ?, 1)
+  `
+  ).run(CONTRACT, CONTRACT.toLowerCase());
+
+  const owner = (tokenId) =>
+    db.prepare(`SELECT owner_lower FROM nft_tokens WHERE token_id = ?`).get(String(tokenId))?.owner_lower || null;
+  const cursor = () => db.prepare(`SELECT last_scanned_block AS n FROM contract_scan_cursors`).get()?.n ?? null;
+  const status = () => getTransferListenerStatus()[0];
+
+  // Token 1 minted before the listener starts: only the connect backfill can see it
+  stub.chain.logs.push(transferLog(5, ZERO, ALICE, 1));
+
+  try {
+    startTransferListener();
+    await waitFor("first connect + backfill", () => status()?.connected && status().lastBackfill);
+    assert.strictEqual(status().lastBackfill.outcome, "ok");
+    assert.strictEqual(stub.subscribers(), 1, "one logs subscription per contract");
+    assert.strictEqual(owner(1), ALICE, "backfill applied the mint");
+    assert.strictEqual(cursor(), 10);
+
+    // Live log: applied straight away, cursor untouched
+    const live = transferLog(12, ALICE, BOB, 1);
+    stub.chain.head = 12;
+    stub.push(live);
+    await waitFor("live transfer", () => owner(1) === BOB);
+    assert.strictEqual(status().logsApplied, 1);
+    assert.strictEqual(cursor(), 10, "live logs do not move the cursor");
+
+    // Same log reorged out: contract rolled back from its block
+    stub.push({ ...live, removed: true });
+    await waitFor("rollback", () => owner(1) === ALICE);
+    assert.strictEqual(db.prepare(`SELECT COUNT(*) AS n FROM nft_transfers`).get().n, 1);
+
+    // Dropped socket: a transfer lands while disconnected, the reconnect backfill picks it up
+    const disconnectsBefore = status().disconnects;
+    const backfillBefore = status().lastBackfill.at;
+    stub.dropAll();
+    await waitFor("disconnect", () => status().disconnects > disconnectsBefore);
+    stub.chain.logs.push(transferLog(15, ALICE, CAROL, 1));
+    stub.chain.head = 16;
+    await waitFor("reconnect + backfill", () => status().connected && status().lastBackfill.at > backfillBefore);
+    assert.strictEqual(status().lastBackfill.outcome, "ok");
+    assert.strictEqual(owner(1), CAROL, "gap transfer backfilled");
+    assert.strictEqual(cursor(), 16);
+    assert.strictEqual(stub.subscribers(), 1, "resubscribed on the new socket");
+  } finally {
+    stopTransferListener();
+    stub.wss.close();
+    stub.server.close();
+    db.close();
+    for (const f of [DB_FILE, `${DB_FILE}-wal`, `${DB_FILE}-shm`]) fs.rmSync(f, { force: true });
+  }
+
+  logger.info("✅ transfer listener test passed");
+}
+
+main().catch((err) => {
+  require("../utils/logger").error("❌ transfer listener test failed:", err?.stack || err?.message || err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,142 @@
+// dev/testWebhook.js
+// Webhook delivery check for monitoring/notifiers (WEBHOOK outputs).
+// Starts a local HTTP stub and verifies delivery, the HMAC signature headers, retry on 5xx,
+// no retry on 4xx, the notification_deliveries rows, and that private targets are refused
+// unless NOTIFY_WEBHOOK_ALLOW_PRIVATE=1.
+// Uses a throwaway SQLite file in the OS temp dir; exits non-zero on failure.
+// Load .env before requiring logger (logger reads env at import time)
+const path = require("path");
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const fs = require("fs");
+const os = require("os");
+const http = require("http");
+const assert = require("assert");
+
+const DB_FILE = path.join(os.tmpdir(), `testWebhook-${process.pid}.sqlite`);
+Object.assign(process.env, {
+  DB_PATH: DB_FILE,
+  NOTIFY_MAX_ATTEMPTS: "3",
+  NOTIFY_RETRY_BASE_MS: "20",
+  NOTIFY_HTTP_TIMEOUT_MS: "2000",
+  NOTIFY_WEBHOOK_ALLOW_PRIVATE: "1",
+});
+
+const logger = require("../utils/logger");
+const { getDb, getOrCreateUserId } = require("../db");
+const { addUserNotifier, deliverAlert, flushNotifierRetries } = require("../monitoring/notifiers");
+const { signBody } = require("../monitoring/notifiers/webhook");
+
+const SECRET = "test-secret";
+
+// path -> list of status codes to answer with, in order (the last one repeats)
+const SCRIPTS = {
+  "/ok": [200],
+  "/flaky": [503, 502, 200],
+  "/down": [500],
+  "/bad": [400],
+};
+
+function startStub() {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const n = hits.filter((h) => h.path === req.url).length;
+      const script = SCRIPTS[req.url] || [404];
+      hits.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = script[Math.min(n, script.length - 1)];
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, hits, base: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+function payload(message) {
+  return { alertType: "LIQUIDATION", phase: "NEW", message, meta: { chainId: "FLR", troveId: "1" }, discord: null };
+}
+
+function deliveriesFor(db, notifierId) {
+  return db
+    .prepare(`SELECT status, attempts, last_error FROM notification_deliveries WHERE notifier_id = ? ORDER BY id`)
+    .all(notifierId);
+}
+
+async function main() {
+  const { server, hits, base } = await startStub();
+  const db = getDb();
+  const userId = getOrCreateUserId(db, { discordId: "webhook-test", discordName: "webhook-test" });
+
+  try {
+    const add = (p) => addUserNotifier({ userId, kind: "WEBHOOK", config: { url: `${base}${p}`, secret: SECRET } });
+    const send = async (n, msg) => (await deliverAlert({ userId, payload: payload(msg), notifiers: [n] }))[0];
+
+    // Delivery + signature
+    const ok = await add("/ok");
+    assert.strictEqual((await send(ok, "ok")).status, "SENT");
+    const hit = hits.find((h) => h.path === "/ok");
+    const ts = hit.headers["x-alert-timestamp"];
+    assert.ok(ts, "timestamp header set");
+    assert.strictEqual(hit.headers["x-alert-signature"], `sha256=${signBody(SECRET, ts, hit.body)}`, "HMAC matches");
+    assert.strictEqual(JSON.parse(hit.body).message, "ok");
+    assert.deepStrictEqual(deliveriesFor(db, ok.id), [{ status: "SENT", attempts: 1, last_error: null }]);
+
+    // 5xx is retried in the background until it succeeds
+    const flaky = await add("/flaky");
+    assert.strictEqual((await send(flaky, "flaky")).status, "RETRYING");
+    await flushNotifierRetries();
+    assert.strictEqual(hits.filter((h) => h.path === "/flaky").length, 3);
+    assert.deepStrictEqual(deliveriesFor(db, flaky.id), [{ status: "SENT", attempts: 3, last_error: null }]);
+
+    // 5xx every time: gives up after NOTIFY_MAX_ATTEMPTS
+    const down = await add("/down");
+    await send(down, "down");
+    await flushNotifierRetries();
+    assert.strictEqual(hits.filter((h) => h.path === "/down").length, 3);
+    const [downRow] = deliveriesFor(db, down.id);
+    assert.strictEqual(downRow.status, "FAILED");
+    assert.strictEqual(downRow.attempts, 3);
+    assert.match(downRow.last_error, /HTTP 500/);
+
+    // 4xx is final at once
+    const bad = await add("/bad");
+    assert.strictEqual((await send(bad, "bad")).status, "FAILED");
+    await flushNotifierRetries();
+    assert.strictEqual(hits.filter((h) => h.path === "/bad").length, 1);
+    assert.deepStrictEqual(deliveriesFor(db, bad.id), [{ status: "FAILED", attempts: 1, last_error: "Webhook HTTP 400" }]);
+
+    // Without the test override, loopback / plain http targets are refused on add and on send
+    process.env.NOTIFY_WEBHOOK_ALLOW_PRIVATE = "0";
+    await assert.rejects(add("/ok"), /https/);
+    await assert.rejects(
+      addUserNotifier({ userId, kind: "WEBHOOK", config: { url: "https://127.0.0.1/x" } }),
+      /public host/
+    );
+    const before = hits.length;
+    assert.strictEqual((await send(ok, "blocked")).status, "FAILED");
+    // A saved host that now resolves to loopback (DNS rebinding) is caught at connect time
+    const port = new URL(base).port;
+    const rebound = { id: null, kind: "WEBHOOK", config: { url: `https://localhost:${port}/ok`, secret: SECRET } };
+    const res = await send(rebound, "rebound");
+    assert.strictEqual(res.status, "FAILED");
+    assert.match(res.error, /non-public address/);
+    assert.strictEqual(hits.length, before, "stub not contacted");
+  } finally {
+    server.close();
+    db.close();
+    for (const f of [DB_FILE, `${DB_FILE}-wal`, `${DB_FILE}-shm`]) fs.rmSync(f, { force: true });
+  }
+
+  logger.info("✅ webhook test passed");
+}
+
+main().catch((err) => {
+  logger.error("❌ webhook test failed:", err?.stack || err?.message || err);
+  process.exitCode = 1;
+});
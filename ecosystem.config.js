@@ -1,3 +1,4 @@
+// Standalone scanner schedule. Drop this app if SCAN_CRON runs the scanner inside the bot.
 module.exports = {
   apps: [
     {
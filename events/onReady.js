@@ -8,6 +8,9 @@ const { deployGuildCommands } = require("../handlers/commands/deployGuildCommand
 const { startMonitoringJob } = require("../jobs/monitoringJob");
 const { startHeartbeatJob } = require("../jobs/heartbeatJob");
 const { startFirelightJob } = require("../jobs/firelightJob");
+const { startDigestJob } = require("../jobs/digestJob");
+const { startScanJob } = require("../jobs/scanJob");
+const { startTransferListener } = require("../jobs/transferListener");
 const { setAlertEngineClient } = require("../monitoring/alertEngine");
 
 async function onReady(client) {
@@ -24,9 +27,12 @@ async function onReady(client) {
   await deployGuildCommands(commandsJson);
 
   // Start background jobs
-  startMonitoringJob();
+  startMonitoringJob(client);
   startHeartbeatJob(client);
   startFirelightJob(client);
+  startDigestJob(client);
+  startScanJob();
+  startTransferListener();
 }
 
 module.exports = { onReady };
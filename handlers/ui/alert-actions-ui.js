@@ -0,0 +1,211 @@
+// handlers/ui/alert-actions-ui.js
+//
+// Buttons on alert DMs (customId al:<action>:<alertLogId>[:<option>]):
+// ack, snooze:<1h|6h|24h>, unsnooze, mute, unmute, details.
+// The alert_log row must belong to the clicking user.
+
+const { EmbedBuilder } = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { prepareQueries } = require("../../db/queries");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const { shortenAddress } = require("../../utils/ethers/shortenAddress");
+const { shortenTroveId } = require("../../utils/ethers/shortenTroveId");
+const {
+  ALERT_TYPE_LABELS,
+  SNOOZE_OPTIONS,
+  fromSqlTime,
+  getAlertLogRow,
+  ackAlert,
+  snoozeAlert,
+  clearSnooze,
+  muteAlert,
+  unmuteAlert,
+  getRecentPositionAlerts,
+  getAlertActionState,
+  buildAlertActionRows,
+} = require("../../monitoring/alertActions");
+
+// ---------- ACK helpers ----------
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function replyOnce(i, payload, flags) {
+  const body = typeof payload === "string" ? { content: payload } : payload;
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ ...body, flags });
+    } else {
+      await i.reply({ ...body, flags });
+    }
+  } catch (_) {}
+}
+
+// ---------- Renders ----------
+
+function unixTs(sqlTime) {
+  const ms = fromSqlTime(sqlTime);
+  return ms == null ? null : Math.floor(ms / 1000);
+}
+
+function parseMeta(json) {
+  try {
+    const obj = JSON.parse(json || "{}");
+    return obj && typeof obj === "object" ? obj : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function positionLabel({ row, meta, wallet, contract }) {
+  const walletText = wallet
+    ? `${wallet.chain_id}${wallet.label ? ` ${wallet.label}` : ""} ${shortenAddress(wallet.address_eip55)}`
+    : meta.walletLabel || meta.wallet || "?";
+  const kind = contract?.kind || "POSITION";
+  const protocol = contract?.protocol || meta.protocol || "";
+  return `${kind} ${protocol} #${shortenTroveId(row.tokenId)} (${walletText})`.replace(/\s+/g, " ");
+}
+
+function statusLines(state) {
+  const lines = [];
+  lines.push(state.acked ? "✅ Acknowledged" : "• Not acknowledged");
+  if (state.snoozedUntil) lines.push(`⏰ Snoozed until <t:${Math.floor(state.snoozedUntil / 1000)}:f>`);
+  if (state.muted) lines.push("🔕 Muted for this position");
+  return lines.join("\n");
+}
+
+function buildDetailsEmbed({ row, state, wallet, contract, recent }) {
+  const meta = parseMeta(row.metaJson);
+  const sentTs = unixTs(row.createdAt);
+  const tierText =
+    meta.newTier != null
+      ? meta.prevTier && meta.prevTier !== meta.newTier
+        ? `${meta.prevTier} → **${meta.newTier}**`
+        : `**${meta.newTier}**`
+      : null;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${ALERT_TYPE_LABELS[row.alertType] || row.alertType} alert · ${row.phase}`)
+    .setDescription(row.message.slice(0, 4000))
+    .setColor(state.muted ? "Grey" : meta.newTier === "CRITICAL" ? "Red" : "DarkBlue")
+    .addFields(
+      { name: "Position", value: positionLabel({ row, meta, wallet, contract }), inline: false },
+      { name: "Sent", value: sentTs ? `<t:${sentTs}:f> (<t:${sentTs}:R>)` : row.createdAt, inline: true }
+    );
+  if (tierText) embed.addFields({ name: "Tier", value: tierText, inline: true });
+  if (meta.txHash) embed.addFields({ name: "Tx", value: `\`${meta.txHash}\``, inline: false });
+
+  embed.addFields({ name: "Status", value: statusLines(state), inline: false });
+
+  const history = recent.map((r) => {
+    const ts = unixTs(r.createdAt);
+    const m = parseMeta(r.metaJson);
+    const tier = m.newTier ? ` ${m.newTier}` : "";
+    const ack = r.ackedAt ? " ✅" : "";
+    const marker = r.id === row.id ? " ◀" : "";
+    return `${ts ? `<t:${ts}:R>` : r.createdAt} · ${r.phase}${tier}${ack}${marker}`;
+  });
+  if (history.length) {
+    embed.addFields({ name: "Recent alerts for this position", value: history.join("\n").slice(0, 1024) });
+  }
+  return embed;
+}
+
+// ---------- Router ----------
+
+async function handleAlertActionsInteraction(interaction) {
+  const isAl = typeof interaction.customId === "string" && interaction.customId.startsWith("al:");
+  if (!interaction.isButton?.() || !isAl) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  const ephFlags = ephemeralFlags();
+
+  // al:<action>:<alertLogId>[:<option>]
+  const parts = interaction.customId.split(":");
+  const action = parts[1];
+  const alertLogId = Number(parts[2]);
+  if (!Number.isInteger(alertLogId) || alertLogId <= 0) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const db = getDb();
+
+  try {
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+    const row = getAlertLogRow(alertLogId);
+
+    if (!row || !userId || row.userId !== userId) {
+      await ackUpdate(interaction);
+      await replyOnce(interaction, "❌ This alert is no longer available.", ephFlags);
+      return true;
+    }
+
+    const typeLabel = ALERT_TYPE_LABELS[row.alertType] || row.alertType;
+
+    if (action === "details") {
+      const q = prepareQueries(db);
+      const embed = buildDetailsEmbed({
+        row,
+        state: getAlertActionState(row),
+        wallet: q.selUserWalletByIdForUser.get(row.walletId, userId),
+        contract: q.selContractById.get(row.contractId),
+        recent: getRecentPositionAlerts(row, 8),
+      });
+      await replyOnce(interaction, { embeds: [embed] }, ephFlags);
+      return true;
+    }
+
+    let confirmation = null;
+    if (action === "ack") {
+      ackAlert(row);
+      logger.info(`[alert-actions] Acked alert_log=${alertLogId} userId=${userId}`);
+    } else if (action === "snooze") {
+      const option = parts[3];
+      if (!SNOOZE_OPTIONS[option]) {
+        await ackUpdate(interaction);
+        return true;
+      }
+      const until = snoozeAlert(row, option);
+      confirmation =
+        `⏰ ${typeLabel} alerts for this position are snoozed until <t:${Math.floor(until / 1000)}:f>. ` +
+        "An escalation to CRITICAL still comes through.";
+      logger.info(`[alert-actions] Snoozed ${row.alertType} ${option} alert_log=${alertLogId} userId=${userId}`);
+    } else if (action === "unsnooze") {
+      clearSnooze(row);
+      confirmation = `🔔 Snooze cancelled. ${typeLabel} alerts for this position are back on.`;
+    } else if (action === "mute") {
+      muteAlert(row);
+      confirmation = `🔕 ${typeLabel} alerts for this position are muted. Press **Unmute** on this message to turn them back on.`;
+      logger.info(`[alert-actions] Muted ${row.alertType} alert_log=${alertLogId} userId=${userId}`);
+    } else if (action === "unmute") {
+      unmuteAlert(row);
+      confirmation = `🔔 ${typeLabel} alerts for this position are unmuted.`;
+    } else {
+      await ackUpdate(interaction);
+      return true;
+    }
+
+    await interaction.update({ components: buildAlertActionRows(alertLogId, getAlertActionState(row)) });
+    if (confirmation) await replyOnce(interaction, confirmation, ephFlags);
+    return true;
+  } catch (err) {
+    logger.error("[alert-actions-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  }
+}
+
+module.exports = {
+  handleAlertActionsInteraction,
+};
@@ -0,0 +1,391 @@
+// handlers/ui/alert-history-ui.js
+//
+// /alert-history pages and the per-position timeline.
+// customIds:
+//   ah:page:<userKey>:<page>                      list page (filters kept per user in ahFilters)
+//   ah:tl:<userKey>                               select -> timeline of the chosen alert's position
+//   ah:tlpage:<userKey>:<alertLogId>:<page>       timeline page
+//   ah:back:<userKey>                             timeline -> last list page
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, EmbedBuilder } = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const { shortenAddress } = require("../../utils/ethers/shortenAddress");
+const { shortenTroveId } = require("../../utils/ethers/shortenTroveId");
+const { trendLabel } = require("../../monitoring/alertEngine");
+const { ALERT_TYPE_LABELS, fromSqlTime, getAlertLogRow } = require("../../monitoring/alertActions");
+const {
+  TIMELINE_PAGE_SIZE,
+  TIER_ORDER,
+  queryAlertHistory,
+  getPositionAlertRows,
+  buildTierTimeline,
+  formatDuration,
+} = require("../../monitoring/alertHistory");
+
+const TIER_EMOJI = { CRITICAL: "🟥", HIGH: "🟧", MEDIUM: "🟨", LOW: "🟩", UNKNOWN: "⬜" };
+
+// Active filters + page per user (position token ids are too long for customIds)
+const ahFilters = new Map(); // actorId -> { filter, page, labels }
+
+// ---------- ACK helpers ----------
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function replyOnce(i, content, flags) {
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ content, flags });
+    } else {
+      await i.reply({ content, flags });
+    }
+  } catch (_) {}
+}
+
+// ---------- Formatting ----------
+
+function unixTs(sqlTime) {
+  const ms = fromSqlTime(sqlTime);
+  return ms == null ? null : Math.floor(ms / 1000);
+}
+
+function tierText(tier, bold = false) {
+  const t = (tier || "UNKNOWN").toString().toUpperCase();
+  return `${TIER_EMOJI[t] || "⬜"} ${bold ? `**${t}**` : t}`;
+}
+
+function walletText(row) {
+  if (!row.walletAddress) return row.meta?.walletLabel || "?";
+  return `${row.chainId}${row.walletLabel ? ` ${row.walletLabel}` : ""} ${shortenAddress(row.walletAddress)}`;
+}
+
+function positionLabel(row) {
+  const kind = row.contractKind || "POSITION";
+  return `${kind} ${row.protocol || row.meta?.protocol || ""} #${shortenTroveId(row.tokenId)} (${walletText(row)})`.replace(
+    /\s+/g,
+    " "
+  );
+}
+
+function filterLines(labels) {
+  const lines = [];
+  if (labels.alertType) lines.push(`Type: **${labels.alertType}**`);
+  if (labels.wallet) lines.push(`Wallet: ${labels.wallet}`);
+  if (labels.position) lines.push(`Position: ${labels.position}`);
+  if (labels.from || labels.to) lines.push(`Dates (UTC): ${labels.from || "…"} → ${labels.to || "…"}`);
+  return lines;
+}
+
+function fmtPct(frac) {
+  return typeof frac === "number" && Number.isFinite(frac) ? `${(frac * 100).toFixed(2)}%` : null;
+}
+
+// The key number the alert was about (alert messages only carry the protocol)
+function metricText(row) {
+  const m = row.meta;
+  const parts = [];
+  if (row.alertType === "LIQUIDATION" && fmtPct(m.liquidationBufferFrac)) {
+    parts.push(`Liquidation buffer ${fmtPct(m.liquidationBufferFrac)}`);
+  } else if (row.alertType === "REDEMPTION" && fmtPct(m.debtAheadPct)) {
+    parts.push(`Debt ahead ${fmtPct(m.debtAheadPct)}`);
+  } else if (row.alertType === "LP_RANGE" && m.currentStatus) {
+    const prev = m.prevStatus && m.prevStatus !== m.currentStatus ? `${m.prevStatus.replace(/_/g, " ")} → ` : "";
+    parts.push(`${prev}${m.currentStatus.replace(/_/g, " ")}`);
+  } else if (row.alertType === "PRICE_MOVE" && typeof m.movePct === "number") {
+    parts.push(`${m.movePct >= 0 ? "+" : ""}${m.movePct.toFixed(2)}% within ${m.windowMin} min`);
+    const buffer = fmtPct(m.kind === "LP" ? m.edgeBufferFrac : m.liquidationBufferFrac);
+    if (buffer) parts.push(`${m.kind === "LP" ? "Buffer to range edge" : "Liquidation buffer"} ${buffer}`);
+  } else if (row.alertType === "RULE" && m.ruleName) {
+    parts.push(`${m.ruleName}: ${row.message}`);
+  }
+  if (m.txHash) parts.push(`tx \`${shortenAddress(m.txHash)}\``);
+  return parts.join(" · ") || row.message || "—";
+}
+
+function historyRowField(row) {
+  const ts = unixTs(row.createdAt);
+  const typeLabel = ALERT_TYPE_LABELS[row.alertType] || row.alertType;
+  const { prevTier, newTier } = row.meta;
+
+  let tierPart = "";
+  if (newTier && prevTier && prevTier !== newTier) {
+    const trend = trendLabel(prevTier, newTier, TIER_ORDER);
+    tierPart = ` · ${tierText(prevTier)} → ${tierText(newTier, true)} ${trend.emoji}`;
+  } else if (newTier) {
+    tierPart = ` · ${tierText(newTier, true)}`;
+  }
+
+  const ack = row.ackedAt ? " · ✅ acked" : "";
+
+  return {
+    name: `${typeLabel} · ${row.phase} · ${positionLabel(row)}`.slice(0, 256),
+    value: `${ts ? `<t:${ts}:f>` : row.createdAt}${tierPart}${ack}\n${metricText(row)}`.slice(0, 1024),
+    inline: false,
+  };
+}
+
+// ---------- Renders ----------
+
+/**
+ * List page for the user's stored filters. `state` is { filter, page, labels }.
+ */
+function renderHistory({ actorId, state }) {
+  const userKey = actorId;
+  const result = queryAlertHistory(state.filter, state.page);
+  state.page = result.page;
+
+  const filters = filterLines(state.labels);
+  const embed = new EmbedBuilder()
+    .setTitle("Alert history")
+    .setColor("DarkBlue")
+    .setDescription(
+      [
+        filters.length ? filters.join("\n") : "All alerts",
+        result.total ? null : "\nNo alerts match these filters.",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .setFooter({ text: `Page ${result.page + 1}/${result.pages} · ${result.total} alert(s)` });
+
+  if (result.rows.length) embed.addFields(result.rows.map(historyRowField));
+
+  const components = [];
+  if (result.pages > 1) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`ah:page:${userKey}:${result.page - 1}`)
+          .setLabel("◀ Newer")
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(result.page === 0),
+        new ButtonBuilder()
+          .setCustomId(`ah:page:${userKey}:${result.page + 1}`)
+          .setLabel("Older ▶")
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(result.page >= result.pages - 1)
+      )
+    );
+  }
+
+  // One timeline option per position on this page
+  const seen = new Set();
+  const options = [];
+  for (const row of result.rows) {
+    const key = `${row.walletId}:${row.contractId}:${row.tokenId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    options.push({
+      label: positionLabel(row).slice(0, 100),
+      description: `Last alert: ${ALERT_TYPE_LABELS[row.alertType] || row.alertType} ${row.phase}`.slice(0, 100),
+      value: String(row.id),
+    });
+  }
+  if (options.length) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`ah:tl:${userKey}`)
+          .setPlaceholder("Open a position timeline")
+          .setMinValues(1)
+          .setMaxValues(1)
+          .addOptions(options.slice(0, 25))
+      )
+    );
+  }
+
+  return { content: "", embeds: [embed], components };
+}
+
+function timelineLine(entry) {
+  const ts = entry.at != null ? Math.floor(entry.at / 1000) : null;
+  const when = ts ? `<t:${ts}:f>` : entry.row.createdAt;
+  const typeLabel = ALERT_TYPE_LABELS[entry.alertType] || entry.alertType;
+  const ack = entry.acked ? " · ✅ acked" : "";
+  const lasted = formatDuration(entry.prevDurationMs);
+
+  if (entry.kind === "TRANSITION") {
+    const change = entry.fromTier
+      ? `${tierText(entry.fromTier)} → ${tierText(entry.toTier, true)} ${entry.trend.emoji} ${entry.trend.label}`
+      : `started at ${tierText(entry.toTier, true)}`;
+    const after = lasted && entry.fromTier ? ` · after ${lasted} in ${entry.fromTier}` : "";
+    return `${when} · ${typeLabel} ${change}${after}${ack}`;
+  }
+  if (entry.kind === "UPDATE") {
+    const { prevStatus, currentStatus } = entry.row.meta;
+    const status =
+      prevStatus && currentStatus && prevStatus !== currentStatus
+        ? ` · ${prevStatus.replace(/_/g, " ")} → ${currentStatus.replace(/_/g, " ")}`
+        : "";
+    return `${when} · ${typeLabel} update at ${tierText(entry.toTier)}${status}${ack}`;
+  }
+  if (entry.kind === "REMINDER") return `${when} · ⏰ ${typeLabel} reminder (${tierText(entry.toTier)})${ack}`;
+  if (entry.kind === "ESCALATED") return `${when} · 🚨 ${typeLabel} escalated (${tierText(entry.toTier)})${ack}`;
+  if (entry.kind === "RESOLVED") {
+    const after = lasted ? ` after ${lasted}${entry.fromTier ? ` in ${entry.fromTier}` : ""}` : "";
+    return `${when} · ✅ ${typeLabel} resolved${after}${ack}`;
+  }
+  return `${when} · 📌 ${typeLabel}${entry.phase && entry.phase !== "EVENT" ? ` ${entry.phase}` : ""}${ack}`;
+}
+
+/**
+ * Timeline of the position the alert_log row belongs to (all alert types), oldest first.
+ * Page null = last (most recent) page.
+ */
+function renderTimeline({ actorId, userId, alertLogId, page = null, withBack = false }) {
+  const userKey = actorId;
+  const anchor = getAlertLogRow(alertLogId);
+  if (!anchor || anchor.userId !== userId) return null;
+
+  const rows = getPositionAlertRows(anchor);
+  const { entries, current } = buildTierTimeline(rows);
+  const pages = Math.max(1, Math.ceil(entries.length / TIMELINE_PAGE_SIZE));
+  const p = page == null ? pages - 1 : Math.min(Math.max(0, page), pages - 1);
+  const shown = entries.slice(p * TIMELINE_PAGE_SIZE, (p + 1) * TIMELINE_PAGE_SIZE);
+
+  // Same headline/colour as the alert DMs, from the latest tier change
+  const lastChange = [...entries].reverse().find((e) => e.kind === "TRANSITION" && e.fromTier);
+  const trendText = lastChange?.trend.label;
+  const headline =
+    trendText === "Improving"
+      ? { text: "Improving", emoji: "🟢" }
+      : trendText === "Worsening"
+      ? { text: "Worsening", emoji: "🔴" }
+      : { text: "Updated", emoji: "⚪" };
+  const alertColor = headline.text === "Improving" ? "Green" : headline.text === "Worsening" ? "Red" : "Grey";
+
+  const label = rows.length ? positionLabel(rows[rows.length - 1]) : `#${shortenTroveId(anchor.tokenId)}`;
+  const lines = shown.map(timelineLine);
+  let description = `${label}\n\n${lines.join("\n") || "No alerts recorded."}`;
+  if (description.length > 4000) description = `${description.slice(0, 3990)}…`;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Alert timeline - ${headline.text} ${headline.emoji}`)
+    .setDescription(description)
+    .setColor(alertColor)
+    .setFooter({ text: `Page ${p + 1}/${pages} · ${entries.length} entr${entries.length === 1 ? "y" : "ies"} · oldest first` });
+
+  if (current.length) {
+    embed.addFields({
+      name: "Current",
+      value: current
+        .map((c) => {
+          const since = c.sinceMs != null ? ` since <t:${Math.floor(c.sinceMs / 1000)}:R>` : "";
+          return `${ALERT_TYPE_LABELS[c.alertType] || c.alertType}: ${tierText(c.tier, true)}${since}`;
+        })
+        .join("\n")
+        .slice(0, 1024),
+      inline: false,
+    });
+  }
+
+  const buttons = [];
+  if (withBack) {
+    buttons.push(
+      new ButtonBuilder().setCustomId(`ah:back:${userKey}`).setLabel("Back to list").setStyle(ButtonStyle.Primary)
+    );
+  }
+  if (pages > 1) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`ah:tlpage:${userKey}:${anchor.id}:${p - 1}`)
+        .setLabel("◀ Earlier")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(p === 0),
+      new ButtonBuilder()
+        .setCustomId(`ah:tlpage:${userKey}:${anchor.id}:${p + 1}`)
+        .setLabel("Later ▶")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(p >= pages - 1)
+    );
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: buttons.length ? [new ActionRowBuilder().addComponents(buttons)] : [],
+  };
+}
+
+// Store filters for the pager and render page 1 (called by /alert-history)
+function startHistory({ actorId, filter, labels }) {
+  const state = { filter, labels, page: 0 };
+  ahFilters.set(actorId, state);
+  return renderHistory({ actorId, state });
+}
+
+// ---------- Router ----------
+
+async function handleAlertHistoryInteraction(interaction) {
+  const isAh = typeof interaction.customId === "string" && interaction.customId.startsWith("ah:");
+  const isRelevantType = interaction.isButton?.() || interaction.isStringSelectMenu?.();
+  if (!isRelevantType || !isAh) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  const ephFlags = ephemeralFlags();
+
+  const parts = interaction.customId.split(":");
+  const action = parts[1];
+  const userKey = parts[2];
+  if (!userKey || userKey !== actorId) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const db = getDb();
+
+  try {
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+
+    if (action === "page" || action === "back") {
+      const state = ahFilters.get(actorId);
+      if (!state || state.filter.userId !== userId) {
+        await ackUpdate(interaction);
+        await replyOnce(interaction, "This history view has expired. Run `/alert-history` again.", ephFlags);
+        return true;
+      }
+      if (action === "page") state.page = Number(parts[3]) || 0;
+      await interaction.update(renderHistory({ actorId, state }));
+      return true;
+    }
+
+    if (action === "tl" || action === "tlpage") {
+      const alertLogId = Number(action === "tl" ? interaction.values?.[0] : parts[3]);
+      const page = action === "tl" ? null : Number(parts[4]) || 0;
+      const payload = Number.isInteger(alertLogId)
+        ? renderTimeline({ actorId, userId, alertLogId, page, withBack: ahFilters.has(actorId) })
+        : null;
+      if (!payload) {
+        await ackUpdate(interaction);
+        await replyOnce(interaction, "❌ This alert is no longer available.", ephFlags);
+        return true;
+      }
+      await interaction.update(payload);
+      return true;
+    }
+
+    await ackUpdate(interaction);
+    return true;
+  } catch (err) {
+    logger.error("[alert-history-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  }
+}
+
+module.exports = {
+  startHistory,
+  renderTimeline,
+  handleAlertHistoryInteraction,
+};
@@ -0,0 +1,476 @@
+// handlers/ui/alert-settings-ui.js
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  EmbedBuilder,
+} = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { prepareQueries } = require("../../db/queries");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const { shortenAddress } = require("../../utils/ethers/shortenAddress");
+const { shortenTroveId } = require("../../utils/ethers/shortenTroveId");
+const {
+  THRESHOLD_FIELDS,
+  THRESHOLD_GROUPS,
+  fieldsForGroup,
+  getEnvDefaultThresholds,
+  parseScopeKey,
+  overridesFromRow,
+  rowParamsFromOverrides,
+  hasAnyOverride,
+  resolveThresholdOverrides,
+  effectiveThresholds,
+  validateThresholds,
+} = require("../../monitoring/alertThresholds");
+
+// ===================== UI LOCK START =====================
+const AS_LOCK_TTL_MS = 2500;
+const asLocks = new Map(); // actorId -> { until:number, seq:number }
+
+function nowMs() {
+  return Date.now();
+}
+
+function acquireLock(actorId) {
+  const t = nowMs();
+  const cur = asLocks.get(actorId);
+  if (cur && cur.until > t) return null;
+
+  const next = { until: t + AS_LOCK_TTL_MS, seq: (cur?.seq || 0) + 1 };
+  asLocks.set(actorId, next);
+  return next.seq;
+}
+
+function releaseLock(actorId, seq) {
+  const cur = asLocks.get(actorId);
+  if (!cur) return;
+  if (cur.seq !== seq) return;
+  asLocks.delete(actorId);
+}
+// ====================== UI LOCK END ======================
+
+// Selected scope per user (position scope keys are too long for customIds)
+const asScopes = new Map(); // actorId -> scopeKey
+
+// ---------- ACK helpers ----------
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function ackModal(i, flags) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferReply({ flags });
+  } catch (_) {}
+}
+
+async function replyOnce(i, content, flags) {
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ content, flags });
+    } else {
+      await i.reply({ content, flags });
+    }
+  } catch (_) {}
+}
+
+// ---------- Scope helpers ----------
+
+function loadScope({ actorId, userId, q }) {
+  const parsed = parseScopeKey(asScopes.get(actorId) || "U");
+  if (!parsed || parsed.scope === "USER") return parseScopeKey("U");
+
+  const walletRow = q.selUserWalletByIdForUser.get(parsed.walletId, userId);
+  if (!walletRow) return parseScopeKey("U");
+  if (parsed.scope === "POSITION" && !q.selContractById.get(parsed.contractId)) {
+    return parseScopeKey("U");
+  }
+  return { ...parsed, walletRow };
+}
+
+function scopeLabel(scope, positions) {
+  if (scope.scope === "USER") return "All my positions (user default)";
+  const w = scope.walletRow;
+  const walletText = w ? `${w.chain_id}${w.label ? ` ${w.label}` : ""} ${shortenAddress(w.address_eip55)}` : "?";
+  if (scope.scope === "WALLET") return `Wallet: ${walletText}`;
+  const pos = (positions || []).find(
+    (p) =>
+      Number(p.wallet_id) === scope.walletId &&
+      Number(p.contract_id) === scope.contractId &&
+      String(p.token_id) === String(scope.tokenId)
+  );
+  const kind = pos?.kind || "POSITION";
+  return `${kind} ${pos?.protocol || ""} #${shortenTroveId(scope.tokenId)} (${walletText})`.replace(/\s+/g, " ");
+}
+
+// Values a blank field at this scope falls back to
+function inheritedThresholds({ scope, userId, q }) {
+  if (scope.scope === "USER") return getEnvDefaultThresholds();
+  if (scope.scope === "WALLET") {
+    return effectiveThresholds(overridesFromRow(q.selThresholdProfile.get(userId, "U")));
+  }
+  return effectiveThresholds(resolveThresholdOverrides({ userId, walletId: scope.walletId }));
+}
+
+function fmtThreshold(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return "n/a";
+  return String(Number(v.toFixed(4)));
+}
+
+// ---------- UI Components ----------
+
+function editButtonsRow({ userKey }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`as:edit:${userKey}:LIQUIDATION`)
+      .setLabel("Liquidation")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`as:edit:${userKey}:REDEMPTION`)
+      .setLabel("Redemption")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`as:edit:${userKey}:LP_RANGE`)
+      .setLabel("LP range")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`as:edit:${userKey}:PRICE_MOVE`)
+      .setLabel("Price move")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`as:edit:${userKey}:HIT_PROB`)
+      .setLabel("Hit chance")
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+function footerButtonsRow({ userKey }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`as:reset:${userKey}`)
+      .setLabel("Reset this scope")
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`as:done:${userKey}`)
+      .setLabel("Done")
+      .setStyle(ButtonStyle.Success)
+  );
+}
+
+function scopeSelectRow({ userKey, scopeKey, wallets, positions }) {
+  const options = [
+    {
+      label: "All my positions (user default)",
+      description: "Applies unless a wallet or position overrides it",
+      value: "U",
+    },
+  ];
+
+  for (const w of (wallets || []).filter((x) => x.is_enabled === 1)) {
+    options.push({
+      label: `Wallet — ${w.chain_id}${w.label ? ` — ${w.label}` : ""}`.slice(0, 100),
+      description: shortenAddress(w.address_eip55),
+      value: `W:${w.id}`,
+    });
+  }
+
+  for (const p of positions || []) {
+    options.push({
+      label: `${p.kind} — ${p.protocol} — #${shortenTroveId(p.token_id)}`.slice(0, 100),
+      description: `${p.chain_id}${p.wallet_label ? ` — ${p.wallet_label}` : ""}`.slice(0, 100),
+      value: `P:${p.wallet_id}:${p.contract_id}:${p.token_id}`,
+    });
+  }
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`as:scope:${userKey}`)
+    .setPlaceholder("Select which positions these thresholds apply to")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(
+      options
+        .filter((o) => o.value.length <= 100)
+        .slice(0, 25)
+        .map((o) => ({ ...o, default: o.value === scopeKey }))
+    );
+
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function thresholdsModal({ userKey, group, overrides, inherited }) {
+  const modal = new ModalBuilder()
+    .setCustomId(`as:modal:${userKey}:${group}`)
+    .setTitle(`${THRESHOLD_GROUPS[group]} thresholds`);
+
+  const rows = fieldsForGroup(group).map((f) => {
+    const input = new TextInputBuilder()
+      .setCustomId(f.key)
+      .setLabel(f.label)
+      .setStyle(TextInputStyle.Short)
+      .setRequired(false)
+      .setPlaceholder(`Blank = inherit (${fmtThreshold(inherited[f.key])})`);
+    if (overrides[f.key] != null) input.setValue(String(overrides[f.key]));
+    return new ActionRowBuilder().addComponents(input);
+  });
+
+  modal.addComponents(...rows);
+  return modal;
+}
+
+// ---------- Renders ----------
+
+function buildMainEmbed({ discordName, scope, positions, overrides, inherited, profiles }) {
+  const embed = new EmbedBuilder()
+    .setTitle("Alert Settings")
+    .setDescription(
+      [
+        discordName ? `User: **${discordName}**` : null,
+        `Scope: **${scopeLabel(scope, positions)}**`,
+        "",
+        "Set your own tier thresholds. Blank fields inherit from the broader scope:",
+        "position → wallet → user default → bot default.",
+      ]
+        .filter((l) => l != null)
+        .join("\n")
+    );
+
+  for (const group of Object.keys(THRESHOLD_GROUPS)) {
+    const lines = fieldsForGroup(group).map((f) => {
+      const own = overrides[f.key];
+      const value = own != null ? own : inherited[f.key];
+      const origin = own != null ? "set here" : "inherited";
+      return `• ${f.label}: **${fmtThreshold(value)}** _(${origin})_`;
+    });
+    embed.addFields({ name: THRESHOLD_GROUPS[group], value: lines.join("\n") });
+  }
+
+  if (profiles && profiles.length) {
+    const counts = { USER: 0, WALLET: 0, POSITION: 0 };
+    for (const p of profiles) counts[p.scope] = (counts[p.scope] || 0) + 1;
+    embed.addFields({
+      name: "Saved profiles",
+      value: `User: ${counts.USER} | Wallets: ${counts.WALLET} | Positions: ${counts.POSITION}`,
+    });
+  }
+
+  return embed;
+}
+
+function renderMain({ actorId, discordName, userId, q }) {
+  const scope = loadScope({ actorId, userId, q });
+  const wallets = q.selUserWallets.all(userId);
+  const positions = q.selUserSnapshotPositions.all({ userId });
+  const overrides = overridesFromRow(q.selThresholdProfile.get(userId, scope.scopeKey));
+  const inherited = inheritedThresholds({ scope, userId, q });
+  const profiles = q.selUserThresholdProfiles.all(userId);
+
+  const embed = buildMainEmbed({ discordName, scope, positions, overrides, inherited, profiles });
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [
+      editButtonsRow({ userKey: actorId }),
+      scopeSelectRow({ userKey: actorId, scopeKey: scope.scopeKey, wallets, positions }),
+      footerButtonsRow({ userKey: actorId }),
+    ],
+  };
+}
+
+// ---------- Router ----------
+
+async function handleAlertSettingsInteraction(interaction) {
+  const isAs = typeof interaction.customId === "string" && interaction.customId.startsWith("as:");
+  const isRelevantType =
+    interaction.isButton?.() || interaction.isStringSelectMenu?.() || interaction.isModalSubmit?.();
+
+  if (!isRelevantType || !isAs) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  // Decide ephemeral/public once for this interaction
+  const ephFlags = ephemeralFlags();
+
+  const parts = interaction.customId.split(":");
+  const ns = parts[0];
+  const action = parts[1];
+  if (ns !== "as") return false;
+
+  const userKey = parts[2];
+  if (!userKey || userKey !== actorId) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const seq = acquireLock(actorId);
+  if (!seq) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const db = getDb();
+  const q = prepareQueries(db);
+
+  try {
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+
+    if (!userId) {
+      await ackUpdate(interaction);
+      await replyOnce(interaction, "❌ Could not create/load your user record. Try again.", ephFlags);
+      return true;
+    }
+
+    // ---------- Modal submit ----------
+    if (interaction.isModalSubmit?.() && action === "modal") {
+      // as:modal:<userKey>:<group>
+      const group = parts[3];
+      await ackModal(interaction, ephFlags);
+
+      if (!THRESHOLD_GROUPS[group]) {
+        await replyOnce(interaction, "❌ Invalid modal state. Please run /alert-settings again.", ephFlags);
+        await interaction.editReply(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+
+      const scope = loadScope({ actorId, userId, q });
+      const current = overridesFromRow(q.selThresholdProfile.get(userId, scope.scopeKey));
+      const next = { ...current };
+      const errors = [];
+
+      for (const f of fieldsForGroup(group)) {
+        const raw = (interaction.fields.getTextInputValue(f.key) || "").trim();
+        if (!raw) {
+          delete next[f.key];
+          continue;
+        }
+        const n = Number(raw);
+        if (!Number.isFinite(n)) {
+          errors.push(`"${f.label}" must be a number (got "${raw}").`);
+          continue;
+        }
+        next[f.key] = n;
+      }
+
+      if (!errors.length) {
+        const inherited = inheritedThresholds({ scope, userId, q });
+        const effective = {};
+        for (const f of THRESHOLD_FIELDS) {
+          effective[f.key] = next[f.key] != null ? next[f.key] : inherited[f.key];
+        }
+        errors.push(...validateThresholds(effective));
+      }
+
+      if (errors.length) {
+        await replyOnce(interaction, `❌ Not saved:\n${errors.map((e) => `• ${e}`).join("\n")}`, ephFlags);
+        await interaction.editReply(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+
+      try {
+        if (hasAnyOverride(next)) {
+          q.upsertThresholdProfile.run({
+            userId,
+            scope: scope.scope,
+            scopeKey: scope.scopeKey,
+            walletId: scope.walletId,
+            contractId: scope.contractId,
+            tokenId: scope.tokenId,
+            ...rowParamsFromOverrides(next),
+          });
+        } else {
+          q.deleteThresholdProfile.run(userId, scope.scopeKey);
+        }
+        logger.info(`[alert-settings-ui] Saved ${group} thresholds userId=${userId} scope=${scope.scopeKey}`);
+      } catch (err) {
+        await replyOnce(interaction, `❌ Could not save thresholds: ${err.message}`, ephFlags);
+      }
+
+      await interaction.editReply(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+      return true;
+    }
+
+    // ---------- Buttons ----------
+    if (interaction.isButton?.()) {
+      if (action === "done") {
+        asScopes.delete(actorId);
+        await interaction.update({ content: "✅ Done.", embeds: [], components: [] });
+        return true;
+      }
+
+      if (action === "reset") {
+        const scope = loadScope({ actorId, userId, q });
+        q.deleteThresholdProfile.run(userId, scope.scopeKey);
+        await interaction.update(renderMain({ actorId, discordName, userId, q }));
+        return true;
+      }
+
+      if (action === "edit") {
+        // as:edit:<userKey>:<group>
+        const group = parts[3];
+        if (!THRESHOLD_GROUPS[group]) {
+          await ackUpdate(interaction);
+          return true;
+        }
+
+        const scope = loadScope({ actorId, userId, q });
+        const overrides = overridesFromRow(q.selThresholdProfile.get(userId, scope.scopeKey));
+        const inherited = inheritedThresholds({ scope, userId, q });
+
+        try {
+          await interaction.showModal(thresholdsModal({ userKey: actorId, group, overrides, inherited }));
+        } catch (err) {
+          await ackUpdate(interaction);
+          await replyOnce(interaction, `❌ Could not open modal: ${err.message}`, ephFlags);
+        }
+        return true;
+      }
+
+      await ackUpdate(interaction);
+      return true;
+    }
+
+    // ---------- Select menus ----------
+    if (interaction.isStringSelectMenu?.()) {
+      if (action === "scope") {
+        const picked = parseScopeKey(interaction.values?.[0]);
+        if (!picked) {
+          await replyOnce(interaction, "❌ Invalid scope selection.", ephFlags);
+          await ackUpdate(interaction);
+          return true;
+        }
+
+        asScopes.set(actorId, picked.scopeKey);
+        await interaction.update(renderMain({ actorId, discordName, userId, q }));
+        return true;
+      }
+    }
+
+    await ackUpdate(interaction);
+    return true;
+  } catch (err) {
+    logger.error("[alert-settings-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  } finally {
+    releaseLock(actorId, seq);
+  }
+}
+
+module.exports = {
+  handleAlertSettingsInteraction,
+  renderMain,
+};
@@ -0,0 +1,113 @@
+// handlers/ui/escalation-ui.js
+//
+// Accept/Decline buttons on the /escalation contact invite DM (customId esc:<accept|decline>:<inviteId>).
+// Only the invited user can answer; the owner is told the outcome by DM.
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+
+const logger = require("../../utils/logger");
+const discordDm = require("../../monitoring/notifiers/discordDm");
+const { getEscalationOwner, respondToContactInvite } = require("../../monitoring/alertEscalation");
+
+const FAIL_TEXT = {
+  not_found: "❌ This invite no longer exists.",
+  not_invited: "❌ This invite is for someone else.",
+  answered: "This invite was already answered or replaced by a newer one.",
+  expired: "⌛ This invite has expired. Ask them to run `/escalation contact` again.",
+};
+
+function buildContactInviteRows(inviteId) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`esc:accept:${inviteId}`)
+        .setLabel("Accept")
+        .setEmoji("✅")
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`esc:decline:${inviteId}`)
+        .setLabel("Decline")
+        .setStyle(ButtonStyle.Secondary)
+    ),
+  ];
+}
+
+function contactInviteText(ownerDiscordId) {
+  return (
+    `🚨 <@${ownerDiscordId}> wants you as their secondary contact for CRITICAL liquidation and redemption alerts.\n` +
+    "If they don't acknowledge such an alert after repeated reminders, I will DM it to you.\n" +
+    "Nothing is sent to you unless you accept."
+  );
+}
+
+async function notifyOwner(client, userId, content) {
+  try {
+    await discordDm.send({ client, userId, payload: { discord: { content } } });
+  } catch (err) {
+    logger.warn(`[escalation-ui] Could not DM userId=${userId}: ${err?.message || err}`);
+  }
+}
+
+async function handleEscalationInteraction(interaction) {
+  const isEsc = typeof interaction.customId === "string" && interaction.customId.startsWith("esc:");
+  if (!interaction.isButton?.() || !isEsc) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  // esc:<accept|decline>:<inviteId>
+  const [, action, rawId] = interaction.customId.split(":");
+  const inviteId = Number(rawId);
+  if ((action !== "accept" && action !== "decline") || !Number.isInteger(inviteId) || inviteId <= 0) {
+    try {
+      await interaction.deferUpdate();
+    } catch (_) {}
+    return true;
+  }
+
+  try {
+    const accept = action === "accept";
+    const result = respondToContactInvite(inviteId, actorId, accept);
+
+    if (!result.ok) {
+      // Someone else's invite: leave the message as it is for the invited user
+      if (result.reason === "not_invited") await interaction.reply({ content: FAIL_TEXT.not_invited });
+      else await interaction.update({ content: FAIL_TEXT[result.reason], components: [] });
+      return true;
+    }
+
+    const owner = getEscalationOwner(result.invite.userId);
+    const ownerMention = owner?.discordId ? `<@${owner.discordId}>` : "the requester";
+    await interaction.update({
+      content: accept
+        ? `✅ You are now ${ownerMention}'s secondary contact for CRITICAL alert escalations.`
+        : `You declined to be ${ownerMention}'s secondary contact. Nothing will be sent to you.`,
+      components: [],
+    });
+    logger.info(
+      `[escalation-ui] Contact invite ${inviteId} ${accept ? "accepted" : "declined"} by ${actorId} ` +
+        `(userId=${result.invite.userId})`
+    );
+
+    await notifyOwner(
+      interaction.client,
+      result.invite.userId,
+      accept
+        ? `✅ <@${actorId}> accepted. CRITICAL alerts you don't acknowledge are now escalated to them by DM.`
+        : `<@${actorId}> declined to be your secondary contact. Your escalation target is unchanged.`
+    );
+    return true;
+  } catch (err) {
+    logger.error("[escalation-ui] router error:", err);
+    try {
+      if (!interaction.deferred && !interaction.replied) await interaction.reply({ content: `❌ Error: ${err.message}` });
+    } catch (_) {}
+    return true;
+  }
+}
+
+module.exports = {
+  buildContactInviteRows,
+  contactInviteText,
+  handleEscalationInteraction,
+};
@@ -17,6 +17,7 @@ const { ephemeralFlags } = require("../../utils/discord/ephemerals");
 const { shortenAddress } = require("../../utils/ethers/shortenAddress");
 const { shortenTroveId } = require("../../utils/ethers/shortenTroveId");
 const { formatAddressLink, formatLpPositionLink } = require("../../utils/links");
+const { formatSpamReasons } = require("../../jobs/lpSpamClassifier");
 
 // ===================== UI LOCK START =====================
 const IG_LOCK_TTL_MS = 2500;
@@ -86,6 +87,10 @@ function mainButtonsRow({ userKey }) {
       .setCustomId(`ig:remove:${userKey}`)
       .setLabel("Remove ignore")
       .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`ig:spam:${userKey}`)
+      .setLabel("Review spam")
+      .setStyle(ButtonStyle.Secondary),
     new ButtonBuilder()
       .setCustomId(`ig:done:${userKey}`)
       .setLabel("Done")
@@ -159,6 +164,29 @@ function removeIgnoreSelectRow({ userKey, ignores }) {
   return new ActionRowBuilder().addComponents(menu);
 }
 
+function spamToggleSelectRow({ userKey, spam }) {
+  const options = (spam || []).slice(0, 25).map((r) => {
+    const hidden = r.unhide_id == null;
+    const reasons = formatSpamReasons(r.spam_reasons);
+    return {
+      label: `${hidden ? "Unhide" : "Hide again"} — ${r.chain_id} — ${r.protocol || "UNKNOWN"} #${shortenTroveId(r.token_id)}`,
+      description: `${r.wallet_label ? r.wallet_label + " " : ""}${shortenAddress(r.wallet_address)} | score ${
+        r.spam_score ?? 0
+      }${reasons ? ` (${reasons})` : ""}`.slice(0, 100),
+      value: `${r.wallet_id}:${r.contract_id}:${r.token_id}`,
+    };
+  });
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`ig:spamselect:${userKey}`)
+    .setPlaceholder("Select a flagged position to unhide / hide again")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(options);
+
+  return new ActionRowBuilder().addComponents(menu);
+}
+
 function ignoreModal({ userKey, contractId, walletId, title }) {
   const modal = new ModalBuilder()
     .setCustomId(`ig:modal:${userKey}:${contractId}:${walletId}`)
@@ -186,7 +214,7 @@ function ignoreModal({ userKey, contractId, walletId, title }) {
 
 // ---------- Renders ----------
 
-function buildMainEmbed({ discordName, ignores }) {
+function buildMainEmbed({ discordName, ignores, spam }) {
   const embed = new EmbedBuilder()
     .setTitle("Ignore Spam / Scam Positions")
     .setDescription(
@@ -200,6 +228,16 @@ function buildMainEmbed({ discordName, ignores }) {
         .join("\n")
     );
 
+  if (spam && spam.length) {
+    const hidden = spam.filter((r) => r.unhide_id == null).length;
+    embed.addFields({
+      name: "Auto-detected spam LPs",
+      value:
+        `**${hidden}** hidden, **${spam.length - hidden}** unhidden. ` +
+        "Use **Review spam** to check them.",
+    });
+  }
+
   if (!ignores || ignores.length === 0) {
     embed.addFields({ name: "Current ignores", value: "_None yet._" });
     return embed;
@@ -231,7 +269,8 @@ function buildMainEmbed({ discordName, ignores }) {
 
 function renderMain({ actorId, discordName, userId, q }) {
   const ignores = q.selUserIgnores.all(userId);
-  const embed = buildMainEmbed({ discordName, ignores });
+  const spam = q.selUserSpamLps.all(userId);
+  const embed = buildMainEmbed({ discordName, ignores, spam });
   return { content: "", embeds: [embed], components: [mainButtonsRow({ userKey: actorId })] };
 }
 
@@ -299,6 +338,52 @@ function renderRemovePick({ actorId, ignores }) {
   };
 }
 
+function renderSpamReview({ actorId, spam }) {
+  const embed = new EmbedBuilder()
+    .setTitle("Review Spam LP Positions")
+    .setDescription(
+      [
+        "LP positions the scanner flagged as spam/scam airdrops are hidden from `/my-lp`, alerts and snapshots.",
+        "Unhide a position to monitor it again, or hide it again.",
+      ].join("\n")
+    );
+
+  if (!spam || spam.length === 0) {
+    embed.addFields({ name: "Flagged positions", value: "_No flagged positions in your wallets._" });
+    return { content: "", embeds: [embed], components: [cancelRow({ userKey: actorId })] };
+  }
+
+  const lines = spam.slice(0, 15).map((r) => {
+    const state = r.unhide_id == null ? "🚫 hidden" : "👁️ unhidden";
+    const wl = r.wallet_label ? `**${r.wallet_label}** ` : "";
+    const walletLink = formatAddressLink(r.chain_id, r.wallet_address);
+    const idDisplay = formatLpPositionLink(r.protocol, r.token_id, shortenTroveId(r.token_id));
+    const reasons = formatSpamReasons(r.spam_reasons);
+    return (
+      `• ${state} ${r.chain_id} **${r.protocol || "UNKNOWN"}** | ${wl}${walletLink} | ID **${idDisplay}** | ` +
+      `score ${r.spam_score ?? 0}${reasons ? ` (${reasons})` : ""}`
+    );
+  });
+
+  let value = lines.join("\n") + (spam.length > 15 ? `\n…and ${spam.length - 15} more` : "");
+  if (value.length > 1024) value = value.slice(0, 1020) + "…";
+  embed.addFields({ name: `Flagged positions (${spam.length})`, value });
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [spamToggleSelectRow({ userKey: actorId, spam }), cancelRow({ userKey: actorId })],
+  };
+}
+
+// Snapshots drive /my-lp and /portfolio; rebuild the user's after a hide/unhide
+function refreshUserLpSnapshots(userId) {
+  const { refreshLpSnapshots } = require("../../monitoring/lpMonitor");
+  refreshLpSnapshots({ userId }).catch((err) =>
+    logger.warn(`[ignore-spam-tx-ui] LP snapshot refresh failed for userId=${userId}: ${err?.message || err}`)
+  );
+}
+
 // ---------- Router ----------
 
 async function handleIgnoreSpamTxInteraction(interaction) {
@@ -446,6 +531,12 @@ async function handleIgnoreSpamTxInteraction(interaction) {
         return true;
       }
 
+      if (action === "spam") {
+        const spam = q.selUserSpamLps.all(userId);
+        await interaction.update(renderSpamReview({ actorId, spam }));
+        return true;
+      }
+
       await ackUpdate(interaction);
       return true;
     }
@@ -530,6 +621,31 @@ async function handleIgnoreSpamTxInteraction(interaction) {
         await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
         return true;
       }
+
+      if (action === "spamselect") {
+        // value: <walletId>:<contractId>:<tokenId>
+        const [walletIdRaw, contractIdRaw, tokenId] = String(interaction.values?.[0] || "").split(":");
+        const walletId = Number(walletIdRaw);
+        const contractId = Number(contractIdRaw);
+
+        // Only positions currently flagged in this user's wallets can be toggled
+        const row = q.selUserSpamLps
+          .all(userId)
+          .find((r) => r.wallet_id === walletId && r.contract_id === contractId && r.token_id === tokenId);
+        if (!row) {
+          await interaction.update(renderSpamReview({ actorId, spam: q.selUserSpamLps.all(userId) })).catch(() => {});
+          await replyOnce(interaction, "❌ That position is no longer flagged.", ephFlags);
+          return true;
+        }
+
+        const params = { userId, walletId, contractId, tokenId };
+        if (row.unhide_id == null) q.insertSpamUnhide.run(params);
+        else q.deleteSpamUnhide.run(params);
+        refreshUserLpSnapshots(userId);
+
+        await interaction.update(renderSpamReview({ actorId, spam: q.selUserSpamLps.all(userId) })).catch(() => {});
+        return true;
+      }
     }
 
     await ackUpdate(interaction);
@@ -1,8 +1,19 @@
 // handlers/ui/index.js
 const { handleMyWalletsInteraction } = require("./my-wallets-ui");
 const { handleIgnoreSpamTxInteraction } = require("./ignore-spam-tx-ui");
+const { handleAlertSettingsInteraction } = require("./alert-settings-ui");
+const { handleAlertActionsInteraction } = require("./alert-actions-ui");
+const { handleAlertHistoryInteraction } = require("./alert-history-ui");
+const { handleEscalationInteraction } = require("./escalation-ui");
 
-const routers = [handleMyWalletsInteraction, handleIgnoreSpamTxInteraction];
+const routers = [
+  handleMyWalletsInteraction,
+  handleIgnoreSpamTxInteraction,
+  handleAlertSettingsInteraction,
+  handleAlertActionsInteraction,
+  handleAlertHistoryInteraction,
+  handleEscalationInteraction,
+];
 
 /**
  * Runs UI routers in order; first one that returns true "claims" the interaction.
@@ -17,6 +17,7 @@ const { prepareQueries } = require("../../db/queries");
 const { ephemeralFlags } = require("../../utils/discord/ephemerals");
 const { shortenAddress } = require("../../utils/ethers/shortenAddress");
 const { formatAddressLink } = require("../../utils/links");
+const { backfillWallet } = require("../../jobs/walletBackfill");
 
 // ===================== UI LOCK START =====================
 // One in-flight mw action per user. Everything else is ACKed and ignored.
@@ -361,15 +362,27 @@ async function handleMyWalletsInteraction(interaction) {
       const addressInput = interaction.fields.getTextInputValue("address");
       const labelInput = (interaction.fields.getTextInputValue("label") || "").trim() || null;
 
+      let wallet;
       try {
-        getOrCreateWalletId(db, { userId, chainId, addressInput, label: labelInput });
+        wallet = getOrCreateWalletId(db, { userId, chainId, addressInput, label: labelInput });
       } catch (err) {
         await interaction.editReply({ content: `❌ Could not save wallet: ${err.message}` }).catch(() => {});
         return true;
       }
 
+      // Discover this wallet's positions now instead of waiting for the next scan (DMs when ready)
+      backfillWallet({
+        client: interaction.client,
+        userId,
+        walletId: wallet.walletId,
+        chainId: wallet.chainId,
+        address: wallet.address_eip55,
+      });
+
       // Render the updated UI as the modal response (reliable)
-      await interaction.editReply(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+      const view = renderMain({ actorId, discordName, userId, q });
+      view.content = `🔎 Looking up positions for ${shortenAddress(wallet.address_eip55)} — you'll get a DM when they're ready.`;
+      await interaction.editReply(view).catch(() => {});
       return true;
     }
 
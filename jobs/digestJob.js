@@ -0,0 +1,37 @@
+// jobs/digestJob.js
+const cron = require("node-cron");
+const { flushAlertDigests } = require("../monitoring/quietHours");
+const logger = require("../utils/logger");
+
+// Checked every minute by default so digests go out right after a quiet window ends
+const DEFAULT_DIGEST_CRON = "* * * * *";
+
+function startDigestJob(client) {
+  const DIGEST_CRON = process.env.DIGEST_CRON || DEFAULT_DIGEST_CRON;
+
+  if (!cron.validate(DIGEST_CRON)) {
+    logger.error(`[digestJob] Invalid DIGEST_CRON: "${DIGEST_CRON}"`);
+    process.exit(1);
+  }
+
+  logger.startup(`[CRON] Using quiet-hours digest schedule: ${DIGEST_CRON}`);
+
+  let isRunning = false;
+
+  async function runOnce() {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      const sent = await flushAlertDigests(client);
+      if (sent) logger.info(`[digestJob] Sent ${sent} quiet-hours digest(s)`);
+    } catch (e) {
+      logger.error("[digestJob] Digest flush failed:", e);
+    } finally {
+      isRunning = false;
+    }
+  }
+
+  cron.schedule(DIGEST_CRON, runOnce);
+}
+
+module.exports = { startDigestJob };
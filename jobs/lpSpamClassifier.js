@@ -0,0 +1,393 @@
+// jobs/lpSpamClassifier.js
+//
+// Spam/scam LP NFT classifier, run by the scanner after each LP_NFT contract (and by the
+// wallet backfill) for tokens held by tracked wallets:
+// - issuer: the token's first indexed transfer comes from an address (not a mint) that
+//   handed out LP_SPAM_ISSUER_MIN_TOKENS+ tokens to mostly distinct recipients (airdrop)
+// - mass_mint: the first transfer's tx sent tokens to LP_SPAM_MASS_MINT_MIN+ recipients
+// - bad_token: token0/token1 is listed in LP_SPAM_TOKEN_ADDRESSES
+// - zero_value_pool: the pool does not exist or has no in-range liquidity (re-read every
+//   LP_SPAM_RECHECK_HOURS while flagged, since an empty pool can be funded later)
+// Reason weights add up to nft_tokens.spam_score; is_spam = score >= LP_SPAM_SCORE_THRESHOLD.
+// Only an admin-listed bad token flags on its own; the heuristics need at least two.
+// Flagged positions are hidden from monitoring unless the user unhides them
+// (lp_spam_unhides, via /ignore-spam-tx); the monitor cycle DMs the owners once per
+// newly hidden position (nft_tokens.spam_notified_at).
+
+const { ethers } = require("ethers");
+
+const { getDb } = require("../db");
+const discordDm = require("../monitoring/notifiers/discordDm");
+const { shortenAddress } = require("../utils/ethers/shortenAddress");
+
+const positionManagerAbi = require("../abi/positionManager.json");
+const uniswapV3FactoryAbi = require("../abi/uniswapV3Factory.json");
+const uniswapV3PoolAbi = require("../abi/uniswapV3Pool.json");
+const baseLogger = require("../utils/logger");
+const logger = baseLogger.forEnv("SCAN_DEBUG");
+
+function numberEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const LP_SPAM_SCORE_THRESHOLD = numberEnv("LP_SPAM_SCORE_THRESHOLD", 60);
+const LP_SPAM_ISSUER_MIN_TOKENS = numberEnv("LP_SPAM_ISSUER_MIN_TOKENS", 25);
+const LP_SPAM_MASS_MINT_MIN = numberEnv("LP_SPAM_MASS_MINT_MIN", 10);
+const LP_SPAM_RECHECK_HOURS = numberEnv("LP_SPAM_RECHECK_HOURS", 24);
+const LP_SPAM_TOKEN_ADDRESSES = new Set(
+  String(process.env.LP_SPAM_TOKEN_ADDRESSES || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+// Any two heuristics but mass_mint + zero_value_pool reach the default threshold
+const REASON_WEIGHTS = {
+  issuer: 40,
+  mass_mint: 30,
+  bad_token: 100,
+  zero_value_pool: 25,
+};
+
+const REASON_LABELS = {
+  issuer: "airdrop issuer",
+  mass_mint: "mass mint",
+  bad_token: "known-bad token",
+  zero_value_pool: "zero-value pool",
+};
+
+const BURN_ADDRS = ["0x0000000000000000000000000000000000000000", "0x000000000000000000000000000000000000dead"];
+
+// Airdrops go to many wallets; a holder moving its own positions goes to a few
+const ISSUER_MIN_DISTINCT_TO_RATIO = 0.5;
+
+function parseReasons(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => REASON_WEIGHTS[s] != null);
+}
+
+function formatSpamReasons(raw) {
+  return parseReasons(raw)
+    .map((r) => REASON_LABELS[r] || r)
+    .join(", ");
+}
+
+function scoreReasons(reasons) {
+  return reasons.reduce((sum, r) => sum + (REASON_WEIGHTS[r] || 0), 0);
+}
+
+// Unburned tokens of the contract held by an enabled tracked wallet (optionally one owner)
+function selectCandidates(db, contractId, ownerLower) {
+  return db
+    .prepare(
+      `
+      SELECT DISTINCT
+        nt.token_id       AS tokenId,
+        nt.spam_reasons   AS spamReasons,
+        nt.spam_checked_at AS spamCheckedAt,
+        (julianday('now') - julianday(nt.spam_checked_at)) * 24 >= ? AS recheckDue,
+        lpm.token0_lower  AS token0,
+        lpm.token1_lower  AS token1
+      FROM nft_tokens nt
+      JOIN contracts c
+        ON c.id = nt.contract_id
+      JOIN user_wallets uw
+        ON uw.chain_id = c.chain_id
+       AND uw.address_lower = nt.owner_lower
+       AND uw.is_enabled = 1
+      LEFT JOIN lp_token_meta lpm
+        ON lpm.contract_id = nt.contract_id
+       AND lpm.token_id    = nt.token_id
+      WHERE nt.contract_id = ?
+        AND nt.is_burned = 0
+        AND (? IS NULL OR nt.owner_lower = ?)
+    `
+    )
+    .all(LP_SPAM_RECHECK_HOURS, contractId, ownerLower, ownerLower);
+}
+
+function prepareTransferSignals(db) {
+  const firstTransfer = db.prepare(`
+    SELECT from_lower, tx_hash
+    FROM nft_transfers
+    WHERE contract_id = ? AND token_id = ?
+    ORDER BY block_number ASC, log_index ASC
+    LIMIT 1
+  `);
+  const issuerStats = db.prepare(`
+    SELECT COUNT(DISTINCT token_id) AS tokens, COUNT(DISTINCT to_lower) AS recipients
+    FROM nft_transfers
+    WHERE contract_id = ? AND from_lower = ?
+  `);
+  const txRecipients = db.prepare(`
+    SELECT COUNT(DISTINCT to_lower) AS recipients
+    FROM nft_transfers
+    WHERE contract_id = ? AND tx_hash = ?
+  `);
+
+  const issuerCache = new Map();
+  const txCache = new Map();
+
+  return (contractId, tokenId) => {
+    const reasons = [];
+    const first = firstTransfer.get(contractId, tokenId);
+    if (!first) return reasons;
+
+    if (!BURN_ADDRS.includes(first.from_lower)) {
+      if (!issuerCache.has(first.from_lower)) {
+        issuerCache.set(first.from_lower, issuerStats.get(contractId, first.from_lower));
+      }
+      const s = issuerCache.get(first.from_lower);
+      if (s.tokens >= LP_SPAM_ISSUER_MIN_TOKENS && s.recipients / s.tokens >= ISSUER_MIN_DISTINCT_TO_RATIO) {
+        reasons.push("issuer");
+      }
+    }
+
+    if (!txCache.has(first.tx_hash)) {
+      txCache.set(first.tx_hash, txRecipients.get(contractId, first.tx_hash).recipients);
+    }
+    if (txCache.get(first.tx_hash) >= LP_SPAM_MASS_MINT_MIN) reasons.push("mass_mint");
+
+    return reasons;
+  };
+}
+
+// One positions() read per token: stores token0/token1 in lp_token_meta and checks the pool
+async function readPositionSignals(provider, pm, getFactory, tokenId) {
+  const pos = await pm.positions(BigInt(tokenId));
+  const token0 = String(pos.token0).toLowerCase();
+  const token1 = String(pos.token1).toLowerCase();
+
+  let zeroValuePool = false;
+  const factory = await getFactory();
+  if (factory) {
+    const poolAddr = await factory.getPool(pos.token0, pos.token1, pos.fee);
+    if (!poolAddr || poolAddr === ethers.ZeroAddress) {
+      zeroValuePool = true;
+    } else {
+      const pool = new ethers.Contract(poolAddr, uniswapV3PoolAbi, provider);
+      zeroValuePool = BigInt(await pool.liquidity()) === 0n;
+    }
+  }
+
+  return {
+    token0,
+    token1,
+    fee: Number(pos.fee),
+    tickLower: Number(pos.tickLower),
+    tickUpper: Number(pos.tickUpper),
+    zeroValuePool,
+  };
+}
+
+/**
+ * Score the tracked tokens of one LP_NFT contract and store the result on nft_tokens.
+ * Transfer-based signals are recomputed every run (issuer counts grow as the scan
+ * proceeds); the pool check runs once per token, and again every LP_SPAM_RECHECK_HOURS
+ * while the pool was last seen empty.
+ *
+ * @param {import("better-sqlite3").Database} db
+ * @param {import("ethers").Provider} provider
+ * @param {{ contract_id: number, kind: string, contract_key: string, address_eip55: string }} c
+ * @param {{ ownerLower?: string|null }} [opts] - only tokens of this owner (wallet backfill)
+ * @returns {Promise<{ checked: number, flagged: number }>}
+ */
+async function classifyLpSpam(db, provider, c, { ownerLower = null } = {}) {
+  if (c.kind !== "LP_NFT") return { checked: 0, flagged: 0 };
+
+  const candidates = selectCandidates(db, c.contract_id, ownerLower);
+  if (!candidates.length) return { checked: 0, flagged: 0 };
+
+  const transferSignals = prepareTransferSignals(db);
+  const pm = new ethers.Contract(c.address_eip55, positionManagerAbi, provider);
+  let factoryPromise = null;
+  const getFactory = () => {
+    if (!factoryPromise) {
+      factoryPromise = pm
+        .factory()
+        .then((addr) =>
+          addr && addr !== ethers.ZeroAddress ? new ethers.Contract(addr, uniswapV3FactoryAbi, provider) : null
+        )
+        .catch(() => null);
+    }
+    return factoryPromise;
+  };
+
+  const upsertMeta = db.prepare(`
+    INSERT INTO lp_token_meta (contract_id, token_id, token0_lower, token1_lower, fee, tick_lower, tick_upper, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(contract_id, token_id) DO UPDATE SET
+      token0_lower = excluded.token0_lower,
+      token1_lower = excluded.token1_lower,
+      fee          = excluded.fee,
+      tick_lower   = excluded.tick_lower,
+      tick_upper   = excluded.tick_upper,
+      updated_at   = datetime('now')
+  `);
+  const updateToken = db.prepare(`
+    UPDATE nft_tokens
+    SET spam_score = ?, spam_reasons = ?, is_spam = ?,
+        spam_checked_at = CASE WHEN ? = 1 THEN datetime('now') ELSE spam_checked_at END,
+        spam_notified_at = CASE WHEN ? = 1 THEN spam_notified_at ELSE NULL END
+    WHERE contract_id = ? AND token_id = ?
+  `);
+
+  let checked = 0;
+  let flagged = 0;
+  for (const t of candidates) {
+    const reasons = transferSignals(c.contract_id, t.tokenId);
+    const prevZeroValuePool = parseReasons(t.spamReasons).includes("zero_value_pool");
+    let { token0, token1 } = t;
+    let positionRead = false;
+
+    if (!t.spamCheckedAt || !token0 || (prevZeroValuePool && t.recheckDue)) {
+      try {
+        const p = await readPositionSignals(provider, pm, getFactory, t.tokenId);
+        upsertMeta.run(c.contract_id, t.tokenId, p.token0, p.token1, p.fee, p.tickLower, p.tickUpper);
+        token0 = p.token0;
+        token1 = p.token1;
+        positionRead = true;
+        if (p.zeroValuePool) reasons.push("zero_value_pool");
+      } catch (err) {
+        // spam_checked_at stays as it was, so the read is retried next run
+        logger.debug(`  [lpSpam] ${c.contract_key} #${t.tokenId} position read failed: ${err?.message || err}`);
+        if (prevZeroValuePool) reasons.push("zero_value_pool");
+      }
+    } else if (prevZeroValuePool) {
+      reasons.push("zero_value_pool");
+    }
+
+    if (LP_SPAM_TOKEN_ADDRESSES.has(token0) || LP_SPAM_TOKEN_ADDRESSES.has(token1)) reasons.push("bad_token");
+
+    const score = scoreReasons(reasons);
+    const isSpam = score >= LP_SPAM_SCORE_THRESHOLD;
+    const spamFlag = isSpam ? 1 : 0;
+    updateToken.run(score, reasons.join(",") || null, spamFlag, positionRead ? 1 : 0, spamFlag, c.contract_id, t.tokenId);
+    checked += 1;
+    if (isSpam) flagged += 1;
+  }
+
+  if (flagged) logger.info(`  🚫 ${c.contract_key}: ${flagged} of ${checked} tracked LP token(s) flagged as spam`);
+  return { checked, flagged };
+}
+
+// Flagged, still-held tokens of a user's enabled wallets that the user has not unhidden
+const HIDDEN_SPAM_FROM = `
+  FROM nft_tokens nt
+  JOIN contracts c
+    ON c.id = nt.contract_id
+   AND c.kind = 'LP_NFT'
+   AND c.is_enabled = 1
+  JOIN user_wallets uw
+    ON uw.chain_id = c.chain_id
+   AND uw.address_lower = nt.owner_lower
+   AND uw.is_enabled = 1
+  LEFT JOIN lp_spam_unhides su
+    ON su.user_id     = uw.user_id
+   AND su.wallet_id   = uw.id
+   AND su.contract_id = c.id
+   AND su.token_id    = nt.token_id
+  WHERE nt.is_spam = 1
+    AND nt.is_burned = 0
+    AND su.id IS NULL
+`;
+
+const MAX_NOTICE_LINES = 10;
+
+function countHiddenSpam(db, userId) {
+  return db.prepare(`SELECT COUNT(*) AS n ${HIDDEN_SPAM_FROM} AND uw.user_id = ?`).get(userId).n;
+}
+
+// Mark a wallet's flagged tokens as already reported (the wallet backfill DM counts them)
+function markSpamNotified(db, chainId, ownerLower) {
+  db.prepare(
+    `
+    UPDATE nft_tokens
+    SET spam_notified_at = datetime('now')
+    WHERE is_spam = 1
+      AND spam_notified_at IS NULL
+      AND owner_lower = ?
+      AND contract_id IN (SELECT id FROM contracts WHERE chain_id = ? AND kind = 'LP_NFT')
+  `
+  ).run(ownerLower, chainId);
+}
+
+/**
+ * DM each user the LP positions newly hidden as spam, once per token. Run from the
+ * monitor cycle so positions flagged by the CLI scanner are reported too.
+ *
+ * @param {import("discord.js").Client} client
+ * @returns {Promise<{ users: number, tokens: number }>}
+ */
+async function notifyHiddenSpamPositions(client) {
+  const db = getDb();
+  const rows = db
+    .prepare(
+      `
+      SELECT
+        uw.user_id       AS userId,
+        uw.chain_id      AS chainId,
+        uw.address_eip55 AS address,
+        c.id             AS contractId,
+        c.contract_key   AS contractKey,
+        nt.token_id      AS tokenId,
+        nt.spam_reasons  AS spamReasons
+      ${HIDDEN_SPAM_FROM}
+        AND nt.spam_notified_at IS NULL
+      ORDER BY uw.user_id, c.contract_key, CAST(nt.token_id AS INTEGER)
+    `
+    )
+    .all();
+  if (!rows.length) return { users: 0, tokens: 0 };
+
+  const byUser = new Map();
+  for (const r of rows) {
+    if (!byUser.has(r.userId)) byUser.set(r.userId, []);
+    byUser.get(r.userId).push(r);
+  }
+
+  for (const [userId, list] of byUser) {
+    const lines = [
+      `🚫 ${list.length} of your LP position(s) look like spam and are now hidden from \`/my-lp\`, alerts and snapshots:`,
+      ...list
+        .slice(0, MAX_NOTICE_LINES)
+        .map(
+          (r) =>
+            `• ${r.chainId} ${r.contractKey} #${r.tokenId} (${shortenAddress(r.address)}) — ` +
+            (formatSpamReasons(r.spamReasons) || "flagged")
+        ),
+      list.length > MAX_NOTICE_LINES ? `…and ${list.length - MAX_NOTICE_LINES} more.` : null,
+      "If one of them is yours, unhide it with `/ignore-spam-tx` → **Review spam**.",
+    ];
+    try {
+      await discordDm.send({ client, userId, payload: { discord: { content: lines.filter(Boolean).join("\n") } } });
+    } catch (err) {
+      baseLogger.warn(`[lpSpam] Could not DM userId=${userId} about hidden spam: ${err?.message || err}`);
+    }
+  }
+
+  // Once per token, delivered or not: /my-lp keeps showing the hidden count
+  const markNotified = db.prepare(`
+    UPDATE nft_tokens SET spam_notified_at = datetime('now') WHERE contract_id = ? AND token_id = ?
+  `);
+  db.transaction(() => {
+    for (const r of rows) markNotified.run(r.contractId, r.tokenId);
+  })();
+
+  baseLogger.info(`[lpSpam] Hidden-spam notice sent for ${rows.length} token(s) to ${byUser.size} user(s)`);
+  return { users: byUser.size, tokens: rows.length };
+}
+
+module.exports = {
+  LP_SPAM_SCORE_THRESHOLD,
+  classifyLpSpam,
+  formatSpamReasons,
+  countHiddenSpam,
+  markSpamNotified,
+  notifyHiddenSpamPositions,
+};
@@ -2,6 +2,10 @@
 const cron = require("node-cron");
 const { monitorLoans } = require("../monitoring/loanMonitor");
 const { monitorLPs } = require("../monitoring/lpMonitor");
+const { monitorTroveEvents } = require("../monitoring/troveEvents");
+const { runAlertEscalations } = require("../monitoring/alertEngine");
+const { evaluateAlertRules } = require("../monitoring/alertRules");
+const { notifyHiddenSpamPositions } = require("./lpSpamClassifier");
 
 const logger = require("../utils/logger");
 
@@ -14,7 +18,7 @@ function mustEnv(name) {
   return v;
 }
 
-function startMonitoringJob() {
+function startMonitoringJob(client) {
   const CRON_SCHED = mustEnv("CRON_SCHED");
 
   if (!cron.validate(CRON_SCHED)) {
@@ -38,7 +42,11 @@ function startMonitoringJob() {
 
     try {
       await monitorLoans();
+      await monitorTroveEvents();
       await monitorLPs();
+      await notifyHiddenSpamPositions(client);
+      await evaluateAlertRules();
+      await runAlertEscalations();
     } catch (e) {
       logger.error(`❌ ${label} failed:`, e);
     } finally {
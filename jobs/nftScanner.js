@@ -0,0 +1,633 @@
+// jobs/nftScanner.js
+//
+// NFT Transfer scanner shared by the scan job:
+// - scans Transfer logs per contract in windows, with SCAN_OVERLAP_BLOCKS re-scan
+// - keeps nft_transfers (raw log) and nft_tokens (current owner) in sync
+// - stores block hashes (scan_block_hashes) for blocks with transfers + the scanned head;
+//   each run re-checks the overlap tail and, on a hash mismatch (reorg), deletes
+//   transfers from the first reorged block, recomputes nft_tokens for the affected
+//   tokens and rewinds the cursor so the window is scanned again
+// - LP_NFT contracts: the same windows also pick up NonfungiblePositionManager
+//   IncreaseLiquidity / DecreaseLiquidity / Collect logs into lp_liquidity_events
+// - decodeScanLogs / prepareLogApply are shared with the WebSocket listener (jobs/transferListener.js)
+
+const { ethers } = require("ethers");
+
+const positionManagerAbi = require("../abi/positionManager.json");
+const baseLogger = require("../utils/logger");
+const logger = baseLogger.forEnv("SCAN_DEBUG");
+const { sleep } = require("../utils/sleep");
+
+function log(...a) {
+  logger.info(...a);
+}
+function vlog(...a) {
+  logger.debug(...a);
+}
+
+// =========================================================
+// CONSTANTS
+// =========================================================
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+const pmIface = new ethers.Interface(positionManagerAbi);
+const LP_EVENT_TYPES = {
+  [pmIface.getEvent("IncreaseLiquidity").topicHash]: "INCREASE",
+  [pmIface.getEvent("DecreaseLiquidity").topicHash]: "DECREASE",
+  [pmIface.getEvent("Collect").topicHash]: "COLLECT",
+};
+const BURN_ADDRS = new Set([
+  "0x0000000000000000000000000000000000000000",
+  "0x000000000000000000000000000000000000dead",
+]);
+
+// =========================================================
+// UTILS
+// =========================================================
+function parseRetryAfterMs(err) {
+  const msg = String(err?.message || "");
+  const m = msg.match(/retry in\s+(\d+)\s*s/i);
+  if (!m) return null;
+  const sec = Number(m[1]);
+  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : null;
+}
+
+function isRateLimitError(err) {
+  const msg = String(err?.message || "").toLowerCase();
+  return (
+    msg.includes("rate limit") ||
+    msg.includes("too many requests") ||
+    msg.includes("-32090")
+  );
+}
+
+async function getLogsWithRetry(provider, filter, { maxAttempts = 6 } = {}) {
+  let attempt = 0;
+  let backoffMs = 750;
+
+  while (attempt < maxAttempts) {
+    attempt++;
+    try {
+      return { ok: true, logs: await provider.getLogs(filter) };
+    } catch (err) {
+      const retryAfter = parseRetryAfterMs(err);
+      const shouldRetry = isRateLimitError(err) || retryAfter != null;
+
+      logger.warn(
+        `      ❌ getLogs failed (attempt ${attempt}/${maxAttempts}): ${err.message}`
+      );
+
+      if (!shouldRetry || attempt >= maxAttempts) {
+        return { ok: false, error: err };
+      }
+
+      await sleep(retryAfter ?? backoffMs);
+      backoffMs = Math.min(backoffMs * 2, 10000);
+    }
+  }
+
+  return { ok: false, error: new Error("exhausted retries") };
+}
+
+function addressFromTopic(t) {
+  // topic is 32-byte right-padded hex; address is last 20 bytes
+  return ethers.getAddress("0x" + t.slice(26));
+}
+function tokenIdFromTopic(t) {
+  return BigInt(t).toString();
+}
+function isBurn(addrLower) {
+  return BURN_ADDRS.has(addrLower);
+}
+
+/**
+ * FIX #3: Ensure we ALWAYS use a stable, real log index.
+ * - ethers v6: lg.index is a number
+ * - some RPCs: lg.logIndex can be number or hex string
+ * If neither is available, we skip the log to avoid collisions with UNIQUE(contract_id, tx_hash, log_index).
+ */
+function getStableLogIndex(lg) {
+  if (Number.isInteger(lg?.index) && lg.index >= 0) return lg.index;
+
+  const li = lg?.logIndex;
+  if (typeof li === "number" && Number.isInteger(li) && li >= 0) return li;
+
+  if (typeof li === "string") {
+    const n = li.startsWith("0x")
+      ? Number.parseInt(li, 16)
+      : Number.parseInt(li, 10);
+    if (Number.isInteger(n) && n >= 0) return n;
+  }
+
+  return null;
+}
+
+
+// IncreaseLiquidity / DecreaseLiquidity / Collect log -> lp_liquidity_events row (null if unusable)
+function decodeLpEvent(lg, eventType) {
+  const li = getStableLogIndex(lg);
+  if (li == null || !lg.transactionHash) return null;
+  let parsed;
+  try {
+    parsed = pmIface.parseLog(lg);
+  } catch (_) {
+    return null;
+  }
+  if (!parsed) return null;
+  return {
+    eventType,
+    tokenId: parsed.args.tokenId.toString(),
+    blockNumber: lg.blockNumber,
+    txHash: lg.transactionHash,
+    logIndex: li,
+    liquidity: eventType === "COLLECT" ? null : parsed.args.liquidity.toString(),
+    amount0Raw: parsed.args.amount0.toString(),
+    amount1Raw: parsed.args.amount1.toString(),
+    recipientLower: eventType === "COLLECT" ? parsed.args.recipient.toLowerCase() : null,
+  };
+}
+
+// =========================================================
+// CURSOR
+// =========================================================
+function ensureCursor(db, contractId, startBlock) {
+  db.prepare(`
+    INSERT INTO contract_scan_cursors (contract_id, start_block, last_scanned_block)
+    VALUES (?, ?, 0)
+    ON CONFLICT(contract_id) DO NOTHING
+  `).run(contractId, startBlock);
+}
+
+/**
+ * FIX #2: Do NOT set updated_at manually when you have an AFTER UPDATE trigger.
+ * Let trg_contract_scan_cursors_updated_at handle updated_at.
+ */
+function updateCursor(db, contractId, lastBlock) {
+  db.prepare(`
+    UPDATE contract_scan_cursors
+    SET last_scanned_block = ?, last_scanned_at = datetime('now')
+    WHERE contract_id = ?
+  `).run(lastBlock, contractId);
+}
+
+// First block covered by LP event indexing (positions minted earlier have partial history)
+function markLpEventsFrom(db, contractId, fromBlock) {
+  db.prepare(`
+    UPDATE contract_scan_cursors
+    SET lp_events_from_block = ?
+    WHERE contract_id = ? AND lp_events_from_block IS NULL
+  `).run(fromBlock, contractId);
+}
+
+// =========================================================
+// REORG DETECTION
+// =========================================================
+function recordBlockHash(db, contractId, blockNumber, blockHash) {
+  db.prepare(`
+    INSERT INTO scan_block_hashes (contract_id, block_number, block_hash)
+    VALUES (?, ?, ?)
+    ON CONFLICT(contract_id, block_number) DO UPDATE SET
+      block_hash = excluded.block_hash,
+      recorded_at = datetime('now')
+  `).run(contractId, blockNumber, String(blockHash).toLowerCase());
+}
+
+function pruneBlockHashes(db, contractId, belowBlock) {
+  db.prepare(`
+    DELETE FROM scan_block_hashes
+    WHERE contract_id = ? AND block_number < ?
+  `).run(contractId, belowBlock);
+}
+
+/**
+ * Compare stored hashes from `fromBlock` upwards against the chain.
+ * Returns the first block whose hash changed, or null.
+ */
+async function findReorgedBlock(db, provider, contractId, fromBlock) {
+  const rows = db
+    .prepare(
+      `
+    SELECT block_number, block_hash
+    FROM scan_block_hashes
+    WHERE contract_id = ? AND block_number >= ?
+    ORDER BY block_number ASC
+  `
+    )
+    .all(contractId, Math.max(0, fromBlock));
+
+  for (const row of rows) {
+    const blk = await provider.getBlock(row.block_number);
+    // Missing block = endpoint behind our head (failover), not a reorg; can't verify further
+    if (!blk?.hash) {
+      vlog(`  block ${row.block_number}: not available from RPC, stopping reorg check`);
+      return null;
+    }
+    const hash = String(blk.hash).toLowerCase();
+    if (hash !== row.block_hash) {
+      vlog(`  block ${row.block_number}: stored=${row.block_hash} chain=${hash}`);
+      return row.block_number;
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop everything learned from `fromBlock` onwards and rebuild ownership for the
+ * affected tokens from the remaining transfers. Tokens with no transfers left
+ * (minted in the orphaned blocks) are removed.
+ */
+function rollbackFromBlock(db, contractId, fromBlock) {
+  const tx = db.transaction(() => {
+    const tokenIds = db
+      .prepare(
+        `
+      SELECT DISTINCT token_id
+      FROM nft_transfers
+      WHERE contract_id = ? AND block_number >= ?
+    `
+      )
+      .all(contractId, fromBlock)
+      .map((r) => r.token_id);
+
+    const removed = db
+      .prepare(`DELETE FROM nft_transfers WHERE contract_id = ? AND block_number >= ?`)
+      .run(contractId, fromBlock).changes;
+    const lpEventsRemoved = db
+      .prepare(`DELETE FROM lp_liquidity_events WHERE contract_id = ? AND block_number >= ?`)
+      .run(contractId, fromBlock).changes;
+
+    const selLatest = db.prepare(`
+      SELECT block_number, tx_hash, log_index, to_lower, to_eip55
+      FROM nft_transfers
+      WHERE contract_id = ? AND token_id = ?
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT 1
+    `);
+    const selFirst = db.prepare(`
+      SELECT MIN(block_number) AS first_block
+      FROM nft_transfers
+      WHERE contract_id = ? AND token_id = ?
+    `);
+    const updToken = db.prepare(`
+      UPDATE nft_tokens
+      SET owner_lower = ?, owner_eip55 = ?, is_burned = ?,
+          last_block = ?, last_tx_hash = ?, last_log_index = ?,
+          first_seen_block = ?, updated_at = datetime('now')
+      WHERE contract_id = ? AND token_id = ?
+    `);
+    const delToken = db.prepare(`DELETE FROM nft_tokens WHERE contract_id = ? AND token_id = ?`);
+
+    for (const tokenId of tokenIds) {
+      const latest = selLatest.get(contractId, tokenId);
+      if (!latest) {
+        delToken.run(contractId, tokenId);
+        continue;
+      }
+      updToken.run(
+        latest.to_lower,
+        latest.to_eip55,
+        isBurn(latest.to_lower) ? 1 : 0,
+        latest.block_number,
+        latest.tx_hash,
+        latest.log_index,
+        selFirst.get(contractId, tokenId).first_block,
+        contractId,
+        tokenId
+      );
+    }
+
+    db.prepare(`DELETE FROM scan_block_hashes WHERE contract_id = ? AND block_number >= ?`).run(
+      contractId,
+      fromBlock
+    );
+
+    const cur = db
+      .prepare(`SELECT start_block, last_scanned_block FROM contract_scan_cursors WHERE contract_id = ?`)
+      .get(contractId);
+    // Never moves forward: live (listener) logs can sit above the scanned range
+    const cursor = Math.min(cur?.last_scanned_block ?? 0, Math.max(cur?.start_block || 0, fromBlock - 1, 0));
+    updateCursor(db, contractId, cursor);
+
+    return { transfers: removed, lpEvents: lpEventsRemoved, tokens: tokenIds.length, cursor };
+  });
+  return tx();
+}
+
+// =========================================================
+// LOG DECODE / APPLY (shared with the WebSocket listener)
+// =========================================================
+// LP_NFT contracts also index the position manager's liquidity/collect events
+function scanTopicsFor(c) {
+  return c.kind === "LP_NFT" ? [[TRANSFER_TOPIC, ...Object.keys(LP_EVENT_TYPES)]] : [TRANSFER_TOPIC];
+}
+
+/**
+ * Split raw logs into Transfer rows, LP event rows and the block hashes they came from.
+ * @returns {{ events: Object[], lpEvents: Object[], hashes: Map<number, string>, skippedNoIndex: number }}
+ */
+function decodeScanLogs(logs, { withLpEvents = false } = {}) {
+  const events = [];
+  const lpEvents = [];
+  const hashes = new Map(); // blockNumber -> blockHash (blocks with transfers / LP events)
+  let skippedNoIndex = 0;
+
+  for (const lg of logs) {
+    // Some RPCs return logs already flagged as reorged out
+    if (lg.removed) continue;
+    const lpEventType = withLpEvents ? LP_EVENT_TYPES[lg.topics?.[0]] : null;
+    if (lpEventType) {
+      const lpEvent = decodeLpEvent(lg, lpEventType);
+      if (!lpEvent) {
+        skippedNoIndex++;
+        continue;
+      }
+      if (lg.blockHash) hashes.set(lg.blockNumber, lg.blockHash);
+      lpEvents.push(lpEvent);
+      continue;
+    }
+    if (!lg.topics || lg.topics.length < 4) continue;
+
+    const li = getStableLogIndex(lg);
+    if (li == null) {
+      skippedNoIndex++;
+      continue;
+    }
+
+    // ethers v6 logs should always include these, but guard anyway
+    const txHash = lg.transactionHash;
+    if (!txHash) continue;
+
+    const from = addressFromTopic(lg.topics[1]);
+    const to = addressFromTopic(lg.topics[2]);
+
+    const toLower = to.toLowerCase();
+    if (lg.blockHash) hashes.set(lg.blockNumber, lg.blockHash);
+    events.push({
+      blockNumber: lg.blockNumber,
+      txHash,
+      logIndex: li,
+      fromLower: from.toLowerCase(),
+      fromEip55: from,
+      toLower,
+      toEip55: to,
+      tokenId: tokenIdFromTopic(lg.topics[3]),
+      isBurned: isBurn(toLower),
+    });
+  }
+
+  return { events, lpEvents, hashes, skippedNoIndex };
+}
+
+/**
+ * Transaction that writes decodeScanLogs() output for one contract: block hashes,
+ * lp_liquidity_events, nft_transfers and the "newer block wins" nft_tokens upsert.
+ */
+function prepareLogApply(db, contractId) {
+  /**
+   * FIX #5: Don't swallow insert errors.
+   * Use ON CONFLICT DO NOTHING for the expected duplicates from overlap scans.
+   * Any other DB error will throw and stop the job (good).
+   */
+  const insertTransfer = db.prepare(`
+    INSERT INTO nft_transfers (
+      contract_id, block_number, tx_hash, log_index,
+      from_lower, from_eip55, to_lower, to_eip55, token_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(contract_id, tx_hash, log_index) DO NOTHING
+  `);
+
+  const upsertToken = db.prepare(`
+    INSERT INTO nft_tokens (
+      contract_id, token_id,
+      owner_lower, owner_eip55,
+      is_burned,
+      last_block, last_tx_hash, last_log_index,
+      first_seen_block, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(contract_id, token_id) DO UPDATE SET
+      owner_lower = excluded.owner_lower,
+      owner_eip55 = excluded.owner_eip55,
+      is_burned   = excluded.is_burned,
+      last_block  = excluded.last_block,
+      last_tx_hash= excluded.last_tx_hash,
+      last_log_index = excluded.last_log_index,
+      updated_at = datetime('now')
+    WHERE
+      nft_tokens.last_block IS NULL
+      OR excluded.last_block > nft_tokens.last_block
+      OR (
+        excluded.last_block = nft_tokens.last_block
+        AND excluded.last_log_index > nft_tokens.last_log_index
+      )
+  `);
+
+  const insertLpEvent = db.prepare(`
+    INSERT INTO lp_liquidity_events (
+      contract_id, token_id, event_type, block_number, tx_hash, log_index,
+      liquidity, amount0_raw, amount1_raw, recipient_lower
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(contract_id, tx_hash, log_index) DO NOTHING
+  `);
+
+  const txApply = db.transaction(({ events, hashes, lpEvents }) => {
+    for (const [blockNumber, blockHash] of hashes) recordBlockHash(db, contractId, blockNumber, blockHash);
+    for (const e of lpEvents) {
+      insertLpEvent.run(
+        contractId,
+        e.tokenId,
+        e.eventType,
+        e.blockNumber,
+        e.txHash,
+        e.logIndex,
+        e.liquidity,
+        e.amount0Raw,
+        e.amount1Raw,
+        e.recipientLower
+      );
+    }
+    for (const e of events) {
+      // duplicates are handled by ON CONFLICT DO NOTHING; other DB issues throw (good)
+      insertTransfer.run(
+        contractId,
+        e.blockNumber,
+        e.txHash,
+        e.logIndex,
+        e.fromLower,
+        e.fromEip55,
+        e.toLower,
+        e.toEip55,
+        e.tokenId
+      );
+
+      // upsert is expected to always succeed; if it doesn't, fail loudly
+      upsertToken.run(
+        contractId,
+        e.tokenId,
+        e.toLower,
+        e.toEip55,
+        e.isBurned ? 1 : 0,
+        e.blockNumber,
+        e.txHash,
+        e.logIndex,
+        e.blockNumber
+      );
+    }
+  });
+
+  return (decoded) => txApply(decoded);
+}
+
+// =========================================================
+// SCAN
+// =========================================================
+/**
+ * Scan one contract from its cursor to the chain head.
+ * `signal` (AbortSignal) stops after the current window; the cursor keeps what was scanned.
+ * `onProgress({ fromBlock, latestBlock, scannedTo })` fires at start and after each window.
+ *
+ * @returns {Promise<{ fromBlock:number, latestBlock:number, scannedTo:number, cancelled:boolean }>}
+ */
+async function scanContract(db, provider, c, { overlapBlocks, maxBlocks, pauseMs, signal = null, onProgress = null }) {
+  ensureCursor(db, c.contract_id, c.default_start_block);
+
+  const cursor = db
+    .prepare(
+      `
+    SELECT start_block, last_scanned_block
+    FROM contract_scan_cursors
+    WHERE contract_id = ?
+  `
+    )
+    .get(c.contract_id);
+
+  const startBlock = cursor.start_block;
+  let lastScanned = cursor.last_scanned_block;
+
+  log(`\n=== ${c.chain_id} ${c.kind} ${c.contract_key} ===`);
+  log(`  start_block=${startBlock} last_scanned=${lastScanned}`);
+
+  const latestBlock = await provider.getBlockNumber();
+  log(`  latestBlock=${latestBlock}`);
+
+  if (lastScanned > 0) {
+    const reorgBlock = await findReorgedBlock(db, provider, c.contract_id, lastScanned - overlapBlocks);
+    if (reorgBlock != null) {
+      const res = rollbackFromBlock(db, c.contract_id, reorgBlock);
+      logger.warn(
+        `  🔀 reorg detected at block ${reorgBlock}: removed ${res.transfers} transfer(s), ` +
+          `${res.lpEvents} LP event(s), ` +
+          `recomputed ${res.tokens} token(s), cursor -> ${res.cursor}`
+      );
+      lastScanned = res.cursor;
+    }
+  }
+
+  let fromBlock =
+    lastScanned > 0
+      ? Math.max(startBlock, lastScanned - overlapBlocks)
+      : startBlock;
+
+  if (fromBlock > latestBlock) {
+    log("  ⏭️ nothing to scan");
+    onProgress?.({ fromBlock, latestBlock, scannedTo: latestBlock });
+    return { fromBlock, latestBlock, scannedTo: latestBlock, cancelled: false };
+  }
+
+  const totalWindows = Math.ceil((latestBlock - fromBlock + 1) / (maxBlocks + 1));
+
+  vlog(
+    `  windows=${totalWindows} window_size=${maxBlocks} overlap=${overlapBlocks} pause=${pauseMs}ms`
+  );
+
+  let lastGoodBlock = fromBlock - 1;
+  let windowIndex = 0;
+  let blocksScanned = 0;
+  let cancelled = false;
+
+  onProgress?.({ fromBlock, latestBlock, scannedTo: lastGoodBlock });
+
+  const addr = ethers.getAddress(c.address_eip55);
+  const withLpEvents = c.kind === "LP_NFT";
+  if (withLpEvents) markLpEventsFrom(db, c.contract_id, fromBlock);
+
+  const applyLogs = prepareLogApply(db, c.contract_id);
+
+  for (let b = fromBlock; b <= latestBlock; b += maxBlocks + 1) {
+    if (signal?.aborted) {
+      log(`  ⏹️ cancelled at block ${b}`);
+      cancelled = true;
+      break;
+    }
+    const toBlock = Math.min(b + maxBlocks, latestBlock);
+    windowIndex++;
+    blocksScanned += toBlock - b + 1;
+
+    vlog(`      [${windowIndex}/${totalWindows}] blocks ${b} → ${toBlock}`);
+
+    const res = await getLogsWithRetry(provider, {
+      address: addr,
+      fromBlock: b,
+      toBlock,
+      topics: scanTopicsFor(c),
+    });
+
+    if (!res.ok) {
+      log(`      🚫 window failed permanently ${b}-${toBlock}`);
+      break;
+    }
+
+    vlog(`        logs=${res.logs.length}`);
+
+    const decoded = decodeScanLogs(res.logs, { withLpEvents });
+    if (decoded.skippedNoIndex > 0) {
+      logger.warn(
+        `        ⚠️ skipped ${decoded.skippedNoIndex} logs with missing/invalid log index (tx receipt index unavailable)`
+      );
+    }
+
+    if (decoded.events.length || decoded.lpEvents.length) {
+      try {
+        applyLogs(decoded);
+      } catch (err) {
+        // Make DB failures loud with context
+        logger.error(
+          `      💥 DB transaction failed for window ${b}-${toBlock} contract=${c.contract_id}: ${err.message}`
+        );
+        throw err;
+      }
+    }
+
+    lastGoodBlock = toBlock;
+    onProgress?.({ fromBlock, latestBlock, scannedTo: lastGoodBlock });
+
+    if (pauseMs > 0) {
+      vlog(`        pause ${pauseMs}ms`);
+      await sleep(pauseMs);
+    }
+  }
+
+  if (lastGoodBlock >= fromBlock) {
+    // Tail marker: lets the next run notice a reorg even if no transfers landed near the head
+    const head = await provider.getBlock(lastGoodBlock).catch(() => null);
+    if (head?.hash) recordBlockHash(db, c.contract_id, lastGoodBlock, head.hash);
+    pruneBlockHashes(db, c.contract_id, lastGoodBlock - overlapBlocks);
+
+    updateCursor(db, c.contract_id, lastGoodBlock);
+    log(`  ✅ advanced cursor to ${lastGoodBlock} (scanned ${blocksScanned} blocks)`);
+  } else {
+    log("  ⏭️ cursor NOT advanced");
+  }
+  return { fromBlock, latestBlock, scannedTo: lastGoodBlock, cancelled };
+}
+
+module.exports = {
+  TRANSFER_TOPIC,
+  scanTopicsFor,
+  decodeScanLogs,
+  prepareLogApply,
+  parseRetryAfterMs,
+  getLogsWithRetry,
+  getStableLogIndex,
+  findReorgedBlock,
+  rollbackFromBlock,
+  scanContract,
+};
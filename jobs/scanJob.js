@@ -0,0 +1,195 @@
+// jobs/scanJob.js
+//
+// In-process position scanner (alternative to the pm2 `scan-loan-lp` app):
+// - SCAN_CRON schedules runs inside the bot; leave it unset to keep using pm2/CLI
+// - shares the filesystem lock with the CLI, so the two never overlap
+// - tracks per-contract progress (blocks remaining, ETA) for /scan-status
+// - /scan-now triggers or cancels a run
+const cron = require("node-cron");
+
+const { getDb } = require("../db");
+const { acquireLock, releaseLock } = require("../utils/lock");
+const { SCAN_LOCK_NAME, runScan } = require("./scanLoanLpPositions");
+const logger = require("../utils/logger");
+
+const state = {
+  running: false,
+  cancelling: false,
+  trigger: null,
+  filter: null,
+  startedAt: null,
+  phase: null,
+  scanStartedAt: null,
+  blocksDone: 0,
+  contracts: [],
+  last: null,
+  schedule: null,
+};
+
+let abortController = null;
+
+function onProgress(event) {
+  if (event.type === "plan") {
+    state.contracts = event.contracts.map((p) => ({
+      ...p,
+      scannedTo: p.fromBlock - 1,
+      status: "pending",
+    }));
+    return;
+  }
+  if (event.type === "phase") {
+    state.phase = event.phase;
+    if (event.phase === "scan") state.scanStartedAt = Date.now();
+    return;
+  }
+  if (event.type !== "contract") return;
+
+  const c = state.contracts.find((x) => x.contractId === event.contractId);
+  if (!c) return;
+  if (event.status) c.status = event.status;
+  if (event.fromBlock != null) {
+    c.fromBlock = event.fromBlock;
+    c.latestBlock = event.latestBlock;
+  }
+  if (event.scannedTo != null) {
+    // A reorg rollback can move it back; only forward progress counts toward the rate
+    if (event.scannedTo > c.scannedTo) state.blocksDone += event.scannedTo - c.scannedTo;
+    c.scannedTo = event.scannedTo;
+  }
+}
+
+function blocksRemaining(c) {
+  if (c.latestBlock == null) return null;
+  return Math.max(0, c.latestBlock - c.scannedTo);
+}
+
+/**
+ * Snapshot of the current/last run for /scan-status.
+ * ETA uses the run's average blocks/sec so far (contracts are scanned one by one).
+ */
+function getScanStatus() {
+  const elapsedSec = state.scanStartedAt ? (Date.now() - state.scanStartedAt) / 1000 : 0;
+  const rate = state.running && elapsedSec > 0 && state.blocksDone > 0 ? state.blocksDone / elapsedSec : null;
+
+  let totalRemaining = 0;
+  const contracts = state.contracts.map((c) => {
+    const remaining = c.status === "done" ? 0 : blocksRemaining(c);
+    const total = c.latestBlock == null ? null : Math.max(1, c.latestBlock - c.fromBlock + 1);
+    if (remaining != null) totalRemaining += remaining;
+    return {
+      ...c,
+      remaining,
+      pct: remaining == null ? null : Math.min(100, Math.round(((total - remaining) / total) * 100)),
+      etaSec: rate && remaining ? Math.round(remaining / rate) : null,
+    };
+  });
+
+  return {
+    running: state.running,
+    cancelling: state.cancelling,
+    trigger: state.trigger,
+    filter: state.filter,
+    startedAt: state.startedAt,
+    phase: state.phase,
+    blocksPerSec: rate,
+    totalRemaining,
+    etaSec: state.phase === "scan" && rate ? Math.round(totalRemaining / rate) : null,
+    contracts,
+    last: state.last,
+    schedule: state.schedule,
+  };
+}
+
+/**
+ * Start a run in the background.
+ * @returns {{ started: boolean, reason?: "running" | "locked" }}
+ */
+function triggerScan({ trigger = "manual", chainId = null, kind = null } = {}) {
+  if (state.running) return { started: false, reason: "running" };
+
+  // Same lock as the CLI: a pm2/CLI run in progress blocks this one
+  const lockPath = acquireLock(SCAN_LOCK_NAME);
+  if (!lockPath) return { started: false, reason: "locked" };
+
+  abortController = new AbortController();
+  Object.assign(state, {
+    running: true,
+    cancelling: false,
+    trigger,
+    filter: chainId || kind ? { chainId, kind } : null,
+    startedAt: Date.now(),
+    phase: "plan",
+    scanStartedAt: null,
+    blocksDone: 0,
+    contracts: [],
+  });
+
+  logger.info(`[scanJob] ▶️  scan start (${trigger})`);
+  const t0 = Date.now();
+
+  void runScan(getDb(), { chainId, kind, signal: abortController.signal, onProgress })
+    .then((res) => {
+      state.last = {
+        trigger,
+        startedAt: state.startedAt,
+        finishedAt: Date.now(),
+        outcome: res.cancelled ? "cancelled" : "ok",
+        contracts: res.contracts,
+        error: null,
+      };
+    })
+    .catch((err) => {
+      logger.error("[scanJob] scan failed:", err);
+      state.last = {
+        trigger,
+        startedAt: state.startedAt,
+        finishedAt: Date.now(),
+        outcome: "failed",
+        contracts: state.contracts.length,
+        error: err?.message || String(err),
+      };
+    })
+    .finally(() => {
+      releaseLock(lockPath);
+      state.running = false;
+      state.cancelling = false;
+      state.phase = null;
+      abortController = null;
+      logger.info(`[scanJob] ⏹️  scan end: ${state.last?.outcome} (elapsed ${Date.now() - t0} ms)`);
+    });
+
+  return { started: true };
+}
+
+// Stops after the current getLogs window; cursors keep the progress made
+function cancelScan() {
+  if (!state.running || !abortController) return false;
+  state.cancelling = true;
+  abortController.abort();
+  return true;
+}
+
+function startScanJob() {
+  const SCAN_CRON = process.env.SCAN_CRON;
+  if (!SCAN_CRON) {
+    logger.startup("[CRON] In-process scanner not scheduled (SCAN_CRON unset); /scan-now still works");
+    return;
+  }
+
+  if (!cron.validate(SCAN_CRON)) {
+    logger.error(`[scanJob] Invalid SCAN_CRON: "${SCAN_CRON}"`);
+    process.exit(1);
+  }
+
+  logger.startup(`[CRON] Using scan schedule: ${SCAN_CRON}`);
+  state.schedule = SCAN_CRON;
+
+  const runScheduled = () => {
+    const res = triggerScan({ trigger: "schedule" });
+    if (!res.started) logger.warn(`[scanJob] Previous scan still running (${res.reason}) — skipping.`);
+  };
+
+  cron.schedule(SCAN_CRON, runScheduled);
+}
+
+module.exports = { startScanJob, triggerScan, cancelScan, getScanStatus };
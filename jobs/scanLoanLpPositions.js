@@ -16,7 +16,12 @@ const logger = baseLogger.forEnv("SCAN_DEBUG"); // required in .env (fail-fast)
 const { acquireLock, releaseLock } = require("../utils/lock");
 const { refreshLoanSnapshots } = require("../monitoring/loanMonitor");
 const { refreshLpSnapshots } = require("../monitoring/lpMonitor");
+const { createPriceCache } = require("../monitoring/usdPricing");
+const { parseRetryAfterMs, scanContract } = require("./nftScanner");
+const { classifyLpSpam } = require("./lpSpamClassifier");
+const { getProviderForChain } = require("../utils/ethers/providers");
 const { initSchema } = require("../db");
+const { getTroveIndexState, replaceTroveIndex, getIndexedTroves } = require("../monitoring/troveIndex");
 const troveNftAbi = require("../abi/troveNFT.json");
 const troveManagerAbi = require("../abi/troveManager.json");
 const sortedTrovesAbi = require("../abi/sortedTroves.json");
@@ -36,8 +41,13 @@ function requireEnv(name) {
 
 const DB_PATH = requireEnv("DB_PATH");
 
-const FLR_RPC_URL = requireEnv("FLR_MAINNET_SCAN");
-const XDC_RPC_URL = requireEnv("XDC_MAINNET_SCAN");
+// Scan RPCs: one URL or a comma-separated list (failover via utils/ethers/providers)
+requireEnv("FLR_MAINNET_SCAN");
+requireEnv("XDC_MAINNET_SCAN");
+const SCAN_CHAINS_CONFIG = {
+  FLR: { rpcEnvKey: "FLR_MAINNET_SCAN" },
+  XDC: { rpcEnvKey: "XDC_MAINNET_SCAN" },
+};
 
 const FLR_SCAN_BLOCKS = Number(requireEnv("FLR_MAINNET_SCAN_BLOCKS"));
 const XDC_SCAN_BLOCKS = Number(requireEnv("XDC_MAINNET_SCAN_BLOCKS"));
@@ -58,6 +68,8 @@ const REDEMP_SNAPSHOT_DEBT_GATE_ENABLED = Number(
   requireEnv("REDEMP_SNAPSHOT_DEBT_GATE_ENABLED")
 );
 const LP_SNAPSHOT_MINUTES = Number(requireEnv("LP_SNAPSHOT_MINUTES"));
+// Optional: full SortedTroves walk per branch at most this often (events keep the index current in between)
+const TROVE_INDEX_RECONCILE_MINUTES = Number(process.env.TROVE_INDEX_RECONCILE_MINUTES || 360);
 
 function requirePositiveInt(name, n) {
   if (!Number.isInteger(n) || n <= 0) {
@@ -92,6 +104,7 @@ requireFiniteNumber("REDEMP_SNAPSHOT_MIN_DEBT_DELTA_PCT", REDEMP_SNAPSHOT_MIN_DE
 requireNonNegativeInt("REDEMP_SNAPSHOT_REQUIRE_LOANS", REDEMP_SNAPSHOT_REQUIRE_LOANS);
 requireNonNegativeInt("REDEMP_SNAPSHOT_DEBT_GATE_ENABLED", REDEMP_SNAPSHOT_DEBT_GATE_ENABLED);
 requireNonNegativeInt("LP_SNAPSHOT_MINUTES", LP_SNAPSHOT_MINUTES);
+requireNonNegativeInt("TROVE_INDEX_RECONCILE_MINUTES", TROVE_INDEX_RECONCILE_MINUTES);
 
 if (![0, 1].includes(REDEMP_SNAPSHOT_REQUIRE_LOANS)) {
   logger.error("[scanLoanLpPositions] REDEMP_SNAPSHOT_REQUIRE_LOANS must be 0 or 1");
@@ -127,56 +140,11 @@ function minutesSince(ts) {
 function log(...a) {
   logger.info(...a);
 }
-function vlog(...a) {
-  logger.debug(...a);
-}
-
-// =========================================================
-// LOCK
-// =========================================================
-const lockPath = acquireLock("scan-loan-lp-positions");
-if (!lockPath) {
-  logger.warn("[scanLoanLpPositions] another instance is running, exiting");
-  process.exit(0);
-}
-
-let lockReleased = false;
-function safeReleaseLock() {
-  if (lockReleased) return;
-  lockReleased = true;
-  try {
-    releaseLock(lockPath);
-  } catch (_) {}
-}
-
-process.once("exit", safeReleaseLock);
-process.once("SIGINT", () => {
-  safeReleaseLock();
-  process.exit(130);
-});
-process.once("SIGTERM", () => {
-  safeReleaseLock();
-  process.exit(143);
-});
-process.once("uncaughtException", (err) => {
-  logger.error("[scanLoanLpPositions] FATAL (uncaughtException):", err);
-  safeReleaseLock();
-  process.exit(1);
-});
-process.once("unhandledRejection", (err) => {
-  logger.error("[scanLoanLpPositions] FATAL (unhandledRejection):", err);
-  safeReleaseLock();
-  process.exit(1);
-});
 
 // =========================================================
-// CONSTANTS
+// LOCK (shared with the in-process scan job)
 // =========================================================
-const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
-const BURN_ADDRS = new Set([
-  "0x0000000000000000000000000000000000000000",
-  "0x000000000000000000000000000000000000dead",
-]);
+const SCAN_LOCK_NAME = "scan-loan-lp-positions";
 
 // =========================================================
 // UTILS
@@ -185,76 +153,9 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function parseRetryAfterMs(err) {
-  const msg = String(err?.message || "");
-  const m = msg.match(/retry in\s+(\d+)\s*s/i);
-  if (!m) return null;
-  const sec = Number(m[1]);
-  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : null;
-}
-
-function isRateLimitError(err) {
-  const msg = String(err?.message || "").toLowerCase();
-  return (
-    msg.includes("rate limit") ||
-    msg.includes("too many requests") ||
-    msg.includes("-32090")
-  );
-}
-
-async function getLogsWithRetry(provider, filter, { maxAttempts = 6 } = {}) {
-  let attempt = 0;
-  let backoffMs = 750;
-
-  while (attempt < maxAttempts) {
-    attempt++;
-    try {
-      return { ok: true, logs: await provider.getLogs(filter) };
-    } catch (err) {
-      const retryAfter = parseRetryAfterMs(err);
-      const shouldRetry = isRateLimitError(err) || retryAfter != null;
-
-      logger.warn(
-        `      ❌ getLogs failed (attempt ${attempt}/${maxAttempts}): ${err.message}`
-      );
-
-      if (!shouldRetry || attempt >= maxAttempts) {
-        return { ok: false, error: err };
-      }
-
-      await sleep(retryAfter ?? backoffMs);
-      backoffMs = Math.min(backoffMs * 2, 10000);
-    }
-  }
-
-  return { ok: false, error: new Error("exhausted retries") };
-}
-
 function providerForChain(chainId) {
-  if (chainId === "FLR") return new ethers.JsonRpcProvider(FLR_RPC_URL);
-  if (chainId === "XDC") return new ethers.JsonRpcProvider(XDC_RPC_URL);
-  throw new Error(`Unsupported chain_id: ${chainId}`);
-}
-
-async function initProvider(chainId, { maxAttempts = 3, backoffMs = 1000 } = {}) {
-  let attempt = 0;
-  let delay = backoffMs;
-  while (attempt < maxAttempts) {
-    attempt++;
-    const provider = providerForChain(chainId);
-    try {
-      await provider.getNetwork();
-      return provider;
-    } catch (err) {
-      logger.warn(
-        `[scanLoanLpPositions] ${chainId} provider init failed (attempt ${attempt}/${maxAttempts}): ${err?.message || err}`
-      );
-      if (attempt >= maxAttempts) throw err;
-      await sleep(delay);
-      delay = Math.min(delay * 2, 10000);
-    }
-  }
-  throw new Error(`Failed to init provider for ${chainId}`);
+  if (!SCAN_CHAINS_CONFIG[chainId]) throw new Error(`Unsupported chain_id: ${chainId}`);
+  return getProviderForChain(chainId, SCAN_CHAINS_CONFIG);
 }
 
 function scanBlocksForChain(chainId) {
@@ -269,39 +170,6 @@ function pauseMsForChain(chainId) {
   throw new Error(`Unsupported chain_id: ${chainId}`);
 }
 
-function addressFromTopic(t) {
-  // topic is 32-byte right-padded hex; address is last 20 bytes
-  return ethers.getAddress("0x" + t.slice(26));
-}
-function tokenIdFromTopic(t) {
-  return BigInt(t).toString();
-}
-function isBurn(addrLower) {
-  return BURN_ADDRS.has(addrLower);
-}
-
-/**
- * FIX #3: Ensure we ALWAYS use a stable, real log index.
- * - ethers v6: lg.index is a number
- * - some RPCs: lg.logIndex can be number or hex string
- * If neither is available, we skip the log to avoid collisions with UNIQUE(contract_id, tx_hash, log_index).
- */
-function getStableLogIndex(lg) {
-  if (Number.isInteger(lg?.index) && lg.index >= 0) return lg.index;
-
-  const li = lg?.logIndex;
-  if (typeof li === "number" && Number.isInteger(li) && li >= 0) return li;
-
-  if (typeof li === "string") {
-    const n = li.startsWith("0x")
-      ? Number.parseInt(li, 16)
-      : Number.parseInt(li, 10);
-    if (Number.isInteger(n) && n >= 0) return n;
-  }
-
-  return null;
-}
-
 // =========================================================
 // DB HELPERS
 // =========================================================
@@ -323,24 +191,114 @@ function selectContracts(db, { chainId, kind, limit }) {
   return db.prepare(sql).all(...args);
 }
 
-function ensureCursor(db, contractId, startBlock) {
-  db.prepare(`
-    INSERT INTO contract_scan_cursors (contract_id, start_block, last_scanned_block)
-    VALUES (?, ?, 0)
-    ON CONFLICT(contract_id) DO NOTHING
-  `).run(contractId, startBlock);
+// =========================================================
+// TROVE INDEX RECONCILIATION (monitoring/troveIndex.js)
+// =========================================================
+/**
+ * Walk SortedTroves from the last trove (lowest IR, redeemed first) to the first.
+ * @returns {Promise<Array<{ troveId, irPct, debt, batchManager, batchDebtShares }> | null>}
+ */
+async function walkSortedTroves(provider, troveManagerAddr) {
+  const tm = new ethers.Contract(troveManagerAddr, troveManagerAbi, provider);
+  const sortedAddr = await callWithRetry(() => tm.sortedTroves(), "troveManager.sortedTroves");
+  if (!sortedAddr || sortedAddr === ethers.ZeroAddress) return null;
+
+  const sorted = new ethers.Contract(sortedAddr, sortedTrovesAbi, provider);
+  const troves = [];
+
+  let current = await callWithRetry(() => sorted.getLast(), "sortedTroves.getLast");
+  let currentId = current != null ? BigInt(current).toString() : "0";
+  const maxSteps = 50000;
+  let steps = 0;
+
+  while (currentId !== "0") {
+    let latest = null;
+    let stored = null;
+    try {
+      latest = await callWithRetry(() => tm.getLatestTroveData(currentId), "troveManager.getLatestTroveData", {
+        context: `id=${currentId}`,
+      });
+      // Batch membership, so BatchUpdated events can re-price the trove between walks
+      stored = await callWithRetry(() => tm.Troves(currentId), "troveManager.Troves", { context: `id=${currentId}` });
+    } catch (err) {
+      logger.warn(
+        `[scanLoanLpPositions] trove-index skipped id=${currentId}: ${err?.shortMessage || err?.message || err}`
+      );
+    }
+
+    if (latest) {
+      const debt = Number(ethers.formatUnits(latest.entireDebt, 18));
+      const irPct = Number(ethers.formatUnits(latest.annualInterestRate, 18)) * 100.0;
+      const batchManager =
+        stored && stored.interestBatchManager !== ethers.ZeroAddress ? stored.interestBatchManager.toLowerCase() : null;
+      if (Number.isFinite(debt) && Number.isFinite(irPct)) {
+        troves.push({
+          troveId: currentId,
+          irPct,
+          debt,
+          batchManager,
+          batchDebtShares: batchManager ? Number(ethers.formatUnits(stored.batchDebtShares, 18)) : null,
+        });
+      }
+    }
+
+    const prev = await callWithRetry(
+      () => sorted.getPrev(currentId),
+      "sortedTroves.getPrev",
+      { context: `id=${currentId}` }
+    );
+    const nextId = prev != null ? BigInt(prev).toString() : "0";
+    if (nextId === currentId) break;
+    currentId = nextId;
+    steps += 1;
+    if (steps > maxSteps) break;
+    if (steps % 250 === 0) {
+      logger.debug(`[scanLoanLpPositions] trove-index walk progress: steps=${steps}`);
+    }
+    if (steps % 25 === 0) {
+      await sleep(100);
+    }
+  }
+
+  return troves;
 }
 
 /**
- * FIX #2: Do NOT set updated_at manually when you have an AFTER UPDATE trigger.
- * Let trg_contract_scan_cursors_updated_at handle updated_at.
+ * Re-walk each enabled loan branch whose index is older than TROVE_INDEX_RECONCILE_MINUTES
+ * (or missing). Between walks, monitoring/troveEvents.js keeps the index current.
  */
-function updateCursor(db, contractId, lastBlock) {
-  db.prepare(`
-    UPDATE contract_scan_cursors
-    SET last_scanned_block = ?, last_scanned_at = datetime('now')
-    WHERE contract_id = ?
-  `).run(lastBlock, contractId);
+async function reconcileTroveIndexes(db) {
+  const loanContracts = selectContracts(db, { chainId: null, kind: "LOAN_NFT", limit: 500 });
+
+  for (const c of loanContracts) {
+    const state = getTroveIndexState(db, c.contract_id);
+    const ageMin = minutesSince(state?.reconciled_at);
+    if (Number.isFinite(ageMin) && ageMin < TROVE_INDEX_RECONCILE_MINUTES) {
+      logger.debug(
+        `[scanLoanLpPositions] trove-index skip ${c.protocol}: reconciled ${ageMin.toFixed(1)}m ago`
+      );
+      continue;
+    }
+
+    try {
+      const provider = providerForChain(c.chain_id);
+      const nft = new ethers.Contract(c.address_eip55, troveNftAbi, provider);
+      const troveManagerAddr = await callWithRetry(() => nft.troveManager(), "troveNFT.troveManager");
+      // Rows written by events after this block survive the rewrite
+      const fromBlock = await provider.getBlockNumber();
+      const troves = await walkSortedTroves(provider, troveManagerAddr);
+      if (!troves) continue;
+
+      replaceTroveIndex(db, c.contract_id, troves, fromBlock);
+      log(`[scanLoanLpPositions] trove-index reconciled ${c.protocol}: ${troves.length} trove(s) @${fromBlock}`);
+    } catch (err) {
+      logger.warn(
+        `[scanLoanLpPositions] trove-index reconcile failed for ${c.protocol}: ${err?.message || err}`
+      );
+    }
+
+    await sleep(250);
+  }
 }
 
 // =========================================================
@@ -359,12 +317,8 @@ async function getActivePoolStats(provider, troveManagerAddr) {
   return { avgIrPct: (sumNum / debtNum) * 100.0, totalDebt: debtNum };
 }
 
-async function computeTierTargets(provider, troveManagerAddr, totalDebt) {
-  const tm = new ethers.Contract(troveManagerAddr, troveManagerAbi, provider);
-  const sortedAddr = await callWithRetry(() => tm.sortedTroves(), "troveManager.sortedTroves");
-  if (!sortedAddr || sortedAddr === ethers.ZeroAddress) return null;
-
-  const sorted = new ethers.Contract(sortedAddr, sortedTrovesAbi, provider);
+// IR needed to have HIGH / MEDIUM / LOW share of branch debt ahead, from the index
+function computeTierTargets(troves, totalDebt) {
   const thresholds = [
     { tier: "HIGH", pct: REDEMP_DEBT_AHEAD_HIGH_PCT },
     { tier: "MEDIUM", pct: REDEMP_DEBT_AHEAD_MED_PCT },
@@ -374,93 +328,19 @@ async function computeTierTargets(provider, troveManagerAddr, totalDebt) {
   const targets = {};
   const pctAt = {};
   const irDebts = [];
-
-  let current = await callWithRetry(() => sorted.getLast(), "sortedTroves.getLast");
-  let currentId = current != null ? BigInt(current).toString() : "0";
   let cumulativeDebt = 0;
   let idx = 0;
-  const maxSteps = 50000;
-  let steps = 0;
 
-  while (currentId !== "0") {
-    let latest = null;
-    let attempt = 0;
-    const maxAttempts = 3;
-    let lastErr = null;
-    while (attempt < maxAttempts) {
-      attempt += 1;
-      try {
-        latest = await tm.getLatestTroveData(currentId);
-        break;
-      } catch (err) {
-        lastErr = err;
-        const msg = String(err?.message || "");
-        const rateLimited = msg.toLowerCase().includes("rate limit") || msg.includes("-32090");
-        logger.debug(
-          `[scanLoanLpPositions] getLatestTroveData failed (${attempt}/${maxAttempts}) ` +
-            `id=${currentId} rateLimited=${rateLimited} msg=${msg}`
-        );
-        if (attempt >= maxAttempts) break;
-        const retryAfter = parseRetryAfterMs(err);
-        const baseDelay = rateLimited ? 1200 : 350;
-        await sleep(retryAfter ?? baseDelay);
-      }
-    }
-    if (!latest) {
-      const msg = String(lastErr?.message || lastErr || "unknown error");
-      logger.warn(
-        `[scanLoanLpPositions] getLatestTroveData skipped id=${currentId}: ${msg}`
-      );
-      const prev = await callWithRetry(
-        () => sorted.getPrev(currentId),
-        "sortedTroves.getPrev",
-        { context: `id=${currentId}` }
-      );
-      const nextId = prev != null ? BigInt(prev).toString() : "0";
-      if (nextId === currentId) break;
-      currentId = nextId;
-      steps += 1;
-      if (steps > maxSteps) break;
-      if (steps % 25 === 0) {
-        await sleep(50);
-      }
-      continue;
-    }
-
-    const debtNorm = Number(ethers.formatUnits(latest.entireDebt, 18));
-    if (Number.isFinite(debtNorm)) cumulativeDebt += debtNorm;
+  for (const t of troves) {
+    cumulativeDebt += t.debt;
     const pctAhead = totalDebt > 0 ? cumulativeDebt / totalDebt : 0;
-
-    const irPct = Number(ethers.formatUnits(latest.annualInterestRate, 18)) * 100.0;
-    if (Number.isFinite(irPct) && Number.isFinite(debtNorm) && debtNorm > 0) {
-      irDebts.push({ irPct, debt: debtNorm });
-    }
+    if (t.debt > 0) irDebts.push({ irPct: t.irPct, debt: t.debt });
 
     while (idx < thresholds.length && pctAhead >= thresholds[idx].pct) {
-      targets[thresholds[idx].tier] = irPct;
+      targets[thresholds[idx].tier] = t.irPct;
       pctAt[thresholds[idx].tier] = pctAhead;
       idx += 1;
     }
-
-    const prev = await callWithRetry(
-      () => sorted.getPrev(currentId),
-      "sortedTroves.getPrev",
-      { context: `id=${currentId}` }
-    );
-    const nextId = prev != null ? BigInt(prev).toString() : "0";
-    if (nextId === currentId) break;
-    currentId = nextId;
-    steps += 1;
-    if (steps > maxSteps) break;
-    if (steps % 250 === 0) {
-      logger.debug(
-        `[scanLoanLpPositions] redemption-rate progress: steps=${steps} ` +
-          `cumDebt=${cumulativeDebt.toFixed(2)} pctAhead=${(pctAhead * 100).toFixed(2)}%`
-      );
-    }
-    if (steps % 25 === 0) {
-      await sleep(100);
-    }
   }
 
   return { targets, pctAt, irDebts };
@@ -536,7 +416,7 @@ function computeBuckets(irDebts, totalDebt) {
   }));
 }
 
-async function refreshRedemptionRateSnapshots(db, providers) {
+async function refreshRedemptionRateSnapshots(db) {
   const loanContracts = selectContracts(db, { chainId: null, kind: "LOAN_NFT", limit: 500 });
   if (!loanContracts.length) return;
 
@@ -608,7 +488,7 @@ async function refreshRedemptionRateSnapshots(db, providers) {
     }
 
     const chainId = c.chain_id;
-    const provider = providers[chainId] || (providers[chainId] = await initProvider(chainId));
+    const provider = providerForChain(chainId);
 
     let attempt = 0;
     let lastErr = null;
@@ -656,8 +536,11 @@ async function refreshRedemptionRateSnapshots(db, providers) {
           }
         }
 
-        const tierData = await computeTierTargets(provider, troveManagerAddr, poolStats.totalDebt);
-        if (!tierData) break;
+        if (!getTroveIndexState(db, c.contract_id)) {
+          logger.debug(`[scanLoanLpPositions] redemption-rate skip ${c.protocol}: trove index not reconciled yet`);
+          break;
+        }
+        const tierData = computeTierTargets(getIndexedTroves(db, c.contract_id), poolStats.totalDebt);
 
         const range = computeIrRange(tierData.irDebts);
         const buckets = computeBuckets(tierData.irDebts, poolStats.totalDebt);
@@ -711,212 +594,162 @@ async function refreshRedemptionRateSnapshots(db, providers) {
 }
 
 // =========================================================
-// SCAN ONE CONTRACT (WITH VERBOSE PROGRESS)
+// RUN (used by the CLI below and by jobs/scanJob.js)
 // =========================================================
-async function scanContract(db, provider, c) {
-  ensureCursor(db, c.contract_id, c.default_start_block);
-
-  const cursor = db
-    .prepare(
-      `
-    SELECT start_block, last_scanned_block
-    FROM contract_scan_cursors
-    WHERE contract_id = ?
-  `
-    )
-    .get(c.contract_id);
-
-  const startBlock = cursor.start_block;
-  const lastScanned = cursor.last_scanned_block;
-
-  log(`\n=== ${c.chain_id} ${c.kind} ${c.contract_key} ===`);
-  log(`  start_block=${startBlock} last_scanned=${lastScanned}`);
-
-  const latestBlock = await provider.getBlockNumber();
-  log(`  latestBlock=${latestBlock}`);
-
-  let fromBlock =
-    lastScanned > 0
-      ? Math.max(startBlock, lastScanned - OVERLAP_BLOCKS)
-      : startBlock;
-
-  if (fromBlock > latestBlock) {
-    log("  ⏭️ nothing to scan");
-    return;
-  }
-
-  const maxBlocks = scanBlocksForChain(c.chain_id);
-  const pauseMs = pauseMsForChain(c.chain_id);
-  const totalWindows = Math.ceil((latestBlock - fromBlock + 1) / (maxBlocks + 1));
-
-  vlog(
-    `  windows=${totalWindows} window_size=${maxBlocks} overlap=${OVERLAP_BLOCKS} pause=${pauseMs}ms`
-  );
-
-  let lastGoodBlock = fromBlock - 1;
-  let windowIndex = 0;
-  let blocksScanned = 0;
-
-  const addr = ethers.getAddress(c.address_eip55);
-
-  /**
-   * FIX #5: Don't swallow insert errors.
-   * Use ON CONFLICT DO NOTHING for the expected duplicates from overlap scans.
-   * Any other DB error will throw and stop the job (good).
-   */
-  const insertTransfer = db.prepare(`
-    INSERT INTO nft_transfers (
-      contract_id, block_number, tx_hash, log_index,
-      from_lower, from_eip55, to_lower, to_eip55, token_id
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    ON CONFLICT(contract_id, tx_hash, log_index) DO NOTHING
-  `);
 
-  const upsertToken = db.prepare(`
-    INSERT INTO nft_tokens (
-      contract_id, token_id,
-      owner_lower, owner_eip55,
-      is_burned,
-      last_block, last_tx_hash, last_log_index,
-      first_seen_block, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
-    ON CONFLICT(contract_id, token_id) DO UPDATE SET
-      owner_lower = excluded.owner_lower,
-      owner_eip55 = excluded.owner_eip55,
-      is_burned   = excluded.is_burned,
-      last_block  = excluded.last_block,
-      last_tx_hash= excluded.last_tx_hash,
-      last_log_index = excluded.last_log_index,
-      updated_at = datetime('now')
-    WHERE
-      nft_tokens.last_block IS NULL
-      OR excluded.last_block > nft_tokens.last_block
-      OR (
-        excluded.last_block = nft_tokens.last_block
-        AND excluded.last_log_index > nft_tokens.last_log_index
-      )
-  `);
-
-  const txApply = db.transaction((events) => {
-    for (const e of events) {
-      // duplicates are handled by ON CONFLICT DO NOTHING; other DB issues throw (good)
-      insertTransfer.run(
-        c.contract_id,
-        e.blockNumber,
-        e.txHash,
-        e.logIndex,
-        e.fromLower,
-        e.fromEip55,
-        e.toLower,
-        e.toEip55,
-        e.tokenId
-      );
-
-      // upsert is expected to always succeed; if it doesn't, fail loudly
-      upsertToken.run(
-        c.contract_id,
-        e.tokenId,
-        e.toLower,
-        e.toEip55,
-        e.isBurned ? 1 : 0,
-        e.blockNumber,
-        e.txHash,
-        e.logIndex,
-        e.blockNumber
-      );
+// Chain heads up front so progress/ETA covers contracts not scanned yet
+async function buildScanPlan(db, contracts) {
+  const heads = {};
+  const selCursor = db.prepare(`SELECT last_scanned_block FROM contract_scan_cursors WHERE contract_id = ?`);
+  const plan = [];
+  for (const c of contracts) {
+    if (heads[c.chain_id] === undefined) {
+      heads[c.chain_id] = await providerForChain(c.chain_id)
+        .getBlockNumber()
+        .catch(() => null);
     }
-  });
-
-  for (let b = fromBlock; b <= latestBlock; b += maxBlocks + 1) {
-    const toBlock = Math.min(b + maxBlocks, latestBlock);
-    windowIndex++;
-    blocksScanned += toBlock - b + 1;
-
-    vlog(`      [${windowIndex}/${totalWindows}] blocks ${b} → ${toBlock}`);
-
-    const res = await getLogsWithRetry(provider, {
-      address: addr,
-      fromBlock: b,
-      toBlock,
-      topics: [TRANSFER_TOPIC],
+    const last = selCursor.get(c.contract_id)?.last_scanned_block || 0;
+    const fromBlock = last > 0 ? Math.max(c.default_start_block, last - OVERLAP_BLOCKS) : c.default_start_block;
+    plan.push({
+      contractId: c.contract_id,
+      contractKey: c.contract_key,
+      chainId: c.chain_id,
+      kind: c.kind,
+      fromBlock,
+      latestBlock: heads[c.chain_id],
     });
+  }
+  return plan;
+}
 
-    if (!res.ok) {
-      log(`      🚫 window failed permanently ${b}-${toBlock}`);
-      break;
-    }
-
-    vlog(`        logs=${res.logs.length}`);
-
-    const events = [];
-    let skippedNoIndex = 0;
-
-    for (const lg of res.logs) {
-      if (!lg.topics || lg.topics.length < 4) continue;
-
-      const li = getStableLogIndex(lg);
-      if (li == null) {
-        skippedNoIndex++;
-        continue;
-      }
-
-      // ethers v6 logs should always include these, but guard anyway
-      const txHash = lg.transactionHash;
-      if (!txHash) continue;
-
-      const from = addressFromTopic(lg.topics[1]);
-      const to = addressFromTopic(lg.topics[2]);
-
-      const toLower = to.toLowerCase();
-      events.push({
-        blockNumber: lg.blockNumber,
-        txHash,
-        logIndex: li,
-        fromLower: from.toLowerCase(),
-        fromEip55: from,
-        toLower,
-        toEip55: to,
-        tokenId: tokenIdFromTopic(lg.topics[3]),
-        isBurned: isBurn(toLower),
-      });
-    }
+/**
+ * Scan Transfer logs for enabled contracts, then refresh cached snapshots.
+ * Callers hold the SCAN_LOCK_NAME lock.
+ *
+ * @param {import("better-sqlite3").Database} db
+ * @param {Object} [opts]
+ * @param {string|null} [opts.chainId]
+ * @param {string|null} [opts.kind] - LP_NFT | LOAN_NFT
+ * @param {number} [opts.limit]
+ * @param {AbortSignal|null} [opts.signal] - stops after the current window
+ * @param {(event: Object) => void} [opts.onProgress] - plan / contract / phase events
+ * @returns {Promise<{ contracts: number, cancelled: boolean }>}
+ */
+async function runScan(db, { chainId = null, kind = null, limit = 200, signal = null, onProgress = null } = {}) {
+  const emit = (event) => {
+    try {
+      onProgress?.(event);
+    } catch (_) {}
+  };
+
+  const contracts = selectContracts(db, {
+    chainId: chainId ? chainId.toUpperCase() : null,
+    kind: kind ? kind.toUpperCase() : null,
+    limit,
+  });
 
-    if (skippedNoIndex > 0) {
-      logger.warn(
-        `        ⚠️ skipped ${skippedNoIndex} logs with missing/invalid log index (tx receipt index unavailable)`
-      );
-    }
+  if (!contracts.length) {
+    log("[scanLoanLpPositions] no contracts found");
+    return { contracts: 0, cancelled: false };
+  }
 
-    if (events.length) {
+  if (onProgress) emit({ type: "plan", contracts: await buildScanPlan(db, contracts) });
+
+  emit({ type: "phase", phase: "scan" });
+  for (const c of contracts) {
+    if (signal?.aborted) break;
+    emit({ type: "contract", contractId: c.contract_id, status: "scanning" });
+    const res = await scanContract(db, providerForChain(c.chain_id), c, {
+      overlapBlocks: OVERLAP_BLOCKS,
+      maxBlocks: scanBlocksForChain(c.chain_id),
+      pauseMs: pauseMsForChain(c.chain_id),
+      signal,
+      onProgress: (p) => emit({ type: "contract", contractId: c.contract_id, ...p }),
+    });
+    if (!res.cancelled) {
       try {
-        txApply(events);
+        await classifyLpSpam(db, providerForChain(c.chain_id), c);
       } catch (err) {
-        // Make DB failures loud with context
-        logger.error(
-          `      💥 DB transaction failed for window ${b}-${toBlock} contract=${c.contract_id}: ${err.message}`
-        );
-        throw err;
+        logger.warn(`[scanLoanLpPositions] spam classification failed for ${c.contract_key}: ${err?.message || err}`);
       }
     }
+    emit({ type: "contract", contractId: c.contract_id, status: res.cancelled ? "cancelled" : "done" });
+  }
 
-    lastGoodBlock = toBlock;
+  if (signal?.aborted) {
+    log("\n[scanLoanLpPositions] CANCELLED (snapshot refresh skipped)");
+    return { contracts: contracts.length, cancelled: true };
+  }
 
-    if (pauseMs > 0) {
-      vlog(`        pause ${pauseMs}ms`);
-      await sleep(pauseMs);
-    }
+  log("\n[scanLoanLpPositions] DONE");
+  log("[scanLoanLpPositions] Refreshing cached snapshots...");
+  emit({ type: "phase", phase: "snapshots" });
+  await reconcileTroveIndexes(db);
+  // One USD price cache per run: loan oracle prices also value LP tokens
+  const priceCache = createPriceCache();
+  await refreshLoanSnapshots({ priceCache });
+
+  let lpAgeMin = Infinity;
+  const lpAgeRow = db
+    .prepare(`SELECT MAX(snapshot_at) AS snapshot_at FROM lp_position_snapshots`)
+    .get();
+  if (lpAgeRow?.snapshot_at) {
+    lpAgeMin = minutesSince(lpAgeRow.snapshot_at);
   }
+  const hasPendingLpSnapshot = db.prepare(`
+    SELECT 1
+    FROM nft_tokens t
+    JOIN contracts c ON c.id = t.contract_id
+    JOIN user_wallets w ON t.owner_lower = w.address_lower AND w.chain_id = c.chain_id
+    LEFT JOIN position_ignores pi
+      ON pi.user_id        = w.user_id
+     AND pi.position_kind  = 'LP'
+     AND pi.wallet_id      = w.id
+     AND pi.contract_id    = t.contract_id
+     AND (pi.token_id IS NULL OR pi.token_id = t.token_id)
+    LEFT JOIN lp_spam_unhides su
+      ON su.user_id     = w.user_id
+     AND su.wallet_id   = w.id
+     AND su.contract_id = t.contract_id
+     AND su.token_id    = t.token_id
+    WHERE c.kind = 'LP_NFT'
+      AND t.is_burned = 0
+      AND w.is_enabled = 1
+      AND c.is_enabled = 1
+      AND pi.id IS NULL
+      AND (t.is_spam = 0 OR su.id IS NOT NULL)
+      AND NOT EXISTS (
+        SELECT 1 FROM lp_position_snapshots s
+        WHERE s.contract_id = t.contract_id
+          AND s.token_id = t.token_id
+          AND s.wallet_id = w.id
+      )
+    LIMIT 1
+  `).get();
 
-  if (lastGoodBlock >= fromBlock) {
-    updateCursor(db, c.contract_id, lastGoodBlock);
-    log(`  ✅ advanced cursor to ${lastGoodBlock} (scanned ${blocksScanned} blocks)`);
+  if (!hasPendingLpSnapshot && Number.isFinite(lpAgeMin) && lpAgeMin < LP_SNAPSHOT_MINUTES) {
+    logger.debug(
+      `[scanLoanLpPositions] LP snapshot refresh skipped: last snapshot ${lpAgeMin.toFixed(
+        1
+      )}m ago`
+    );
   } else {
-    log("  ⏭️ cursor NOT advanced");
+    if (hasPendingLpSnapshot) {
+      logger.debug(
+        "[scanLoanLpPositions] LP snapshot refresh forced: new tracked LP(s) pending snapshot"
+      );
+    }
+    await refreshLpSnapshots({ priceCache });
   }
+
+  log("[scanLoanLpPositions] Refreshing redemption-rate snapshots...");
+  await refreshRedemptionRateSnapshots(db);
+  log("[scanLoanLpPositions] Snapshot refresh complete.");
+  return { contracts: contracts.length, cancelled: false };
 }
 
 // =========================================================
-// MAIN
+// CLI
 // =========================================================
 async function main() {
   const args = process.argv.slice(2);
@@ -936,89 +769,63 @@ async function main() {
   db.pragma("busy_timeout = 5000");
 
   try {
-    const contracts = selectContracts(db, {
-      chainId: chain ? chain.toUpperCase() : null,
-      kind: kind ? kind.toUpperCase() : null,
-      limit: limit ?? 200,
-    });
-
-    if (!contracts.length) {
-      log("[scanLoanLpPositions] no contracts found");
-      return;
-    }
-
-    const providers = {};
-    for (const c of contracts) {
-      if (!providers[c.chain_id]) {
-        providers[c.chain_id] = await initProvider(c.chain_id);
-      }
-      await scanContract(db, providers[c.chain_id], c);
-    }
-
-    log("\n[scanLoanLpPositions] DONE");
-    log("[scanLoanLpPositions] Refreshing cached snapshots...");
-    await refreshLoanSnapshots();
-
-    let lpAgeMin = Infinity;
-    const lpAgeRow = db
-      .prepare(`SELECT MAX(snapshot_at) AS snapshot_at FROM lp_position_snapshots`)
-      .get();
-    if (lpAgeRow?.snapshot_at) {
-      lpAgeMin = minutesSince(lpAgeRow.snapshot_at);
-    }
-    const hasPendingLpSnapshot = db.prepare(`
-      SELECT 1
-      FROM nft_tokens t
-      JOIN contracts c ON c.id = t.contract_id
-      JOIN user_wallets w ON t.owner_lower = w.address_lower AND w.chain_id = c.chain_id
-      LEFT JOIN position_ignores pi
-        ON pi.user_id        = w.user_id
-       AND pi.position_kind  = 'LP'
-       AND pi.wallet_id      = w.id
-       AND pi.contract_id    = t.contract_id
-       AND (pi.token_id IS NULL OR pi.token_id = t.token_id)
-      WHERE c.kind = 'LP_NFT'
-        AND t.is_burned = 0
-        AND w.is_enabled = 1
-        AND c.is_enabled = 1
-        AND pi.id IS NULL
-        AND NOT EXISTS (
-          SELECT 1 FROM lp_position_snapshots s
-          WHERE s.contract_id = t.contract_id
-            AND s.token_id = t.token_id
-            AND s.wallet_id = w.id
-        )
-      LIMIT 1
-    `).get();
-
-    if (!hasPendingLpSnapshot && Number.isFinite(lpAgeMin) && lpAgeMin < LP_SNAPSHOT_MINUTES) {
-      logger.debug(
-        `[scanLoanLpPositions] LP snapshot refresh skipped: last snapshot ${lpAgeMin.toFixed(
-          1
-        )}m ago`
-      );
-    } else {
-      if (hasPendingLpSnapshot) {
-        logger.debug(
-          "[scanLoanLpPositions] LP snapshot refresh forced: new tracked LP(s) pending snapshot"
-        );
-      }
-      await refreshLpSnapshots();
-    }
-
-    log("[scanLoanLpPositions] Refreshing redemption-rate snapshots...");
-    await refreshRedemptionRateSnapshots(db, providers);
-    log("[scanLoanLpPositions] Snapshot refresh complete.");
+    await runScan(db, { chainId: chain || null, kind: kind || null, limit: limit ?? 200 });
   } finally {
     db.close();
   }
 }
 
-main()
-  .catch((err) => {
-    logger.error("[scanLoanLpPositions] FATAL:", err);
-    process.exitCode = 1;
-  })
-  .finally(() => {
+if (require.main === module) {
+  const lockPath = acquireLock(SCAN_LOCK_NAME);
+  if (!lockPath) {
+    logger.warn("[scanLoanLpPositions] another instance is running, exiting");
+    process.exit(0);
+  }
+
+  let lockReleased = false;
+  const safeReleaseLock = () => {
+    if (lockReleased) return;
+    lockReleased = true;
+    try {
+      releaseLock(lockPath);
+    } catch (_) {}
+  };
+
+  process.once("exit", safeReleaseLock);
+  process.once("SIGINT", () => {
     safeReleaseLock();
+    process.exit(130);
   });
+  process.once("SIGTERM", () => {
+    safeReleaseLock();
+    process.exit(143);
+  });
+  process.once("uncaughtException", (err) => {
+    logger.error("[scanLoanLpPositions] FATAL (uncaughtException):", err);
+    safeReleaseLock();
+    process.exit(1);
+  });
+  process.once("unhandledRejection", (err) => {
+    logger.error("[scanLoanLpPositions] FATAL (unhandledRejection):", err);
+    safeReleaseLock();
+    process.exit(1);
+  });
+
+  main()
+    .catch((err) => {
+      logger.error("[scanLoanLpPositions] FATAL:", err);
+      process.exitCode = 1;
+    })
+    .finally(() => {
+      safeReleaseLock();
+    });
+}
+
+module.exports = {
+  SCAN_LOCK_NAME,
+  OVERLAP_BLOCKS,
+  runScan,
+  providerForChain,
+  scanBlocksForChain,
+  pauseMsForChain,
+};
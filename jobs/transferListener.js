@@ -0,0 +1,308 @@
+// jobs/transferListener.js
+//
+// Optional real-time ownership updates over WebSocket RPC (eth_subscribe logs):
+// - one socket per chain with FLR_MAINNET_WS / XDC_MAINNET_WS set; subscribes to the
+//   enabled LP/loan NFT contracts with the scanner's topics (Transfer, plus the position
+//   manager's liquidity/collect events on LP_NFT contracts)
+// - the subscriptions are raw eth_subscribe calls whose notifications are taken off the
+//   socket before ethers sees them (ethers' own log subscriptions drop removed logs);
+//   everything else still goes to the provider
+// - live logs go through the scanner's decode/apply path (nft_transfers, nft_tokens,
+//   lp_liquidity_events, block hashes), so scans keep applying on top; the cursor only
+//   moves through scanContract
+// - removed (reorged) logs roll the contract back from that block for the next scan
+// - on every (re)connect the gap is backfilled with scanContract under the scan lock
+//   (a running scan already covers it); dropped or silent sockets reconnect with backoff
+
+const { ethers } = require("ethers");
+
+const { getDb } = require("../db");
+const { acquireLock, releaseLock } = require("../utils/lock");
+const logger = require("../utils/logger");
+const { scanTopicsFor, decodeScanLogs, prepareLogApply, rollbackFromBlock, scanContract } = require("./nftScanner");
+const {
+  SCAN_LOCK_NAME,
+  OVERLAP_BLOCKS,
+  providerForChain,
+  scanBlocksForChain,
+  pauseMsForChain,
+} = require("./scanLoanLpPositions");
+
+function numberEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const WS_CHAINS_CONFIG = {
+  FLR: { wsEnvKey: "FLR_MAINNET_WS", chainId: 14 },
+  XDC: { wsEnvKey: "XDC_MAINNET_WS", chainId: 50 },
+};
+
+// Reconnect backoff: base doubles per failed attempt up to the max
+const TRANSFER_WS_RECONNECT_MS = Math.max(100, numberEnv("TRANSFER_WS_RECONNECT_MS", 2000));
+const TRANSFER_WS_RECONNECT_MAX_MS = Math.max(TRANSFER_WS_RECONNECT_MS, numberEnv("TRANSFER_WS_RECONNECT_MAX_MS", 60000));
+// A socket that stops answering eth_blockNumber this long is treated as dropped
+const TRANSFER_WS_PING_MS = Math.max(1000, numberEnv("TRANSFER_WS_PING_MS", 30000));
+
+const listeners = new Map(); // chainId -> ChainListener
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// eth_subscription log params (hex quantities) -> the numeric fields decodeScanLogs reads
+function parseRawLog(raw) {
+  return {
+    ...raw,
+    blockNumber: Number(raw.blockNumber),
+    transactionIndex: Number(raw.transactionIndex),
+    logIndex: Number(raw.logIndex),
+    index: Number(raw.logIndex),
+    removed: raw.removed === true,
+  };
+}
+
+function selectChainContracts(db, chainId) {
+  return db
+    .prepare(
+      `
+      SELECT id AS contract_id, chain_id, kind, contract_key, protocol,
+             address_eip55, default_start_block
+      FROM contracts
+      WHERE is_enabled = 1 AND chain_id = ? AND kind IN ('LP_NFT', 'LOAN_NFT')
+      ORDER BY kind, contract_key
+    `
+    )
+    .all(chainId);
+}
+
+class ChainListener {
+  constructor(chainId, url) {
+    this.chainId = chainId;
+    this.url = url;
+    this.network = ethers.Network.from(WS_CHAINS_CONFIG[chainId].chainId);
+    this.provider = null;
+    this.generation = 0; // bumps per connection; late callbacks of old sockets are ignored
+    this.attempt = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.stopped = false;
+    this.appliers = new Map(); // contractId -> prepareLogApply()
+
+    this.status = {
+      chainId,
+      connected: false,
+      connectedAt: null,
+      disconnects: 0,
+      lastLogAt: null,
+      logsApplied: 0,
+      lastBackfill: null,
+      lastError: null,
+    };
+  }
+
+  start() {
+    void this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.teardown();
+  }
+
+  teardown() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+    const p = this.provider;
+    this.provider = null;
+    this.status.connected = false;
+    if (p) {
+      try {
+        // ws throws on an "error" event without a listener (e.g. closing while connecting)
+        p.websocket.onclose = null;
+        p.websocket.onerror = () => {};
+      } catch (_) {}
+      p.destroy().catch?.(() => {});
+    }
+  }
+
+  async connect() {
+    if (this.stopped) return;
+    const gen = ++this.generation;
+    const db = getDb();
+
+    try {
+      const provider = new ethers.WebSocketProvider(this.url, this.network, { staticNetwork: this.network });
+      this.provider = provider;
+      provider.websocket.onclose = () => this.dropped(gen, "socket closed");
+      provider.websocket.onerror = (err) => this.dropped(gen, err?.message || "socket error");
+
+      await withTimeout(provider.getBlockNumber(), TRANSFER_WS_PING_MS, "eth_blockNumber");
+      if (gen !== this.generation) return;
+
+      const contracts = selectChainContracts(db, this.chainId);
+
+      // Our subscription ids -> contract; their notifications never reach ethers, which would
+      // otherwise queue them forever as unknown subscriptions
+      const subs = new Map();
+      const providerOnMessage = provider.websocket.onmessage;
+      provider.websocket.onmessage = (message) => {
+        if (this.onSubscriptionMessage(gen, subs, message.data)) return;
+        providerOnMessage(message);
+      };
+
+      for (const c of contracts) {
+        const subId = await provider.send("eth_subscribe", [
+          "logs",
+          { address: c.address_eip55, topics: scanTopicsFor(c) },
+        ]);
+        subs.set(subId, c);
+      }
+
+      this.attempt = 0;
+      Object.assign(this.status, { connected: true, connectedAt: Date.now(), lastError: null });
+      logger.info(`[transferListener] ${this.chainId} connected, ${contracts.length} contract(s) subscribed`);
+
+      this.pingTimer = setInterval(() => {
+        withTimeout(provider.getBlockNumber(), TRANSFER_WS_PING_MS, "eth_blockNumber").catch((err) =>
+          this.dropped(gen, err?.message || String(err))
+        );
+      }, TRANSFER_WS_PING_MS);
+
+      await this.backfillGap(contracts);
+    } catch (err) {
+      this.dropped(gen, err?.message || String(err));
+    }
+  }
+
+  dropped(gen, reason) {
+    if (gen !== this.generation || this.stopped) return;
+    this.generation += 1;
+    this.teardown();
+    this.status.disconnects += 1;
+    this.status.lastError = reason;
+
+    const delay = Math.min(TRANSFER_WS_RECONNECT_MS * 2 ** this.attempt, TRANSFER_WS_RECONNECT_MAX_MS);
+    this.attempt += 1;
+    logger.warn(`[transferListener] ${this.chainId} disconnected (${reason}); reconnecting in ${delay} ms`);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => void this.connect(), delay);
+  }
+
+  // true = one of our log notifications (handled here); false = pass on to ethers
+  onSubscriptionMessage(gen, subs, data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (_) {
+      return false;
+    }
+    if (msg?.method !== "eth_subscription" || !subs.has(msg.params?.subscription)) return false;
+    if (gen !== this.generation || !msg.params.result) return true;
+
+    const c = subs.get(msg.params.subscription);
+    const log = parseRawLog(msg.params.result);
+    if (log.removed) this.onRemovedLog(c, log);
+    else this.onLog(gen, c, log);
+    return true;
+  }
+
+  onRemovedLog(c, log) {
+    try {
+      const res = rollbackFromBlock(getDb(), c.contract_id, log.blockNumber);
+      logger.warn(
+        `[transferListener] ${this.chainId} ${c.contract_key}: removed log at block ${log.blockNumber}, ` +
+          `rolled back ${res.transfers} transfer(s), cursor -> ${res.cursor}`
+      );
+    } catch (err) {
+      logger.error(`[transferListener] ${this.chainId} ${c.contract_key}: rollback failed:`, err?.message || err);
+    }
+  }
+
+  onLog(gen, c, log) {
+    if (gen !== this.generation || log.removed) return;
+    const db = getDb();
+    try {
+      const decoded = decodeScanLogs([log], { withLpEvents: c.kind === "LP_NFT" });
+      if (!decoded.events.length && !decoded.lpEvents.length) return;
+
+      if (!this.appliers.has(c.contract_id)) this.appliers.set(c.contract_id, prepareLogApply(db, c.contract_id));
+      this.appliers.get(c.contract_id)(decoded);
+
+      this.status.logsApplied += 1;
+      this.status.lastLogAt = Date.now();
+      for (const e of decoded.events) {
+        logger.debug(
+          `[transferListener] ${this.chainId} ${c.contract_key} #${e.tokenId}: ${e.fromLower} -> ${e.toLower} (block ${e.blockNumber})`
+        );
+      }
+    } catch (err) {
+      logger.error(`[transferListener] ${this.chainId} ${c.contract_key}: failed to apply log:`, err?.message || err);
+    }
+  }
+
+  // Logs missed while disconnected (or since the last scan) come from the cursor-based scanner
+  async backfillGap(contracts) {
+    const lockPath = acquireLock(SCAN_LOCK_NAME);
+    if (!lockPath) {
+      logger.info(`[transferListener] ${this.chainId} gap backfill skipped: a scan is running and covers it`);
+      this.status.lastBackfill = { at: Date.now(), outcome: "skipped" };
+      return;
+    }
+
+    const t0 = Date.now();
+    try {
+      const db = getDb();
+      const scanProvider = providerForChain(this.chainId);
+      for (const c of contracts) {
+        await scanContract(db, scanProvider, c, {
+          overlapBlocks: OVERLAP_BLOCKS,
+          maxBlocks: scanBlocksForChain(this.chainId),
+          pauseMs: pauseMsForChain(this.chainId),
+        });
+      }
+      this.status.lastBackfill = { at: Date.now(), outcome: "ok", ms: Date.now() - t0 };
+      logger.info(`[transferListener] ${this.chainId} gap backfill done in ${Date.now() - t0} ms`);
+    } catch (err) {
+      this.status.lastBackfill = { at: Date.now(), outcome: "failed", error: err?.message || String(err) };
+      logger.warn(`[transferListener] ${this.chainId} gap backfill failed: ${err?.message || err}`);
+    } finally {
+      releaseLock(lockPath);
+    }
+  }
+}
+
+function startTransferListener() {
+  for (const [chainId, cfg] of Object.entries(WS_CHAINS_CONFIG)) {
+    const url = (process.env[cfg.wsEnvKey] || "").trim();
+    if (!url || listeners.has(chainId)) continue;
+    const l = new ChainListener(chainId, url);
+    listeners.set(chainId, l);
+    l.start();
+  }
+
+  if (!listeners.size) {
+    logger.startup("[transferListener] WebSocket listener off (no *_MAINNET_WS configured)");
+    return;
+  }
+  logger.startup(`[transferListener] WebSocket listener on for ${[...listeners.keys()].join(", ")}`);
+}
+
+function stopTransferListener() {
+  for (const l of listeners.values()) l.stop();
+  listeners.clear();
+}
+
+// Per-chain connection state for /scan-status
+function getTransferListenerStatus() {
+  return [...listeners.values()].map((l) => ({ ...l.status }));
+}
+
+module.exports = { startTransferListener, stopTransferListener, getTransferListenerStatus };
@@ -0,0 +1,336 @@
+// jobs/walletBackfill.js
+//
+// Priority backfill for a newly added wallet, so its positions show up without
+// waiting for the next full scan:
+// - per enabled contract on the wallet's chain, reads the owned tokens at the head block:
+//   ERC721Enumerable balanceOf + tokenOfOwnerByIndex where supported, otherwise a Transfer
+//   log filter on the `to` topic over the blocks the scanner has not indexed yet,
+//   each candidate confirmed with ownerOf
+// - tokens nft_tokens still lists for the wallet but that moved on are re-pointed to their owner
+// - writes nft_tokens with the same "newer block wins" rule as the scanner, so later
+//   scans keep applying on top
+// - runs the LP spam classifier on the wallet's LP tokens
+// - refreshes that user's LP/loan snapshots and DMs a summary when done
+
+const { ethers } = require("ethers");
+
+const { getDb } = require("../db");
+const { refreshLoanSnapshots } = require("../monitoring/loanMonitor");
+const { refreshLpSnapshots } = require("../monitoring/lpMonitor");
+const { createPriceCache } = require("../monitoring/usdPricing");
+const discordDm = require("../monitoring/notifiers/discordDm");
+const { shortenAddress } = require("../utils/ethers/shortenAddress");
+const { sleep } = require("../utils/sleep");
+const logger = require("../utils/logger");
+const { TRANSFER_TOPIC, getLogsWithRetry } = require("./nftScanner");
+const { classifyLpSpam, markSpamNotified } = require("./lpSpamClassifier");
+const { providerForChain, scanBlocksForChain, pauseMsForChain } = require("./scanLoanLpPositions");
+
+const ERC721_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+];
+
+function numberEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Safety cap per contract (enumeration and ownerOf checks)
+const WALLET_BACKFILL_MAX_TOKENS = Math.max(1, Math.floor(numberEnv("WALLET_BACKFILL_MAX_TOKENS", 500)));
+
+// walletId -> Promise; one backfill per wallet at a time
+const inFlight = new Map();
+
+function selectChainContracts(db, chainId) {
+  return db
+    .prepare(
+      `
+      SELECT c.id AS contract_id, c.chain_id, c.kind, c.contract_key, c.protocol,
+             c.address_eip55, c.default_start_block,
+             cur.last_scanned_block
+      FROM contracts c
+      LEFT JOIN contract_scan_cursors cur ON cur.contract_id = c.id
+      WHERE c.is_enabled = 1 AND c.chain_id = ?
+      ORDER BY c.kind, c.contract_key
+    `
+    )
+    .all(chainId);
+}
+
+function selectKnownTokenIds(db, contractId, ownerLower) {
+  return db
+    .prepare(
+      `
+      SELECT token_id
+      FROM nft_tokens
+      WHERE contract_id = ? AND owner_lower = ? AND is_burned = 0
+    `
+    )
+    .all(contractId, ownerLower)
+    .map((r) => r.token_id);
+}
+
+// null when the contract is not ERC721Enumerable (or the call is unsupported by the RPC)
+async function enumerateOwnedTokens(nft, owner, blockTag) {
+  let balance;
+  try {
+    balance = Number(await nft.balanceOf(owner, { blockTag }));
+    if (balance > 0) await nft.tokenOfOwnerByIndex(owner, 0, { blockTag });
+  } catch (_) {
+    return null;
+  }
+
+  const ids = [];
+  for (let i = 0; i < Math.min(balance, WALLET_BACKFILL_MAX_TOKENS); i++) {
+    ids.push((await nft.tokenOfOwnerByIndex(owner, i, { blockTag })).toString());
+  }
+  return ids;
+}
+
+// tokenId -> latest incoming transfer { blockNumber, txHash, logIndex } in [fromBlock, toBlock]
+async function findIncomingTransfers(provider, c, ownerLower, fromBlock, toBlock) {
+  const found = new Map();
+  const step = scanBlocksForChain(c.chain_id);
+  const pauseMs = pauseMsForChain(c.chain_id);
+
+  for (let start = fromBlock; start <= toBlock; start += step) {
+    const end = Math.min(start + step - 1, toBlock);
+    const res = await getLogsWithRetry(provider, {
+      address: c.address_eip55,
+      fromBlock: start,
+      toBlock: end,
+      topics: [TRANSFER_TOPIC, null, ethers.zeroPadValue(ownerLower, 32)],
+    });
+    if (!res.ok) throw res.error;
+
+    for (const lg of res.logs) {
+      if (!lg.topics?.[3]) continue;
+      const tokenId = BigInt(lg.topics[3]).toString();
+      const logIndex = Number(lg.index ?? lg.logIndex ?? 0);
+      const prev = found.get(tokenId);
+      if (prev && (prev.blockNumber > lg.blockNumber || (prev.blockNumber === lg.blockNumber && prev.logIndex > logIndex))) {
+        continue;
+      }
+      found.set(tokenId, { blockNumber: lg.blockNumber, txHash: lg.transactionHash, logIndex });
+    }
+    if (pauseMs > 0 && end < toBlock) await sleep(pauseMs);
+  }
+  return found;
+}
+
+/**
+ * Current owned tokens of `address` for one contract.
+ * @returns {Promise<{ method: "enumerable"|"logs", owned: Map<string, Object>, moved: Map<string, string> }>}
+ *   owned: tokenId -> last transfer (or null when only known at the head block)
+ *   moved: tokenId -> current owner, for tokens nft_tokens still lists under this wallet
+ */
+async function discoverContractTokens(db, provider, c, address, head) {
+  const ownerLower = address.toLowerCase();
+  const nft = new ethers.Contract(c.address_eip55, ERC721_ABI, provider);
+  const blockTag = head;
+
+  const owned = new Map();
+  let method = "enumerable";
+  const enumerated = await enumerateOwnedTokens(nft, address, blockTag);
+
+  const known = selectKnownTokenIds(db, c.contract_id, ownerLower);
+  let candidates;
+  if (enumerated) {
+    for (const id of enumerated) owned.set(id, null);
+    candidates = known.filter((id) => !owned.has(id));
+  } else {
+    method = "logs";
+    // nft_tokens is complete up to the scanner cursor; only the gap to the head needs logs
+    const fromBlock = c.last_scanned_block > 0 ? c.last_scanned_block + 1 : c.default_start_block;
+    const incoming = fromBlock <= head ? await findIncomingTransfers(provider, c, ownerLower, fromBlock, head) : new Map();
+    candidates = [...new Set([...known, ...incoming.keys()])].slice(0, WALLET_BACKFILL_MAX_TOKENS);
+    for (const [id, t] of incoming) owned.set(id, t);
+  }
+
+  const moved = new Map();
+  for (const id of candidates) {
+    let current;
+    try {
+      current = (await nft.ownerOf(id, { blockTag })).toLowerCase();
+    } catch (_) {
+      // burned / nonexistent: leave it to the scanner
+      owned.delete(id);
+      continue;
+    }
+    if (current === ownerLower) {
+      if (!owned.has(id)) owned.set(id, null);
+    } else {
+      owned.delete(id);
+      moved.set(id, current);
+    }
+  }
+
+  return { method, owned, moved };
+}
+
+function writeTokens(db, contractId, head, ownerLower, { owned, moved }) {
+  // Same guard as the scanner: only a newer (block, logIndex) overwrites.
+  // Head-only reads use log index -1 so a transfer later in that block still wins.
+  const upsert = db.prepare(`
+    INSERT INTO nft_tokens (
+      contract_id, token_id,
+      owner_lower, owner_eip55,
+      is_burned,
+      last_block, last_tx_hash, last_log_index,
+      first_seen_block, updated_at
+    ) VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(contract_id, token_id) DO UPDATE SET
+      owner_lower = excluded.owner_lower,
+      owner_eip55 = excluded.owner_eip55,
+      is_burned   = 0,
+      last_block  = excluded.last_block,
+      last_tx_hash= excluded.last_tx_hash,
+      last_log_index = excluded.last_log_index,
+      updated_at = datetime('now')
+    WHERE
+      nft_tokens.last_block IS NULL
+      OR excluded.last_block > nft_tokens.last_block
+      OR (
+        excluded.last_block = nft_tokens.last_block
+        AND excluded.last_log_index > nft_tokens.last_log_index
+      )
+  `);
+
+  const tx = db.transaction(() => {
+    let changed = 0;
+    const ownerEip55 = ethers.getAddress(ownerLower);
+    for (const [tokenId, t] of owned) {
+      const block = t ? t.blockNumber : head;
+      changed += upsert.run(
+        contractId,
+        tokenId,
+        ownerLower,
+        ownerEip55,
+        block,
+        t ? t.txHash : null,
+        t ? t.logIndex : -1,
+        block
+      ).changes;
+    }
+    for (const [tokenId, current] of moved) {
+      changed += upsert.run(contractId, tokenId, current, ethers.getAddress(current), head, null, -1, head).changes;
+    }
+    return changed;
+  });
+  return tx();
+}
+
+function countWalletPositions(db, walletId) {
+  const lp = db.prepare(`SELECT COUNT(*) AS n FROM lp_position_snapshots WHERE wallet_id = ?`).get(walletId).n;
+  const loans = db.prepare(`SELECT COUNT(*) AS n FROM loan_position_snapshots WHERE wallet_id = ?`).get(walletId).n;
+  const spam = db
+    .prepare(
+      `
+      SELECT COUNT(*) AS n
+      FROM user_wallets uw
+      JOIN contracts c ON c.chain_id = uw.chain_id AND c.kind = 'LP_NFT' AND c.is_enabled = 1
+      JOIN nft_tokens nt ON nt.contract_id = c.id AND nt.owner_lower = uw.address_lower AND nt.is_burned = 0
+      LEFT JOIN lp_spam_unhides su
+        ON su.wallet_id = uw.id AND su.contract_id = c.id AND su.token_id = nt.token_id
+      WHERE uw.id = ? AND nt.is_spam = 1 AND su.id IS NULL
+    `
+    )
+    .get(walletId).n;
+  return { lp, loans, spam };
+}
+
+async function notifyUser(client, userId, content) {
+  if (!client) return;
+  try {
+    await discordDm.send({ client, userId, payload: { discord: { content } } });
+  } catch (err) {
+    logger.warn(`[walletBackfill] Could not DM userId=${userId}: ${err?.message || err}`);
+  }
+}
+
+async function runWalletBackfill({ client, userId, walletId, chainId, address }) {
+  const db = getDb();
+  const chain = String(chainId).toUpperCase();
+  const ownerLower = address.toLowerCase();
+  const t0 = Date.now();
+
+  const provider = providerForChain(chain);
+  const head = await provider.getBlockNumber();
+
+  const results = [];
+  for (const c of selectChainContracts(db, chain)) {
+    try {
+      const found = await discoverContractTokens(db, provider, c, address, head);
+      const changed = writeTokens(db, c.contract_id, head, ownerLower, found);
+      if (c.kind === "LP_NFT") await classifyLpSpam(db, provider, c, { ownerLower });
+      results.push({ contract: c, ok: true, method: found.method, owned: found.owned.size, changed });
+      logger.debug(
+        `[walletBackfill] ${chain} ${c.contract_key} ${shortenAddress(address)}: ` +
+          `${found.owned.size} owned via ${found.method}, ${found.moved.size} moved, ${changed} row(s) written`
+      );
+    } catch (err) {
+      results.push({ contract: c, ok: false, error: err?.message || String(err) });
+      logger.warn(`[walletBackfill] ${chain} ${c.contract_key} failed for walletId=${walletId}: ${err?.message || err}`);
+    }
+  }
+
+  // One price cache for both: loan oracle prices also value LP tokens
+  const priceCache = createPriceCache();
+  await refreshLoanSnapshots({ priceCache, userId });
+  await refreshLpSnapshots({ priceCache, userId });
+
+  const counts = countWalletPositions(db, walletId);
+  const failed = results.filter((r) => !r.ok);
+  logger.info(
+    `[walletBackfill] walletId=${walletId} ${chain} done in ${Date.now() - t0} ms: ` +
+      `lp=${counts.lp} loans=${counts.loans} failedContracts=${failed.length}`
+  );
+
+  const lines = [
+    `✅ Your positions for wallet **${shortenAddress(address)}** on **${chain}** are ready.`,
+    `LP positions: **${counts.lp}** · Loans: **${counts.loans}**`,
+    counts.spam ? `🚫 ${counts.spam} spam LP position(s) hidden; review them with \`/ignore-spam-tx\`.` : null,
+    "Use `/my-lp` and `/my-loans` to view them.",
+  ];
+  if (failed.length) {
+    lines.push(
+      `⚠️ ${failed.length} contract(s) could not be checked right now (${failed
+        .map((r) => r.contract.contract_key)
+        .join(", ")}); the regular scan will pick them up.`
+    );
+  }
+  await notifyUser(client, userId, lines.filter(Boolean).join("\n"));
+  // The count above is the notice; the monitor cycle only reports positions flagged later
+  if (counts.spam) markSpamNotified(db, chain, ownerLower);
+
+  return { head, counts, results };
+}
+
+/**
+ * Start a backfill for a newly added wallet (fire-and-forget; errors are logged).
+ * A second call for the same wallet while one runs returns the running promise.
+ */
+function backfillWallet({ client = null, userId, walletId, chainId, address }) {
+  if (inFlight.has(walletId)) return inFlight.get(walletId);
+
+  const p = runWalletBackfill({ client, userId, walletId, chainId, address })
+    .catch(async (err) => {
+      logger.error(`[walletBackfill] walletId=${walletId} failed:`, err?.message || err);
+      await notifyUser(
+        client,
+        userId,
+        `⚠️ Could not load positions for wallet **${shortenAddress(address)}** on **${chainId}** right now. ` +
+          "They will appear after the next regular scan."
+      );
+      return null;
+    })
+    .finally(() => inFlight.delete(walletId));
+  inFlight.set(walletId, p);
+  return p;
+}
+
+module.exports = { backfillWallet };
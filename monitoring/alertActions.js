@@ -0,0 +1,296 @@
+// monitoring/alertActions.js
+//
+// Per-alert actions from the DM buttons (handlers/ui/alert-actions-ui.js):
+// - alert_acks: the user acknowledged one alert_log row
+// - alert_snoozes: no notifications for (position, alert type) until snoozed_until,
+//   unless the tier escalates to CRITICAL (that clears the snooze)
+// - alert_mutes: no notifications for (position, alert type) until unmuted
+// Suppressed alerts are still written to alert_state/alert_log; only delivery is skipped.
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+
+const { getDb } = require("../db");
+
+// Display names for alert_log.alert_type (DM embeds, digests, /alert-history, /escalation)
+const ALERT_TYPE_LABELS = {
+  LIQUIDATION: "Liquidation",
+  REDEMPTION: "Redemption",
+  LP_RANGE: "LP range",
+  REDEEMED: "Redeemed",
+  LIQUIDATED: "Liquidated",
+  PRICE_MOVE: "Price move",
+  RULE: "Rule",
+};
+
+const SNOOZE_OPTIONS = {
+  "1h": 60 * 60 * 1000,
+  "6h": 6 * 60 * 60 * 1000,
+  "24h": 24 * 60 * 60 * 1000,
+};
+
+// SQLite datetime('now') format, UTC
+function toSqlTime(ms) {
+  return new Date(ms).toISOString().slice(0, 19).replace("T", " ");
+}
+
+function fromSqlTime(s) {
+  if (!s) return null;
+  const ms = Date.parse(`${String(s).replace(" ", "T")}Z`);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// -----------------------------
+// Storage
+// -----------------------------
+function getAlertLogRow(alertLogId) {
+  const db = getDb();
+  return (
+    db
+      .prepare(
+        `
+      SELECT id, user_id AS userId, wallet_id AS walletId, contract_id AS contractId,
+             token_id AS tokenId, alert_type AS alertType, phase, message, meta_json AS metaJson,
+             created_at AS createdAt
+      FROM alert_log
+      WHERE id = ?
+    `
+      )
+      .get(alertLogId) || null
+  );
+}
+
+function positionKey(row) {
+  return [row.userId, row.walletId, row.contractId, String(row.tokenId), String(row.alertType).toUpperCase()];
+}
+
+function ackAlert(row) {
+  const db = getDb();
+  db.prepare(
+    `
+    INSERT INTO alert_acks (alert_log_id, user_id, wallet_id, contract_id, token_id, alert_type)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(alert_log_id) DO NOTHING
+  `
+  ).run(row.id, ...positionKey(row));
+}
+
+function isAlertAcked(alertLogId) {
+  const db = getDb();
+  return !!db.prepare(`SELECT 1 FROM alert_acks WHERE alert_log_id = ?`).get(alertLogId);
+}
+
+// Returns the snooze expiry (ms)
+function snoozeAlert(row, option) {
+  const ms = SNOOZE_OPTIONS[option];
+  if (!ms) throw new Error(`Unknown snooze option "${option}"`);
+  const until = Date.now() + ms;
+
+  const db = getDb();
+  db.prepare(
+    `
+    INSERT INTO alert_snoozes (user_id, wallet_id, contract_id, token_id, alert_type, snoozed_until, alert_log_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(user_id, wallet_id, contract_id, token_id, alert_type) DO UPDATE SET
+      snoozed_until = excluded.snoozed_until,
+      alert_log_id  = excluded.alert_log_id,
+      created_at    = datetime('now')
+  `
+  ).run(...positionKey(row), toSqlTime(until), row.id);
+  return until;
+}
+
+function clearSnooze(row) {
+  const db = getDb();
+  return (
+    db
+      .prepare(
+        `
+      DELETE FROM alert_snoozes
+      WHERE user_id = ? AND wallet_id = ? AND contract_id = ? AND token_id = ? AND alert_type = ?
+    `
+      )
+      .run(...positionKey(row)).changes > 0
+  );
+}
+
+// Active snooze expiry (ms) or null; expired rows are removed on read
+function getSnoozedUntil(row) {
+  const db = getDb();
+  const snooze = db
+    .prepare(
+      `
+      SELECT snoozed_until
+      FROM alert_snoozes
+      WHERE user_id = ? AND wallet_id = ? AND contract_id = ? AND token_id = ? AND alert_type = ?
+    `
+    )
+    .get(...positionKey(row));
+  if (!snooze) return null;
+
+  const until = fromSqlTime(snooze.snoozed_until);
+  if (until == null || until <= Date.now()) {
+    clearSnooze(row);
+    return null;
+  }
+  return until;
+}
+
+function muteAlert(row) {
+  const db = getDb();
+  db.prepare(
+    `
+    INSERT INTO alert_mutes (user_id, wallet_id, contract_id, token_id, alert_type, alert_log_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(user_id, wallet_id, contract_id, token_id, alert_type) DO NOTHING
+  `
+  ).run(...positionKey(row), row.id);
+}
+
+function unmuteAlert(row) {
+  const db = getDb();
+  return (
+    db
+      .prepare(
+        `
+      DELETE FROM alert_mutes
+      WHERE user_id = ? AND wallet_id = ? AND contract_id = ? AND token_id = ? AND alert_type = ?
+    `
+      )
+      .run(...positionKey(row)).changes > 0
+  );
+}
+
+function isAlertMuted(row) {
+  const db = getDb();
+  return !!db
+    .prepare(
+      `
+      SELECT 1
+      FROM alert_mutes
+      WHERE user_id = ? AND wallet_id = ? AND contract_id = ? AND token_id = ? AND alert_type = ?
+    `
+    )
+    .get(...positionKey(row));
+}
+
+// Latest alerts of the same position and alert type (details view)
+function getRecentPositionAlerts(row, limit = 5) {
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      SELECT al.id, al.phase, al.message, al.meta_json AS metaJson, al.created_at AS createdAt,
+             ak.acked_at AS ackedAt
+      FROM alert_log al
+      LEFT JOIN alert_acks ak
+        ON ak.alert_log_id = al.id
+      WHERE al.user_id = ? AND al.wallet_id = ? AND al.contract_id = ? AND al.token_id = ? AND al.alert_type = ?
+      ORDER BY al.id DESC
+      LIMIT ?
+    `
+    )
+    .all(...positionKey(row), limit);
+}
+
+function getAlertActionState(row) {
+  return {
+    acked: isAlertAcked(row.id),
+    snoozedUntil: getSnoozedUntil(row),
+    muted: isAlertMuted(row),
+  };
+}
+
+// -----------------------------
+// Delivery check (alertEngine.notifyUser)
+// -----------------------------
+// EVENT alerts (price moves, rules, trove events) carry the current tier, not a transition
+function escalatesToCritical({ phase, meta }) {
+  if (phase === "RESOLVED" || phase === "EVENT") return false;
+  const newTier = String(meta?.newTier || "").toUpperCase();
+  const prevTier = String(meta?.prevTier || "").toUpperCase();
+  return newTier === "CRITICAL" && prevTier !== "CRITICAL";
+}
+
+/**
+ * Why a notification for this position/alert type must not be delivered, or null.
+ * A snooze gives way (and is cleared) when the tier escalates to CRITICAL.
+ *
+ * @returns {string|null}
+ */
+function getAlertSuppression({ userId, walletId, contractId, tokenId, alertType, phase, meta }) {
+  const key = { userId, walletId, contractId, tokenId, alertType: String(alertType || "GENERIC").toUpperCase() };
+  if (isAlertMuted(key)) return "muted";
+
+  const snoozedUntil = getSnoozedUntil(key);
+  if (snoozedUntil == null) return null;
+  if (escalatesToCritical({ phase, meta })) {
+    clearSnooze(key);
+    return null;
+  }
+  return `snoozed until ${toSqlTime(snoozedUntil)} UTC`;
+}
+
+// -----------------------------
+// DM buttons
+// -----------------------------
+function buildAlertActionRows(alertLogId, state = {}) {
+  const { acked = false, snoozedUntil = null, muted = false } = state;
+
+  const first = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`al:ack:${alertLogId}`)
+      .setLabel(acked ? "Acknowledged" : "Acknowledge")
+      .setEmoji("✅")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(acked)
+  );
+  if (snoozedUntil) {
+    first.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`al:unsnooze:${alertLogId}`)
+        .setLabel("Cancel snooze")
+        .setEmoji("⏰")
+        .setStyle(ButtonStyle.Secondary)
+    );
+  } else {
+    for (const option of Object.keys(SNOOZE_OPTIONS)) {
+      first.addComponents(
+        new ButtonBuilder()
+          .setCustomId(`al:snooze:${alertLogId}:${option}`)
+          .setLabel(`Snooze ${option}`)
+          .setStyle(ButtonStyle.Secondary)
+      );
+    }
+  }
+
+  const second = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`al:${muted ? "unmute" : "mute"}:${alertLogId}`)
+      .setLabel(muted ? "Unmute" : "Mute this alert")
+      .setEmoji(muted ? "🔔" : "🔕")
+      .setStyle(muted ? ButtonStyle.Primary : ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`al:details:${alertLogId}`)
+      .setLabel("View details")
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  return [first, second];
+}
+
+module.exports = {
+  ALERT_TYPE_LABELS,
+  SNOOZE_OPTIONS,
+  fromSqlTime,
+  getAlertLogRow,
+  ackAlert,
+  isAlertAcked,
+  snoozeAlert,
+  clearSnooze,
+  muteAlert,
+  unmuteAlert,
+  getRecentPositionAlerts,
+  getAlertActionState,
+  getAlertSuppression,
+  buildAlertActionRows,
+};
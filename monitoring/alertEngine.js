@@ -1,14 +1,38 @@
 // monitoring/alertEngine.js
-// DB-backed alert state + logging + Discord DM alerts (NEW SCHEMA)
+// DB-backed alert state + logging + alert delivery (Discord DM by default, see ./notifiers)
 
 const crypto = require("crypto");
 const { EmbedBuilder } = require("discord.js");
 const { getDb } = require("../db");
-const { sendLongDM } = require("../utils/discord/sendLongDM");
+const { deliverAlert } = require("./notifiers");
+const { getWatchGroupsForWallet, dispatchToWatchGroups } = require("./watchGroups");
+const { isInQuietHours, breaksQuietHours, enqueueDigestAlert } = require("./quietHours");
+const { getAlertSuppression, fromSqlTime } = require("./alertActions");
+const { getPriceMoveSettings, findPriceMove, lpEdgeBufferFrac } = require("./priceMoves");
+const { formatHitChance } = require("./volatility");
+const {
+  getEscalationPolicy,
+  getEscalationOwner,
+  escalationNotifiers,
+  deliverEscalation,
+  listCriticalAlertStates,
+  getAnchorAlert,
+  getEscalation,
+  startEscalation,
+  recordEscalationStep,
+  isEscalationAcked,
+  endStaleEscalations,
+  isStepDue,
+} = require("./alertEscalation");
 const logger = require("../utils/logger");
 const { shortenAddress } = require("../utils/ethers/shortenAddress");
 const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
-const { formatAddressLink, formatLpPositionLink, formatLoanTroveLink } = require("../utils/links");
+const {
+  formatAddressLink,
+  formatTxLink,
+  formatLpPositionLink,
+  formatLoanTroveLink,
+} = require("../utils/links");
 
 function trendLabel(prevTier, newTier, order) {
   const p = (prevTier || "").toString().toUpperCase();
@@ -36,6 +60,11 @@ function formatTierList(currentTier) {
     .join("\n");
 }
 
+// Tier field title notes when the user's /alert-settings profile decided the tier.
+function tierFieldName(meta) {
+  return meta?.thresholdSource ? "Tier (your thresholds)" : "Tier";
+}
+
 function renderPositionBar(pct) {
   if (pct == null || !Number.isFinite(pct)) return "0% |---------------------| 100%";
   const barLen = 21;
@@ -45,6 +74,11 @@ function renderPositionBar(pct) {
   return `0% |${left}o${right}| 100%`;
 }
 
+// Estimated chance of touching the liquidation price / range edge (see ./volatility)
+function hitChanceValue(hitChance) {
+  return formatHitChance(hitChance, { bold: true }) || "n/a (not enough price history yet)";
+}
+
 function formatSnapshotLine(snapshotAt) {
   if (!snapshotAt) return null;
   const raw = String(snapshotAt);
@@ -152,426 +186,601 @@ function makeSignature(payload) {
   return crypto.createHash("sha256").update(stableStringify(payload)).digest("hex");
 }
 
-function disableUserDm(userId, reason = null) {
-  try {
-    const db = getDb();
-    db.prepare(
-      `
-      UPDATE users
-      SET accepts_dm = 0
-      WHERE id = ?
-    `
-    ).run(userId);
-
-    if (reason) console.warn(`[dm] Disabled DMs for userId=${userId} (${reason})`);
-    else console.warn(`[dm] Disabled DMs for userId=${userId}`);
-  } catch (e) {
-    console.error(`[dm] Failed to disable DMs for userId=${userId}:`, e.message);
+// REMINDER / ESCALATED steps reuse the UPDATED rendering under an escalation banner
+function decorateEscalationPayload(base, { phase, meta }) {
+  if (!base) return null;
+  const since = meta?.criticalSince ? ` (CRITICAL since <t:${meta.criticalSince}:R>)` : "";
+  const banner =
+    phase === "ESCALATED"
+      ? `🚨 **Escalated:** ${meta?.ownerMention || "the owner"} has not acknowledged this CRITICAL alert${since}.`
+      : `⏰ **Reminder ${meta?.reminder || ""}:** this CRITICAL alert has not been acknowledged${since}.`;
+
+  if (base.embeds?.length) {
+    const [first, ...rest] = base.embeds;
+    const embed = EmbedBuilder.from(first)
+      .setTitle(`${phase === "ESCALATED" ? "🚨" : "⏰"} ${first.data?.title || "Alert"}`.slice(0, 256))
+      .setDescription(`${banner}\n\n${first.data?.description || ""}`.slice(0, 4096))
+      .setColor("Red");
+    return { embeds: [embed, ...rest] };
   }
+  return { content: `${banner}\n\n${base.content || ""}` };
 }
 
-/**
- * Discord DM failure classifier.
- * Only disable DMs for strong signals that user can't be messaged.
- */
-function shouldDisableDmForError(err) {
-  const code = err?.code;
-  const status = err?.status;
-
-  // Strong Discord API signals
-  if (code === 50007) return { disable: true, reason: "Cannot send messages to this user (50007)" };
-  if (code === 10013) return { disable: true, reason: "Unknown user (10013)" };
-
-  // discord.js sometimes yields REST/HTTP statuses
-  if (status === 403 || status === 401) return { disable: true, reason: `HTTP ${status}` };
-
-  const msg = String(err?.message || "").toLowerCase();
+// Render the Discord message for an alert; null = this phase is not notified.
+// Returns { embeds } or { content } (long text, chunked by the DM/channel notifiers).
+function buildAlertPayload({ phase, alertType, logPrefix, message, meta }) {
+  const client = _client;
 
-  if (msg.includes("cannot send messages to this user")) {
-    return { disable: true, reason: "cannot send messages to this user" };
-  }
-  if (msg.includes("missing access") || msg.includes("missing permissions")) {
-    return { disable: true, reason: "missing access/permissions" };
+  if (phase === "REMINDER" || phase === "ESCALATED") {
+    return decorateEscalationPayload(buildAlertPayload({ phase: "UPDATED", alertType, logPrefix, message, meta }), {
+      phase,
+      meta,
+    });
   }
 
-  // Do NOT disable on timeouts / 5xx / rate limits
-  if (msg.includes("timeout") || msg.includes("timed out")) return { disable: false, reason: null };
-  if (status && status >= 500) return { disable: false, reason: null };
-  if (status === 429) return { disable: false, reason: null };
-
-  return { disable: false, reason: null };
-}
-
-function getUserDmTarget(userId) {
-  const db = getDb();
-  const row = db
-    .prepare(
-      `
-      SELECT discord_id, discord_name, accepts_dm
-      FROM users
-      WHERE id = ?
-      LIMIT 1
-    `
-    )
-    .get(userId);
-
-  if (!row) return null;
-  if (Number(row.accepts_dm) !== 1) return null;
-  if (!row.discord_id) return null;
-
-  return { discordId: row.discord_id, discordName: row.discord_name || null };
-}
+  if (alertType === "REDEMPTION") {
+    if (phase === "NEW" || phase === "RESOLVED") return null;
+    const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
+    const fmt2c = (v) =>
+      typeof v === "number" && Number.isFinite(v)
+        ? new Intl.NumberFormat("en-US", {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2,
+          }).format(v)
+        : "n/a";
+    const prevTier = meta?.prevTier || "UNKNOWN";
+    const newTier = meta?.newTier || "UNKNOWN";
+    const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
+    const headline =
+      trend.label === "Improving"
+        ? { text: "Improving", emoji: "🟢" }
+        : trend.label === "Worsening"
+        ? { text: "Worsening", emoji: "🔴" }
+        : { text: "Updated", emoji: "⚪" };
+    const alertColor =
+      headline.text === "Improving"
+        ? "Green"
+        : headline.text === "Worsening"
+        ? "Red"
+        : "Grey";
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Redemption Alert - ${headline.text} ${headline.emoji}`)
+      .setDescription(message)
+      .setColor(alertColor)
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const troveText =
+      meta?.troveId && meta?.protocol
+        ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
+        : meta?.troveId || "n/a";
+    const fields = [
+      { name: "Trove", value: troveText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    const debtAheadPct =
+      typeof meta?.debtAheadPct === "number" && Number.isFinite(meta.debtAheadPct)
+        ? meta.debtAheadPct
+        : null;
+    const debtAheadText = fmt2c(meta?.debtAhead);
+    const debtTotalText = fmt2c(meta?.debtTotal);
+    const aheadPctText =
+      debtAheadPct == null ? "n/a" : `${(debtAheadPct * 100).toFixed(2)}%`;
+    const aheadMeaning = aheadPctText !== "n/a" ? aheadPctText : null;
+    const deltaIr =
+      typeof meta?.loanIR === "number" && typeof meta?.globalIR === "number"
+        ? meta.loanIR - meta.globalIR
+        : null;
+    const deltaText =
+      deltaIr == null || !Number.isFinite(deltaIr)
+        ? "n/a"
+        : `Δ ${deltaIr >= 0 ? "+" : ""}${deltaIr.toFixed(2)} pp`;
+    fields.push(
+      { name: "Loan IR", value: `${fmt2(meta?.loanIR)}%`, inline: true },
+      { name: "Global IR", value: `${fmt2(meta?.globalIR)}%`, inline: true },
+      { name: "Delta IR", value: deltaText, inline: true },
+      { name: "Debt Ahead", value: debtAheadText, inline: true },
+      { name: "Debt Total", value: debtTotalText, inline: true },
+      { name: "Ahead %", value: aheadPctText, inline: true },
+      {
+        name: "Redemption Position - Higher % = safer",
+        value: renderPositionBar(debtAheadPct),
+        inline: false,
+      },
+      { name: tierFieldName(meta), value: formatTierList(newTier), inline: false },
+      {
+        name: "Meaning",
+        value: redemptionMeaning(newTier, aheadMeaning),
+        inline: false,
+      }
+    );
+    const snapshotLine = formatSnapshotLine(meta?.snapshotAt);
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-async function sendDmToUser({ userId, phase, alertType, logPrefix, message, meta }) {
-  const target = getUserDmTarget(userId);
-  if (!target) return;
+    return { embeds: [embed] };
+  }
 
-  const client = _client;
-  if (!client || !client.users) {
-    console.error(
-      `${logPrefix} [dm] Discord client not set. Call setAlertEngineClient(client) in onReady.`
+  if (alertType === "LIQUIDATION") {
+    if (phase === "NEW" || phase === "RESOLVED") return null;
+    const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
+    const fmt4 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(4) : "n/a");
+    const prevTier = meta?.prevTier || "UNKNOWN";
+    const newTier = meta?.newTier || "UNKNOWN";
+    const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
+    const headline =
+      trend.label === "Improving"
+        ? { text: "Improving", emoji: "🟢" }
+        : trend.label === "Worsening"
+        ? { text: "Worsening", emoji: "🔴" }
+        : { text: "Updated", emoji: "⚪" };
+    const alertColor =
+      headline.text === "Improving"
+        ? "Green"
+        : headline.text === "Worsening"
+        ? "Red"
+        : "Grey";
+    const bufferPct =
+      typeof meta?.liquidationBufferFrac === "number" && Number.isFinite(meta?.liquidationBufferFrac)
+        ? `${(meta.liquidationBufferFrac * 100).toFixed(2)}%`
+        : "n/a";
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Liquidation Alert - ${headline.text} ${headline.emoji}`)
+      .setDescription(message)
+      .setColor(alertColor)
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const troveText =
+      meta?.troveId && meta?.protocol
+        ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
+        : meta?.troveId || "n/a";
+    const fields = [
+      { name: "Trove", value: troveText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    fields.push(
+      { name: "LTV", value: `${fmt2(meta?.ltvPct)}%`, inline: true },
+      { name: "Buffer", value: bufferPct, inline: true },
+      {
+        name: "Price / Liq",
+        value: `${fmt4(meta?.currentPrice)} / ${fmt4(meta?.liquidationPrice)}`,
+        inline: true,
+      },
+      {
+        name: "Liquidation Position - Higher % = safer",
+        value: renderPositionBar(meta?.liquidationBufferFrac),
+        inline: false,
+      },
+      { name: "Liquidation Chance (est.)", value: hitChanceValue(meta?.hitChance), inline: false },
+      { name: tierFieldName(meta), value: formatTierList(newTier), inline: false },
+      {
+        name: "Meaning",
+        value:
+          newTier === "LOW"
+            ? "Your loan is comfortably safe from liquidation."
+            : newTier === "MEDIUM"
+            ? "Your loan is safe, but at slight risk of liquidation."
+            : newTier === "HIGH"
+            ? "Your loan is at elevated risk of liquidation."
+            : newTier === "CRITICAL"
+            ? "Your loan is at severe risk of liquidation."
+            : "Liquidation risk is unknown.",
+        inline: false,
+      }
     );
-    return;
-  }
+    const snapshotLine = formatSnapshotLine(meta?.snapshotAt);
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-  let user;
-  try {
-    user = await client.users.fetch(target.discordId);
-  } catch (err) {
-    console.error(`${logPrefix} [dm] Cannot fetch user ${target.discordId}:`, err?.message || err);
-    const verdict = shouldDisableDmForError(err);
-    if (verdict.disable) disableUserDm(userId, verdict.reason);
-    return;
+    return { embeds: [embed] };
   }
-  if (!user) return;
 
-  try {
-    if (alertType === "REDEMPTION") {
-      if (phase === "NEW" || phase === "RESOLVED") return;
-      const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
-      const fmt2c = (v) =>
-        typeof v === "number" && Number.isFinite(v)
-          ? new Intl.NumberFormat("en-US", {
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 2,
-            }).format(v)
-          : "n/a";
-      const prevTier = meta?.prevTier || "UNKNOWN";
-      const newTier = meta?.newTier || "UNKNOWN";
-      const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
-      const headline =
-        trend.label === "Improving"
-          ? { text: "Improving", emoji: "🟢" }
-          : trend.label === "Worsening"
-          ? { text: "Worsening", emoji: "🔴" }
-          : { text: "Updated", emoji: "⚪" };
-      const alertColor =
-        headline.text === "Improving"
-          ? "Green"
-          : headline.text === "Worsening"
-          ? "Red"
-          : "Grey";
-
-      const embed = new EmbedBuilder()
-        .setTitle(`Redemption Alert - ${headline.text} ${headline.emoji}`)
-        .setDescription(message)
-        .setColor(alertColor)
-        .setTimestamp();
-
-      if (client.user) embed.setThumbnail(client.user.displayAvatarURL());
-
-      const walletText = meta?.walletAddress
-        ? formatAddressLink(meta.chainId, meta.walletAddress)
-        : meta?.wallet || "n/a";
-      const troveText =
-        meta?.troveId && meta?.protocol
-          ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
-          : meta?.troveId || "n/a";
-      const fields = [
-        { name: "Trove", value: troveText, inline: true },
-        { name: "Wallet", value: walletText, inline: true },
-      ];
-      if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
-      const debtAheadPct =
-        typeof meta?.debtAheadPct === "number" && Number.isFinite(meta.debtAheadPct)
-          ? meta.debtAheadPct
-          : null;
-      const debtAheadText = fmt2c(meta?.debtAhead);
-      const debtTotalText = fmt2c(meta?.debtTotal);
-      const aheadPctText =
-        debtAheadPct == null ? "n/a" : `${(debtAheadPct * 100).toFixed(2)}%`;
-      const aheadMeaning = aheadPctText !== "n/a" ? aheadPctText : null;
-      const deltaIr =
-        typeof meta?.loanIR === "number" && typeof meta?.globalIR === "number"
-          ? meta.loanIR - meta.globalIR
-          : null;
-      const deltaText =
-        deltaIr == null || !Number.isFinite(deltaIr)
-          ? "n/a"
-          : `Δ ${deltaIr >= 0 ? "+" : ""}${deltaIr.toFixed(2)} pp`;
+  if (alertType === "REDEEMED" || alertType === "LIQUIDATED") {
+    const fmtAmt = (v, signed = false) => {
+      if (typeof v !== "number" || !Number.isFinite(v)) return "n/a";
+      const txt = new Intl.NumberFormat("en-US", { maximumFractionDigits: 4 }).format(Math.abs(v));
+      if (!signed || v === 0) return txt;
+      return `${v < 0 ? "−" : "+"}${txt}`;
+    };
+    const liquidated = alertType === "LIQUIDATED";
+    const title = liquidated
+      ? "Trove Liquidated 🟥"
+      : meta?.fullyRedeemed
+      ? "Trove Fully Redeemed 🟧"
+      : "Trove Redeemed 🟧";
+
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(message)
+      .setColor(liquidated ? "Red" : "Orange")
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const troveText =
+      meta?.troveId && meta?.protocol
+        ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
+        : meta?.troveId || "n/a";
+    const debtSym = meta?.debtSymbol ? ` ${meta.debtSymbol}` : "";
+    const collSym = meta?.collSymbol ? ` ${meta.collSymbol}` : "";
+    const fields = [
+      { name: "Trove", value: troveText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    fields.push(
+      { name: "Debt Change", value: `${fmtAmt(meta?.debtChange, true)}${debtSym}`, inline: true },
+      { name: "Collateral Change", value: `${fmtAmt(meta?.collChange, true)}${collSym}`, inline: true },
+      { name: "Price", value: fmtAmt(meta?.price), inline: true }
+    );
+    if (!liquidated) {
       fields.push(
-        { name: "Loan IR", value: `${fmt2(meta?.loanIR)}%`, inline: true },
-        { name: "Global IR", value: `${fmt2(meta?.globalIR)}%`, inline: true },
-        { name: "Delta IR", value: deltaText, inline: true },
-        { name: "Debt Ahead", value: debtAheadText, inline: true },
-        { name: "Debt Total", value: debtTotalText, inline: true },
-        { name: "Ahead %", value: aheadPctText, inline: true },
-        {
-          name: "Redemption Position - Higher % = safer",
-          value: renderPositionBar(debtAheadPct),
-          inline: false,
-        },
-        { name: "Tier", value: formatTierList(newTier), inline: false },
-        {
-          name: "Meaning",
-          value: redemptionMeaning(newTier, aheadMeaning),
-          inline: false,
-        }
+        { name: "Debt After", value: `${fmtAmt(meta?.debtAfter)}${debtSym}`, inline: true },
+        { name: "Collateral After", value: `${fmtAmt(meta?.collAfter)}${collSym}`, inline: true }
       );
-      const snapshotLine = formatSnapshotLine(meta?.snapshotAt);
-      if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
-      embed.addFields(fields);
-
-      await user.send({ embeds: [embed] });
-      return;
     }
+    fields.push({
+      name: "Transaction",
+      value: `${formatTxLink(meta?.chainId, meta?.txHash)} (block ${meta?.blockNumber ?? "n/a"})`,
+      inline: false,
+    });
+    embed.addFields(fields);
 
-    if (alertType === "LIQUIDATION") {
-      if (phase === "NEW" || phase === "RESOLVED") return;
-      const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
-      const fmt4 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(4) : "n/a");
-      const prevTier = meta?.prevTier || "UNKNOWN";
-      const newTier = meta?.newTier || "UNKNOWN";
-      const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
-      const headline =
-        trend.label === "Improving"
-          ? { text: "Improving", emoji: "🟢" }
-          : trend.label === "Worsening"
-          ? { text: "Worsening", emoji: "🔴" }
-          : { text: "Updated", emoji: "⚪" };
-      const alertColor =
-        headline.text === "Improving"
-          ? "Green"
-          : headline.text === "Worsening"
-          ? "Red"
-          : "Grey";
-      const bufferPct =
-        typeof meta?.liquidationBufferFrac === "number" && Number.isFinite(meta?.liquidationBufferFrac)
-          ? `${(meta.liquidationBufferFrac * 100).toFixed(2)}%`
-          : "n/a";
-
-      const embed = new EmbedBuilder()
-        .setTitle(`Liquidation Alert - ${headline.text} ${headline.emoji}`)
-        .setDescription(message)
-        .setColor(alertColor)
-        .setTimestamp();
-
-      if (client.user) embed.setThumbnail(client.user.displayAvatarURL());
-
-      const walletText = meta?.walletAddress
-        ? formatAddressLink(meta.chainId, meta.walletAddress)
-        : meta?.wallet || "n/a";
-      const troveText =
-        meta?.troveId && meta?.protocol
-          ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
-          : meta?.troveId || "n/a";
-      const fields = [
-        { name: "Trove", value: troveText, inline: true },
-        { name: "Wallet", value: walletText, inline: true },
-      ];
-      if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    return { embeds: [embed] };
+  }
+
+  if (alertType === "PRICE_MOVE") {
+    const fmtPrice = (v) =>
+      typeof v === "number" && Number.isFinite(v)
+        ? new Intl.NumberFormat("en-US", { maximumSignificantDigits: 6 }).format(v)
+        : "n/a";
+    const fmtPct = (frac) =>
+      typeof frac === "number" && Number.isFinite(frac) ? `${(frac * 100).toFixed(2)}%` : "n/a";
+    const isLp = meta?.kind === "LP";
+    const falling = meta?.direction === "DOWN";
+    // For a loan a falling collateral price eats into the liquidation buffer
+    const headline = isLp
+      ? { text: falling ? "Falling" : "Rising", emoji: "🟠" }
+      : falling
+      ? { text: "Falling", emoji: "🔴" }
+      : { text: "Rising", emoji: "🟢" };
+    const alertColor = isLp ? "Orange" : falling ? "Red" : "Green";
+    const movePct = typeof meta?.movePct === "number" ? meta.movePct : null;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Price Move Alert - ${headline.text} ${headline.emoji}`)
+      .setDescription(message)
+      .setColor(alertColor)
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const positionText = isLp
+      ? formatLpPositionLink(meta?.protocol, meta?.tokenId, `#${meta?.tokenId}`) || `#${meta?.tokenId}`
+      : meta?.troveId && meta?.protocol
+      ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
+      : meta?.troveId || "n/a";
+    const fields = [
+      { name: isLp ? "Position" : "Trove", value: positionText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    if (isLp && meta?.pairLabel) fields.push({ name: "Pair", value: meta.pairLabel, inline: true });
+    fields.push(
+      {
+        name: "Move",
+        value:
+          movePct == null
+            ? "n/a"
+            : `${movePct >= 0 ? "+" : ""}${movePct.toFixed(2)}% within ${meta?.windowMin ?? "?"} min ` +
+              `(alert at ${meta?.thresholdPct ?? "?"}%)`,
+        inline: true,
+      },
+      {
+        name: "Price",
+        value: `${fmtPrice(meta?.refPrice)} → **${fmtPrice(meta?.currentPrice)}**${meta?.priceSymbol ? ` ${meta.priceSymbol}` : ""}`,
+        inline: true,
+      }
+    );
+    if (isLp) {
       fields.push(
-        { name: "LTV", value: `${fmt2(meta?.ltvPct)}%`, inline: true },
-        { name: "Buffer", value: bufferPct, inline: true },
-        {
-          name: "Price / Liq",
-          value: `${fmt4(meta?.currentPrice)} / ${fmt4(meta?.liquidationPrice)}`,
-          inline: true,
-        },
+        { name: "Range", value: `${fmtPrice(meta?.priceLower)} – ${fmtPrice(meta?.priceUpper)}`, inline: true },
+        { name: "Status", value: (meta?.rangeStatus || "UNKNOWN").replace(/_/g, " "), inline: true },
+        { name: "Buffer to range edge", value: fmtPct(meta?.edgeBufferFrac), inline: true }
+      );
+      if (meta?.hitChance) {
+        fields.push({ name: "Range Exit Chance (est.)", value: hitChanceValue(meta.hitChance), inline: false });
+      }
+      fields.push({ name: tierFieldName(meta), value: formatTierList(meta?.newTier), inline: false });
+    } else {
+      fields.push(
+        { name: "Liquidation Price", value: fmtPrice(meta?.liquidationPrice), inline: true },
+        { name: "Liquidation Buffer", value: fmtPct(meta?.liquidationBufferFrac), inline: true },
         {
           name: "Liquidation Position - Higher % = safer",
           value: renderPositionBar(meta?.liquidationBufferFrac),
           inline: false,
-        },
-        { name: "Tier", value: formatTierList(newTier), inline: false },
-        {
-          name: "Meaning",
-          value:
-            newTier === "LOW"
-              ? "Your loan is comfortably safe from liquidation."
-              : newTier === "MEDIUM"
-              ? "Your loan is safe, but at slight risk of liquidation."
-              : newTier === "HIGH"
-              ? "Your loan is at elevated risk of liquidation."
-              : newTier === "CRITICAL"
-              ? "Your loan is at severe risk of liquidation."
-              : "Liquidation risk is unknown.",
-          inline: false,
         }
       );
-      const snapshotLine = formatSnapshotLine(meta?.snapshotAt);
-      if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
-      embed.addFields(fields);
-
-      await user.send({ embeds: [embed] });
-      return;
+      if (meta?.hitChance) {
+        fields.push({ name: "Liquidation Chance (est.)", value: hitChanceValue(meta.hitChance), inline: false });
+      }
+      fields.push({ name: tierFieldName(meta), value: formatTierList(meta?.newTier), inline: false });
     }
+    embed.addFields(fields);
 
-    if (alertType === "LP_RANGE") {
-      const prevTier = meta?.prevTier || "UNKNOWN";
-      const newTier = meta?.newTier || "UNKNOWN";
-      const prevStatus = meta?.prevStatus || "UNKNOWN";
-      const currentStatus = meta?.currentStatus || "UNKNOWN";
-      const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
-      const phaseTag =
-        phase === "UPDATED"
-          ? ` ${trend.emoji} ${trend.label}`
-          : phase === "NEW"
-          ? " ⚠️"
-          : phase === "RESOLVED"
-          ? " ✅"
-          : "";
-
-      if (phase === "NEW") {
-        return;
-      }
+    return { embeds: [embed] };
+  }
 
-      if (phase === "UPDATED" && prevStatus === currentStatus && prevTier === newTier) {
-        return;
-      }
+  if (alertType === "RULE") {
+    const severity = (meta?.severity || "MEDIUM").toString().toUpperCase();
+    const alertColor = { CRITICAL: "Red", HIGH: "Orange", MEDIUM: "Yellow", LOW: "Green" }[severity] || "Grey";
+    const isLp = meta?.kind === "LP";
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Rule Alert - ${meta?.ruleName || "Rule"}${meta?.isGlobal ? " (global)" : ""}`)
+      .setDescription(message)
+      .setColor(alertColor)
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const positionText = isLp
+      ? formatLpPositionLink(meta?.protocol, meta?.tokenId, `#${meta?.tokenId}`) || `#${meta?.tokenId}`
+      : meta?.troveId && meta?.protocol
+      ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
+      : meta?.troveId || "n/a";
+    const valuesText = Object.entries(meta?.values || {})
+      .map(([k, v]) => `${k} = ${v ?? "n/a"}`)
+      .join("\n");
+
+    const fields = [
+      { name: isLp ? "Position" : "Trove", value: positionText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    if (isLp && meta?.pairLabel) fields.push({ name: "Pair", value: meta.pairLabel, inline: true });
+    fields.push({ name: "Condition", value: `\`${meta?.condition || "n/a"}\``, inline: false });
+    if (valuesText) fields.push({ name: "Values", value: valuesText, inline: false });
+    fields.push({ name: "Severity", value: formatTierList(severity), inline: false });
+    embed.addFields(fields);
+
+    return { embeds: [embed] };
+  }
 
-      const prettyStatus = (s) => (s || "UNKNOWN").toString().replace(/_/g, " ");
-      const statusEmoji = (s) =>
-        ({
-          IN_RANGE: "🟢",
-          OUT_OF_RANGE: "🔴",
-          INACTIVE: "⚪",
-          UNKNOWN: "⚪",
-        }[s] || "⚪");
-      const tierEmoji = (t) =>
-        ({
-          CRITICAL: "🟥",
-          HIGH: "🟧",
-          MEDIUM: "🟨",
-          LOW: "🟩",
-          UNKNOWN: "⬜",
-        }[t] || "⬜");
-      const fmtPrice = (v) => {
-        if (typeof v !== "number" || !Number.isFinite(v)) return "n/a";
-        return v.toFixed(5);
-      };
-      const priceLabel =
-        meta?.priceBaseSymbol && meta?.priceQuoteSymbol
-          ? `${meta.priceQuoteSymbol}/${meta.priceBaseSymbol}`
-          : "";
-      const currentPriceText =
-        meta?.currentPrice != null
-          ? `${fmtPrice(meta.currentPrice)}${priceLabel ? ` ${priceLabel}` : ""}`
-          : "n/a";
-      const statusChanged = prevStatus !== currentStatus;
-      const tierChanged = prevTier !== newTier;
-      const statusValue = `${statusEmoji(currentStatus)} ${prettyStatus(currentStatus)}`;
-      const statusWithPrice = `${statusValue} | Current: ${currentPriceText}`;
-      const tierOrder = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
-      const tierLines = tierOrder.map((t) => {
-        const marker = t === newTier ? " ◀" : "";
-        return `${tierEmoji(t)} ${t}${marker}`;
-      });
-      const tierValue = tierLines.join("\n");
-
-      const lpRangeLabel = meta?.lpRangeLabel || null;
-      let meaning = lpRangeLabel || "Status unchanged.";
-
-      const labelFromStatus = () => {
-        if (currentStatus === "IN_RANGE") return { text: "Improving", emoji: "🟢" };
-        if (currentStatus === "OUT_OF_RANGE") return { text: "Worsening", emoji: "🔴" };
-        return { text: "Updated", emoji: "⚪" };
-      };
-      const labelFromTrend = () => {
-        if (trend.label === "Improving") return { text: "Improving", emoji: "🟢" };
-        if (trend.label === "Worsening") return { text: "Worsening", emoji: "🔴" };
-        return { text: "Updated", emoji: "⚪" };
-      };
-      let headline = { text: "Updated", emoji: "⚪" };
-      if (statusChanged) headline = labelFromStatus();
-      else if (tierChanged) headline = labelFromTrend();
-
-      const alertColor =
-        headline.text === "Improving"
-          ? "Green"
-          : headline.text === "Worsening"
-          ? "Red"
-          : "Grey";
-      const embed = new EmbedBuilder()
-        .setTitle(`LP Range Alert - ${headline.text} ${headline.emoji}`)
-        .setDescription(message)
-        .setColor(alertColor)
-        .setTimestamp();
-
-      if (client.user) embed.setThumbnail(client.user.displayAvatarURL());
-
-      const walletText = meta?.walletAddress
-        ? formatAddressLink(meta.chainId, meta.walletAddress)
-        : meta?.wallet || "n/a";
-      const statusOnly = meta?.lpStatusOnly === 1 || meta?.lpStatusOnly === true;
-      const fields = [
-        {
-          name: "Position",
-          value:
-            meta?.positionId && meta?.protocol
-              ? formatLpPositionLink(meta.protocol, meta.positionId, meta.positionId)
-              : meta?.positionId || "n/a",
-          inline: true,
-        },
-        { name: "Wallet", value: walletText, inline: true },
-      ];
-      if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
-      if (meta?.pairLabel) fields.push({ name: "Pair", value: meta.pairLabel, inline: true });
-      fields.push({
-        name: "Min Price",
-        value: meta?.priceLower != null ? fmtPrice(meta.priceLower) : "n/a",
-        inline: true,
-      });
-      fields.push({
-        name: "Max Price",
-        value: meta?.priceUpper != null ? fmtPrice(meta.priceUpper) : "n/a",
-        inline: true,
-      });
-      fields.push(
-        { name: "Status", value: statusWithPrice, inline: false },
-        ...(statusOnly
-          ? []
-          : [
-              { name: "Tier", value: tierValue, inline: false },
-              { name: "Meaning", value: meaning, inline: false },
-            ])
-      );
-      const snapshotLine = formatSnapshotLine(meta?.snapshotAt);
-      if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
-      embed.addFields(fields);
+  if (alertType === "LP_RANGE") {
+    const prevTier = meta?.prevTier || "UNKNOWN";
+    const newTier = meta?.newTier || "UNKNOWN";
+    const prevStatus = meta?.prevStatus || "UNKNOWN";
+    const currentStatus = meta?.currentStatus || "UNKNOWN";
+    const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
+    const phaseTag =
+      phase === "UPDATED"
+        ? ` ${trend.emoji} ${trend.label}`
+        : phase === "NEW"
+        ? " ⚠️"
+        : phase === "RESOLVED"
+        ? " ✅"
+        : "";
+
+    if (phase === "NEW") {
+      return null;
+    }
 
-      await user.send({ embeds: [embed] });
-      return;
+    if (phase === "UPDATED" && prevStatus === currentStatus && prevTier === newTier) {
+      return null;
     }
 
-    const lines = [];
-    lines.push(`${logPrefix} ${phase} ${alertType} ALERT`);
-    lines.push(message);
+    const prettyStatus = (s) => (s || "UNKNOWN").toString().replace(/_/g, " ");
+    const statusEmoji = (s) =>
+      ({
+        IN_RANGE: "🟢",
+        OUT_OF_RANGE: "🔴",
+        INACTIVE: "⚪",
+        UNKNOWN: "⚪",
+      }[s] || "⚪");
+    const tierEmoji = (t) =>
+      ({
+        CRITICAL: "🟥",
+        HIGH: "🟧",
+        MEDIUM: "🟨",
+        LOW: "🟩",
+        UNKNOWN: "⬜",
+      }[t] || "⬜");
+    const fmtPrice = (v) => {
+      if (typeof v !== "number" || !Number.isFinite(v)) return "n/a";
+      return v.toFixed(5);
+    };
+    const priceLabel =
+      meta?.priceBaseSymbol && meta?.priceQuoteSymbol
+        ? `${meta.priceQuoteSymbol}/${meta.priceBaseSymbol}`
+        : "";
+    const currentPriceText =
+      meta?.currentPrice != null
+        ? `${fmtPrice(meta.currentPrice)}${priceLabel ? ` ${priceLabel}` : ""}`
+        : "n/a";
+    const statusChanged = prevStatus !== currentStatus;
+    const tierChanged = prevTier !== newTier;
+    const statusValue = `${statusEmoji(currentStatus)} ${prettyStatus(currentStatus)}`;
+    const statusWithPrice = `${statusValue} | Current: ${currentPriceText}`;
+    const tierOrder = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+    const tierLines = tierOrder.map((t) => {
+      const marker = t === newTier ? " ◀" : "";
+      return `${tierEmoji(t)} ${t}${marker}`;
+    });
+    const tierValue = tierLines.join("\n");
+
+    const lpRangeLabel = meta?.lpRangeLabel || null;
+    let meaning = lpRangeLabel || "Status unchanged.";
+
+    const labelFromStatus = () => {
+      if (currentStatus === "IN_RANGE") return { text: "Improving", emoji: "🟢" };
+      if (currentStatus === "OUT_OF_RANGE") return { text: "Worsening", emoji: "🔴" };
+      return { text: "Updated", emoji: "⚪" };
+    };
+    const labelFromTrend = () => {
+      if (trend.label === "Improving") return { text: "Improving", emoji: "🟢" };
+      if (trend.label === "Worsening") return { text: "Worsening", emoji: "🔴" };
+      return { text: "Updated", emoji: "⚪" };
+    };
+    let headline = { text: "Updated", emoji: "⚪" };
+    if (statusChanged) headline = labelFromStatus();
+    else if (tierChanged) headline = labelFromTrend();
+
+    const alertColor =
+      headline.text === "Improving"
+        ? "Green"
+        : headline.text === "Worsening"
+        ? "Red"
+        : "Grey";
+    const embed = new EmbedBuilder()
+      .setTitle(`LP Range Alert - ${headline.text} ${headline.emoji}`)
+      .setDescription(message)
+      .setColor(alertColor)
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const statusOnly = meta?.lpStatusOnly === 1 || meta?.lpStatusOnly === true;
+    const fields = [
+      {
+        name: "Position",
+        value:
+          meta?.positionId && meta?.protocol
+            ? formatLpPositionLink(meta.protocol, meta.positionId, meta.positionId)
+            : meta?.positionId || "n/a",
+        inline: true,
+      },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    if (meta?.pairLabel) fields.push({ name: "Pair", value: meta.pairLabel, inline: true });
+    fields.push({
+      name: "Min Price",
+      value: meta?.priceLower != null ? fmtPrice(meta.priceLower) : "n/a",
+      inline: true,
+    });
+    fields.push({
+      name: "Max Price",
+      value: meta?.priceUpper != null ? fmtPrice(meta.priceUpper) : "n/a",
+      inline: true,
+    });
+    fields.push(
+      { name: "Status", value: statusWithPrice, inline: false },
+      ...(statusOnly || currentStatus !== "IN_RANGE"
+        ? []
+        : [{ name: "Range Exit Chance (est.)", value: hitChanceValue(meta?.hitChance), inline: false }]),
+      ...(statusOnly
+        ? []
+        : [
+            { name: tierFieldName(meta), value: tierValue, inline: false },
+            { name: "Meaning", value: meaning, inline: false },
+          ])
+    );
+    const snapshotLine = formatSnapshotLine(meta?.snapshotAt);
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-    if (meta && Object.keys(meta).length > 0) {
-      lines.push("");
-      lines.push("Details:");
-      for (const [k, v] of Object.entries(meta)) {
-        lines.push(`• ${k}: ${v}`);
-      }
+    return { embeds: [embed] };
+  }
+
+  const lines = [];
+  lines.push(`${logPrefix} ${phase} ${alertType} ALERT`);
+  lines.push(message);
+
+  if (meta && Object.keys(meta).length > 0) {
+    lines.push("");
+    lines.push("Details:");
+    for (const [k, v] of Object.entries(meta)) {
+      lines.push(`• ${k}: ${v}`);
     }
+  }
+
+  return { content: lines.join("\n") };
+}
 
-    await sendLongDM(user, lines.join("\n"));
-  } catch (err) {
-    console.error(`${logPrefix} [dm] Failed to send DM to ${target.discordId}:`, err?.message || err);
-    const verdict = shouldDisableDmForError(err);
-    if (verdict.disable) disableUserDm(userId, verdict.reason);
+// Wallets attached to a watch group post once into the group channel instead of
+// DMing the member; everything else goes to the user's notifiers (or the quiet-hours
+// digest queue) unless the user snoozed or muted it from an earlier DM.
+async function notifyUser({
+  userId,
+  walletId,
+  contractId,
+  tokenId,
+  phase,
+  alertType,
+  logPrefix,
+  message,
+  meta,
+  signature = null,
+  alertLogId = null,
+  notify = true,
+}) {
+  const discord = notify ? buildAlertPayload({ phase, alertType, logPrefix, message, meta }) : null;
+
+  const groups = getWatchGroupsForWallet(walletId);
+  if (groups.length) {
+    await dispatchToWatchGroups({
+      client: _client,
+      groups,
+      contractId,
+      tokenId,
+      alertType,
+      phase,
+      signature,
+      meta,
+      discord,
+      logPrefix,
+    });
+    return;
+  }
+
+  if (!discord) return;
+
+  const suppressed = getAlertSuppression({ userId, walletId, contractId, tokenId, alertType, phase, meta });
+  if (suppressed) {
+    console.log(`${logPrefix} Alert ${suppressed}: skipped ${phase} ${alertType} for userId=${userId}`);
+    return;
   }
+
+  if (!breaksQuietHours({ alertType, phase, meta }) && isInQuietHours(userId)) {
+    enqueueDigestAlert({ userId, alertLogId, walletId, contractId, tokenId, alertType, phase, message, meta });
+    console.log(`${logPrefix} Quiet hours: queued ${phase} ${alertType} for userId=${userId} digest`);
+    return;
+  }
+
+  await deliverAlert({
+    client: _client,
+    userId,
+    alertLogId,
+    logPrefix,
+    payload: { alertType, phase, message, meta, discord },
+  });
 }
 
 // -----------------------------
@@ -656,7 +865,7 @@ function insertAlertLog({
   const db = getDb();
   const metaJson = meta && Object.keys(meta).length ? JSON.stringify(meta) : null;
 
-  db.prepare(
+  const info = db.prepare(
     `
     INSERT INTO alert_log (
       user_id, wallet_id, contract_id, token_id,
@@ -678,6 +887,7 @@ function insertAlertLog({
     metaJson,
     signature: signature ?? null,
   });
+  return Number(info.lastInsertRowid);
 }
 
 // -----------------------------
@@ -726,7 +936,7 @@ async function processAlert({
       signature,
       stateJson,
     });
-    insertAlertLog({
+    const alertLogId = insertAlertLog({
       userId,
       walletId,
       contractId,
@@ -738,7 +948,19 @@ async function processAlert({
       signature,
     });
 
-    await sendDmToUser({ userId, phase: "UPDATED", alertType, logPrefix, message, meta });
+    await notifyUser({
+      userId,
+      walletId,
+      contractId,
+      tokenId,
+      phase: "UPDATED",
+      alertType,
+      logPrefix,
+      message,
+      meta,
+      signature,
+      alertLogId,
+    });
     return;
   }
 
@@ -755,7 +977,7 @@ async function processAlert({
       signature,
       stateJson,
     });
-    insertAlertLog({
+    const alertLogId = insertAlertLog({
       userId,
       walletId,
       contractId,
@@ -767,7 +989,19 @@ async function processAlert({
       signature,
     });
 
-    await sendDmToUser({ userId, phase: "NEW", alertType, logPrefix, message, meta });
+    await notifyUser({
+      userId,
+      walletId,
+      contractId,
+      tokenId,
+      phase: "NEW",
+      alertType,
+      logPrefix,
+      message,
+      meta,
+      signature,
+      alertLogId,
+    });
     return;
   }
 
@@ -784,7 +1018,7 @@ async function processAlert({
       signature,
       stateJson,
     });
-    insertAlertLog({
+    const alertLogId = insertAlertLog({
       userId,
       walletId,
       contractId,
@@ -796,7 +1030,19 @@ async function processAlert({
       signature,
     });
 
-    await sendDmToUser({ userId, phase: "UPDATED", alertType, logPrefix, message, meta });
+    await notifyUser({
+      userId,
+      walletId,
+      contractId,
+      tokenId,
+      phase: "UPDATED",
+      alertType,
+      logPrefix,
+      message,
+      meta,
+      signature,
+      alertLogId,
+    });
     return;
   }
 
@@ -827,7 +1073,7 @@ async function processAlert({
       signature: null,
       stateJson,
     });
-    insertAlertLog({
+    const alertLogId = insertAlertLog({
       userId,
       walletId,
       contractId,
@@ -839,9 +1085,21 @@ async function processAlert({
       signature: null,
     });
 
-    if (notifyOnResolved) {
-      await sendDmToUser({ userId, phase: "RESOLVED", alertType, logPrefix, message, meta });
-    }
+    // Always called so watch-group state resolves too; only notifies when allowed
+    await notifyUser({
+      userId,
+      walletId,
+      contractId,
+      tokenId,
+      phase: "RESOLVED",
+      alertType,
+      logPrefix,
+      message,
+      meta,
+      signature: null,
+      alertLogId,
+      notify: notifyOnResolved,
+    });
     return;
   }
 
@@ -898,7 +1156,9 @@ async function handleLiquidationAlert(data) {
     liquidationPrice,
     currentPrice,
     liquidationBufferFrac,
+    hitChance,
     snapshotAt,
+    thresholdSource,
     protocol,
     wallet,
     walletLabel,
@@ -990,6 +1250,8 @@ async function handleLiquidationAlert(data) {
             currentPrice,
             liquidationBufferFrac,
             snapshotAt,
+            thresholdSource,
+            hitChance,
           },
           alertType,
         });
@@ -1052,6 +1314,8 @@ async function handleLiquidationAlert(data) {
           currentPrice,
           liquidationBufferFrac,
           snapshotAt,
+          thresholdSource,
+          hitChance,
         },
         alertType,
       });
@@ -1135,6 +1399,8 @@ async function handleLiquidationAlert(data) {
           currentPrice,
           liquidationBufferFrac,
           snapshotAt,
+          thresholdSource,
+          hitChance,
         },
         alertType,
       });
@@ -1194,6 +1460,8 @@ async function handleLiquidationAlert(data) {
         liquidationPrice,
         currentPrice,
         liquidationBufferFrac,
+        thresholdSource,
+        hitChance,
       },
       alertType,
     });
@@ -1241,6 +1509,8 @@ async function handleLiquidationAlert(data) {
           currentPrice,
           liquidationBufferFrac,
           snapshotAt,
+          thresholdSource,
+          hitChance,
         },
         alertType,
       });
@@ -1278,6 +1548,8 @@ async function handleLiquidationAlert(data) {
           currentPrice,
           liquidationBufferFrac,
           snapshotAt,
+          thresholdSource,
+          hitChance,
         },
       alertType,
       notifyOnResolved: false,
@@ -1315,6 +1587,8 @@ async function handleLiquidationAlert(data) {
       currentPrice,
       liquidationBufferFrac,
       snapshotAt,
+      thresholdSource,
+      hitChance,
     },
     alertType,
   });
@@ -1334,6 +1608,7 @@ async function handleRedemptionAlert(data) {
     loanIR,
     globalIR,
     snapshotAt,
+    thresholdSource,
     isCDPActive,
     protocol,
     wallet,
@@ -1431,6 +1706,7 @@ async function handleRedemptionAlert(data) {
             loanIR,
             globalIR,
             snapshotAt,
+            thresholdSource,
           },
           alertType,
         });
@@ -1498,6 +1774,7 @@ async function handleRedemptionAlert(data) {
           loanIR,
           globalIR,
           snapshotAt,
+          thresholdSource,
         },
         alertType,
       });
@@ -1586,6 +1863,7 @@ async function handleRedemptionAlert(data) {
         loanIR,
         globalIR,
         snapshotAt,
+        thresholdSource,
       },
         alertType,
       });
@@ -1651,6 +1929,7 @@ async function handleRedemptionAlert(data) {
           loanIR,
           globalIR,
           snapshotAt,
+          thresholdSource,
         },
       alertType,
     });
@@ -1723,6 +2002,7 @@ async function handleRedemptionAlert(data) {
         loanIR,
         globalIR,
         snapshotAt,
+        thresholdSource,
       },
       alertType,
       notifyOnResolved: allowResolveNotify,
@@ -1763,6 +2043,7 @@ async function handleRedemptionAlert(data) {
       loanIR,
       globalIR,
       snapshotAt,
+      thresholdSource,
     },
     alertType,
   });
@@ -1793,8 +2074,10 @@ async function handleLpRangeAlert(data) {
     currentPrice,
     priceBaseSymbol,
     priceQuoteSymbol,
+    hitChance,
     lpStatusOnly,
     snapshotAt,
+    thresholdSource,
     lpRangeLabel,
   } = data;
 
@@ -1992,15 +2275,441 @@ async function handleLpRangeAlert(data) {
       lpStatusOnly: statusOnly,
       lpRangeLabel,
       snapshotAt,
+      thresholdSource,
+      hitChance,
     },
     alertType,
     notifyOnResolved: false,
   });
 }
 
+// -----------------------------
+// Trove events (one-shot "it happened" alerts)
+// -----------------------------
+// REDEEMED / LIQUIDATED from indexed TroveManager events. No alert_state: trove_events
+// already dedupes, so every event is logged and delivered exactly once.
+async function handleTroveEventAlert(data) {
+  const {
+    userId,
+    walletId,
+    contractId,
+    positionId,
+    alertType,
+    protocol,
+    wallet,
+    walletLabel,
+    chainId,
+    txHash,
+    logIndex,
+    blockNumber,
+    debtChange,
+    collChange,
+    debtAfter,
+    collAfter,
+    price,
+    debtSymbol,
+    collSymbol,
+  } = data;
+
+  const tokenId = String(positionId);
+  const liquidated = alertType === "LIQUIDATED";
+  const fullyRedeemed = !liquidated && typeof debtAfter === "number" && debtAfter <= 0;
+  const fmt = (v) =>
+    typeof v === "number" && Number.isFinite(v)
+      ? new Intl.NumberFormat("en-US", { maximumFractionDigits: 4 }).format(Math.abs(v))
+      : "n/a";
+
+  const message = liquidated
+    ? `${protocol} trove ${shortenTroveId(tokenId)} was liquidated: ` +
+      `${fmt(debtChange)} ${debtSymbol || "debt"} and ${fmt(collChange)} ${collSymbol || "collateral"} removed.`
+    : `${protocol} trove ${shortenTroveId(tokenId)} was ${fullyRedeemed ? "fully" : "partially"} redeemed: ` +
+      `${fmt(debtChange)} ${debtSymbol || "debt"} repaid with ${fmt(collChange)} ${collSymbol || "collateral"}.`;
+
+  const meta = {
+    wallet: shortenAddress(wallet),
+    walletLabel,
+    walletAddress: wallet,
+    chainId,
+    protocol,
+    troveId: shortenTroveId(tokenId),
+    txHash,
+    blockNumber,
+    debtChange,
+    collChange,
+    debtAfter,
+    collAfter,
+    fullyRedeemed,
+    price,
+    debtSymbol,
+    collSymbol,
+  };
+  const signature = makeSignature({ alertType, txHash, logIndex });
+  const logPrefix = liquidated ? "[LIQUIDATED]" : "[REDEEMED]";
+
+  console.warn(`${logPrefix} ${message}`, { userId, walletId, txHash });
+
+  const alertLogId = insertAlertLog({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    alertType,
+    phase: "EVENT",
+    message,
+    meta,
+    signature,
+  });
+
+  await notifyUser({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    phase: "EVENT",
+    alertType,
+    logPrefix,
+    message,
+    meta,
+    signature,
+    alertLogId,
+  });
+}
+
+// -----------------------------
+// Price moves (independent of tiers)
+// -----------------------------
+async function handlePriceMoveAlert(data) {
+  const {
+    kind,
+    userId,
+    walletId,
+    contractId,
+    positionId,
+    price,
+    priceSymbol,
+    thresholds,
+    tier,
+    liquidationPrice,
+    liquidationBufferFrac,
+    priceLower,
+    priceUpper,
+    rangeStatus,
+    pairLabel,
+    hitChance,
+    protocol,
+    wallet,
+    walletLabel,
+    chainId,
+  } = data;
+
+  const settings = getPriceMoveSettings(thresholds);
+  if (!settings) return;
+
+  const tokenId = String(positionId);
+  const alertType = "PRICE_MOVE";
+  const nowMs = Date.now();
+
+  const prev = getPrevState({ userId, walletId, contractId, tokenId, alertType });
+  let prevObj = null;
+  try {
+    prevObj = prev.stateJson ? JSON.parse(prev.stateJson) : null;
+  } catch (_) {
+    prevObj = null;
+  }
+
+  const move = findPriceMove({
+    kind,
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    price,
+    pct: settings.pct,
+    windowMin: settings.windowMin,
+    notBeforeMs: prevObj?.lastAlertAtMs || 0,
+    nowMs,
+  });
+  if (!move) return;
+
+  const isLp = kind === "LP";
+  const fmtPrice = (v) => new Intl.NumberFormat("en-US", { maximumSignificantDigits: 6 }).format(v);
+  const what = isLp ? `${pairLabel || "Pool"} price` : `${priceSymbol || "Collateral"} price`;
+  const message =
+    `${protocol} ${isLp ? `position #${tokenId}` : `trove ${shortenTroveId(tokenId)}`}: ${what} ` +
+    `${move.direction === "DOWN" ? "fell" : "rose"} ${Math.abs(move.movePct).toFixed(2)}% ` +
+    `within ${move.windowMin} min (${fmtPrice(move.refPrice)} → ${fmtPrice(price)}).`;
+
+  const meta = {
+    kind: isLp ? "LP" : "LOAN",
+    wallet: shortenAddress(wallet),
+    walletLabel,
+    walletAddress: wallet,
+    chainId,
+    protocol,
+    ...(isLp ? { tokenId, pairLabel } : { troveId: shortenTroveId(tokenId) }),
+    direction: move.direction,
+    movePct: move.movePct,
+    refPrice: move.refPrice,
+    refAt: Math.floor(move.refAtMs / 1000),
+    currentPrice: price,
+    priceSymbol: isLp ? null : priceSymbol || null,
+    windowMin: move.windowMin,
+    thresholdPct: move.thresholdPct,
+    newTier: (tier || "UNKNOWN").toString().toUpperCase(),
+    thresholdSource: thresholds?.source || null,
+    hitChance: hitChance || null,
+    ...(isLp
+      ? { priceLower, priceUpper, rangeStatus, edgeBufferFrac: lpEdgeBufferFrac({ price, priceLower, priceUpper }) }
+      : { liquidationPrice, liquidationBufferFrac }),
+  };
+  const signature = makeSignature({ alertType, direction: move.direction, refAt: meta.refAt, at: nowMs });
+  const logPrefix = "[PRICE]";
+
+  upsertAlertState({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    alertType,
+    isActive: true,
+    signature,
+    stateJson: JSON.stringify({
+      kind: meta.kind,
+      lastAlertAtMs: nowMs,
+      direction: move.direction,
+      lastPrice: price,
+    }),
+  });
+
+  console.log(`${logPrefix} ${message}`, { userId, walletId });
+
+  const alertLogId = insertAlertLog({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    alertType,
+    phase: "EVENT",
+    message,
+    meta,
+    signature,
+  });
+
+  await notifyUser({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    phase: "EVENT",
+    alertType,
+    logPrefix,
+    message,
+    meta,
+    signature,
+    alertLogId,
+  });
+}
+
+// -----------------------------
+// Alert rules (monitoring/alertRules.js decides when a rule fires)
+// -----------------------------
+async function handleRuleAlert(data) {
+  const { rule, summary: s, tokenId, message, values } = data;
+
+  const isLp = rule.positionKind === "LP";
+  const alertType = "RULE";
+  const formatValue = (v) =>
+    typeof v === "number" ? new Intl.NumberFormat("en-US", { maximumSignificantDigits: 6 }).format(v) : v;
+
+  const meta = {
+    kind: rule.positionKind,
+    wallet: shortenAddress(s.owner),
+    walletLabel: s.walletLabel || null,
+    walletAddress: s.owner,
+    chainId: s.chainId,
+    protocol: s.protocol,
+    ...(isLp ? { tokenId, pairLabel: s.pairLabel } : { troveId: shortenTroveId(tokenId) }),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    isGlobal: rule.userId == null,
+    condition: rule.condition,
+    values: Object.fromEntries(Object.entries(values || {}).map(([k, v]) => [k, v == null ? null : formatValue(v)])),
+    severity: rule.severity,
+    newTier: rule.severity,
+    snapshotAt: s.snapshotAt || null,
+  };
+  const signature = makeSignature({ alertType, ruleId: rule.id, snapshotAt: meta.snapshotAt });
+  const logPrefix = "[RULE]";
+
+  console.log(`${logPrefix} ${message}`, { userId: s.userId, walletId: s.walletId, ruleId: rule.id });
+
+  const alertLogId = insertAlertLog({
+    userId: s.userId,
+    walletId: s.walletId,
+    contractId: s.contractId,
+    tokenId,
+    alertType,
+    phase: "EVENT",
+    message,
+    meta,
+    signature,
+  });
+
+  await notifyUser({
+    userId: s.userId,
+    walletId: s.walletId,
+    contractId: s.contractId,
+    tokenId,
+    phase: "EVENT",
+    alertType,
+    logPrefix,
+    message,
+    meta,
+    signature,
+    alertLogId,
+  });
+}
+
+// -----------------------------
+// Escalation (unacknowledged CRITICAL)
+// -----------------------------
+
+// Anchor alert's meta with the numbers refreshed from the current alert_state
+function escalationMeta(anchor, state) {
+  const meta = { ...anchor.meta };
+  for (const [k, v] of Object.entries(state || {})) {
+    if (k in meta && k !== "prevTier" && k !== "newTier" && v != null) meta[k] = v;
+  }
+  const sinceMs = fromSqlTime(anchor.createdAt);
+  if (sinceMs != null) meta.criticalSince = Math.floor(sinceMs / 1000);
+  return meta;
+}
+
+async function runEscalationStep(s) {
+  const policy = getEscalationPolicy(s.alertType);
+  if (!policy) return false;
+  // Watch-group wallets post to the group channel, which has no per-user acknowledgement
+  if (getWatchGroupsForWallet(s.walletId).length) return false;
+
+  const anchor = getAnchorAlert(s);
+  if (!anchor) return false;
+  let esc = getEscalation(s);
+  if (!esc || esc.anchorAlertLogId !== anchor.id) esc = startEscalation(s, anchor);
+
+  if (isEscalationAcked(s, esc.anchorAlertLogId)) return false;
+  if (!isStepDue(esc, policy)) return false;
+
+  const { userId, walletId, contractId, tokenId, alertType } = s;
+  const meta = escalationMeta(anchor, s.state);
+  const steadyMeta = { ...meta, prevTier: "CRITICAL", newTier: "CRITICAL" };
+  const logPrefix = "[ESCALATION]";
+
+  // Snoozed/muted positions get no reminders (and do not count towards escalating)
+  if (getAlertSuppression({ userId, walletId, contractId, tokenId, alertType, phase: "REMINDER", meta: steadyMeta })) {
+    return false;
+  }
+  if (!breaksQuietHours({ alertType, phase: "REMINDER", meta: steadyMeta }) && isInQuietHours(userId)) return false;
+
+  if (esc.reminders >= policy.escalateAfter && !esc.escalatedAt && escalationNotifiers(userId)) {
+    const owner = getEscalationOwner(userId);
+    const escMeta = {
+      ...meta,
+      ownerMention: owner?.discordId ? `<@${owner.discordId}>` : owner?.discordName || `user ${userId}`,
+      reminders: esc.reminders,
+    };
+    console.warn(`${logPrefix} ESCALATED ${alertType} userId=${userId} token=${tokenId} after ${esc.reminders} reminder(s)`);
+
+    const alertLogId = insertAlertLog({
+      userId,
+      walletId,
+      contractId,
+      tokenId,
+      alertType,
+      phase: "ESCALATED",
+      message: anchor.message,
+      meta: escMeta,
+      signature: null,
+    });
+    recordEscalationStep(esc.id, { escalated: true });
+    await deliverEscalation({
+      client: _client,
+      userId,
+      alertLogId,
+      logPrefix,
+      payload: {
+        alertType,
+        phase: "ESCALATED",
+        message: anchor.message,
+        meta: escMeta,
+        discord: buildAlertPayload({ phase: "ESCALATED", alertType, logPrefix, message: anchor.message, meta: escMeta }),
+      },
+    });
+    return true;
+  }
+
+  const reminderMeta = { ...meta, reminder: esc.reminders + 1 };
+  console.warn(`${logPrefix} REMINDER ${reminderMeta.reminder} ${alertType} userId=${userId} token=${tokenId}`);
+
+  const alertLogId = insertAlertLog({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    alertType,
+    phase: "REMINDER",
+    message: anchor.message,
+    meta: reminderMeta,
+    signature: null,
+  });
+  recordEscalationStep(esc.id, { reminder: true });
+  await notifyUser({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    phase: "REMINDER",
+    alertType,
+    logPrefix,
+    message: anchor.message,
+    meta: reminderMeta,
+    signature: null,
+    alertLogId,
+  });
+  return true;
+}
+
+/**
+ * Repeat CRITICAL alerts that nobody acknowledged and escalate them per policy.
+ * Called after every monitor cycle; one step per position at most.
+ *
+ * @returns {Promise<number>} steps taken (reminders + escalations)
+ */
+async function runAlertEscalations() {
+  const critical = listCriticalAlertStates();
+  endStaleEscalations(critical);
+
+  let steps = 0;
+  for (const s of critical) {
+    try {
+      if (await runEscalationStep(s)) steps += 1;
+    } catch (err) {
+      logger.error(
+        `[ESCALATION] Failed for userId=${s.userId} ${s.alertType} token=${s.tokenId}:`,
+        err?.message || err
+      );
+    }
+  }
+  return steps;
+}
+
 module.exports = {
+  trendLabel,
   setAlertEngineClient,
+  runAlertEscalations,
   handleLiquidationAlert,
   handleRedemptionAlert,
   handleLpRangeAlert,
+  handleTroveEventAlert,
+  handlePriceMoveAlert,
+  handleRuleAlert,
 };
@@ -0,0 +1,364 @@
+// monitoring/alertEscalation.js
+//
+// Escalation of unacknowledged CRITICAL alerts (run by alertEngine.runAlertEscalations
+// after every monitor cycle):
+// - policy per alert type: repeat every *_REPEAT_MIN minutes, escalate after *_ESCALATE_AFTER
+//   reminders (repeat 0 = off for that type)
+// - alert_escalations holds one episode per position + alert type while its confirmed tier
+//   is CRITICAL; it restarts when a new NEW/UPDATED alert is logged and ends when the tier drops
+// - acknowledging any alert of the episode (DM button) stops it
+// - the escalation target is per user (user_escalation_targets: secondary contact DM or guild
+//   channel), falling back to ALERT_ESCALATION_CHANNEL_ID
+// - a secondary contact is only stored once that person accepts the DM invite
+//   (escalation_contact_invites, Accept/Decline buttons in handlers/ui/escalation-ui.js)
+
+const { getDb } = require("../db");
+const { deliverAlert } = require("./notifiers");
+const { fromSqlTime } = require("./alertActions");
+
+function numberEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function policyFromEnv(prefix, repeatMin, escalateAfter) {
+  return {
+    repeatMin: Math.max(0, numberEnv(`${prefix}_REPEAT_MIN`, repeatMin)),
+    escalateAfter: Math.max(1, Math.floor(numberEnv(`${prefix}_ESCALATE_AFTER`, escalateAfter))),
+  };
+}
+
+const ESCALATION_POLICIES = {
+  LIQUIDATION: policyFromEnv("ALERT_ESCALATION_LIQUIDATION", 30, 3),
+  REDEMPTION: policyFromEnv("ALERT_ESCALATION_REDEMPTION", 60, 3),
+};
+
+// Bot-wide fallback channel for users without their own target
+const ALERT_ESCALATION_CHANNEL_ID = (process.env.ALERT_ESCALATION_CHANNEL_ID || "").trim() || null;
+
+function getEscalationPolicy(alertType) {
+  const policy = ESCALATION_POLICIES[String(alertType || "").toUpperCase()];
+  return policy && policy.repeatMin > 0 ? policy : null;
+}
+
+// -----------------------------
+// Targets
+// -----------------------------
+function getEscalationTarget(userId) {
+  const db = getDb();
+  const row = db
+    .prepare(`SELECT kind, target_id AS targetId, guild_id AS guildId FROM user_escalation_targets WHERE user_id = ?`)
+    .get(userId);
+  return row || null;
+}
+
+function setEscalationTarget(userId, { kind, targetId, guildId = null }) {
+  if (kind !== "DISCORD_USER" && kind !== "DISCORD_CHANNEL") throw new Error(`Unknown escalation target "${kind}"`);
+  if (!/^\d{15,25}$/.test(String(targetId || ""))) throw new Error("Target must be a Discord user or channel id");
+
+  const db = getDb();
+  db.prepare(
+    `
+    INSERT INTO user_escalation_targets (user_id, kind, target_id, guild_id)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      kind      = excluded.kind,
+      target_id = excluded.target_id,
+      guild_id  = excluded.guild_id
+  `
+  ).run(userId, kind, String(targetId), guildId);
+  return getEscalationTarget(userId);
+}
+
+function clearEscalationTarget(userId) {
+  const db = getDb();
+  return db.prepare(`DELETE FROM user_escalation_targets WHERE user_id = ?`).run(userId).changes > 0;
+}
+
+// -----------------------------
+// Contact invites
+// -----------------------------
+const CONTACT_INVITE_TTL_HOURS = 72;
+
+function getContactInvite(inviteId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `
+      SELECT
+        id,
+        user_id            AS userId,
+        contact_discord_id AS contactDiscordId,
+        status,
+        created_at         AS createdAt,
+        (julianday('now') - julianday(created_at)) * 24 >= ? AS expired
+      FROM escalation_contact_invites
+      WHERE id = ?
+    `
+    )
+    .get(CONTACT_INVITE_TTL_HOURS, inviteId);
+  return row ? { ...row, expired: Boolean(row.expired) } : null;
+}
+
+function getPendingContactInvite(userId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `
+      SELECT id FROM escalation_contact_invites
+      WHERE user_id = ? AND status = 'PENDING'
+        AND (julianday('now') - julianday(created_at)) * 24 < ?
+      ORDER BY id DESC
+      LIMIT 1
+    `
+    )
+    .get(userId, CONTACT_INVITE_TTL_HOURS);
+  return row ? getContactInvite(row.id) : null;
+}
+
+function cancelContactInvites(userId) {
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      UPDATE escalation_contact_invites
+      SET status = 'CANCELLED', responded_at = datetime('now')
+      WHERE user_id = ? AND status = 'PENDING'
+    `
+    )
+    .run(userId).changes;
+}
+
+// A new invite replaces the user's pending one
+function createContactInvite(userId, contactDiscordId) {
+  if (!/^\d{15,25}$/.test(String(contactDiscordId || ""))) throw new Error("Contact must be a Discord user id");
+  const db = getDb();
+  const id = db.transaction(() => {
+    cancelContactInvites(userId);
+    return db
+      .prepare(`INSERT INTO escalation_contact_invites (user_id, contact_discord_id) VALUES (?, ?)`)
+      .run(userId, String(contactDiscordId)).lastInsertRowid;
+  })();
+  return getContactInvite(Number(id));
+}
+
+/**
+ * Answer an invite as the invited contact. Accepting makes them the owner's escalation target.
+ *
+ * @returns {{ ok: boolean, reason?: string, invite?: Object }}
+ *   reason: "not_found" | "not_invited" | "answered" | "expired"
+ */
+function respondToContactInvite(inviteId, contactDiscordId, accept) {
+  const db = getDb();
+  return db.transaction(() => {
+    const invite = getContactInvite(inviteId);
+    if (!invite) return { ok: false, reason: "not_found" };
+    if (invite.contactDiscordId !== String(contactDiscordId)) return { ok: false, reason: "not_invited", invite };
+    if (invite.status !== "PENDING") return { ok: false, reason: "answered", invite };
+    if (invite.expired) return { ok: false, reason: "expired", invite };
+
+    db.prepare(
+      `UPDATE escalation_contact_invites SET status = ?, responded_at = datetime('now') WHERE id = ?`
+    ).run(accept ? "ACCEPTED" : "DECLINED", invite.id);
+    if (accept) setEscalationTarget(invite.userId, { kind: "DISCORD_USER", targetId: invite.contactDiscordId });
+    return { ok: true, invite: getContactInvite(invite.id) };
+  })();
+}
+
+function getEscalationOwner(userId) {
+  const db = getDb();
+  const row = db.prepare(`SELECT discord_id AS discordId, discord_name AS discordName FROM users WHERE id = ?`).get(userId);
+  return row || null;
+}
+
+// Explicit notifier list for deliverAlert; null = nowhere to escalate to
+function escalationNotifiers(userId) {
+  const target = getEscalationTarget(userId);
+  if (target?.kind === "DISCORD_USER") {
+    return [{ id: null, kind: "DISCORD_DM", label: "escalation", config: { discordId: target.targetId } }];
+  }
+  const channelId = target?.kind === "DISCORD_CHANNEL" ? target.targetId : ALERT_ESCALATION_CHANNEL_ID;
+  if (!channelId) return null;
+  return [{ id: null, kind: "DISCORD_CHANNEL", label: "escalation", config: { channelId } }];
+}
+
+async function deliverEscalation({ client, userId, alertLogId, payload, logPrefix }) {
+  const notifiers = escalationNotifiers(userId);
+  if (!notifiers) return null;
+  return deliverAlert({ client, userId, alertLogId, payload, logPrefix, notifiers });
+}
+
+// -----------------------------
+// Episodes
+// -----------------------------
+function parseJson(raw) {
+  try {
+    const obj = JSON.parse(raw || "{}");
+    return obj && typeof obj === "object" ? obj : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// Active alert_state rows of escalating types whose confirmed tier is CRITICAL
+function listCriticalAlertStates() {
+  const types = Object.keys(ESCALATION_POLICIES).filter((t) => getEscalationPolicy(t));
+  if (!types.length) return [];
+
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      SELECT user_id AS userId, wallet_id AS walletId, contract_id AS contractId,
+             token_id AS tokenId, alert_type AS alertType, state_json AS stateJson
+      FROM alert_state
+      WHERE is_active = 1
+        AND alert_type IN (${types.map(() => "?").join(", ")})
+    `
+    )
+    .all(...types)
+    .map((r) => ({ ...r, state: parseJson(r.stateJson) }))
+    .filter((r) => String(r.state.lastTier || r.state.tier || "").toUpperCase() === "CRITICAL");
+}
+
+function positionKey(k) {
+  return [k.userId, k.walletId, k.contractId, String(k.tokenId), String(k.alertType).toUpperCase()];
+}
+
+// Latest alert that was sent for the position as a tier change (episode anchor)
+function getAnchorAlert(key) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `
+      SELECT id, message, meta_json AS metaJson, created_at AS createdAt
+      FROM alert_log
+      WHERE user_id = ? AND wallet_id = ? AND contract_id = ? AND token_id = ? AND alert_type = ?
+        AND phase IN ('NEW', 'UPDATED')
+      ORDER BY id DESC
+      LIMIT 1
+    `
+    )
+    .get(...positionKey(key));
+  return row ? { ...row, meta: parseJson(row.metaJson) } : null;
+}
+
+function getEscalation(key) {
+  const db = getDb();
+  return (
+    db
+      .prepare(
+        `
+      SELECT id, anchor_alert_log_id AS anchorAlertLogId, reminders,
+             last_step_at AS lastStepAt, escalated_at AS escalatedAt
+      FROM alert_escalations
+      WHERE user_id = ? AND wallet_id = ? AND contract_id = ? AND token_id = ? AND alert_type = ?
+    `
+      )
+      .get(...positionKey(key)) || null
+  );
+}
+
+// (Re)start the episode at this anchor; the anchor alert itself counts as the first step
+function startEscalation(key, anchor) {
+  const db = getDb();
+  db.prepare(
+    `
+    INSERT INTO alert_escalations (
+      user_id, wallet_id, contract_id, token_id, alert_type,
+      anchor_alert_log_id, reminders, last_step_at, escalated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, 0, ?, NULL)
+    ON CONFLICT(user_id, wallet_id, contract_id, token_id, alert_type) DO UPDATE SET
+      anchor_alert_log_id = excluded.anchor_alert_log_id,
+      reminders           = 0,
+      last_step_at        = excluded.last_step_at,
+      escalated_at        = NULL,
+      created_at          = datetime('now')
+  `
+  ).run(...positionKey(key), anchor.id, anchor.createdAt);
+  return getEscalation(key);
+}
+
+function recordEscalationStep(escalationId, { reminder = false, escalated = false }) {
+  const db = getDb();
+  db.prepare(
+    `
+    UPDATE alert_escalations
+    SET reminders    = reminders + ?,
+        last_step_at = datetime('now'),
+        escalated_at = CASE WHEN ? = 1 THEN datetime('now') ELSE escalated_at END
+    WHERE id = ?
+  `
+  ).run(reminder ? 1 : 0, escalated ? 1 : 0, escalationId);
+}
+
+function isEscalationAcked(key, anchorAlertLogId) {
+  const db = getDb();
+  return !!db
+    .prepare(
+      `
+      SELECT 1
+      FROM alert_acks
+      WHERE user_id = ? AND wallet_id = ? AND contract_id = ? AND token_id = ? AND alert_type = ?
+        AND alert_log_id >= ?
+      LIMIT 1
+    `
+    )
+    .get(...positionKey(key), anchorAlertLogId);
+}
+
+// Drop episodes whose position is no longer active at CRITICAL
+function endStaleEscalations(criticalStates) {
+  const open = new Set(criticalStates.map((s) => positionKey(s).join("|")));
+  const db = getDb();
+  const rows = db
+    .prepare(
+      `
+      SELECT id, user_id AS userId, wallet_id AS walletId, contract_id AS contractId,
+             token_id AS tokenId, alert_type AS alertType
+      FROM alert_escalations
+    `
+    )
+    .all();
+  const del = db.prepare(`DELETE FROM alert_escalations WHERE id = ?`);
+  let ended = 0;
+  for (const r of rows) {
+    if (open.has(positionKey(r).join("|"))) continue;
+    del.run(r.id);
+    ended += 1;
+  }
+  return ended;
+}
+
+function isStepDue(escalation, policy, now = Date.now()) {
+  const last = fromSqlTime(escalation.lastStepAt) ?? 0;
+  return now - last >= policy.repeatMin * 60 * 1000;
+}
+
+module.exports = {
+  ESCALATION_POLICIES,
+  ALERT_ESCALATION_CHANNEL_ID,
+  getEscalationPolicy,
+  getEscalationTarget,
+  setEscalationTarget,
+  clearEscalationTarget,
+  CONTACT_INVITE_TTL_HOURS,
+  getContactInvite,
+  getPendingContactInvite,
+  cancelContactInvites,
+  createContactInvite,
+  respondToContactInvite,
+  getEscalationOwner,
+  escalationNotifiers,
+  deliverEscalation,
+  listCriticalAlertStates,
+  getAnchorAlert,
+  getEscalation,
+  startEscalation,
+  recordEscalationStep,
+  isEscalationAcked,
+  endStaleEscalations,
+  isStepDue,
+};
@@ -0,0 +1,234 @@
+// monitoring/alertHistory.js
+//
+// Read side of alert_log for /alert-history:
+// - filtered, paginated list of a user's alerts (type, position, wallet, UTC date range)
+// - per-position timeline: alert_log rows of one position stitched into tier transitions,
+//   with time spent in each tier, reminders/escalations, resolutions, trove events and acks
+// Nothing here writes; alert_log is filled by alertEngine.
+
+const { getDb } = require("../db");
+const { trendLabel } = require("./alertEngine");
+const { fromSqlTime } = require("./alertActions");
+
+const HISTORY_PAGE_SIZE = 8;
+const TIMELINE_PAGE_SIZE = 15;
+
+const TIER_ORDER = ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"];
+
+function parseJson(raw) {
+  try {
+    const obj = JSON.parse(raw || "{}");
+    return obj && typeof obj === "object" ? obj : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * "YYYY-MM-DD" (UTC) -> SQLite time bound. `to` dates include the whole day.
+ * @returns {string|null} null for empty input
+ */
+function parseDateFilter(raw, { endOfDay = false } = {}) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  const ms = m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : NaN;
+  if (!Number.isFinite(ms) || new Date(ms).toISOString().slice(0, 10) !== s) {
+    throw new Error(`Invalid date "${s}", use YYYY-MM-DD (UTC).`);
+  }
+  return `${s} ${endOfDay ? "23:59:59" : "00:00:00"}`;
+}
+
+// -----------------------------
+// List
+// -----------------------------
+const ROW_COLUMNS = `
+  al.id, al.user_id AS userId, al.wallet_id AS walletId, al.contract_id AS contractId,
+  al.token_id AS tokenId, al.alert_type AS alertType, al.phase, al.message,
+  al.meta_json AS metaJson, al.created_at AS createdAt,
+  c.kind AS contractKind, c.protocol, w.chain_id AS chainId, w.address_eip55 AS walletAddress,
+  w.label AS walletLabel, ak.acked_at AS ackedAt
+`;
+
+const ROW_JOINS = `
+  LEFT JOIN contracts c    ON c.id = al.contract_id
+  LEFT JOIN user_wallets w ON w.id = al.wallet_id
+  LEFT JOIN alert_acks ak  ON ak.alert_log_id = al.id
+`;
+
+function historyWhere(filter) {
+  const clauses = ["al.user_id = @userId"];
+  if (filter.alertType) clauses.push("al.alert_type = @alertType");
+  if (filter.walletId != null) clauses.push("al.wallet_id = @walletId");
+  if (filter.contractId != null) clauses.push("al.contract_id = @contractId");
+  if (filter.tokenId != null) clauses.push("al.token_id = @tokenId");
+  if (filter.from) clauses.push("al.created_at >= @from");
+  if (filter.to) clauses.push("al.created_at <= @to");
+  return clauses.join(" AND ");
+}
+
+function historyParams(filter) {
+  return {
+    userId: filter.userId,
+    alertType: filter.alertType || null,
+    walletId: filter.walletId ?? null,
+    contractId: filter.contractId ?? null,
+    tokenId: filter.tokenId != null ? String(filter.tokenId) : null,
+    from: filter.from || null,
+    to: filter.to || null,
+  };
+}
+
+/**
+ * One page of a user's alert_log, newest first.
+ * @param {{userId:number, alertType?:string, walletId?:number, contractId?:number, tokenId?:string,
+ *          from?:string, to?:string}} filter
+ * @returns {{rows:object[], total:number, page:number, pages:number}}
+ */
+function queryAlertHistory(filter, page = 0, pageSize = HISTORY_PAGE_SIZE) {
+  const db = getDb();
+  const where = historyWhere(filter);
+  const params = historyParams(filter);
+
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM alert_log al WHERE ${where}`).get(params).n;
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+  const p = Math.min(Math.max(0, Math.floor(Number(page) || 0)), pages - 1);
+
+  const rows = db
+    .prepare(
+      `
+      SELECT ${ROW_COLUMNS}
+      FROM alert_log al
+      ${ROW_JOINS}
+      WHERE ${where}
+      ORDER BY al.id DESC
+      LIMIT @limit OFFSET @offset
+    `
+    )
+    .all({ ...params, limit: pageSize, offset: p * pageSize })
+    .map((r) => ({ ...r, meta: parseJson(r.metaJson) }));
+
+  return { rows, total, page: p, pages };
+}
+
+// Positions with at least one alert (autocomplete), most recently alerted first
+function listAlertedPositions(userId, limit = 100) {
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      SELECT al.wallet_id AS walletId, al.contract_id AS contractId, al.token_id AS tokenId,
+             c.kind AS contractKind, c.protocol, w.label AS walletLabel, w.address_eip55 AS walletAddress,
+             MAX(al.id) AS lastAlertLogId, COUNT(*) AS alerts
+      FROM alert_log al
+      ${ROW_JOINS}
+      WHERE al.user_id = ?
+      GROUP BY al.wallet_id, al.contract_id, al.token_id
+      ORDER BY lastAlertLogId DESC
+      LIMIT ?
+    `
+    )
+    .all(userId, limit);
+}
+
+// -----------------------------
+// Timeline
+// -----------------------------
+
+// All alerts of one position (every alert type), oldest first
+function getPositionAlertRows({ userId, walletId, contractId, tokenId }) {
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      SELECT ${ROW_COLUMNS}
+      FROM alert_log al
+      ${ROW_JOINS}
+      WHERE al.user_id = ? AND al.wallet_id = ? AND al.contract_id = ? AND al.token_id = ?
+      ORDER BY al.id ASC
+    `
+    )
+    .all(userId, walletId, contractId, String(tokenId))
+    .map((r) => ({ ...r, meta: parseJson(r.metaJson) }));
+}
+
+/**
+ * Stitch a position's alert_log rows (oldest first) into timeline entries. Tiers are tracked
+ * per alert type; each tier change carries the trend and how long the previous tier lasted.
+ *
+ * Entry kinds: TRANSITION, UPDATE (same tier, e.g. LP status), REMINDER, ESCALATED,
+ * RESOLVED, EVENT (trove redeemed/liquidated and other one-off alerts).
+ *
+ * @returns {{entries:object[], current:{alertType:string, tier:string, sinceMs:number}[]}}
+ */
+function buildTierTimeline(rows) {
+  const tiers = new Map(); // alertType -> { tier, sinceMs }
+  const entries = [];
+
+  for (const row of rows) {
+    const at = fromSqlTime(row.createdAt);
+    const base = { id: row.id, at, alertType: row.alertType, phase: row.phase, acked: !!row.ackedAt, row };
+    const cur = tiers.get(row.alertType) || null;
+    const newTier = row.meta.newTier ? String(row.meta.newTier).toUpperCase() : null;
+
+    if ((row.phase === "NEW" || row.phase === "UPDATED") && newTier) {
+      const fromTier = cur?.tier || (row.meta.prevTier ? String(row.meta.prevTier).toUpperCase() : null);
+      if (!cur || cur.tier !== newTier) {
+        entries.push({
+          ...base,
+          kind: "TRANSITION",
+          fromTier,
+          toTier: newTier,
+          trend: trendLabel(fromTier, newTier, TIER_ORDER),
+          prevDurationMs: cur && at != null && cur.sinceMs != null ? at - cur.sinceMs : null,
+        });
+        tiers.set(row.alertType, { tier: newTier, sinceMs: at });
+      } else {
+        entries.push({ ...base, kind: "UPDATE", toTier: newTier });
+      }
+      continue;
+    }
+
+    if (row.phase === "REMINDER" || row.phase === "ESCALATED") {
+      entries.push({ ...base, kind: row.phase, toTier: newTier || cur?.tier || null });
+      continue;
+    }
+
+    if (row.phase === "RESOLVED") {
+      entries.push({
+        ...base,
+        kind: "RESOLVED",
+        fromTier: cur?.tier || null,
+        prevDurationMs: cur && at != null && cur.sinceMs != null ? at - cur.sinceMs : null,
+      });
+      tiers.delete(row.alertType);
+      continue;
+    }
+
+    entries.push({ ...base, kind: "EVENT", toTier: newTier });
+  }
+
+  const current = [...tiers.entries()].map(([alertType, t]) => ({ alertType, tier: t.tier, sinceMs: t.sinceMs }));
+  return { entries, current };
+}
+
+function formatDuration(ms) {
+  if (ms == null || !Number.isFinite(ms) || ms < 0) return null;
+  const min = Math.round(ms / 60000);
+  if (min < 60) return `${min}m`;
+  const h = Math.floor(min / 60);
+  if (h < 48) return `${h}h ${min % 60}m`;
+  return `${Math.floor(h / 24)}d ${h % 24}h`;
+}
+
+module.exports = {
+  HISTORY_PAGE_SIZE,
+  TIMELINE_PAGE_SIZE,
+  TIER_ORDER,
+  parseDateFilter,
+  queryAlertHistory,
+  listAlertedPositions,
+  getPositionAlertRows,
+  buildTierTimeline,
+  formatDuration,
+};
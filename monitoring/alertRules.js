@@ -0,0 +1,616 @@
+// monitoring/alertRules.js
+//
+// Declarative alert rules (alert_rules, managed with /alert-rules):
+// - condition = small expression over snapshot fields, e.g. `icr < 1.6 AND debtAheadPct < 5`
+//   (numbers, "strings", + - * /, < <= > >= = !=, AND / OR / NOT, parentheses)
+// - fields are read from the cached loan / LP snapshots (the data behind /my-loans and /my-lp),
+//   see RULE_FIELDS; a field without a value makes its comparison unknown, and a rule only
+//   fires when the whole condition is true, so missing data never alerts
+// - evaluated after every monitor run (evaluateAlertRules) against the latest snapshots; a match
+//   is sent as a RULE alert when the rule's cooldown has passed and the snapshot is newer than
+//   the one that last fired, so each snapshot refresh alerts at most once per rule and position
+// - user rules cover the owner's positions; global rules (user_id NULL, admins) cover everyone's
+
+const { getDb } = require("../db");
+const { getLoanSummaries } = require("./loanMonitor");
+const { getLpSummaries } = require("./lpMonitor");
+const { handleRuleAlert } = require("./alertEngine");
+const { fromSqlTime } = require("./alertActions");
+const logger = require("../utils/logger");
+const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
+
+const RULE_SEVERITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+const RULE_KINDS = { LOAN: "Loan", LP: "LP" };
+
+const MAX_RULES_PER_USER = 25;
+const MAX_CONDITION_LENGTH = 300;
+const MAX_MESSAGE_LENGTH = 300;
+const MAX_COOLDOWN_MIN = 7 * 24 * 60;
+const DEFAULT_COOLDOWN_MIN = 60;
+
+// -----------------------------
+// Fields
+// -----------------------------
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+const pct = (frac) => (num(frac) != null ? frac * 100 : null);
+const str = (v) => (v == null || v === "" ? null : String(v));
+const mul = (a, b) => (num(a) != null && num(b) != null ? a * b : null);
+
+// type: "number" | "string"; get(summary) -> value or null
+const RULE_FIELDS = {
+  LOAN: {
+    icr: {
+      type: "number",
+      desc: "Collateral ratio (1.6 = 160%)",
+      get: (s) => num(s.icr) ?? (num(s.debtAmount) > 0 ? mul(s.collAmount, s.price) / s.debtAmount : null),
+    },
+    ltvPct: { type: "number", desc: "Loan-to-value, %", get: (s) => num(s.ltvPct) },
+    bufferPct: { type: "number", desc: "Liquidation buffer, %", get: (s) => pct(s.liquidationBufferFrac) },
+    price: { type: "number", desc: "Collateral price", get: (s) => num(s.price) },
+    liquidationPrice: { type: "number", desc: "Liquidation price", get: (s) => num(s.liquidationPrice) },
+    collAmount: { type: "number", desc: "Collateral amount", get: (s) => num(s.collAmount) },
+    debtAmount: { type: "number", desc: "Debt amount", get: (s) => num(s.debtAmount) },
+    interestPct: { type: "number", desc: "Interest rate, % p.a.", get: (s) => num(s.interestPct) },
+    globalIrPct: { type: "number", desc: "Global average interest rate, %", get: (s) => num(s.globalIrPct) },
+    irGapPp: {
+      type: "number",
+      desc: "Interest rate minus global rate, pp",
+      get: (s) => (num(s.interestPct) != null && num(s.globalIrPct) != null ? s.interestPct - s.globalIrPct : null),
+    },
+    debtAheadPct: {
+      type: "number",
+      desc: "Branch debt ahead in redemption order, %",
+      get: (s) => pct(s.redemptionDebtAheadPct),
+    },
+    trovesAhead: { type: "number", desc: "Troves ahead in redemption order", get: (s) => num(s.redemptionTrovesAhead) },
+    collUsd: { type: "number", desc: "Collateral value, USD", get: (s) => num(s.usd?.collateral) },
+    debtUsd: { type: "number", desc: "Debt value, USD", get: (s) => num(s.usd?.debt) },
+    netUsd: { type: "number", desc: "Collateral minus debt, USD", get: (s) => num(s.usd?.net) },
+    liqChance24hPct: {
+      type: "number",
+      desc: "Estimated chance of liquidation price within 24h, %",
+      get: (s) => pct(s.liquidationHitChance?.p24h),
+    },
+    liqChance7dPct: {
+      type: "number",
+      desc: "Estimated chance of liquidation price within 7d, %",
+      get: (s) => pct(s.liquidationHitChance?.p7d),
+    },
+    liquidationTier: { type: "string", desc: "LOW / MEDIUM / HIGH / CRITICAL", get: (s) => str(s.liquidationTier) },
+    redemptionTier: { type: "string", desc: "LOW / MEDIUM / HIGH / CRITICAL", get: (s) => str(s.redemptionTier) },
+    status: { type: "string", desc: "Trove status, e.g. ACTIVE", get: (s) => str(s.status) },
+    protocol: { type: "string", desc: "Protocol / branch key", get: (s) => str(s.protocol) },
+    collSymbol: { type: "string", desc: "Collateral symbol", get: (s) => str(s.collSymbol) },
+    chainId: { type: "string", desc: "FLR / XDC", get: (s) => str(s.chainId) },
+  },
+  LP: {
+    lpPositionFrac: {
+      type: "number",
+      desc: "Position in range (0 = lower edge, 1 = upper edge)",
+      get: (s) => num(s.lpPositionFrac),
+    },
+    edgeDistanceFrac: {
+      type: "number",
+      desc: "Distance to nearest edge (or past it when out of range), x width",
+      get: (s) => num(s.lpDistanceFrac),
+    },
+    currentTick: { type: "number", desc: "Pool tick", get: (s) => num(s.currentTick) },
+    tickLower: { type: "number", desc: "Range lower tick", get: (s) => num(s.tickLower) },
+    tickUpper: { type: "number", desc: "Range upper tick", get: (s) => num(s.tickUpper) },
+    amount0: { type: "number", desc: "Principal, token0", get: (s) => num(s.amount0) },
+    amount1: { type: "number", desc: "Principal, token1", get: (s) => num(s.amount1) },
+    fees0: { type: "number", desc: "Uncollected fees, token0", get: (s) => num(s.fees0) },
+    fees1: { type: "number", desc: "Uncollected fees, token1", get: (s) => num(s.fees1) },
+    fees0Usd: { type: "number", desc: "Uncollected fees, token0 in USD", get: (s) => mul(s.fees0, s.usd?.price0) },
+    fees1Usd: { type: "number", desc: "Uncollected fees, token1 in USD", get: (s) => mul(s.fees1, s.usd?.price1) },
+    feesUsd: { type: "number", desc: "Uncollected fees, USD", get: (s) => num(s.usd?.fees) },
+    principalUsd: { type: "number", desc: "Principal, USD", get: (s) => num(s.usd?.principal) },
+    valueUsd: { type: "number", desc: "Principal + fees, USD", get: (s) => num(s.usd?.total) },
+    ilPct: { type: "number", desc: "Value vs HODL, %", get: (s) => num(s.analytics?.ilPct) },
+    netPnlPct: { type: "number", desc: "Net PnL since mint, %", get: (s) => num(s.analytics?.netPnlPct) },
+    feeAprPct: { type: "number", desc: "Fee APR, %", get: (s) => num(s.analytics?.feeAprPct) },
+    exitChance24hPct: {
+      type: "number",
+      desc: "Estimated chance of leaving the range within 24h, %",
+      get: (s) => pct(s.lpHitChance?.p24h),
+    },
+    exitChance7dPct: {
+      type: "number",
+      desc: "Estimated chance of leaving the range within 7d, %",
+      get: (s) => pct(s.lpHitChance?.p7d),
+    },
+    rangeStatus: { type: "string", desc: "IN_RANGE / OUT_OF_RANGE", get: (s) => str(s.rangeStatus) },
+    lpRangeTier: { type: "string", desc: "LOW / MEDIUM / HIGH / CRITICAL", get: (s) => str(s.lpRangeTier) },
+    pairLabel: { type: "string", desc: "Pair, e.g. WFLR-USDT", get: (s) => str(s.pairLabel) },
+    token0Symbol: { type: "string", desc: "token0 symbol", get: (s) => str(s.token0Symbol) },
+    token1Symbol: { type: "string", desc: "token1 symbol", get: (s) => str(s.token1Symbol) },
+    protocol: { type: "string", desc: "Protocol", get: (s) => str(s.protocol) },
+    chainId: { type: "string", desc: "FLR / XDC", get: (s) => str(s.chainId) },
+  },
+};
+
+// Field lookup is case-insensitive; returns the canonical name
+function findField(kind, name) {
+  const fields = RULE_FIELDS[kind] || {};
+  const lower = String(name).toLowerCase();
+  return Object.keys(fields).find((k) => k.toLowerCase() === lower) || null;
+}
+
+// -----------------------------
+// Expression parser
+// -----------------------------
+const COMPARE_OPS = new Set(["<", "<=", ">", ">=", "=", "!="]);
+const KEYWORDS = { AND: "AND", "&&": "AND", OR: "OR", "||": "OR", NOT: "NOT", "!": "NOT" };
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    const rest = src.slice(i);
+    let m;
+    if ((m = /^(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?/.exec(rest))) {
+      tokens.push({ t: "num", v: Number(m[0]), at: i });
+    } else if ((m = /^"([^"]*)"|^'([^']*)'/.exec(rest))) {
+      tokens.push({ t: "str", v: m[1] ?? m[2], at: i });
+    } else if ((m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest))) {
+      const kw = KEYWORDS[m[0].toUpperCase()];
+      tokens.push(kw ? { t: "op", v: kw, at: i } : { t: "id", v: m[0], at: i });
+    } else if ((m = /^(<=|>=|!=|==|&&|\|\||[<>=!+\-*/()])/.exec(rest))) {
+      const v = m[0] === "==" ? "=" : KEYWORDS[m[0]] || m[0];
+      tokens.push({ t: "op", v, at: i });
+    } else {
+      throw new Error(`Unexpected "${c}" at position ${i + 1}.`);
+    }
+    i += m[0].length;
+  }
+  return tokens;
+}
+
+/**
+ * Parse and type-check a condition for a position kind.
+ * @returns {{ast:object, fields:string[]}} fields = canonical field names used
+ * @throws Error with a user-facing message
+ */
+function compileCondition(kind, src) {
+  if (!RULE_FIELDS[kind]) throw new Error(`Unknown position kind "${kind}".`);
+  const text = String(src || "").trim();
+  if (!text) throw new Error("Condition is empty.");
+  if (text.length > MAX_CONDITION_LENGTH) throw new Error(`Condition is longer than ${MAX_CONDITION_LENGTH} characters.`);
+
+  const tokens = tokenize(text);
+  let pos = 0;
+  const fields = new Set();
+
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek()?.t === "op" && ops.includes(peek().v);
+  const where = () => (peek() ? `at position ${peek().at + 1}` : "at the end");
+  const expect = (op) => {
+    if (!isOp(op)) throw new Error(`Expected "${op}" ${where()}.`);
+    pos++;
+  };
+  const need = (node, type, what) => {
+    if (node.type !== type) throw new Error(`${what} needs a ${type}, got a ${node.type}.`);
+    return node;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOp("OR")) {
+      pos++;
+      node = { k: "or", l: need(node, "boolean", "OR"), r: need(parseAnd(), "boolean", "OR"), type: "boolean" };
+    }
+    return node;
+  }
+  function parseAnd() {
+    let node = parseNot();
+    while (isOp("AND")) {
+      pos++;
+      node = { k: "and", l: need(node, "boolean", "AND"), r: need(parseNot(), "boolean", "AND"), type: "boolean" };
+    }
+    return node;
+  }
+  function parseNot() {
+    if (isOp("NOT")) {
+      pos++;
+      return { k: "not", e: need(parseNot(), "boolean", "NOT"), type: "boolean" };
+    }
+    return parseCompare();
+  }
+  function parseCompare() {
+    const l = parseSum();
+    if (peek()?.t !== "op" || !COMPARE_OPS.has(peek().v)) return l;
+    const op = tokens[pos++].v;
+    const r = parseSum();
+    if (l.type === "boolean" || r.type === "boolean") throw new Error(`"${op}" compares numbers or strings.`);
+    if (l.type !== r.type) throw new Error(`"${op}" compares a ${l.type} with a ${r.type}.`);
+    if (l.type === "string" && op !== "=" && op !== "!=") throw new Error("Strings can only be compared with = or !=.");
+    return { k: "cmp", op, l, r, type: "boolean" };
+  }
+  function parseSum() {
+    let node = parseTerm();
+    while (isOp("+", "-")) {
+      const op = tokens[pos++].v;
+      node = { k: "arith", op, l: need(node, "number", op), r: need(parseTerm(), "number", op), type: "number" };
+    }
+    return node;
+  }
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOp("*", "/")) {
+      const op = tokens[pos++].v;
+      node = { k: "arith", op, l: need(node, "number", op), r: need(parseUnary(), "number", op), type: "number" };
+    }
+    return node;
+  }
+  function parseUnary() {
+    if (isOp("-")) {
+      pos++;
+      return { k: "neg", e: need(parseUnary(), "number", "-"), type: "number" };
+    }
+    return parsePrimary();
+  }
+  function parsePrimary() {
+    const tok = peek();
+    if (!tok) throw new Error("Condition ends too early.");
+    if (tok.t === "num") {
+      pos++;
+      return { k: "lit", v: tok.v, type: "number" };
+    }
+    if (tok.t === "str") {
+      pos++;
+      return { k: "lit", v: tok.v, type: "string" };
+    }
+    if (tok.t === "id") {
+      const name = findField(kind, tok.v);
+      if (!name) throw new Error(`Unknown ${RULE_KINDS[kind]} field "${tok.v}". See /alert-rules fields.`);
+      pos++;
+      fields.add(name);
+      return { k: "field", name, type: RULE_FIELDS[kind][name].type };
+    }
+    if (isOp("(")) {
+      pos++;
+      const node = parseOr();
+      expect(")");
+      return node;
+    }
+    throw new Error(`Unexpected "${tok.v}" ${where()}.`);
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek().v}" ${where()}.`);
+  if (ast.type !== "boolean") throw new Error("Condition must be a comparison, e.g. `icr < 1.6`.");
+  return { ast, fields: [...fields] };
+}
+
+// Three-valued: true / false / null (unknown, some field had no value)
+function evalNode(node, values) {
+  switch (node.k) {
+    case "lit":
+      return node.v;
+    case "field":
+      return values[node.name] ?? null;
+    case "neg": {
+      const v = evalNode(node.e, values);
+      return v == null ? null : -v;
+    }
+    case "arith": {
+      const l = evalNode(node.l, values);
+      const r = evalNode(node.r, values);
+      if (l == null || r == null) return null;
+      if (node.op === "+") return l + r;
+      if (node.op === "-") return l - r;
+      if (node.op === "*") return l * r;
+      return r === 0 ? null : l / r;
+    }
+    case "cmp": {
+      let l = evalNode(node.l, values);
+      let r = evalNode(node.r, values);
+      if (l == null || r == null) return null;
+      if (node.l.type === "string") {
+        l = String(l).toUpperCase();
+        r = String(r).toUpperCase();
+      }
+      if (node.op === "<") return l < r;
+      if (node.op === "<=") return l <= r;
+      if (node.op === ">") return l > r;
+      if (node.op === ">=") return l >= r;
+      if (node.op === "=") return l === r;
+      return l !== r;
+    }
+    case "not": {
+      const v = evalNode(node.e, values);
+      return v == null ? null : !v;
+    }
+    case "and": {
+      const l = evalNode(node.l, values);
+      const r = evalNode(node.r, values);
+      if (l === false || r === false) return false;
+      return l == null || r == null ? null : true;
+    }
+    case "or": {
+      const l = evalNode(node.l, values);
+      const r = evalNode(node.r, values);
+      if (l === true || r === true) return true;
+      return l == null || r == null ? null : false;
+    }
+    default:
+      return null;
+  }
+}
+
+// -----------------------------
+// Message templates
+// -----------------------------
+// {field} placeholders plus {rule}, {severity} and {position}
+const TEMPLATE_EXTRAS = ["rule", "severity", "position"];
+
+function validateMessageTemplate(kind, template) {
+  if (template == null || template === "") return null;
+  const text = String(template).trim();
+  if (text.length > MAX_MESSAGE_LENGTH) throw new Error(`Message is longer than ${MAX_MESSAGE_LENGTH} characters.`);
+  for (const [, name] of text.matchAll(/\{([^{}]*)\}/g)) {
+    if (!TEMPLATE_EXTRAS.includes(name.toLowerCase()) && !findField(kind, name)) {
+      throw new Error(`Unknown placeholder {${name}} in message. See /alert-rules fields.`);
+    }
+  }
+  return text;
+}
+
+function formatRuleValue(v) {
+  if (v == null) return "n/a";
+  if (typeof v === "number") return new Intl.NumberFormat("en-US", { maximumSignificantDigits: 6 }).format(v);
+  return String(v);
+}
+
+function positionText(kind, s) {
+  const id = kind === "LOAN" ? s.troveId : s.tokenId;
+  return kind === "LOAN"
+    ? `${s.protocol || "?"} trove ${shortenTroveId(id)}`
+    : `${s.protocol || "?"} ${s.pairLabel || "LP"} #${id}`;
+}
+
+function renderRuleMessage(rule, s, values) {
+  const extras = { rule: rule.name, severity: rule.severity, position: positionText(rule.positionKind, s) };
+  if (!rule.messageTemplate) return `${extras.position}: rule "${rule.name}" matched (${rule.condition}).`;
+  return rule.messageTemplate.replace(/\{([^{}]*)\}/g, (whole, name) => {
+    const extra = extras[name.toLowerCase()];
+    if (extra != null) return extra;
+    const field = findField(rule.positionKind, name);
+    return field ? formatRuleValue(values[field]) : whole;
+  });
+}
+
+// -----------------------------
+// Storage
+// -----------------------------
+const RULE_COLUMNS = `
+  id, user_id AS userId, name, position_kind AS positionKind, condition, severity,
+  cooldown_min AS cooldownMin, message_template AS messageTemplate, is_enabled AS isEnabled,
+  created_by AS createdBy, created_at AS createdAt
+`;
+
+/**
+ * Validate rule input (throws with a user-facing message) and return normalized values.
+ */
+function normalizeRuleInput({ name, positionKind, condition, severity, cooldownMin, messageTemplate }) {
+  const kind = String(positionKind || "").toUpperCase();
+  if (!RULE_KINDS[kind]) throw new Error("Kind must be LOAN or LP.");
+  const cleanName = String(name || "").trim();
+  if (!cleanName || cleanName.length > 60) throw new Error("Name must be 1-60 characters.");
+  const sev = String(severity || "MEDIUM").toUpperCase();
+  if (!RULE_SEVERITIES.includes(sev)) throw new Error(`Severity must be one of ${RULE_SEVERITIES.join(", ")}.`);
+  const cooldown = cooldownMin == null ? DEFAULT_COOLDOWN_MIN : Number(cooldownMin);
+  if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_COOLDOWN_MIN) {
+    throw new Error(`Cooldown must be a whole number of minutes between 0 and ${MAX_COOLDOWN_MIN}.`);
+  }
+  const cond = String(condition || "").trim();
+  compileCondition(kind, cond);
+  return {
+    name: cleanName,
+    positionKind: kind,
+    condition: cond,
+    severity: sev,
+    cooldownMin: cooldown,
+    messageTemplate: validateMessageTemplate(kind, messageTemplate),
+  };
+}
+
+// userId null = global rule
+function createRule({ userId = null, createdBy = null, ...input }) {
+  const rule = normalizeRuleInput(input);
+  const db = getDb();
+  if (userId != null) {
+    const n = db.prepare(`SELECT COUNT(*) AS n FROM alert_rules WHERE user_id = ?`).get(userId).n;
+    if (n >= MAX_RULES_PER_USER) throw new Error(`You already have ${MAX_RULES_PER_USER} rules; remove one first.`);
+  }
+  const info = db
+    .prepare(
+      `
+      INSERT INTO alert_rules (user_id, name, position_kind, condition, severity, cooldown_min, message_template, created_by)
+      VALUES (@userId, @name, @positionKind, @condition, @severity, @cooldownMin, @messageTemplate, @createdBy)
+    `
+    )
+    .run({ userId, createdBy, ...rule });
+  return getRule(Number(info.lastInsertRowid));
+}
+
+function getRule(id) {
+  return getDb().prepare(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE id = ?`).get(id) || null;
+}
+
+// The user's own rules, then global rules
+function listRulesForUser(userId) {
+  return getDb()
+    .prepare(
+      `
+      SELECT ${RULE_COLUMNS}
+      FROM alert_rules
+      WHERE user_id = ? OR user_id IS NULL
+      ORDER BY user_id IS NULL, id
+    `
+    )
+    .all(userId);
+}
+
+function setRuleEnabled(id, enabled) {
+  return getDb().prepare(`UPDATE alert_rules SET is_enabled = ? WHERE id = ?`).run(enabled ? 1 : 0, id).changes > 0;
+}
+
+function deleteRule(id) {
+  return getDb().prepare(`DELETE FROM alert_rules WHERE id = ?`).run(id).changes > 0;
+}
+
+function getRuleState(ruleId, s) {
+  return (
+    getDb()
+      .prepare(
+        `
+        SELECT last_fired_at AS lastFiredAt, last_snapshot_at AS lastSnapshotAt, fire_count AS fireCount
+        FROM alert_rule_state
+        WHERE rule_id = ? AND user_id = ? AND wallet_id = ? AND contract_id = ? AND token_id = ?
+      `
+      )
+      .get(ruleId, s.userId, s.walletId, s.contractId, positionTokenId(s)) || null
+  );
+}
+
+function recordRuleFired(ruleId, s) {
+  getDb()
+    .prepare(
+      `
+      INSERT INTO alert_rule_state (rule_id, user_id, wallet_id, contract_id, token_id, last_snapshot_at, fire_count)
+      VALUES (?, ?, ?, ?, ?, ?, 1)
+      ON CONFLICT (rule_id, user_id, wallet_id, contract_id, token_id) DO UPDATE SET
+        last_fired_at    = datetime('now'),
+        last_snapshot_at = excluded.last_snapshot_at,
+        fire_count       = fire_count + 1
+    `
+    )
+    .run(ruleId, s.userId, s.walletId, s.contractId, positionTokenId(s), s.snapshotAt || null);
+}
+
+// -----------------------------
+// Evaluation
+// -----------------------------
+function positionTokenId(s) {
+  return String(s.troveId ?? s.tokenId);
+}
+
+function fieldValues(kind, s) {
+  const out = {};
+  for (const [name, f] of Object.entries(RULE_FIELDS[kind])) out[name] = f.get(s);
+  return out;
+}
+
+// Positions a rule looks at; emptied LPs have nothing to evaluate
+function isEvaluable(kind, s) {
+  return kind === "LP" ? s.status !== "INACTIVE" : true;
+}
+
+/**
+ * Why a match would not be sent right now (null = it would be sent).
+ */
+function suppressReason(rule, s, state, nowMs) {
+  if (!state) return null;
+  if (s.snapshotAt && state.lastSnapshotAt === s.snapshotAt) return "already alerted for this snapshot";
+  const firedMs = fromSqlTime(state.lastFiredAt);
+  if (firedMs != null && nowMs - firedMs < rule.cooldownMin * 60 * 1000) {
+    return `cooldown until <t:${Math.floor((firedMs + rule.cooldownMin * 60 * 1000) / 1000)}:t>`;
+  }
+  return null;
+}
+
+/**
+ * Evaluate a rule (saved or ad-hoc) against summaries without sending anything.
+ * @returns {{matches:{summary:object, values:object, message:string, blockedBy:string|null}[], checked:number}}
+ *          blockedBy = why a saved rule would not alert for this match right now
+ */
+function dryRunRule(rule, { loanSummaries = [], lpSummaries = [], nowMs = Date.now() } = {}) {
+  const { ast } = compileCondition(rule.positionKind, rule.condition);
+  const summaries = rule.positionKind === "LOAN" ? loanSummaries : lpSummaries;
+  const matches = [];
+  let checked = 0;
+  for (const s of summaries) {
+    if (!isEvaluable(rule.positionKind, s)) continue;
+    checked++;
+    const values = fieldValues(rule.positionKind, s);
+    if (evalNode(ast, values) !== true) continue;
+    const state = rule.id != null ? getRuleState(rule.id, s) : null;
+    matches.push({
+      summary: s,
+      values,
+      message: renderRuleMessage(rule, s, values),
+      blockedBy: rule.id != null && rule.isEnabled === 0 ? "rule disabled" : suppressReason(rule, s, state, nowMs),
+    });
+  }
+  return { matches, checked };
+}
+
+async function evaluateAlertRules({ nowMs = Date.now() } = {}) {
+  const rules = getDb()
+    .prepare(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE is_enabled = 1 ORDER BY id`)
+    .all();
+  if (!rules.length) return;
+
+  const kinds = new Set(rules.map((r) => r.positionKind));
+  const loanSummaries = kinds.has("LOAN") ? await getLoanSummaries(null) : [];
+  const lpSummaries = kinds.has("LP") ? await getLpSummaries(null) : [];
+
+  for (const rule of rules) {
+    let compiled;
+    try {
+      compiled = compileCondition(rule.positionKind, rule.condition);
+    } catch (e) {
+      logger.warn(`[rules] Skipping rule ${rule.id} "${rule.name}": ${e.message}`);
+      continue;
+    }
+
+    const summaries = rule.positionKind === "LOAN" ? loanSummaries : lpSummaries;
+    for (const s of summaries) {
+      if (rule.userId != null && s.userId !== rule.userId) continue;
+      if (!isEvaluable(rule.positionKind, s)) continue;
+
+      const values = fieldValues(rule.positionKind, s);
+      if (evalNode(compiled.ast, values) !== true) continue;
+      if (suppressReason(rule, s, getRuleState(rule.id, s), nowMs)) continue;
+
+      recordRuleFired(rule.id, s);
+      try {
+        await handleRuleAlert({
+          rule,
+          summary: s,
+          tokenId: positionTokenId(s),
+          message: renderRuleMessage(rule, s, values),
+          values: Object.fromEntries(compiled.fields.map((f) => [f, values[f]])),
+        });
+      } catch (e) {
+        logger.error(`[rules] Rule ${rule.id} alert failed for token ${positionTokenId(s)}: ${e?.message || e}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  RULE_FIELDS,
+  RULE_KINDS,
+  RULE_SEVERITIES,
+  MAX_RULES_PER_USER,
+  DEFAULT_COOLDOWN_MIN,
+  compileCondition,
+  validateMessageTemplate,
+  normalizeRuleInput,
+  formatRuleValue,
+  positionText,
+  createRule,
+  getRule,
+  listRulesForUser,
+  setRuleEnabled,
+  deleteRule,
+  dryRunRule,
+  evaluateAlertRules,
+};
@@ -0,0 +1,362 @@
+// monitoring/alertThresholds.js
+//
+// Per-user alert threshold profiles (alert_threshold_profiles):
+// - Every threshold column is nullable; NULL = inherit from the next broader scope
+// - Resolution per field: POSITION -> WALLET -> USER -> env defaults
+// - Classifiers take the resolved overrides and fall back to their env constants
+
+const { getDb } = require("../db");
+
+// key = camelCase used in code, column = DB column, env = global default
+const THRESHOLD_FIELDS = [
+  {
+    key: "liqBufferWarn",
+    column: "liq_buffer_warn",
+    env: "LIQ_BUFFER_WARN",
+    group: "LIQUIDATION",
+    label: "MEDIUM when buffer <= (fraction)",
+  },
+  {
+    key: "liqBufferHigh",
+    column: "liq_buffer_high",
+    env: "LIQ_BUFFER_HIGH",
+    group: "LIQUIDATION",
+    label: "HIGH when buffer <= (fraction)",
+  },
+  {
+    key: "liqBufferCrit",
+    column: "liq_buffer_crit",
+    env: "LIQ_BUFFER_CRIT",
+    group: "LIQUIDATION",
+    label: "CRITICAL when buffer <= (fraction)",
+  },
+  {
+    key: "redempDebtAheadLowPct",
+    column: "redemp_debt_ahead_low_pct",
+    env: "REDEMP_DEBT_AHEAD_LOW_PCT",
+    group: "REDEMPTION",
+    label: "LOW when debt ahead >= (fraction)",
+  },
+  {
+    key: "redempDebtAheadMedPct",
+    column: "redemp_debt_ahead_med_pct",
+    env: "REDEMP_DEBT_AHEAD_MED_PCT",
+    group: "REDEMPTION",
+    label: "MEDIUM when debt ahead >= (fraction)",
+  },
+  {
+    key: "redempDebtAheadHighPct",
+    column: "redemp_debt_ahead_high_pct",
+    env: "REDEMP_DEBT_AHEAD_HIGH_PCT",
+    group: "REDEMPTION",
+    label: "HIGH when debt ahead >= (fraction)",
+  },
+  {
+    key: "redempBelowCritical",
+    column: "redemp_below_critical",
+    env: "REDEMP_BELOW_CRITICAL",
+    group: "REDEMPTION",
+    label: "IR vs global: CRITICAL at <= (pp)",
+  },
+  {
+    key: "redempAboveMed",
+    column: "redemp_above_med",
+    env: "REDEMP_ABOVE_MED",
+    group: "REDEMPTION",
+    label: "IR vs global: MEDIUM up to (pp)",
+  },
+  {
+    key: "lpEdgeWarnFrac",
+    column: "lp_edge_warn_frac",
+    env: "LP_EDGE_WARN_FRAC",
+    group: "LP_RANGE",
+    label: "In range: MEDIUM within edge (fraction)",
+  },
+  {
+    key: "lpEdgeHighFrac",
+    column: "lp_edge_high_frac",
+    env: "LP_EDGE_HIGH_FRAC",
+    group: "LP_RANGE",
+    label: "In range: HIGH within edge (fraction)",
+  },
+  {
+    key: "lpOutWarnFrac",
+    column: "lp_out_warn_frac",
+    env: "LP_OUT_WARN_FRAC",
+    group: "LP_RANGE",
+    label: "Out of range: MEDIUM within (x width)",
+  },
+  {
+    key: "lpOutHighFrac",
+    column: "lp_out_high_frac",
+    env: "LP_OUT_HIGH_FRAC",
+    group: "LP_RANGE",
+    label: "Out of range: HIGH within (x width)",
+  },
+  {
+    key: "priceMovePct",
+    column: "price_move_pct",
+    env: "PRICE_MOVE_ALERT_PCT",
+    group: "PRICE_MOVE",
+    label: "Alert when price moves >= (%, 0 = off)",
+  },
+  {
+    key: "priceMoveWindowMin",
+    column: "price_move_window_min",
+    env: "PRICE_MOVE_WINDOW_MIN",
+    group: "PRICE_MOVE",
+    label: "Price move window (minutes)",
+  },
+  {
+    key: "hitProbWarnPct",
+    column: "hit_prob_warn_pct",
+    env: "HIT_PROB_WARN_PCT",
+    group: "HIT_PROB",
+    label: "MEDIUM when 24h hit chance >= (%)",
+  },
+  {
+    key: "hitProbHighPct",
+    column: "hit_prob_high_pct",
+    env: "HIT_PROB_HIGH_PCT",
+    group: "HIT_PROB",
+    label: "HIGH when 24h hit chance >= (%)",
+  },
+  {
+    key: "hitProbCritPct",
+    column: "hit_prob_crit_pct",
+    env: "HIT_PROB_CRIT_PCT",
+    group: "HIT_PROB",
+    label: "CRITICAL when 24h hit chance >= (%)",
+  },
+];
+
+const THRESHOLD_GROUPS = {
+  LIQUIDATION: "Liquidation",
+  REDEMPTION: "Redemption",
+  LP_RANGE: "LP range",
+  PRICE_MOVE: "Price move",
+  HIT_PROB: "Hit chance",
+};
+
+// Most specific first
+const SCOPE_ORDER = ["POSITION", "WALLET", "USER"];
+
+function fieldsForGroup(group) {
+  return THRESHOLD_FIELDS.filter((f) => f.group === group);
+}
+
+function toFiniteOrNull(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function getEnvDefaultThresholds() {
+  const out = {};
+  for (const f of THRESHOLD_FIELDS) out[f.key] = toFiniteOrNull(process.env[f.env]);
+  return out;
+}
+
+// -----------------------------
+// Scope keys
+// -----------------------------
+// 'U' | 'W:<walletId>' | 'P:<walletId>:<contractId>:<tokenId>'
+function scopeKeyFor({ walletId = null, contractId = null, tokenId = null } = {}) {
+  if (walletId != null && contractId != null && tokenId != null) {
+    return `P:${walletId}:${contractId}:${tokenId}`;
+  }
+  if (walletId != null) return `W:${walletId}`;
+  return "U";
+}
+
+function parseScopeKey(scopeKey) {
+  const parts = String(scopeKey || "").split(":");
+  if (parts[0] === "U" && parts.length === 1) {
+    return { scope: "USER", scopeKey: "U", walletId: null, contractId: null, tokenId: null };
+  }
+  if (parts[0] === "W" && parts.length === 2) {
+    const walletId = Number(parts[1]);
+    if (!Number.isInteger(walletId)) return null;
+    return { scope: "WALLET", scopeKey: `W:${walletId}`, walletId, contractId: null, tokenId: null };
+  }
+  if (parts[0] === "P" && parts.length === 4) {
+    const walletId = Number(parts[1]);
+    const contractId = Number(parts[2]);
+    const tokenId = parts[3];
+    if (!Number.isInteger(walletId) || !Number.isInteger(contractId) || !tokenId) return null;
+    return {
+      scope: "POSITION",
+      scopeKey: `P:${walletId}:${contractId}:${tokenId}`,
+      walletId,
+      contractId,
+      tokenId,
+    };
+  }
+  return null;
+}
+
+// -----------------------------
+// Row <-> object helpers
+// -----------------------------
+function overridesFromRow(row) {
+  const out = {};
+  if (!row) return out;
+  for (const f of THRESHOLD_FIELDS) {
+    const v = toFiniteOrNull(row[f.column]);
+    if (v != null) out[f.key] = v;
+  }
+  return out;
+}
+
+function rowParamsFromOverrides(overrides) {
+  const out = {};
+  for (const f of THRESHOLD_FIELDS) out[f.column] = toFiniteOrNull(overrides?.[f.key]);
+  return out;
+}
+
+function hasAnyOverride(overrides) {
+  return THRESHOLD_FIELDS.some((f) => toFiniteOrNull(overrides?.[f.key]) != null);
+}
+
+// -----------------------------
+// Resolution
+// -----------------------------
+let _profileStmt = null;
+
+/**
+ * Returns only the fields the user overrides for this position (merged across scopes),
+ * plus `source` = the most specific scope that contributed a field (null when env-only).
+ */
+function resolveThresholdOverrides({ userId, walletId = null, contractId = null, tokenId = null }) {
+  if (userId == null) return { source: null };
+
+  const db = getDb();
+  if (!_profileStmt) {
+    _profileStmt = db.prepare(`
+      SELECT *
+      FROM alert_threshold_profiles
+      WHERE user_id = ?
+        AND scope_key IN (?, ?, ?)
+    `);
+  }
+
+  const rows = _profileStmt.all(
+    userId,
+    "U",
+    walletId != null ? scopeKeyFor({ walletId }) : "U",
+    walletId != null && contractId != null && tokenId != null
+      ? scopeKeyFor({ walletId, contractId, tokenId })
+      : "U"
+  );
+  if (!rows.length) return { source: null };
+
+  const byScope = new Map(rows.map((r) => [r.scope, r]));
+  const out = { source: null };
+  for (const scope of SCOPE_ORDER) {
+    const overrides = overridesFromRow(byScope.get(scope));
+    for (const [k, v] of Object.entries(overrides)) {
+      if (out[k] !== undefined) continue;
+      out[k] = v;
+      if (!out.source) out.source = scope;
+    }
+  }
+  return out;
+}
+
+function pickThreshold(thresholds, key, fallback) {
+  const v = thresholds ? thresholds[key] : undefined;
+  return typeof v === "number" && Number.isFinite(v) ? v : fallback;
+}
+
+function effectiveThresholds(overrides) {
+  const env = getEnvDefaultThresholds();
+  const out = {};
+  for (const f of THRESHOLD_FIELDS) out[f.key] = pickThreshold(overrides, f.key, env[f.key]);
+  return out;
+}
+
+// -----------------------------
+// Validation (on effective values)
+// -----------------------------
+function validateThresholds(t) {
+  const errors = [];
+  const ordered = (lo, hi) => lo == null || hi == null || lo <= hi;
+  const inRange = (v, min, max) => v == null || (v >= min && v <= max);
+
+  if (!inRange(t.liqBufferWarn, 0, 1) || !inRange(t.liqBufferHigh, 0, 1) || !inRange(t.liqBufferCrit, 0, 1)) {
+    errors.push("Liquidation buffers must be fractions between 0 and 1.");
+  }
+  if (!ordered(t.liqBufferCrit, t.liqBufferHigh) || !ordered(t.liqBufferHigh, t.liqBufferWarn)) {
+    errors.push("Liquidation buffers must satisfy CRITICAL <= HIGH <= MEDIUM.");
+  }
+
+  if (
+    !inRange(t.redempDebtAheadLowPct, 0, 1) ||
+    !inRange(t.redempDebtAheadMedPct, 0, 1) ||
+    !inRange(t.redempDebtAheadHighPct, 0, 1)
+  ) {
+    errors.push("Debt-ahead thresholds must be fractions between 0 and 1.");
+  }
+  if (
+    !ordered(t.redempDebtAheadHighPct, t.redempDebtAheadMedPct) ||
+    !ordered(t.redempDebtAheadMedPct, t.redempDebtAheadLowPct)
+  ) {
+    errors.push("Debt-ahead thresholds must satisfy HIGH <= MEDIUM <= LOW.");
+  }
+  if (t.redempBelowCritical != null && t.redempBelowCritical > 0) {
+    errors.push("IR CRITICAL threshold must be <= 0 pp.");
+  }
+  if (t.redempAboveMed != null && t.redempAboveMed < 0) {
+    errors.push("IR MEDIUM threshold must be >= 0 pp.");
+  }
+
+  if (!inRange(t.lpEdgeWarnFrac, 0, 0.5) || !inRange(t.lpEdgeHighFrac, 0, 0.5)) {
+    errors.push("LP edge fractions must be between 0 and 0.5.");
+  }
+  if (!ordered(t.lpEdgeHighFrac, t.lpEdgeWarnFrac)) {
+    errors.push("LP edge fractions must satisfy HIGH <= MEDIUM.");
+  }
+  if ((t.lpOutWarnFrac != null && t.lpOutWarnFrac < 0) || (t.lpOutHighFrac != null && t.lpOutHighFrac < 0)) {
+    errors.push("LP out-of-range multiples must be >= 0.");
+  }
+  if (!ordered(t.lpOutWarnFrac, t.lpOutHighFrac)) {
+    errors.push("LP out-of-range multiples must satisfy MEDIUM <= HIGH.");
+  }
+
+  if (!inRange(t.priceMovePct, 0, 100)) {
+    errors.push("Price move must be a percentage between 0 and 100.");
+  }
+  // Position history keeps every run for 48h
+  if (!inRange(t.priceMoveWindowMin, 1, 48 * 60)) {
+    errors.push("Price move window must be between 1 and 2880 minutes.");
+  }
+
+  if (
+    !inRange(t.hitProbWarnPct, 0, 100) ||
+    !inRange(t.hitProbHighPct, 0, 100) ||
+    !inRange(t.hitProbCritPct, 0, 100)
+  ) {
+    errors.push("Hit chance thresholds must be percentages between 0 and 100.");
+  }
+  if (!ordered(t.hitProbWarnPct, t.hitProbHighPct) || !ordered(t.hitProbHighPct, t.hitProbCritPct)) {
+    errors.push("Hit chance thresholds must satisfy MEDIUM <= HIGH <= CRITICAL.");
+  }
+
+  return errors;
+}
+
+module.exports = {
+  THRESHOLD_FIELDS,
+  THRESHOLD_GROUPS,
+  fieldsForGroup,
+  getEnvDefaultThresholds,
+  scopeKeyFor,
+  parseScopeKey,
+  overridesFromRow,
+  rowParamsFromOverrides,
+  hasAnyOverride,
+  resolveThresholdOverrides,
+  pickThreshold,
+  effectiveThresholds,
+  validateThresholds,
+};
@@ -2,12 +2,14 @@
 const { EmbedBuilder } = require("discord.js");
 const { getLoanSummaries } = require("./loanMonitor");
 const { getLpSummaries } = require("./lpMonitor");
-const { createDecimalFormatter } = require("../utils/intlNumberFormats");
+const { createDecimalFormatter, createCurrencyFormatter } = require("../utils/intlNumberFormats");
+const { summarizeUsdTotals } = require("./usdPricing");
 const { getDb } = require("../db");
 const logger = require("../utils/logger");
 const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
 const { shortenAddress } = require("../utils/ethers/shortenAddress");
 const { formatLoanTroveLink, formatLpPositionLink, formatAddressLink } = require("../utils/links");
+const { formatHitChance } = require("./volatility");
 
 function requireNumberEnv(name) {
   const raw = process.env[name];
@@ -35,6 +37,7 @@ const fmt2 = createDecimalFormatter(0, 2); // commas + up to 2 decimals
 const fmt4 = createDecimalFormatter(0, 4); // commas + up to 4 decimals
 const fmt5 = createDecimalFormatter(0, 5); // commas + up to 5 decimals
 const fmt6 = createDecimalFormatter(0, 6); // commas + up to 6 decimals
+const fmtUsdCcy = createCurrencyFormatter("USD", 0, 2);
 
 function fmtNum4(n) {
   if (typeof n !== "number" || !Number.isFinite(n)) return "n/a";
@@ -51,6 +54,11 @@ function fmtNum2(n) {
   return fmt2.format(n);
 }
 
+function fmtUsd(n) {
+  if (typeof n !== "number" || !Number.isFinite(n)) return "n/a";
+  return fmtUsdCcy.format(n);
+}
+
 function fmtPct2(n) {
   if (typeof n !== "number" || !Number.isFinite(n)) return "n/a";
   return `${n.toFixed(2)}%`;
@@ -122,6 +130,11 @@ function formatLoanField(s) {
   const debtText =
     typeof s.debtAmount === "number" && Number.isFinite(s.debtAmount) ? fmtNum4(s.debtAmount) : "n/a";
   lines.push(`Debt: ${debtText}`);
+  if (s.usd && s.usd.collateral != null && s.usd.debt != null) {
+    lines.push(
+      `USD: collateral ${fmtUsd(s.usd.collateral)} | debt ${fmtUsd(s.usd.debt)} | net ${fmtUsd(s.usd.net)}`
+    );
+  }
   lines.push("");
 
   if (s.hasPrice && typeof s.price === "number" && typeof s.liquidationPrice === "number") {
@@ -136,6 +149,8 @@ function formatLoanField(s) {
         s.liquidationPrice
       )} | Buffer: ${bufferText} (${tier})`
     );
+    const chanceText = formatHitChance(s.liquidationHitChance);
+    if (chanceText) lines.push(`Liq chance (est.): ${chanceText}`);
     lines.push(`Meaning: ${loanMeaning(s.liquidationTier, "LIQUIDATION")}`);
     lines.push("");
   } else {
@@ -227,6 +242,20 @@ function formatLpField(s) {
     );
   }
 
+  if (s.usd && s.usd.principal != null) {
+    parts.push(`USD: ${fmtUsd(s.usd.principal)} + fees ${fmtUsd(s.usd.fees)}`);
+  }
+
+  const a = s.analytics;
+  if (a) {
+    const unit = s.valueSymbol || s.token1Symbol || "token1";
+    const signed = (n) => (typeof n === "number" && Number.isFinite(n) ? `${n >= 0 ? "+" : ""}${n.toFixed(2)}%` : "n/a");
+    parts.push(
+      `Value: ${fmtNum4(a.positionValue)} ${unit} | vs HODL: ${signed(a.ilPct)} | ` +
+        `Net PnL: ${signed(a.netPnlPct)} | Fee APR: ${fmtPct2(a.feeAprPct)}`
+    );
+  }
+
   parts.push(`Status: ${s.status || "UNKNOWN"} | Range: ${statusEmoji} ${rangeStatus}`);
 
   if (s.lpRangeTier && s.lpRangeTier !== "UNKNOWN") {
@@ -237,9 +266,31 @@ function formatLpField(s) {
     );
   }
 
+  const chanceText = rangeStatus === "IN_RANGE" ? formatHitChance(s.lpHitChance) : null;
+  if (chanceText) parts.push(`Range exit chance (est.): ${chanceText}`);
+
   return { name: title, value: parts.join("\n") };
 }
 
+// Portfolio net = loan collateral - loan debt + LP principal + uncollected fees
+function formatUsdPortfolioLines({ total, wallets }) {
+  if (total.positions <= total.unpriced) return [];
+  const lines = [
+    "",
+    `Portfolio: **${fmtUsd(total.net)}** (collateral ${fmtUsd(total.collateral)}, debt ${fmtUsd(
+      total.debt
+    )}, LP ${fmtUsd(total.lp + total.fees)})`,
+  ];
+  if (wallets.length > 1) {
+    for (const w of wallets) {
+      const name = w.walletLabel || (w.owner ? shortenAddress(w.owner) : "wallet");
+      lines.push(`• ${name}: **${fmtUsd(w.net)}**`);
+    }
+  }
+  if (total.unpriced > 0) lines.push(`_${total.unpriced} position(s) without a USD price are not included._`);
+  return lines;
+}
+
 function worstLoanTier(loans) {
   const order = ["CRITICAL", "HIGH", "MEDIUM", "LOW", "UNKNOWN"];
   let worst = "UNKNOWN";
@@ -299,6 +350,7 @@ function buildHeartbeatEmbeds({ nowIso, loanSummaries, lpSummaries, client }) {
     : null;
 
   const headerLines = [`Loans: **${loanCount}** | LPs: **${lpCount}**`];
+  headerLines.push(...formatUsdPortfolioLines(summarizeUsdTotals({ loans: loanSummaries, lps: lpSummaries })));
   if (snapshotLine) headerLines.push("", snapshotLine);
 
   const header = new EmbedBuilder()
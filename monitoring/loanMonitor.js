@@ -21,8 +21,9 @@ const sortedTrovesAbi = require("../abi/sortedTroves.json");
 const activePoolAbi = require("../abi/activePool.json");
 
 const { getDb } = require("../db");
-const { getProviderForChain } = require("../utils/ethers/providers");
-const { handleLiquidationAlert, handleRedemptionAlert } = require("./alertEngine");
+const { getProviderForChain, crossCheckRead } = require("../utils/ethers/providers");
+const { handleLiquidationAlert, handleRedemptionAlert, handlePriceMoveAlert } = require("./alertEngine");
+const { computeDebtInFrontFromIndex } = require("./troveIndex");
 const {
   applyGlobalIrOffset,
   applyPriceMultiplier,
@@ -32,6 +33,15 @@ const {
   logRunApplied,
   getTestOffsets,
 } = require("./testOffsets");
+const { resolveThresholdOverrides, pickThreshold } = require("./alertThresholds");
+const {
+  DEFAULT_PRICE_METHODS,
+  getLoanContractConfigs,
+  getLoanContractConfig,
+} = require("../config/loanContracts");
+const { recordLoanHistory, compactPositionHistory } = require("./positionHistory");
+const { loanHitChance, classifyByHitChance } = require("./volatility");
+const { createPriceCache, getOraclePrice, setUsdPrice, loanUsdValues } = require("./usdPricing");
 const logger = require("../utils/logger");
 const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
 
@@ -80,11 +90,8 @@ if (!["POOL", "ENV"].includes(CDP_PRICE_MODE)) {
 const CDP_POOL_ADDR_FLR = CDP_PRICE_MODE === "POOL" ? requireEnv("CDP_POOL_ADDR_FLR") : null;
 const CDP_PRICE_USD_ENV = CDP_PRICE_MODE === "ENV" ? requireNumberEnv("CDP_PRICE_USD") : null;
 
+// Default source; a contract entry in data/loan_contracts.json may set its own globalIrUrl
 const GLOBAL_IR_URL = requireEnv("GLOBAL_IR_URL");
-const GLOBAL_IR_BRANCHES = requireEnv("GLOBAL_IR_BRANCHES")
-  .split(",")
-  .map((s) => s.trim())
-  .filter(Boolean);
 
 const LIQ_TIER_ORDER = ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"];
 const REDEMP_TIER_ORDER = ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"];
@@ -117,30 +124,65 @@ function troveStatusToString(code) {
   }[Number(code)] || `UNKNOWN(${code})`;
 }
 
-// v1 behavior (best): try fetchPrice -> lastGoodPrice -> fetchRedemptionPrice
-async function getOraclePrice(priceFeedContract) {
-  try {
-    const [price, isValid] = await priceFeedContract.fetchPrice();
-    if (isValid && price && price.toString() !== "0") {
-      return { rawPrice: price, source: "fetchPrice()" };
-    }
-  } catch (_) {}
+// Used when a LOAN_NFT contract in the DB has no entry in data/loan_contracts.json
+const FALLBACK_LOAN_CONFIG = {
+  branchKey: null,
+  globalIrUrl: null,
+  priceSource: { type: "troveManager", methods: DEFAULT_PRICE_METHODS },
+  collateralRatios: { mcr: "contract", ccr: null },
+};
 
-  try {
-    const last = await priceFeedContract.lastGoodPrice();
-    if (last && last.toString() !== "0") {
-      return { rawPrice: last, source: "lastGoodPrice()" };
-    }
-  } catch (_) {}
+const _missingConfigWarned = new Set();
+function loanConfigFor(protocol) {
+  const cfg = getLoanContractConfig(protocol);
+  if (cfg) return cfg;
+  const key = String(protocol || "").toUpperCase();
+  if (!_missingConfigWarned.has(key)) {
+    _missingConfigWarned.add(key);
+    logger.warn(`[loanMonitor] No loan_contracts.json entry for protocol=${protocol}; using defaults`);
+  }
+  return FALLBACK_LOAN_CONFIG;
+}
+
+async function getCollateralPrice(provider, troveManager, loanCfg) {
+  const ps = loanCfg.priceSource;
+  if (ps.type === "fixed") {
+    return { rawPrice: ethers.parseUnits(String(ps.price), 18), source: "fixed (config)" };
+  }
+  const priceFeedAddr = ps.type === "feed" ? ps.address : await troveManager.priceFeed();
+  const priceFeed = new ethers.Contract(priceFeedAddr, priceFeedAbi, provider);
+  return getOraclePrice(priceFeed, ps.methods);
+}
+
+// Critical reads: cross-checked across two RPC endpoints when RPC_CROSS_CHECK=1
+function readCollateralPrice(provider, troveManager, loanCfg, protocol) {
+  return crossCheckRead(provider, `${protocol} collateral price`, (p) =>
+    getCollateralPrice(p, troveManager.connect(p), loanCfg)
+  );
+}
+
+function readLatestTroveData(provider, troveManager, troveId) {
+  return crossCheckRead(provider, `trove ${troveId}`, (p) => troveManager.connect(p).getLatestTroveData(troveId));
+}
 
+async function readRatio(troveManager, spec, method) {
+  if (spec == null) return null;
+  if (typeof spec === "number") return spec;
   try {
-    const [redPrice, isValidRed] = await priceFeedContract.fetchRedemptionPrice();
-    if (isValidRed && redPrice && redPrice.toString() !== "0") {
-      return { rawPrice: redPrice, source: "fetchRedemptionPrice()" };
-    }
-  } catch (_) {}
+    return Number(ethers.formatUnits(await troveManager[method](), 18));
+  } catch (e) {
+    logger.debug(`[loanMonitor] ${method}() unavailable: ${e?.message || e}`);
+    return null;
+  }
+}
 
-  return { rawPrice: null, source: null };
+async function getCollateralRatios(troveManager, loanCfg) {
+  const { mcr, ccr } = loanCfg.collateralRatios;
+  const [mcrNorm, ccrNorm] = await Promise.all([
+    readRatio(troveManager, mcr, "MCR"),
+    readRatio(troveManager, ccr, "CCR"),
+  ]);
+  return { mcrNorm, ccrNorm };
 }
 
 // -----------------------------
@@ -179,8 +221,38 @@ function toFiniteNumber(v) {
   return null;
 }
 
+async function fetchGlobalIrJson(url) {
+  let res;
+  try {
+    res = await fetch(url, { headers: { accept: "application/json" } });
+  } catch (e) {
+    logger.warn(`[loanMonitor] Global IR fetch failed (network) url=${url}: ${e?.message || e}`);
+    return null;
+  }
+
+  if (!res.ok) {
+    let body = "";
+    try {
+      body = await res.text();
+    } catch (_) {}
+    const bodyShort = body ? String(body).slice(0, 200) : "";
+    logger.warn(
+      `[loanMonitor] Global IR fetch failed (HTTP ${res.status}) url=${url}. Body: ${bodyShort || "(empty)"}`
+    );
+    return null;
+  }
+
+  try {
+    return await res.json();
+  } catch (e) {
+    logger.warn(`[loanMonitor] Global IR fetch failed (bad JSON) url=${url}: ${e?.message || e}`);
+    return null;
+  }
+}
+
 /**
- * Returns map of { BRANCHKEY: pctNumber } where pctNumber is percent points (e.g., 6.03)
+ * Returns map of { PROTOCOL: pctNumber } where pctNumber is percent points (e.g., 6.03)
+ * - Branch key + source URL per protocol come from data/loan_contracts.json
  * - Logs HTTP/JSON failures
  * - Keeps a short in-memory cache so transient fetch issues don't null out alerts
  */
@@ -198,41 +270,29 @@ async function fetchGlobalIrPctMap() {
     return _globalIrCache.map;
   }
 
-  let res;
-  try {
-    res = await fetch(GLOBAL_IR_URL, { headers: { accept: "application/json" } });
-  } catch (e) {
-    logger.warn(`[loanMonitor] Global IR fetch failed (network): ${e?.message || e}`);
-    return _globalIrCache.map || null;
-  }
-
-  if (!res.ok) {
-    let body = "";
-    try {
-      body = await res.text();
-    } catch (_) {}
-    const bodyShort = body ? String(body).slice(0, 200) : "";
-    logger.warn(
-      `[loanMonitor] Global IR fetch failed (HTTP ${res.status}). Body: ${bodyShort || "(empty)"}`
-    );
-    return _globalIrCache.map || null;
-  }
-
-  let json;
-  try {
-    json = await res.json();
-  } catch (e) {
-    logger.warn(`[loanMonitor] Global IR fetch failed (bad JSON): ${e?.message || e}`);
-    return _globalIrCache.map || null;
+  const byUrl = new Map();
+  for (const cfg of getLoanContractConfigs()) {
+    const url = cfg.globalIrUrl || GLOBAL_IR_URL;
+    if (!byUrl.has(url)) byUrl.set(url, []);
+    byUrl.get(url).push(cfg);
   }
 
   const out = {};
-  for (const k of GLOBAL_IR_BRANCHES) {
-    const raw = json?.branch?.[k]?.interest_rate_avg;
-    const n = typeof raw === "number" ? raw : Number(raw);
-    if (Number.isFinite(n)) out[String(k).toUpperCase()] = n * 100.0;
+  let fetchedAny = false;
+  for (const [url, cfgs] of byUrl.entries()) {
+    const json = await fetchGlobalIrJson(url);
+    if (!json) continue;
+    fetchedAny = true;
+
+    for (const cfg of cfgs) {
+      const raw = json?.branch?.[cfg.branchKey]?.interest_rate_avg;
+      const n = typeof raw === "number" ? raw : Number(raw);
+      if (raw != null && Number.isFinite(n)) out[cfg.protocol.toUpperCase()] = n * 100.0;
+    }
   }
 
+  if (!fetchedAny) return _globalIrCache.map || null;
+
   logger.debug(
     `[loanMonitor] Global IR map fetched: ${Object.keys(out).length ? JSON.stringify(out) : "(empty)"}`
   );
@@ -241,18 +301,9 @@ async function fetchGlobalIrPctMap() {
   return out;
 }
 
-function inferBranchKeyFromProtocol(protocol) {
-  const p = (protocol || "").toUpperCase();
-  if (p.includes("FXRP")) return "FXRP";
-  if (p.includes("WFLR")) return "WFLR";
-  return null;
-}
-
 function getGlobalInterestRatePctFromMap(protocol, globalIrMap) {
-  if (!globalIrMap) return null;
-  const branchKey = inferBranchKeyFromProtocol(protocol);
-  if (!branchKey) return null;
-  const v = globalIrMap[branchKey];
+  if (!globalIrMap || !protocol) return null;
+  const v = globalIrMap[String(protocol).toUpperCase()];
   const out = typeof v === "number" && Number.isFinite(v) ? v : null;
   return applyGlobalIrOffset(out, protocol);
 }
@@ -260,42 +311,60 @@ function getGlobalInterestRatePctFromMap(protocol, globalIrMap) {
 // -----------------------------
 // Tier classifiers
 // -----------------------------
-function classifyRedemptionTier(interestPct, globalPct) {
+// `thresholds` = per-user overrides from resolveThresholdOverrides(); missing keys use env.
+function classifyRedemptionTier(interestPct, globalPct, thresholds = null) {
   if (globalPct == null) return { tier: "UNKNOWN", diffPct: null };
 
+  const belowCritical = pickThreshold(thresholds, "redempBelowCritical", REDEMP_BELOW_CRITICAL);
+  const aboveMed = pickThreshold(thresholds, "redempAboveMed", REDEMP_ABOVE_MED);
   const diff = interestPct - globalPct;
 
   let tier;
-  if (diff <= REDEMP_BELOW_CRITICAL) tier = "CRITICAL";
+  if (diff <= belowCritical) tier = "CRITICAL";
   else if (diff <= 0) tier = "HIGH";
-  else if (diff <= REDEMP_ABOVE_MED) tier = "MEDIUM";
+  else if (diff <= aboveMed) tier = "MEDIUM";
   else tier = "LOW";
 
   return { tier, diffPct: diff };
 }
 
-function classifyRedemptionTierByDebtAhead(debtAheadPct) {
+function classifyRedemptionTierByDebtAhead(debtAheadPct, thresholds = null) {
   if (debtAheadPct == null || !Number.isFinite(debtAheadPct)) {
     return { tier: "UNKNOWN", debtAheadPct: null };
   }
-  if (debtAheadPct >= REDEMP_DEBT_AHEAD_LOW_PCT) {
+  if (debtAheadPct >= pickThreshold(thresholds, "redempDebtAheadLowPct", REDEMP_DEBT_AHEAD_LOW_PCT)) {
     return { tier: "LOW", debtAheadPct };
   }
-  if (debtAheadPct >= REDEMP_DEBT_AHEAD_MED_PCT) {
+  if (debtAheadPct >= pickThreshold(thresholds, "redempDebtAheadMedPct", REDEMP_DEBT_AHEAD_MED_PCT)) {
     return { tier: "MEDIUM", debtAheadPct };
   }
-  if (debtAheadPct >= REDEMP_DEBT_AHEAD_HIGH_PCT) {
+  if (debtAheadPct >= pickThreshold(thresholds, "redempDebtAheadHighPct", REDEMP_DEBT_AHEAD_HIGH_PCT)) {
     return { tier: "HIGH", debtAheadPct };
   }
   return { tier: "CRITICAL", debtAheadPct };
 }
 
-function classifyLiquidationRisk(bufferFrac) {
-  if (bufferFrac == null || !Number.isFinite(bufferFrac)) return { tier: "UNKNOWN" };
-  if (bufferFrac <= LIQ_BUFFER_CRIT) return { tier: "CRITICAL" };
-  if (bufferFrac <= LIQ_BUFFER_HIGH) return { tier: "HIGH" };
-  if (bufferFrac <= LIQ_BUFFER_WARN) return { tier: "MEDIUM" };
-  return { tier: "LOW" };
+// `hitChance` = volatility.loanHitChance(); probability tiers (when set) replace the buffer tiers
+function classifyLiquidationBase(bufferFrac, thresholds, hitChance) {
+  if (bufferFrac == null || !Number.isFinite(bufferFrac)) return "UNKNOWN";
+  if (bufferFrac <= 0) return "CRITICAL";
+  const probTier = classifyByHitChance(hitChance, thresholds);
+  if (probTier) return probTier;
+  if (bufferFrac <= pickThreshold(thresholds, "liqBufferCrit", LIQ_BUFFER_CRIT)) return "CRITICAL";
+  if (bufferFrac <= pickThreshold(thresholds, "liqBufferHigh", LIQ_BUFFER_HIGH)) return "HIGH";
+  if (bufferFrac <= pickThreshold(thresholds, "liqBufferWarn", LIQ_BUFFER_WARN)) return "MEDIUM";
+  return "LOW";
+}
+
+// A trove below the branch CCR is never reported as LOW, whatever its buffer to MCR
+function classifyLiquidationRisk(bufferFrac, thresholds = null, hitChance = null, belowCcr = false) {
+  const tier = classifyLiquidationBase(bufferFrac, thresholds, hitChance);
+  return { tier: belowCcr && tier === "LOW" ? "MEDIUM" : tier };
+}
+
+function isBelowCcr(collNorm, debtNorm, price, ccrNorm) {
+  if (ccrNorm == null || !(debtNorm > 0) || !(price > 0)) return false;
+  return (collNorm * price) / debtNorm < ccrNorm;
 }
 
 async function getActivePoolStats(provider, troveManagerAddr) {
@@ -310,6 +379,7 @@ async function getActivePoolStats(provider, troveManagerAddr) {
   return { avgIrPct: (sumNum / debtNum) * 100.0, totalDebt: debtNum };
 }
 
+// Walks SortedTroves on-chain; only used until the branch's trove index has been reconciled
 async function computeDebtInFront(provider, troveManagerAddr, troveId) {
   const tm = new ethers.Contract(troveManagerAddr, troveManagerAbi, provider);
   const sortedAddr = await tm.sortedTroves();
@@ -559,9 +629,16 @@ function upsertLoanSnapshot(snapshot, runId) {
   });
 }
 
-function cleanupLoanSnapshots(runId) {
+// userId scopes the cleanup to one user's rows (per-user refresh after a wallet backfill)
+function cleanupLoanSnapshots(runId, userId = null) {
   if (!runId) return;
   const db = getDb();
+  if (userId != null) {
+    db.prepare(
+      `DELETE FROM loan_position_snapshots WHERE user_id = ? AND snapshot_run_id != ?`
+    ).run(userId, runId);
+    return;
+  }
   db.prepare(
     `DELETE FROM loan_position_snapshots WHERE snapshot_run_id != ?`
   ).run(runId);
@@ -572,6 +649,7 @@ function cleanupLoanSnapshots(runId) {
 // -----------------------------
 async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrMap) {
   const { userId, walletId, contractId, contract, owner, troveId, walletLabel } = row;
+  const loanCfg = loanConfigFor(protocol);
 
   const troveNFT = new ethers.Contract(contract, troveNftAbi, provider);
 
@@ -593,7 +671,7 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
   } catch (_) {}
 
   const [latest, statusCode] = await Promise.all([
-    troveManager.getLatestTroveData(troveId),
+    readLatestTroveData(provider, troveManager, troveId),
     troveManager.getTroveStatus(troveId),
   ]);
 
@@ -604,8 +682,9 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
 
   const statusStr = troveStatusToString(statusCode);
 
+  const thresholds = resolveThresholdOverrides({ userId, walletId, contractId, tokenId: String(troveId) });
   const globalIrPct = getGlobalInterestRatePctFromMap(protocol, globalIrMap);
-  const redClass = classifyRedemptionTier(interestPct, globalIrPct);
+  const redClass = classifyRedemptionTier(interestPct, globalIrPct, thresholds);
 
   const base = {
     userId,
@@ -621,6 +700,7 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
 
     collToken: collTokenAddr,
     collSymbol,
+    debtSymbol: loanCfg.debtSymbol || null,
     collAmount: collNorm,
     debtAmount: debtNorm,
 
@@ -631,28 +711,34 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
     lastInterestRateAdjTime,
 
     status: statusStr,
+    thresholdSource: thresholds.source,
 
     priceSource: null,
     hasPrice: false,
     price: null,
+    oraclePrice: null,
     ltv: null,
     ltvPct: null,
     liquidationPrice: null,
     liquidationBufferFrac: null,
     liquidationTier: "UNKNOWN",
+    liquidationHitChance: null,
     mcr: null,
+    ccr: null,
+    belowCcr: false,
     icr: null,
   };
 
-  const priceFeedAddr = await troveManager.priceFeed();
-  const priceFeed = new ethers.Contract(priceFeedAddr, priceFeedAbi, provider);
-  const { rawPrice, source } = await getOraclePrice(priceFeed);
+  const { rawPrice, source } = await readCollateralPrice(provider, troveManager, loanCfg, protocol);
 
   if (!rawPrice) return base;
 
   const priceNormRaw = Number(ethers.formatUnits(rawPrice, 18));
   const priceNorm = applyPriceMultiplier(priceNormRaw, protocol);
-  const mcrNorm = Number(ethers.formatUnits(await troveManager.MCR(), 18));
+  const { mcrNorm, ccrNorm } = await getCollateralRatios(troveManager, loanCfg);
+  if (mcrNorm == null) {
+    return { ...base, priceSource: source || null, hasPrice: true, price: priceNorm, oraclePrice: priceNormRaw };
+  }
 
   const collValue = collNorm * priceNorm;
   const ltv = collValue > 0 ? debtNorm / collValue : 0;
@@ -665,19 +751,26 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
   } catch (_) {}
 
   const bufferFrac = priceNorm > 0 ? (priceNorm - liquidationPrice) / priceNorm : null;
-  const liqClass = classifyLiquidationRisk(bufferFrac);
+  const hitChance = loanHitChance({ contractId, price: priceNorm, liquidationPrice });
+  const belowCcr = isBelowCcr(collNorm, debtNorm, priceNorm, ccrNorm);
+  const liqClass = classifyLiquidationRisk(bufferFrac, thresholds, hitChance, belowCcr);
 
   return {
     ...base,
     priceSource: source || null,
     hasPrice: true,
     price: priceNorm,
+    // untouched by test multipliers; used for USD valuation
+    oraclePrice: priceNormRaw,
     ltv,
     ltvPct: ltv * 100,
     liquidationPrice,
     liquidationBufferFrac: bufferFrac,
     liquidationTier: liqClass.tier,
+    liquidationHitChance: hitChance,
     mcr: mcrNorm,
+    ccr: ccrNorm,
+    belowCcr,
     icr: icrNorm,
   };
 }
@@ -693,6 +786,7 @@ async function describeLoanPosition(
   { cdpState, globalIrMap }
 ) {
   const { userId, walletId, contractId, contract, owner, troveId, walletLabel } = row;
+  const loanCfg = loanConfigFor(protocol);
 
   const troveNFT = new ethers.Contract(contract, troveNftAbi, provider);
 
@@ -707,7 +801,7 @@ async function describeLoanPosition(
   const [collDecimals, collSymbol, latest, statusCode] = await Promise.all([
     collToken.decimals(),
     collToken.symbol().catch(() => ""),
-    troveManager.getLatestTroveData(troveId),
+    readLatestTroveData(provider, troveManager, troveId),
     troveManager.getTroveStatus(troveId),
   ]);
 
@@ -717,27 +811,28 @@ async function describeLoanPosition(
 
   const statusStr = troveStatusToString(statusCode);
 
+  const thresholds = resolveThresholdOverrides({ userId, walletId, contractId, tokenId: String(troveId) });
   const globalIrPct = getGlobalInterestRatePctFromMap(protocol, globalIrMap);
-  const redClass = classifyRedemptionTier(interestPct, globalIrPct);
+  const redClass = classifyRedemptionTier(interestPct, globalIrPct, thresholds);
 
-  const priceFeedAddr = await troveManager.priceFeed();
-  const priceFeed = new ethers.Contract(priceFeedAddr, priceFeedAbi, provider);
-  const { rawPrice, source } = await getOraclePrice(priceFeed);
+  const { rawPrice } = await readCollateralPrice(provider, troveManager, loanCfg, protocol);
   if (!rawPrice) return;
 
   const priceNormRaw = Number(ethers.formatUnits(rawPrice, 18));
   const priceNorm = applyPriceMultiplier(priceNormRaw, protocol);
-  const mcrNorm = Number(ethers.formatUnits(await troveManager.MCR(), 18));
+  const { mcrNorm, ccrNorm } = await getCollateralRatios(troveManager, loanCfg);
 
   const collValue = collNorm * priceNorm;
   const ltv = collValue > 0 ? debtNorm / collValue : 0;
   const ltvPct = ltv * 100;
 
-  const liquidationPrice = collNorm > 0 ? (debtNorm * mcrNorm) / collNorm : null;
+  const liquidationPrice = collNorm > 0 && mcrNorm != null ? (debtNorm * mcrNorm) / collNorm : null;
   const bufferFrac =
     priceNorm > 0 && liquidationPrice != null ? (priceNorm - liquidationPrice) / priceNorm : null;
 
-  const liqClass = classifyLiquidationRisk(bufferFrac);
+  const hitChance = loanHitChance({ contractId, price: priceNorm, liquidationPrice });
+  const belowCcr = isBelowCcr(collNorm, debtNorm, priceNorm, ccrNorm);
+  const liqClass = classifyLiquidationRisk(bufferFrac, thresholds, hitChance, belowCcr);
 
   const debtSnap = getDebtAheadSnapshot({ userId, walletId, contractId, troveId });
   const snapshotAt = debtSnap?.snapshotAt || null;
@@ -764,8 +859,32 @@ async function describeLoanPosition(
     liquidationPrice,
     currentPrice: priceNorm,
     liquidationBufferFrac: bufferFrac,
+    hitChance,
     status: statusStr,
     snapshotAt,
+    thresholdSource: thresholds.source,
+  });
+
+  // Fast collateral price moves, independent of tier changes
+  await handlePriceMoveAlert({
+    kind: "LOAN",
+    userId,
+    walletId,
+    contractId,
+    positionId: String(troveId),
+
+    protocol,
+    wallet: owner,
+    walletLabel,
+    chainId,
+
+    price: priceNorm,
+    priceSymbol: collSymbol || null,
+    thresholds,
+    tier: liqTierFinal,
+    liquidationPrice,
+    liquidationBufferFrac: bufferFrac,
+    hitChance,
   });
 
   // Redemption alert no longer gated by CDP active state
@@ -790,7 +909,7 @@ async function describeLoanPosition(
   if (debtAheadPct != null && Number.isFinite(totalOffsetPp) && totalOffsetPp !== 0) {
     debtAheadPct = clamp01(debtAheadPct + totalOffsetPp / 100);
   }
-  const redDebtClass = classifyRedemptionTierByDebtAhead(debtAheadPct);
+  const redDebtClass = classifyRedemptionTierByDebtAhead(debtAheadPct, thresholds);
   const redTierFinal = redDebtClass.tier;
   const redIsActiveFinal = debtAheadPct != null;
 
@@ -831,8 +950,28 @@ async function describeLoanPosition(
     snapshotAt,
     isCDPActive: cdpIsActive,
     status: statusStr,
+    thresholdSource: thresholds.source,
   });
 
+  recordLoanHistory({
+    userId,
+    walletId,
+    contractId,
+    tokenId: String(troveId),
+    chainId,
+    protocol,
+    price: priceNorm,
+    liquidationPrice,
+    liquidationBufferFrac: bufferFrac,
+    icr: debtNorm > 0 ? collValue / debtNorm : null,
+    ltvPct,
+    collAmount: collNorm,
+    debtAmount: debtNorm,
+    interestPct,
+    debtAheadPct,
+    liquidationTier: liqTierFinal,
+    redemptionTier: redTierFinal,
+  });
 }
 
 // -----------------------------
@@ -900,6 +1039,7 @@ async function monitorLoans() {
     }
   }
 
+  compactPositionHistory();
   logRunApplied();
 }
 
@@ -933,10 +1073,26 @@ async function getLoanSummaries(userId = null) {
   return out;
 }
 
-async function refreshLoanSnapshots() {
+// Debt is priced at the CDP price for CDP-denominated branches, else at the 1 USD peg
+function debtUsdPriceFor(summary, cdpPrice) {
+  if (String(summary.debtSymbol || "").toUpperCase() === "CDP" && cdpPrice != null) {
+    return { price: cdpPrice, source: `CDP ${CDP_PRICE_MODE.toLowerCase()}` };
+  }
+  return { price: 1, source: "peg" };
+}
+
+async function refreshLoanSnapshots({ priceCache = createPriceCache(), userId = null } = {}) {
   const runId = String(Date.now());
-  const rows = getMonitoredLoanRows();
+  const rows = getMonitoredLoanRows(userId);
   if (!rows.length) return;
+  const db = getDb();
+
+  let cdpPrice = null;
+  try {
+    cdpPrice = await getCdpPrice();
+  } catch (e) {
+    logger.warn(`[loanMonitor] CDP price unavailable for USD values: ${e?.message || e}`);
+  }
 
   let globalIrMap = null;
   try {
@@ -989,7 +1145,9 @@ async function refreshLoanSnapshots() {
         const avgIr = stats?.avgIrPct ?? null;
         const totalDebt = stats?.totalDebt ?? null;
 
-        const debtInfo = await computeDebtInFront(provider, troveManagerAddr, row.troveId);
+        const debtInfo =
+          computeDebtInFrontFromIndex(db, row.contractId, row.troveId, { irPct: s?.interestPct }) ||
+          (await computeDebtInFront(provider, troveManagerAddr, row.troveId));
         const debtAheadPct =
           typeof debtInfo?.debtInFront === "number" &&
           Number.isFinite(debtInfo.debtInFront) &&
@@ -1008,11 +1166,31 @@ async function refreshLoanSnapshots() {
             totalDebt > 0
               ? adjustedDebtAheadPct * totalDebt
               : debtInfo?.debtInFront ?? null;
-          const redDebt = classifyRedemptionTierByDebtAhead(adjustedDebtAheadPct);
+          const thresholds = resolveThresholdOverrides({
+            userId: row.userId,
+            walletId: row.walletId,
+            contractId: row.contractId,
+            tokenId: String(row.troveId),
+          });
+          const redDebt = classifyRedemptionTierByDebtAhead(adjustedDebtAheadPct, thresholds);
           s.redemptionTier = redDebt.tier;
           s.redemptionDebtAhead = adjustedDebtAhead;
           s.redemptionDebtAheadPct = adjustedDebtAheadPct;
           s.redemptionTotalDebt = totalDebt;
+          s.redemptionTrovesAhead = debtInfo?.trovesAhead ?? null;
+          s.redemptionTroveCount = debtInfo?.troveCount ?? null;
+          s.redemptionPercentile = debtInfo?.percentile ?? null;
+
+          setUsdPrice(priceCache, chainId, s.collToken, s.oraclePrice, `oracle ${s.priceSource || ""}`.trim());
+          const debtPrice = debtUsdPriceFor(s, cdpPrice);
+          s.usd = loanUsdValues({
+            collAmount: s.collAmount,
+            debtAmount: s.debtAmount,
+            collPriceUsd: s.oraclePrice,
+            debtPriceUsd: debtPrice.price,
+            collSource: s.priceSource ? `oracle ${s.priceSource}` : null,
+            debtSource: debtPrice.source,
+          });
           upsertLoanSnapshot(s, runId);
         }
         const fmtNum = new Intl.NumberFormat("en-US", {
@@ -1047,7 +1225,7 @@ async function refreshLoanSnapshots() {
     }
   }
 
-  cleanupLoanSnapshots(runId);
+  cleanupLoanSnapshots(runId, userId);
 }
 
 module.exports = {
@@ -0,0 +1,314 @@
+// monitoring/lpAnalytics.js
+//
+// LP performance vs entry (lp_position_entries):
+// - Entry = position state at the mint transfer block (liquidity + pool price), cached once
+// - All values are expressed in token1 (the pool's quote token)
+// - Fees = uncollected + realized (collected minus withdrawn principal, from lp_liquidity_events)
+// - If liquidity changed since mint, entry amounts are scaled by current/entry liquidity
+//
+// Liquidity history (lp_liquidity_events, indexed by jobs/nftScanner.js):
+// - deposits / withdrawals / collects per position, realized fees, and the DecreaseLiquidity
+//   that took net liquidity back to 0 (emptied); positions minted before the index fall back
+//   to the RPC liquidity for that
+// - history is complete only when the mint block is at or after the contract's
+//   lp_events_from_block; otherwise it covers events since that block
+
+const { ethers } = require("ethers");
+
+const { getDb } = require("../db");
+
+const ZERO_ADDRESS_LOWER = "0x0000000000000000000000000000000000000000";
+const ENTRY_RETRY_MS = 6 * 60 * 60 * 1000;
+
+let _mintStmt = null;
+let _selEntryStmt = null;
+let _upsertEntryStmt = null;
+let _selLpEventsStmt = null;
+let _selLpEventsFromStmt = null;
+
+function getMintTransfer(contractId, tokenId) {
+  const db = getDb();
+  if (!_mintStmt) {
+    _mintStmt = db.prepare(`
+      SELECT block_number, tx_hash
+      FROM nft_transfers
+      WHERE contract_id = ?
+        AND token_id = ?
+        AND from_lower = ?
+      ORDER BY block_number ASC, log_index ASC
+      LIMIT 1
+    `);
+  }
+  return _mintStmt.get(contractId, String(tokenId), ZERO_ADDRESS_LOWER) || null;
+}
+
+function getLpEntry(contractId, tokenId) {
+  const db = getDb();
+  if (!_selEntryStmt) {
+    _selEntryStmt = db.prepare(`
+      SELECT *
+      FROM lp_position_entries
+      WHERE contract_id = ? AND token_id = ?
+    `);
+  }
+  return _selEntryStmt.get(contractId, String(tokenId)) || null;
+}
+
+function saveLpEntry(entry) {
+  const db = getDb();
+  if (!_upsertEntryStmt) {
+    _upsertEntryStmt = db.prepare(`
+      INSERT INTO lp_position_entries (
+        contract_id, token_id, mint_block, mint_tx_hash, mint_ts,
+        entry_liquidity, entry_sqrt_price_x96, entry_price,
+        entry_amount0, entry_amount1, last_error, attempted_at
+      ) VALUES (
+        @contractId, @tokenId, @mintBlock, @mintTxHash, @mintTs,
+        @entryLiquidity, @entrySqrtPriceX96, @entryPrice,
+        @entryAmount0, @entryAmount1, @lastError, datetime('now')
+      )
+      ON CONFLICT(contract_id, token_id) DO UPDATE SET
+        mint_block           = excluded.mint_block,
+        mint_tx_hash         = excluded.mint_tx_hash,
+        mint_ts              = excluded.mint_ts,
+        entry_liquidity      = excluded.entry_liquidity,
+        entry_sqrt_price_x96 = excluded.entry_sqrt_price_x96,
+        entry_price          = excluded.entry_price,
+        entry_amount0        = excluded.entry_amount0,
+        entry_amount1        = excluded.entry_amount1,
+        last_error           = excluded.last_error,
+        attempted_at         = datetime('now')
+    `);
+  }
+
+  _upsertEntryStmt.run({
+    contractId: entry.contractId,
+    tokenId: String(entry.tokenId),
+    mintBlock: entry.mintBlock ?? null,
+    mintTxHash: entry.mintTxHash ?? null,
+    mintTs: entry.mintTs ?? null,
+    entryLiquidity: entry.entryLiquidity ?? null,
+    entrySqrtPriceX96: entry.entrySqrtPriceX96 ?? null,
+    entryPrice: entry.entryPrice ?? null,
+    entryAmount0: entry.entryAmount0 ?? null,
+    entryAmount1: entry.entryAmount1 ?? null,
+    lastError: entry.lastError ?? null,
+  });
+}
+
+// True when a failed/missing entry should be (re)computed now
+function shouldComputeEntry(row, nowMs = Date.now()) {
+  if (!row) return true;
+  if (!row.last_error) return false;
+  const at = Date.parse(`${String(row.attempted_at).replace(" ", "T")}Z`);
+  return !Number.isFinite(at) || nowMs - at >= ENTRY_RETRY_MS;
+}
+
+// token1 per token0, decimals applied
+function priceFromSqrtPriceX96(sqrtPriceX96, dec0, dec1) {
+  if (sqrtPriceX96 == null) return null;
+  const sp = Number(BigInt(sqrtPriceX96.toString())) / 2 ** 96;
+  const p = sp * sp * Math.pow(10, Number(dec0) - Number(dec1));
+  return Number.isFinite(p) && p > 0 ? p : null;
+}
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+/**
+ * Entry vs. now, valued in token1.
+ * Returns null when the entry or current amounts are unknown.
+ */
+function computeLpAnalytics({
+  entryRow,
+  liquidity,
+  amount0,
+  amount1,
+  fees0,
+  fees1,
+  realizedFees0 = null,
+  realizedFees1 = null,
+  currentPrice,
+  nowMs = Date.now(),
+}) {
+  if (!entryRow || entryRow.last_error) return null;
+  if (!isNum(entryRow.entry_amount0) || !isNum(entryRow.entry_amount1) || !isNum(entryRow.entry_price)) {
+    return null;
+  }
+  if (!isNum(amount0) || !isNum(amount1) || !isNum(currentPrice)) return null;
+
+  let scale = 1;
+  try {
+    const entryL = BigInt(entryRow.entry_liquidity || "0");
+    const nowL = BigInt(String(liquidity || "0"));
+    if (entryL > 0n && nowL !== entryL) scale = Number(nowL) / Number(entryL);
+  } catch (_) {}
+
+  const e0 = entryRow.entry_amount0 * scale;
+  const e1 = entryRow.entry_amount1 * scale;
+
+  const entryValue = e0 * entryRow.entry_price + e1;
+  const hodlValue = e0 * currentPrice + e1;
+  const positionValue = amount0 * currentPrice + amount1;
+  const feesValue =
+    ((isNum(fees0) ? fees0 : 0) + (isNum(realizedFees0) ? realizedFees0 : 0)) * currentPrice +
+    (isNum(fees1) ? fees1 : 0) +
+    (isNum(realizedFees1) ? realizedFees1 : 0);
+
+  const daysHeld = isNum(entryRow.mint_ts) ? (nowMs / 1000 - entryRow.mint_ts) / 86400 : null;
+
+  const ilPct = hodlValue > 0 ? (positionValue / hodlValue - 1) * 100 : null;
+  const netPnl = positionValue + feesValue - entryValue;
+  const netPnlPct = entryValue > 0 ? (netPnl / entryValue) * 100 : null;
+  const feeAprPct =
+    daysHeld != null && daysHeld > 0 && hodlValue > 0 ? (feesValue / hodlValue / daysHeld) * 365 * 100 : null;
+
+  return {
+    entryAt: entryRow.mint_ts ?? null,
+    entryPrice: entryRow.entry_price,
+    entryValue,
+    hodlValue,
+    positionValue,
+    feesValue,
+    ilPct,
+    netPnl,
+    netPnlPct,
+    feeAprPct,
+    daysHeld,
+    scaledForLiquidity: scale !== 1,
+  };
+}
+
+// -----------------------------
+// Liquidity history
+// -----------------------------
+function getLpLiquidityEvents(contractId, tokenId) {
+  const db = getDb();
+  if (!_selLpEventsStmt) {
+    _selLpEventsStmt = db.prepare(`
+      SELECT event_type, block_number, tx_hash, log_index, liquidity, amount0_raw, amount1_raw
+      FROM lp_liquidity_events
+      WHERE contract_id = ? AND token_id = ?
+      ORDER BY block_number ASC, log_index ASC
+    `);
+  }
+  return _selLpEventsStmt.all(contractId, String(tokenId));
+}
+
+function getLpEventsFromBlock(contractId) {
+  const db = getDb();
+  if (!_selLpEventsFromStmt) {
+    _selLpEventsFromStmt = db.prepare(
+      `SELECT lp_events_from_block FROM contract_scan_cursors WHERE contract_id = ?`
+    );
+  }
+  return _selLpEventsFromStmt.get(contractId)?.lp_events_from_block ?? null;
+}
+
+/**
+ * Deposit history, realized fees and "emptied" for one position, in token units.
+ * Collect pays out withdrawn principal and fees together, so realized fees are
+ * collected minus withdrawn (floored at 0 while withdrawn principal is still uncollected).
+ * With the full history indexed, "emptied" is the DecreaseLiquidity that brought net
+ * liquidity back to 0; otherwise it needs the RPC liquidity to be 0.
+ *
+ * @param {Object} p
+ * @param {Array} p.events - rows from getLpLiquidityEvents (oldest first)
+ * @param {string} p.liquidity - current position liquidity (RPC), used when the history is incomplete
+ * @param {number|null} p.mintBlock - first mint transfer block, if known
+ * @param {number|null} p.eventsFromBlock - contract's lp_events_from_block
+ * @param {number} [p.maxDeposits=3] - most recent deposits/withdrawals kept for display
+ */
+function summarizeLiquidityHistory({ events, liquidity, dec0, dec1, mintBlock, eventsFromBlock, maxDeposits = 3 }) {
+  if (eventsFromBlock == null) return null;
+
+  const amt = (raw, dec) => {
+    try {
+      return Number(ethers.formatUnits(raw, dec));
+    } catch (_) {
+      return 0;
+    }
+  };
+
+  const totals = {
+    deposited0: 0,
+    deposited1: 0,
+    withdrawn0: 0,
+    withdrawn1: 0,
+    collected0: 0,
+    collected1: 0,
+  };
+  const changes = [];
+  let deposits = 0;
+  let withdrawals = 0;
+  let collects = 0;
+  let lastDecrease = null;
+  let netLiquidity = 0n;
+  let emptiedBy = null;
+
+  const liq = (raw) => {
+    try {
+      return BigInt(raw || "0");
+    } catch (_) {
+      return 0n;
+    }
+  };
+
+  for (const e of events) {
+    const a0 = amt(e.amount0_raw, dec0);
+    const a1 = amt(e.amount1_raw, dec1);
+    if (e.event_type === "INCREASE") {
+      deposits += 1;
+      totals.deposited0 += a0;
+      totals.deposited1 += a1;
+      netLiquidity += liq(e.liquidity);
+      emptiedBy = null;
+    } else if (e.event_type === "DECREASE") {
+      withdrawals += 1;
+      totals.withdrawn0 += a0;
+      totals.withdrawn1 += a1;
+      lastDecrease = e;
+      netLiquidity -= liq(e.liquidity);
+      if (netLiquidity <= 0n) emptiedBy = e;
+    } else {
+      collects += 1;
+      totals.collected0 += a0;
+      totals.collected1 += a1;
+      continue;
+    }
+    changes.push({ type: e.event_type, blockNumber: e.block_number, txHash: e.tx_hash, amount0: a0, amount1: a1 });
+  }
+
+  const complete = mintBlock != null && mintBlock >= eventsFromBlock;
+  // Before the index covers the mint, only the RPC can say the position is at zero;
+  // the last DecreaseLiquidity seen is then the best guess for when
+  const emptiedEvent = complete ? emptiedBy : String(liquidity ?? "") === "0" ? lastDecrease : null;
+  const emptied = emptiedEvent ? { blockNumber: emptiedEvent.block_number, txHash: emptiedEvent.tx_hash } : null;
+
+  return {
+    complete,
+    netLiquidity: complete ? netLiquidity.toString() : null,
+    sinceBlock: eventsFromBlock,
+    deposits,
+    withdrawals,
+    collects,
+    ...totals,
+    realizedFees0: Math.max(0, totals.collected0 - totals.withdrawn0),
+    realizedFees1: Math.max(0, totals.collected1 - totals.withdrawn1),
+    recentChanges: changes.slice(-maxDeposits).reverse(),
+    emptied,
+  };
+}
+
+module.exports = {
+  getMintTransfer,
+  getLpEntry,
+  saveLpEntry,
+  shouldComputeEntry,
+  priceFromSqrtPriceX96,
+  computeLpAnalytics,
+  getLpLiquidityEvents,
+  getLpEventsFromBlock,
+  summarizeLiquidityHistory,
+};
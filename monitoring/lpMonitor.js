@@ -3,6 +3,7 @@
 // DB-driven LP monitor (NEW SCHEMA):
 // - Reads LP positions via (user_wallets + contracts(kind=LP_NFT) + nft_tokens current owner)
 // - Uses lp_token_meta.pair_label when available
+// - Skips positions the spam classifier flagged (nft_tokens.is_spam) unless the user unhid them
 // - Persists previous range status in alert_state.state_json (via alertEngine) - no extra tables
 // - Provider endpoints come from .env (FLR_MAINNET, XDC_MAINNET, etc.)
 // - Keeps existing range-tier logic + alertEngine integration intact
@@ -23,8 +24,23 @@ const { TickMath, SqrtPriceMath } = require("@uniswap/v3-sdk");
 
 const { getDb } = require("../db");
 const { getProviderForChain } = require("../utils/ethers/providers");
-const { handleLpRangeAlert } = require("./alertEngine");
+const { handleLpRangeAlert, handlePriceMoveAlert } = require("./alertEngine");
 const { applyLpTickShift, logRunApplied } = require("./testOffsets");
+const { recordLpHistory, compactPositionHistory } = require("./positionHistory");
+const { lpRangeExitChance, classifyByHitChance } = require("./volatility");
+const { resolveThresholdOverrides, pickThreshold } = require("./alertThresholds");
+const {
+  getMintTransfer,
+  getLpEntry,
+  saveLpEntry,
+  shouldComputeEntry,
+  priceFromSqrtPriceX96,
+  computeLpAnalytics,
+  getLpLiquidityEvents,
+  getLpEventsFromBlock,
+  summarizeLiquidityHistory,
+} = require("./lpAnalytics");
+const { createPriceCache, registerFactory, registerPoolPrice, getUsdPrice, lpUsdValues } = require("./usdPricing");
 const logger = require("../utils/logger");
 
 function getLpSnapshotAt({ userId, walletId, contractId, tokenId }) {
@@ -263,7 +279,10 @@ async function simulateCollectFees(pm, tokenIdBN, recipientEip55) {
 // -----------------------------
 // LP range tier classification
 // -----------------------------
-function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick) {
+// `thresholds` = per-user overrides from resolveThresholdOverrides(); missing keys use env.
+// `hitChance` = volatility.lpRangeExitChance(); in range, probability tiers (when set) replace
+// the edge-distance tiers, capped at HIGH like them.
+function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick, thresholds = null, hitChance = null) {
   const normStatus = (rangeStatus || "").toString().toUpperCase().replace(/\s+/g, "_");
 
   const width = tickUpper - tickLower;
@@ -274,10 +293,10 @@ function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick) {
     Number.isFinite(tickUpper) &&
     Number.isFinite(currentTick);
 
-  const edgeWarn = LP_EDGE_WARN_FRAC;
-  const edgeHigh = LP_EDGE_HIGH_FRAC;
-  const outWarn = LP_OUT_WARN_FRAC;
-  const outHigh = LP_OUT_HIGH_FRAC;
+  const edgeWarn = pickThreshold(thresholds, "lpEdgeWarnFrac", LP_EDGE_WARN_FRAC);
+  const edgeHigh = pickThreshold(thresholds, "lpEdgeHighFrac", LP_EDGE_HIGH_FRAC);
+  const outWarn = pickThreshold(thresholds, "lpOutWarnFrac", LP_OUT_WARN_FRAC);
+  const outHigh = pickThreshold(thresholds, "lpOutHighFrac", LP_OUT_HIGH_FRAC);
 
   if (normStatus === "IN_RANGE" && hasTicks) {
     const positionFrac = (currentTick - tickLower) / width;
@@ -290,6 +309,7 @@ function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick) {
     let tier = "LOW";
     if (Number.isFinite(edgeHigh) && centerDist <= edgeHigh) tier = "HIGH";
     else if (Number.isFinite(edgeWarn) && centerDist <= edgeWarn) tier = "MEDIUM";
+    tier = classifyByHitChance(hitChance, thresholds, { maxTier: "HIGH" }) || tier;
 
     const label =
       tier === "LOW"
@@ -383,11 +403,17 @@ function getMonitoredLpRows(userId = null) {
      AND pi.wallet_id      = uw.id
      AND pi.contract_id    = c.id
      AND (pi.token_id IS NULL OR pi.token_id = nt.token_id)
+    LEFT JOIN lp_spam_unhides su
+      ON su.user_id     = u.id
+     AND su.wallet_id   = uw.id
+     AND su.contract_id = c.id
+     AND su.token_id    = nt.token_id
     WHERE
       uw.is_enabled = 1
       AND c.is_enabled = 1
       AND (? IS NULL OR u.id = ?)
       AND pi.id IS NULL
+      AND (nt.is_spam = 0 OR su.id IS NOT NULL)
     ORDER BY c.chain_id, c.protocol, uw.address_eip55, nt.token_id
   `;
 
@@ -433,9 +459,14 @@ function upsertLpSnapshot(snapshot, runId) {
   });
 }
 
-function cleanupLpSnapshots(runId) {
+// userId scopes the cleanup to one user's rows (per-user refresh after a wallet backfill)
+function cleanupLpSnapshots(runId, userId = null) {
   if (!runId) return;
   const db = getDb();
+  if (userId != null) {
+    db.prepare(`DELETE FROM lp_position_snapshots WHERE user_id = ? AND snapshot_run_id != ?`).run(userId, runId);
+    return;
+  }
   db.prepare(`DELETE FROM lp_position_snapshots WHERE snapshot_run_id != ?`).run(runId);
 }
 
@@ -454,10 +485,91 @@ function extractPrevRangeStatus(prevStateJson) {
   }
 }
 
+// -----------------------------
+// Entry state at mint block (cached in lp_position_entries)
+// -----------------------------
+async function resolveLpEntry({ provider, pm, poolAddr, contractId, tokenId, tickLower, tickUpper, dec0, dec1, chainId }) {
+  const existing = getLpEntry(contractId, tokenId);
+  if (!shouldComputeEntry(existing)) return existing;
+  if (!poolAddr) return existing;
+
+  // Positions minted before the contract's scan start block have no mint row
+  const mint = getMintTransfer(contractId, tokenId);
+  if (!mint) return existing;
+
+  const blockTag = Number(mint.block_number);
+  try {
+    const pool = new ethers.Contract(poolAddr, uniswapV3PoolAbi, provider);
+    const [posAt, slot0At, block] = await Promise.all([
+      pm.positions(BigInt(tokenId), { blockTag }),
+      pool.slot0({ blockTag }),
+      provider.getBlock(blockTag),
+    ]);
+
+    const sp = slot0At.sqrtPriceX96 !== undefined ? slot0At.sqrtPriceX96 : slot0At[0];
+    const entryLiquidity = posAt.liquidity.toString();
+    const { amount0Raw, amount1Raw } = amountsForPosition({
+      sqrtPriceX96: sp.toString(),
+      tickLower,
+      tickUpper,
+      liquidity: entryLiquidity,
+    });
+
+    saveLpEntry({
+      contractId,
+      tokenId,
+      mintBlock: blockTag,
+      mintTxHash: mint.tx_hash,
+      mintTs: block?.timestamp != null ? Number(block.timestamp) : null,
+      entryLiquidity,
+      entrySqrtPriceX96: sp.toString(),
+      entryPrice: priceFromSqrtPriceX96(sp, dec0, dec1),
+      entryAmount0: Number(ethers.formatUnits(amount0Raw, dec0)),
+      entryAmount1: Number(ethers.formatUnits(amount1Raw, dec1)),
+      lastError: null,
+    });
+  } catch (err) {
+    const msg = err?.shortMessage || err?.message || String(err);
+    logger.debug(`[LP][${chainId}] entry lookup FAILED tokenId=${tokenId} block=${blockTag}: ${msg}`);
+    saveLpEntry({
+      contractId,
+      tokenId,
+      mintBlock: blockTag,
+      mintTxHash: mint.tx_hash,
+      lastError: msg.slice(0, 300),
+    });
+  }
+
+  return getLpEntry(contractId, tokenId);
+}
+
+// Deposits / withdrawals / collects from lp_liquidity_events (null until the contract is indexed)
+function loadLiquidityHistory({ contractId, tokenId, liquidity, dec0, dec1, chainId }) {
+  try {
+    return summarizeLiquidityHistory({
+      events: getLpLiquidityEvents(contractId, tokenId),
+      liquidity,
+      dec0,
+      dec1,
+      mintBlock: getMintTransfer(contractId, tokenId)?.block_number ?? null,
+      eventsFromBlock: getLpEventsFromBlock(contractId),
+    });
+  } catch (err) {
+    logger.debug(`[LP][${chainId}] liquidity history FAILED tokenId=${tokenId}: ${err?.message || err}`);
+    return null;
+  }
+}
+
+// Emptied per the event index (net liquidity back to 0 via DecreaseLiquidity); positions
+// minted before the index (or not indexed yet) fall back to the RPC liquidity
+function isLpEmptied(liquidityHistory, liquidity) {
+  return liquidityHistory?.complete ? Boolean(liquidityHistory.emptied) : liquidity === 0n;
+}
+
 // -----------------------------
 // LP summary builder (no logging)
 // -----------------------------
-async function summarizeLpPosition(provider, chainId, protocol, row) {
+async function summarizeLpPosition(provider, chainId, protocol, row, { priceCache = null } = {}) {
   const {
     userId,
     walletId,
@@ -498,7 +610,16 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
 
   const pairLabel = dbPairLabel || `${token0Symbol}-${token1Symbol}`;
 
-  if (liquidity === 0n) {
+  const liquidityHistory = loadLiquidityHistory({
+    contractId,
+    tokenId,
+    liquidity: liquidity.toString(),
+    dec0,
+    dec1,
+    chainId,
+  });
+
+  if (isLpEmptied(liquidityHistory, liquidity)) {
     return {
       userId,
       walletId,
@@ -518,7 +639,7 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
       tickLower,
       tickUpper,
       currentTick: null,
-      liquidity: "0",
+      liquidity: liquidity.toString(),
       status: "INACTIVE",
       rangeStatus: "INACTIVE",
       poolAddr: null,
@@ -530,6 +651,11 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
       lpRangeLabel: "inactive",
       lpPositionFrac: null,
       lpDistanceFrac: null,
+      lpHitChance: null,
+      usd: null,
+      liquidityHistory,
+      // DecreaseLiquidity that took the position to zero (null when it predates event indexing)
+      emptied: liquidityHistory?.emptied || null,
     };
   }
 
@@ -554,6 +680,13 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
         currentTick = Number(tick);
         sqrtPriceX96 = sp ? sp.toString() : null;
 
+        registerFactory(priceCache, chainId, factoryAddr);
+        registerPoolPrice(priceCache, chainId, {
+          token0,
+          token1,
+          price1Per0: priceFromSqrtPriceX96(sqrtPriceX96, dec0, dec1),
+        });
+
         if (Number.isFinite(currentTick)) {
           currentTick = applyLpTickShift(currentTick, tickLower, tickUpper);
           rangeStatus =
@@ -563,7 +696,9 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
     }
   } catch (_) {}
 
-  const lpClass = classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick);
+  const thresholds = resolveThresholdOverrides({ userId, walletId, contractId, tokenId: String(tokenId) });
+  const hitChance = lpRangeExitChance({ contractId, tokenId, rangeStatus, currentTick, tickLower, tickUpper });
+  const lpClass = classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick, thresholds, hitChance);
 
   // principal token amounts (best-effort)
   let amount0 = null;
@@ -664,6 +799,49 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
       `feeGrowthInside1=${pos.feeGrowthInside1LastX128?.toString?.() || pos.feeGrowthInside1LastX128}`
   );
 
+  // Realized fees only count when the whole history since mint is indexed
+  const realized = liquidityHistory?.complete ? liquidityHistory : null;
+
+  let analytics = null;
+  try {
+    const entryRow = await resolveLpEntry({
+      provider,
+      pm,
+      poolAddr,
+      contractId,
+      tokenId,
+      tickLower,
+      tickUpper,
+      dec0,
+      dec1,
+      chainId,
+    });
+    analytics = computeLpAnalytics({
+      entryRow,
+      liquidity: liquidity.toString(),
+      amount0,
+      amount1,
+      fees0,
+      fees1,
+      realizedFees0: realized?.realizedFees0 ?? null,
+      realizedFees1: realized?.realizedFees1 ?? null,
+      currentPrice: priceFromSqrtPriceX96(sqrtPriceX96, dec0, dec1),
+    });
+  } catch (err) {
+    logger.debug(`[LP][${chainId}] analytics FAILED tokenId=${tokenId}: ${err?.message || err}`);
+  }
+
+  let usd = null;
+  if (priceCache) {
+    try {
+      const price0 = await getUsdPrice(priceCache, provider, chainId, token0);
+      const price1 = await getUsdPrice(priceCache, provider, chainId, token1);
+      usd = lpUsdValues({ amount0, amount1, fees0, fees1, price0, price1 });
+    } catch (err) {
+      logger.debug(`[LP][${chainId}] USD pricing FAILED tokenId=${tokenId}: ${err?.message || err}`);
+    }
+  }
+
   return {
     userId,
     walletId,
@@ -701,6 +879,18 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
     lpRangeLabel: lpClass.label,
     lpPositionFrac: lpClass.positionFrac,
     lpDistanceFrac: lpClass.distanceFrac,
+    lpHitChance: hitChance,
+    thresholdSource: thresholds.source,
+
+    // entry vs now, in token1 units (null until the mint block has been resolved)
+    analytics,
+    valueSymbol: token1Symbol,
+
+    // deposits / withdrawals / realized fees from indexed liquidity events
+    liquidityHistory,
+
+    // null when no snapshot price cache was passed (monitor runs)
+    usd,
   };
 }
 
@@ -734,9 +924,9 @@ async function getLpSummaries(userId = null) {
   return out;
 }
 
-async function refreshLpSnapshots() {
+async function refreshLpSnapshots({ priceCache = createPriceCache(), userId = null } = {}) {
   const runId = String(Date.now());
-  const rows = getMonitoredLpRows();
+  const rows = getMonitoredLpRows(userId);
   if (!rows || rows.length === 0) return;
   let ok = 0;
   let failed = 0;
@@ -764,7 +954,8 @@ async function refreshLpSnapshots() {
         provider,
         chainId,
         row.protocol || "UNKNOWN_PROTOCOL",
-        row
+        row,
+        { priceCache }
       );
       if (summary) {
         upsertLpSnapshot(summary, runId);
@@ -781,7 +972,7 @@ async function refreshLpSnapshots() {
     }
   }
 
-  cleanupLpSnapshots(runId);
+  cleanupLpSnapshots(runId, userId);
   logger.debug(
     `[LP] Snapshot refresh complete: rows=${rows.length} ok=${ok} failed=${failed}`
   );
@@ -842,10 +1033,19 @@ async function describeLpPosition(provider, chainId, protocol, row, options = {}
 
   const pairLabelFallback = dbPairLabel || `${sym0}-${sym1}`;
 
-  if (liquidity === 0n) {
+  const liquidityHistory = loadLiquidityHistory({
+    contractId,
+    tokenId,
+    liquidity: liquidity.toString(),
+    dec0,
+    dec1,
+    chainId,
+  });
+
+  if (isLpEmptied(liquidityHistory, liquidity)) {
     if (verbose) {
       logger.debug(
-        `${protocol} tokenId=${tokenId} on ${chainId} has zero liquidity; treating as INACTIVE.`
+        `${protocol} tokenId=${tokenId} on ${chainId} is emptied; treating as INACTIVE.`
       );
     }
 
@@ -947,7 +1147,16 @@ async function describeLpPosition(provider, chainId, protocol, row, options = {}
     );
   }
 
-  const lpClass = classifyLpRangeTier(currentStatus, tickLower, tickUpper, currentTick);
+  const thresholds = resolveThresholdOverrides({ userId, walletId, contractId, tokenId: String(tokenId) });
+  const hitChance = lpRangeExitChance({
+    contractId,
+    tokenId,
+    rangeStatus: currentStatus,
+    currentTick,
+    tickLower,
+    tickUpper,
+  });
+  const lpClass = classifyLpRangeTier(currentStatus, tickLower, tickUpper, currentTick, thresholds, hitChance);
   const isActive = lpClass.tier !== "UNKNOWN";
 
   // principal token amounts (best-effort)
@@ -1066,7 +1275,49 @@ async function describeLpPosition(provider, chainId, protocol, row, options = {}
     currentPrice,
     priceBaseSymbol: sym0,
     priceQuoteSymbol: sym1,
+    hitChance,
     snapshotAt,
+    thresholdSource: thresholds.source,
+  });
+
+  // Fast pool price moves, independent of tier changes
+  await handlePriceMoveAlert({
+    kind: "LP",
+    userId,
+    walletId,
+    contractId,
+    positionId: tokenId,
+    protocol,
+    wallet: owner,
+    walletLabel,
+    chainId,
+    price: currentPrice,
+    thresholds,
+    tier: lpClass.tier,
+    priceLower,
+    priceUpper,
+    rangeStatus: currentStatus,
+    pairLabel,
+    hitChance,
+  });
+
+  recordLpHistory({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    chainId,
+    protocol,
+    rangeStatus: currentStatus,
+    currentTick,
+    tickLower,
+    tickUpper,
+    currentPrice,
+    amount0,
+    amount1,
+    fees0,
+    fees1,
+    lpRangeTier: lpClass.tier,
   });
 
   if (verbose) {
@@ -1144,6 +1395,7 @@ async function monitorLPs(options = {}) {
     }
   }
 
+  compactPositionHistory();
   logRunApplied();
 }
 
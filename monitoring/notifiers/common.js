@@ -0,0 +1,58 @@
+// monitoring/notifiers/common.js
+// Shared helpers for the notifier implementations.
+
+function numberEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") return fallback;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) throw new Error(`Env var ${name} must be numeric (got "${raw}")`);
+  return n;
+}
+
+const NOTIFY_HTTP_TIMEOUT_MS = Math.max(1000, numberEnv("NOTIFY_HTTP_TIMEOUT_MS", 10000));
+
+// Errors that retrying cannot fix (bad config, 4xx, DM closed)
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// 429 and 5xx are worth retrying; other non-2xx responses are not
+function httpError(kind, res, detail = "") {
+  const err = new Error(`${kind} HTTP ${res.status}${detail ? `: ${detail}` : ""}`);
+  err.status = res.status;
+  err.permanent = res.status < 500 && res.status !== 429;
+  return err;
+}
+
+function stripDiscordMarkup(s) {
+  return String(s ?? "")
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, "$1 ($2)")
+    .replace(/<t:(\d+)(?::[a-zA-Z])?>/g, (_, ts) => new Date(Number(ts) * 1000).toISOString())
+    .replace(/\*\*|__|`/g, "");
+}
+
+// Plain-text rendering of the Discord payload for non-Discord outputs
+function payloadToText(payload) {
+  const d = payload?.discord || {};
+  if (d.content) return stripDiscordMarkup(d.content);
+
+  const lines = [];
+  for (const embed of d.embeds || []) {
+    const data = embed?.data || embed || {};
+    if (data.title) lines.push(data.title);
+    if (data.description) lines.push(data.description);
+    for (const f of data.fields || []) lines.push(`${f.name}: ${f.value}`);
+  }
+  if (!lines.length && payload?.message) lines.push(payload.message);
+  return stripDiscordMarkup(lines.join("\n"));
+}
+
+module.exports = {
+  numberEnv,
+  NOTIFY_HTTP_TIMEOUT_MS,
+  permanentError,
+  httpError,
+  payloadToText,
+};
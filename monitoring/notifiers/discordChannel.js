@@ -0,0 +1,49 @@
+// monitoring/notifiers/discordChannel.js
+// Posts alerts to a Discord text channel or thread the bot can write to.
+// config: { channelId }
+
+const { permanentError } = require("./common");
+const { sendDiscordPayload } = require("./discordDm");
+
+const kind = "DISCORD_CHANNEL";
+
+function validateConfig(config) {
+  const channelId = String(config?.channelId || "").trim();
+  if (!/^\d{15,25}$/.test(channelId)) throw new Error("channelId must be a Discord channel id");
+  return { channelId };
+}
+
+async function send({ client, notifier, payload }) {
+  if (!client || !client.channels) {
+    throw permanentError("Discord client not set. Call setAlertEngineClient(client) in onReady.");
+  }
+
+  const { channelId } = notifier.config || {};
+  let channel;
+  try {
+    channel = await client.channels.fetch(channelId);
+  } catch (err) {
+    // Unknown channel / missing access will not fix itself
+    if (err?.code === 10003 || err?.code === 50001 || err?.status === 404 || err?.status === 403) {
+      err.permanent = true;
+    }
+    throw err;
+  }
+  if (!channel || typeof channel.isTextBased !== "function" || !channel.isTextBased()) {
+    throw permanentError(`Channel ${channelId} is not a text channel`);
+  }
+
+  try {
+    await sendDiscordPayload(channel, payload.discord);
+  } catch (err) {
+    if (err?.code === 50001 || err?.code === 50013) err.permanent = true;
+    throw err;
+  }
+  return {};
+}
+
+module.exports = {
+  kind,
+  validateConfig,
+  send,
+};
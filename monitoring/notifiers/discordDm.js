@@ -0,0 +1,121 @@
+// monitoring/notifiers/discordDm.js
+// Default output: DM to the user's Discord account (requires users.accepts_dm = 1).
+
+const { getDb } = require("../../db");
+const { sendLongDM } = require("../../utils/discord/sendLongDM");
+const { permanentError } = require("./common");
+const { buildAlertActionRows } = require("../alertActions");
+
+const kind = "DISCORD_DM";
+
+function disableUserDm(userId, reason = null) {
+  try {
+    const db = getDb();
+    db.prepare(
+      `
+      UPDATE users
+      SET accepts_dm = 0
+      WHERE id = ?
+    `
+    ).run(userId);
+
+    if (reason) console.warn(`[dm] Disabled DMs for userId=${userId} (${reason})`);
+    else console.warn(`[dm] Disabled DMs for userId=${userId}`);
+  } catch (e) {
+    console.error(`[dm] Failed to disable DMs for userId=${userId}:`, e.message);
+  }
+}
+
+/**
+ * Discord DM failure classifier.
+ * Only disable DMs for strong signals that user can't be messaged.
+ */
+function shouldDisableDmForError(err) {
+  const code = err?.code;
+  const status = err?.status;
+
+  // Strong Discord API signals
+  if (code === 50007) return { disable: true, reason: "Cannot send messages to this user (50007)" };
+  if (code === 10013) return { disable: true, reason: "Unknown user (10013)" };
+
+  // discord.js sometimes yields REST/HTTP statuses
+  if (status === 403 || status === 401) return { disable: true, reason: `HTTP ${status}` };
+
+  const msg = String(err?.message || "").toLowerCase();
+
+  if (msg.includes("cannot send messages to this user")) {
+    return { disable: true, reason: "cannot send messages to this user" };
+  }
+  if (msg.includes("missing access") || msg.includes("missing permissions")) {
+    return { disable: true, reason: "missing access/permissions" };
+  }
+
+  // Do NOT disable on timeouts / 5xx / rate limits
+  if (msg.includes("timeout") || msg.includes("timed out")) return { disable: false, reason: null };
+  if (status && status >= 500) return { disable: false, reason: null };
+  if (status === 429) return { disable: false, reason: null };
+
+  return { disable: false, reason: null };
+}
+
+function getUserDmTarget(userId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `
+      SELECT discord_id, discord_name, accepts_dm
+      FROM users
+      WHERE id = ?
+      LIMIT 1
+    `
+    )
+    .get(userId);
+
+  if (!row) return null;
+  if (Number(row.accepts_dm) !== 1) return null;
+  if (!row.discord_id) return null;
+
+  return { discordId: row.discord_id, discordName: row.discord_name || null };
+}
+
+// Works for users and text channels alike (both expose .send)
+async function sendDiscordPayload(target, discord, components = []) {
+  if (discord?.embeds?.length) {
+    await target.send({ embeds: discord.embeds, components });
+    return;
+  }
+  await sendLongDM(target, discord?.content || "", { components });
+}
+
+// Logged alerts get the acknowledge/snooze/mute/details buttons. config.discordId sends to
+// someone else (escalation contact): no buttons, and their closed DMs never disable the owner's.
+async function send({ client, userId, notifier, payload, alertLogId = null }) {
+  const contactId = notifier?.config?.discordId || null;
+  const target = contactId ? { discordId: String(contactId) } : getUserDmTarget(userId);
+  if (!target) return { skipped: true };
+
+  if (!client || !client.users) {
+    throw permanentError("Discord client not set. Call setAlertEngineClient(client) in onReady.");
+  }
+
+  try {
+    const user = await client.users.fetch(target.discordId);
+    if (!user) return { skipped: true };
+    const components = alertLogId && !contactId ? buildAlertActionRows(alertLogId) : [];
+    await sendDiscordPayload(user, payload.discord, components);
+  } catch (err) {
+    const verdict = shouldDisableDmForError(err);
+    if (verdict.disable) {
+      if (!contactId) disableUserDm(userId, verdict.reason);
+      err.permanent = true;
+    }
+    throw err;
+  }
+  return {};
+}
+
+module.exports = {
+  kind,
+  sendDiscordPayload,
+  send,
+};
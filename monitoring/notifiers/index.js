@@ -0,0 +1,319 @@
+// monitoring/notifiers/index.js
+//
+// Pluggable alert outputs (user_notifiers) with retries + a delivery log:
+// - Users without enabled notifiers get the implicit Discord DM (users.accepts_dm)
+// - Discord outputs are sent first, then the HTTP outputs (webhook, Telegram) in parallel
+// - Only the first attempt is awaited; a retryable failure is handed to an in-memory retry
+//   queue (up to NOTIFY_MAX_ATTEMPTS in total, exponential backoff), so a dead endpoint never
+//   holds up later alerts in the run. Errors flagged `permanent` (bad config, 4xx, DM closed)
+//   are not retried. Retries still pending at shutdown are dropped.
+// - Every attempt chain ends in one notification_deliveries row (SENT / FAILED)
+// - A failing notifier never blocks the others (a closed DM no longer silences webhooks)
+
+const { getDb } = require("../../db");
+const { sleep } = require("../../utils/sleep");
+const logger = require("../../utils/logger");
+
+const { numberEnv } = require("./common");
+const discordDm = require("./discordDm");
+const discordChannel = require("./discordChannel");
+const webhook = require("./webhook");
+const telegram = require("./telegram");
+
+const NOTIFIERS = {
+  [discordDm.kind]: discordDm,
+  [discordChannel.kind]: discordChannel,
+  [webhook.kind]: webhook,
+  [telegram.kind]: telegram,
+};
+const NOTIFIER_KINDS = Object.keys(NOTIFIERS);
+
+const NOTIFY_MAX_ATTEMPTS = Math.max(1, Math.floor(numberEnv("NOTIFY_MAX_ATTEMPTS", 3)));
+const NOTIFY_RETRY_BASE_MS = Math.max(0, numberEnv("NOTIFY_RETRY_BASE_MS", 2000));
+const NOTIFY_RETRY_QUEUE_MAX = Math.max(0, Math.floor(numberEnv("NOTIFY_RETRY_QUEUE_MAX", 200)));
+
+const DISCORD_KINDS = new Set([discordDm.kind, discordChannel.kind]);
+
+// -----------------------------
+// Storage
+// -----------------------------
+function parseConfig(json) {
+  try {
+    const obj = JSON.parse(json || "{}");
+    return obj && typeof obj === "object" ? obj : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function rowToNotifier(r) {
+  return {
+    id: r.id,
+    userId: r.user_id,
+    kind: r.kind,
+    label: r.label || null,
+    config: parseConfig(r.config_json),
+    isEnabled: Number(r.is_enabled) === 1,
+    createdAt: r.created_at,
+  };
+}
+
+function listUserNotifiers(userId) {
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      SELECT id, user_id, kind, label, config_json, is_enabled, created_at
+      FROM user_notifiers
+      WHERE user_id = ?
+      ORDER BY id
+    `
+    )
+    .all(userId)
+    .map(rowToNotifier);
+}
+
+function getUserNotifier(userId, notifierId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `
+      SELECT id, user_id, kind, label, config_json, is_enabled, created_at
+      FROM user_notifiers
+      WHERE user_id = ? AND id = ?
+    `
+    )
+    .get(userId, notifierId);
+  return row ? rowToNotifier(row) : null;
+}
+
+// Rejects on invalid config; resolves to the normalized config that gets stored
+async function validateNotifierConfig(kind, config) {
+  const impl = NOTIFIERS[kind];
+  if (!impl) throw new Error(`Unknown notifier kind "${kind}"`);
+  return impl.validateConfig ? impl.validateConfig(config || {}) : {};
+}
+
+async function addUserNotifier({ userId, kind, label = null, config = {} }) {
+  const normalized = await validateNotifierConfig(kind, config);
+  const db = getDb();
+  const info = db
+    .prepare(
+      `
+      INSERT INTO user_notifiers (user_id, kind, label, config_json)
+      VALUES (?, ?, ?, ?)
+    `
+    )
+    .run(userId, kind, label, JSON.stringify(normalized));
+  return getUserNotifier(userId, Number(info.lastInsertRowid));
+}
+
+function setUserNotifierEnabled(userId, notifierId, enabled) {
+  const db = getDb();
+  return (
+    db
+      .prepare(`UPDATE user_notifiers SET is_enabled = ? WHERE user_id = ? AND id = ?`)
+      .run(enabled ? 1 : 0, userId, notifierId).changes > 0
+  );
+}
+
+function removeUserNotifier(userId, notifierId) {
+  const db = getDb();
+  return db.prepare(`DELETE FROM user_notifiers WHERE user_id = ? AND id = ?`).run(userId, notifierId).changes > 0;
+}
+
+function insertDelivery({ userId, notifierId, kind, alertLogId, alertType, phase, status, attempts, lastError }) {
+  try {
+    const db = getDb();
+    db.prepare(
+      `
+      INSERT INTO notification_deliveries (
+        user_id, notifier_id, kind, alert_log_id, alert_type, phase,
+        status, attempts, last_error
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `
+    ).run(
+      userId,
+      notifierId ?? null,
+      kind,
+      alertLogId ?? null,
+      alertType ?? null,
+      phase ?? null,
+      status,
+      attempts,
+      lastError ? String(lastError).slice(0, 500) : null
+    );
+  } catch (e) {
+    logger.warn(`[notify] Failed to record delivery for userId=${userId}: ${e?.message || e}`);
+  }
+}
+
+function getRecentDeliveries(userId, limit = 10) {
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      SELECT id, notifier_id, kind, alert_type, phase, status, attempts, last_error, created_at
+      FROM notification_deliveries
+      WHERE user_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `
+    )
+    .all(userId, limit);
+}
+
+// -----------------------------
+// Targets
+// -----------------------------
+const IMPLICIT_DM = { id: null, kind: discordDm.kind, label: null, config: {}, isEnabled: true };
+
+function resolveTargets(userId) {
+  const enabled = listUserNotifiers(userId).filter((n) => n.isEnabled);
+  return enabled.length ? enabled : [IMPLICIT_DM];
+}
+
+async function attemptSend(impl, ctx) {
+  try {
+    const result = await impl.send(ctx);
+    // Notifiers return { skipped: true } when the target is intentionally unavailable (DM opt-out)
+    return { status: result?.skipped ? null : "SENT", error: null };
+  } catch (err) {
+    return { status: "FAILED", error: err };
+  }
+}
+
+function errorText(err) {
+  return err ? err?.message || String(err) : null;
+}
+
+function finishDelivery({ ctx, notifier, status, attempts, error }) {
+  const { userId, payload, alertLogId, logPrefix } = ctx;
+  if (status === "FAILED") {
+    logger.error(
+      `${logPrefix} ${notifier.kind}${notifier.id ? `#${notifier.id}` : ""} failed for userId=${userId} ` +
+        `after ${attempts} attempt(s): ${errorText(error)}`
+    );
+  }
+  if (status) {
+    insertDelivery({
+      userId,
+      notifierId: notifier.id,
+      kind: notifier.kind,
+      alertLogId,
+      alertType: payload.alertType,
+      phase: payload.phase,
+      status,
+      attempts,
+      lastError: errorText(error),
+    });
+  }
+}
+
+// -----------------------------
+// Retry queue
+// -----------------------------
+const pendingRetries = new Set();
+
+function retryDelayMs(attempts) {
+  return NOTIFY_RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+async function runRetries(impl, ctx, attempts, lastErr) {
+  let error = lastErr;
+  while (attempts < NOTIFY_MAX_ATTEMPTS) {
+    await sleep(retryDelayMs(attempts));
+    attempts += 1;
+    const res = await attemptSend(impl, ctx);
+    if (res.status !== "FAILED") {
+      finishDelivery({ ctx, notifier: ctx.notifier, status: res.status, attempts, error: null });
+      return;
+    }
+    error = res.error;
+    if (error?.permanent) break;
+  }
+  finishDelivery({ ctx, notifier: ctx.notifier, status: "FAILED", attempts, error });
+}
+
+// false when the queue is full (the failure is then final)
+function queueRetry(impl, ctx, attempts, lastErr) {
+  if (pendingRetries.size >= NOTIFY_RETRY_QUEUE_MAX) return false;
+  const job = runRetries(impl, ctx, attempts, lastErr)
+    .catch((e) => logger.error(`${ctx.logPrefix} Retry chain crashed: ${e?.message || e}`))
+    .finally(() => pendingRetries.delete(job));
+  pendingRetries.add(job);
+  return true;
+}
+
+// Resolves once every queued retry chain has finished (dev scripts, graceful shutdown)
+async function flushNotifierRetries() {
+  while (pendingRetries.size) await Promise.allSettled([...pendingRetries]);
+}
+
+// -----------------------------
+// Delivery
+// -----------------------------
+async function deliverTo(notifier, { client, userId, payload, alertLogId, logPrefix }) {
+  const impl = NOTIFIERS[notifier.kind];
+  if (!impl) {
+    logger.warn(`${logPrefix} Unknown notifier kind=${notifier.kind} id=${notifier.id}`);
+    return null;
+  }
+
+  const ctx = { client, userId, notifier, payload, alertLogId, logPrefix };
+  const res = await attemptSend(impl, ctx);
+  const retryable = res.status === "FAILED" && !res.error?.permanent && NOTIFY_MAX_ATTEMPTS > 1;
+
+  let status = res.status;
+  if (retryable && queueRetry(impl, ctx, 1, res.error)) {
+    status = "RETRYING";
+    logger.warn(
+      `${logPrefix} ${notifier.kind}${notifier.id ? `#${notifier.id}` : ""} failed for userId=${userId}, ` +
+        `retrying in the background: ${errorText(res.error)}`
+    );
+  } else {
+    finishDelivery({ ctx, notifier, status, attempts: 1, error: res.error });
+  }
+  return { notifierId: notifier.id, kind: notifier.kind, status, attempts: 1, error: errorText(res.error) };
+}
+
+/**
+ * Deliver one rendered alert to all of the user's outputs.
+ * Waits for the first attempt on each output only; see the retry queue above.
+ *
+ * @param {Object} opts
+ * @param {import("discord.js").Client|null} opts.client
+ * @param {number} opts.userId
+ * @param {Object} opts.payload - { alertType, phase, message, meta, discord, text, json }
+ * @param {number|null} [opts.alertLogId]
+ * @param {string} [opts.logPrefix]
+ * @param {Array<Object>} [opts.notifiers] - explicit targets (e.g. /notifications test)
+ * @returns {Promise<Array<{notifierId:number|null, kind:string, status:"SENT"|"FAILED"|"RETRYING"|null, attempts:number, error:string|null}>>}
+ */
+async function deliverAlert({ client, userId, payload, alertLogId = null, logPrefix = "[notify]", notifiers = null }) {
+  const targets = notifiers || resolveTargets(userId);
+  const ctx = { client, userId, payload, alertLogId, logPrefix };
+
+  const results = [];
+  for (const notifier of targets.filter((n) => DISCORD_KINDS.has(n.kind))) {
+    results.push(await deliverTo(notifier, ctx));
+  }
+  const slow = targets.filter((n) => !DISCORD_KINDS.has(n.kind));
+  results.push(...(await Promise.all(slow.map((notifier) => deliverTo(notifier, ctx)))));
+
+  return results.filter(Boolean);
+}
+
+module.exports = {
+  NOTIFIER_KINDS,
+  NOTIFY_MAX_ATTEMPTS,
+  listUserNotifiers,
+  getUserNotifier,
+  validateNotifierConfig,
+  addUserNotifier,
+  setUserNotifierEnabled,
+  removeUserNotifier,
+  getRecentDeliveries,
+  deliverAlert,
+  flushNotifierRetries,
+};
@@ -0,0 +1,54 @@
+// monitoring/notifiers/telegram.js
+// Telegram Bot API sendMessage (or any compatible endpoint).
+// config: { chatId, botToken?, apiBase? } - falls back to TELEGRAM_BOT_TOKEN / TELEGRAM_API_BASE
+
+const { NOTIFY_HTTP_TIMEOUT_MS, permanentError, httpError, payloadToText } = require("./common");
+
+const kind = "TELEGRAM";
+
+const TELEGRAM_MAX_TEXT = 4096;
+
+function validateConfig(config) {
+  const chatId = String(config?.chatId || "").trim();
+  if (!/^(-?\d+|@[A-Za-z0-9_]{5,})$/.test(chatId)) {
+    throw new Error("chatId must be a numeric chat id or @channelusername");
+  }
+  const out = { chatId };
+  if (config?.botToken) out.botToken = String(config.botToken).trim();
+  if (config?.apiBase) out.apiBase = String(config.apiBase).trim().replace(/\/+$/, "");
+  if (!out.botToken && !process.env.TELEGRAM_BOT_TOKEN) {
+    throw new Error("TELEGRAM_BOT_TOKEN is not configured on this bot");
+  }
+  return out;
+}
+
+async function send({ notifier, payload }) {
+  const { chatId, botToken, apiBase } = notifier.config || {};
+  const token = botToken || process.env.TELEGRAM_BOT_TOKEN;
+  if (!chatId) throw permanentError("Telegram chatId missing");
+  if (!token) throw permanentError("TELEGRAM_BOT_TOKEN is not configured");
+
+  const base = (apiBase || process.env.TELEGRAM_API_BASE || "https://api.telegram.org").replace(/\/+$/, "");
+  const text = payloadToText(payload).slice(0, TELEGRAM_MAX_TEXT);
+
+  const res = await fetch(`${base}/bot${token}/sendMessage`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ chat_id: chatId, text, disable_web_page_preview: true }),
+    signal: AbortSignal.timeout(NOTIFY_HTTP_TIMEOUT_MS),
+  });
+
+  let json = null;
+  try {
+    json = await res.json();
+  } catch (_) {}
+  if (!res.ok) throw httpError("Telegram", res, json?.description || "");
+  if (json && json.ok === false) throw permanentError(`Telegram: ${json.description || "request rejected"}`);
+  return {};
+}
+
+module.exports = {
+  kind,
+  validateConfig,
+  send,
+};
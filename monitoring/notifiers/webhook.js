@@ -0,0 +1,204 @@
+// monitoring/notifiers/webhook.js
+// Generic HTTP webhook: POSTs a JSON alert payload.
+// config: { url, secret }
+//
+// Signature headers (when a secret is set):
+//   X-Alert-Timestamp: unix seconds
+//   X-Alert-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${rawBody}`)>
+//
+// Targets must be https:// on a public host. The host is resolved when the output is added
+// and again on every send (inside the socket lookup, so a DNS rebind cannot swap in a private
+// address between check and connect); loopback, private, link-local and other special-use
+// addresses are refused. Redirects are not followed.
+// NOTIFY_WEBHOOK_ALLOW_PRIVATE=1 lifts both rules, for local testing only (dev/testWebhook.js).
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const { NOTIFY_HTTP_TIMEOUT_MS, permanentError, httpError, payloadToText } = require("./common");
+
+const kind = "WEBHOOK";
+
+function allowPrivateTargets() {
+  return process.env.NOTIFY_WEBHOOK_ALLOW_PRIVATE === "1";
+}
+
+const BLOCKED_RANGES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_RANGES.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_RANGES.addSubnet(addr, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 (::ffff:a.b.c.d or ::ffff:xxxx:xxxx) is checked as the IPv4 address
+function unmapIpv4(address) {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) return dotted[1];
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (!hex) return null;
+  const hi = parseInt(hex[1], 16);
+  const lo = parseInt(hex[2], 16);
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+}
+
+function isPublicAddress(address) {
+  const mapped = unmapIpv4(address);
+  if (mapped) return isPublicAddress(mapped);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_RANGES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+function bareHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, "");
+}
+
+// Resolves like the socket will and refuses any non-public answer
+async function assertPublicHost(hostname) {
+  if (allowPrivateTargets()) return;
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch (_) {
+    throw new Error(`url host ${hostname} could not be resolved`);
+  }
+  const blocked = addresses.find((a) => !isPublicAddress(a.address));
+  if (!addresses.length || blocked) {
+    throw new Error("url must point to a public host (private, loopback and link-local addresses are not allowed)");
+  }
+}
+
+// net.connect lookup hook: the address checked here is the one the socket connects to
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => !isPublicAddress(a.address));
+    if (blocked && !allowPrivateTargets()) {
+      return callback(permanentError(`Webhook host resolves to a non-public address (${blocked.address})`));
+    }
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+async function validateConfig(config) {
+  const raw = String(config?.url || "").trim();
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (_) {
+    throw new Error("url must be a valid https URL");
+  }
+  const httpAllowed = allowPrivateTargets() && url.protocol === "http:";
+  if (url.protocol !== "https:" && !httpAllowed) {
+    throw new Error("url must be a valid https URL");
+  }
+  await assertPublicHost(bareHostname(url));
+  const secret = config?.secret ? String(config.secret) : null;
+  return { url: url.toString(), secret };
+}
+
+function signBody(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function buildBody({ userId, payload }) {
+  const meta = payload.meta || {};
+  return JSON.stringify({
+    event: "alert",
+    alertType: payload.alertType,
+    phase: payload.phase,
+    message: payload.message,
+    text: payloadToText(payload),
+    userId,
+    position: {
+      chainId: meta.chainId ?? null,
+      protocol: meta.protocol ?? null,
+      wallet: meta.walletAddress ?? meta.wallet ?? null,
+      tokenId: meta.troveId ?? meta.tokenId ?? null,
+    },
+    meta,
+    sentAt: new Date().toISOString(),
+  });
+}
+
+// Resolves with the HTTP status; the response body is discarded
+function postJson(url, headers, body) {
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: guardedLookup,
+        signal: AbortSignal.timeout(NOTIFY_HTTP_TIMEOUT_MS),
+      },
+      (res) => {
+        res.resume();
+        res.on("end", () => resolve(res.statusCode));
+        res.on("error", reject);
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+async function send({ userId, notifier, payload }) {
+  const { url: rawUrl, secret } = notifier.config || {};
+  if (!rawUrl) throw permanentError("Webhook url missing");
+
+  const url = new URL(rawUrl);
+  if (url.protocol !== "https:" && !(allowPrivateTargets() && url.protocol === "http:")) {
+    throw permanentError("Webhook url must be https");
+  }
+  // IP literals never reach the lookup hook
+  const host = bareHostname(url);
+  if (net.isIP(host) && !isPublicAddress(host) && !allowPrivateTargets()) {
+    throw permanentError(`Webhook host is a non-public address (${host})`);
+  }
+
+  const body = buildBody({ userId, payload });
+  const headers = { "Content-Type": "application/json", "User-Agent": "loan-lp-alert-bot" };
+  if (secret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers["X-Alert-Timestamp"] = timestamp;
+    headers["X-Alert-Signature"] = `sha256=${signBody(secret, timestamp, body)}`;
+  }
+
+  const status = await postJson(url, headers, body);
+  if (status < 200 || status >= 300) throw httpError("Webhook", { status });
+  return {};
+}
+
+module.exports = {
+  kind,
+  validateConfig,
+  isPublicAddress,
+  signBody,
+  send,
+};
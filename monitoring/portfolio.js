@@ -0,0 +1,112 @@
+// monitoring/portfolio.js
+//
+// Per-user portfolio rollup for /portfolio, built only from cached snapshots
+// (loan_position_snapshots / lp_position_snapshots), so it never touches RPC.
+
+const { getLoanSummaries } = require("./loanMonitor");
+const { getLpSummaries } = require("./lpMonitor");
+const { summarizeUsdTotals } = require("./usdPricing");
+
+// Most severe first; UNKNOWN only wins when nothing else is known
+const LIQ_TIER_SEVERITY = ["CRITICAL", "HIGH", "MEDIUM", "LOW", "UNKNOWN"];
+
+function worseTier(a, b) {
+  const ia = LIQ_TIER_SEVERITY.indexOf(a);
+  const ib = LIQ_TIER_SEVERITY.indexOf(b);
+  if (ib === -1) return a;
+  if (ia === -1) return b;
+  return ib < ia ? b : a;
+}
+
+function addAmount(map, symbol, amount) {
+  if (typeof amount !== "number" || !Number.isFinite(amount)) return;
+  const key = symbol || "?";
+  map.set(key, (map.get(key) || 0) + amount);
+}
+
+function emptyBucket() {
+  return {
+    loans: 0,
+    lps: 0,
+    inactiveLps: 0,
+    outOfRangeLps: 0,
+    worstLiquidationTier: "UNKNOWN",
+    collateralByToken: new Map(),
+    debtByToken: new Map(),
+  };
+}
+
+function tally(bucket, { loans, lps }) {
+  for (const s of loans) {
+    bucket.loans += 1;
+    bucket.worstLiquidationTier = worseTier(
+      bucket.worstLiquidationTier,
+      String(s.liquidationTier || "UNKNOWN").toUpperCase()
+    );
+    addAmount(bucket.collateralByToken, s.collSymbol, s.collAmount);
+    addAmount(bucket.debtByToken, s.debtSymbol || "debt", s.debtAmount);
+  }
+  for (const s of lps) {
+    if (s.status === "INACTIVE") {
+      bucket.inactiveLps += 1;
+      continue;
+    }
+    bucket.lps += 1;
+    if (s.rangeStatus === "OUT_OF_RANGE") bucket.outOfRangeLps += 1;
+  }
+  return bucket;
+}
+
+/**
+ * Aggregate a user's cached loan + LP snapshots.
+ *
+ * @param {Object} opts
+ * @param {number} opts.userId
+ * @param {Array<{id:number, chain_id:string, address_eip55:string, label:string|null, is_enabled:number}>} opts.wallets
+ *   the user's wallets; positions on disabled wallets are skipped
+ * @returns {Promise<{ total: Object, wallets: Array<Object>, snapshotAt: string|null }>}
+ */
+async function getPortfolio({ userId, wallets }) {
+  const enabled = new Map((wallets || []).filter((w) => w.is_enabled).map((w) => [Number(w.id), w]));
+
+  const [allLoans, allLps] = await Promise.all([getLoanSummaries(userId), getLpSummaries(userId)]);
+  const loans = allLoans.filter((s) => enabled.has(Number(s.walletId)));
+  const lps = allLps.filter((s) => enabled.has(Number(s.walletId)));
+
+  const usd = summarizeUsdTotals({ loans, lps });
+  const usdByWallet = new Map(usd.wallets.map((w) => [Number(w.walletId), w]));
+
+  const walletRows = [];
+  for (const [walletId, w] of enabled) {
+    const bucket = tally(emptyBucket(), {
+      loans: loans.filter((s) => Number(s.walletId) === walletId),
+      lps: lps.filter((s) => Number(s.walletId) === walletId),
+    });
+    if (!bucket.loans && !bucket.lps && !bucket.inactiveLps) continue;
+    walletRows.push({
+      walletId,
+      chainId: w.chain_id,
+      address: w.address_eip55,
+      label: w.label || null,
+      ...bucket,
+      usd: usdByWallet.get(walletId) || null,
+    });
+  }
+
+  const snapshotAt = [...loans, ...lps]
+    .map((s) => s.snapshotAt)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  return {
+    total: { ...tally(emptyBucket(), { loans, lps }), usd: usd.total },
+    wallets: walletRows,
+    snapshotAt,
+  };
+}
+
+module.exports = {
+  LIQ_TIER_SEVERITY,
+  getPortfolio,
+};
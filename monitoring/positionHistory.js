@@ -0,0 +1,310 @@
+// monitoring/positionHistory.js
+//
+// Append-only position history (loan_position_history / lp_position_history):
+// - One row per position per monitor run (written by monitorLoans / monitorLPs)
+// - Downsampled in place: every run for 48h, last sample per hour up to 30d, last per day after
+// - Read helpers return ascending time series for commands / charts
+
+const { getDb } = require("../db");
+const logger = require("../utils/logger");
+
+const FULL_RES_HOURS = 48;
+const HOURLY_RES_DAYS = 30;
+// Compaction is cheap but there is no point running it every 1-5 min cron tick
+const COMPACT_EVERY_MS = 60 * 60 * 1000;
+
+let _lastCompactAt = 0;
+let _insertLoanStmt = null;
+let _insertLpStmt = null;
+
+function finiteOrNull(v) {
+  return typeof v === "number" && Number.isFinite(v) ? v : null;
+}
+
+function intOrNull(v) {
+  return Number.isInteger(v) ? v : null;
+}
+
+// Raw (unclamped) position in range: <0 below tickLower, >1 above tickUpper
+function lpPositionFrac(currentTick, tickLower, tickUpper) {
+  if (!Number.isFinite(currentTick) || !Number.isFinite(tickLower) || !Number.isFinite(tickUpper)) {
+    return null;
+  }
+  const width = tickUpper - tickLower;
+  if (!(width > 0)) return null;
+  return (currentTick - tickLower) / width;
+}
+
+// -----------------------------
+// Writers
+// -----------------------------
+function recordLoanHistory(sample) {
+  const db = getDb();
+  if (!_insertLoanStmt) {
+    _insertLoanStmt = db.prepare(`
+      INSERT INTO loan_position_history (
+        user_id, wallet_id, contract_id, token_id, chain_id, protocol,
+        price, liquidation_price, liquidation_buffer_frac, icr, ltv_pct,
+        coll_amount, debt_amount, interest_pct, debt_ahead_pct,
+        liquidation_tier, redemption_tier
+      ) VALUES (
+        @userId, @walletId, @contractId, @tokenId, @chainId, @protocol,
+        @price, @liquidationPrice, @liquidationBufferFrac, @icr, @ltvPct,
+        @collAmount, @debtAmount, @interestPct, @debtAheadPct,
+        @liquidationTier, @redemptionTier
+      )
+    `);
+  }
+
+  try {
+    _insertLoanStmt.run({
+      userId: sample.userId,
+      walletId: sample.walletId,
+      contractId: sample.contractId,
+      tokenId: String(sample.tokenId),
+      chainId: sample.chainId,
+      protocol: sample.protocol,
+      price: finiteOrNull(sample.price),
+      liquidationPrice: finiteOrNull(sample.liquidationPrice),
+      liquidationBufferFrac: finiteOrNull(sample.liquidationBufferFrac),
+      icr: finiteOrNull(sample.icr),
+      ltvPct: finiteOrNull(sample.ltvPct),
+      collAmount: finiteOrNull(sample.collAmount),
+      debtAmount: finiteOrNull(sample.debtAmount),
+      interestPct: finiteOrNull(sample.interestPct),
+      debtAheadPct: finiteOrNull(sample.debtAheadPct),
+      liquidationTier: sample.liquidationTier || null,
+      redemptionTier: sample.redemptionTier || null,
+    });
+  } catch (e) {
+    logger.warn(`[history] loan insert failed tokenId=${sample.tokenId}: ${e?.message || e}`);
+  }
+}
+
+function recordLpHistory(sample) {
+  const db = getDb();
+  if (!_insertLpStmt) {
+    _insertLpStmt = db.prepare(`
+      INSERT INTO lp_position_history (
+        user_id, wallet_id, contract_id, token_id, chain_id, protocol,
+        range_status, current_tick, tick_lower, tick_upper, lp_position_frac,
+        current_price, amount0, amount1, fees0, fees1, lp_range_tier
+      ) VALUES (
+        @userId, @walletId, @contractId, @tokenId, @chainId, @protocol,
+        @rangeStatus, @currentTick, @tickLower, @tickUpper, @lpPositionFrac,
+        @currentPrice, @amount0, @amount1, @fees0, @fees1, @lpRangeTier
+      )
+    `);
+  }
+
+  const currentTick = intOrNull(sample.currentTick);
+  const tickLower = intOrNull(sample.tickLower);
+  const tickUpper = intOrNull(sample.tickUpper);
+
+  try {
+    _insertLpStmt.run({
+      userId: sample.userId,
+      walletId: sample.walletId,
+      contractId: sample.contractId,
+      tokenId: String(sample.tokenId),
+      chainId: sample.chainId,
+      protocol: sample.protocol,
+      rangeStatus: sample.rangeStatus || null,
+      currentTick,
+      tickLower,
+      tickUpper,
+      lpPositionFrac: lpPositionFrac(currentTick, tickLower, tickUpper),
+      currentPrice: finiteOrNull(sample.currentPrice),
+      amount0: finiteOrNull(sample.amount0),
+      amount1: finiteOrNull(sample.amount1),
+      fees0: finiteOrNull(sample.fees0),
+      fees1: finiteOrNull(sample.fees1),
+      lpRangeTier: sample.lpRangeTier || null,
+    });
+  } catch (e) {
+    logger.warn(`[history] LP insert failed tokenId=${sample.tokenId}: ${e?.message || e}`);
+  }
+}
+
+// -----------------------------
+// Downsampling
+// -----------------------------
+// Keeps the newest row per position per bucket; older buckets are coarser.
+function compactTable(db, table) {
+  const hourly = db.prepare(`
+    DELETE FROM ${table}
+    WHERE sampled_at < datetime('now', '-${FULL_RES_HOURS} hours')
+      AND sampled_at >= datetime('now', '-${HOURLY_RES_DAYS} days')
+      AND id NOT IN (
+        SELECT MAX(id)
+        FROM ${table}
+        WHERE sampled_at < datetime('now', '-${FULL_RES_HOURS} hours')
+          AND sampled_at >= datetime('now', '-${HOURLY_RES_DAYS} days')
+        GROUP BY user_id, wallet_id, contract_id, token_id, strftime('%Y-%m-%d %H', sampled_at)
+      )
+  `);
+  const daily = db.prepare(`
+    DELETE FROM ${table}
+    WHERE sampled_at < datetime('now', '-${HOURLY_RES_DAYS} days')
+      AND id NOT IN (
+        SELECT MAX(id)
+        FROM ${table}
+        WHERE sampled_at < datetime('now', '-${HOURLY_RES_DAYS} days')
+        GROUP BY user_id, wallet_id, contract_id, token_id, date(sampled_at)
+      )
+  `);
+  return hourly.run().changes + daily.run().changes;
+}
+
+function compactPositionHistory({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - _lastCompactAt < COMPACT_EVERY_MS) return 0;
+  _lastCompactAt = now;
+
+  const db = getDb();
+  try {
+    const removed = db.transaction(
+      () => compactTable(db, "loan_position_history") + compactTable(db, "lp_position_history")
+    )();
+    if (removed > 0) logger.debug(`[history] compacted ${removed} rows`);
+    return removed;
+  } catch (e) {
+    logger.warn(`[history] compaction failed: ${e?.message || e}`);
+    return 0;
+  }
+}
+
+// -----------------------------
+// Readers
+// -----------------------------
+// sampled_at is stored as UTC 'YYYY-MM-DD HH:MM:SS'
+function sampledAtMs(s) {
+  const ms = Date.parse(`${String(s).replace(" ", "T")}Z`);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function historyWhere({ walletId }) {
+  return `
+    WHERE user_id = @userId
+      AND contract_id = @contractId
+      AND token_id = @tokenId
+      ${walletId != null ? "AND wallet_id = @walletId" : ""}
+      AND sampled_at >= datetime('now', @since)
+  `;
+}
+
+function getLoanHistory({ userId, contractId, tokenId, walletId = null, sinceHours = 24 }) {
+  const db = getDb();
+  const rows = db
+    .prepare(
+      `
+      SELECT *
+      FROM loan_position_history
+      ${historyWhere({ walletId })}
+      ORDER BY sampled_at ASC, id ASC
+    `
+    )
+    .all({ userId, contractId, tokenId: String(tokenId), walletId, since: `-${Number(sinceHours)} hours` });
+
+  return rows.map((r) => ({
+    t: sampledAtMs(r.sampled_at),
+    sampledAt: r.sampled_at,
+    price: r.price,
+    liquidationPrice: r.liquidation_price,
+    liquidationBufferFrac: r.liquidation_buffer_frac,
+    icr: r.icr,
+    ltvPct: r.ltv_pct,
+    collAmount: r.coll_amount,
+    debtAmount: r.debt_amount,
+    interestPct: r.interest_pct,
+    debtAheadPct: r.debt_ahead_pct,
+    liquidationTier: r.liquidation_tier,
+    redemptionTier: r.redemption_tier,
+  }));
+}
+
+function getLpHistory({ userId, contractId, tokenId, walletId = null, sinceHours = 24 }) {
+  const db = getDb();
+  const rows = db
+    .prepare(
+      `
+      SELECT *
+      FROM lp_position_history
+      ${historyWhere({ walletId })}
+      ORDER BY sampled_at ASC, id ASC
+    `
+    )
+    .all({ userId, contractId, tokenId: String(tokenId), walletId, since: `-${Number(sinceHours)} hours` });
+
+  return rows.map((r) => ({
+    t: sampledAtMs(r.sampled_at),
+    sampledAt: r.sampled_at,
+    rangeStatus: r.range_status,
+    currentTick: r.current_tick,
+    tickLower: r.tick_lower,
+    tickUpper: r.tick_upper,
+    lpPositionFrac: r.lp_position_frac,
+    currentPrice: r.current_price,
+    amount0: r.amount0,
+    amount1: r.amount1,
+    fees0: r.fees0,
+    fees1: r.fees1,
+    lpRangeTier: r.lp_range_tier,
+  }));
+}
+
+// [{ t, v }] for one metric, skipping samples where it was unknown
+function toSeries(history, key) {
+  const out = [];
+  for (const h of history || []) {
+    const v = h[key];
+    if (h.t != null && typeof v === "number" && Number.isFinite(v)) out.push({ t: h.t, v });
+  }
+  return out;
+}
+
+function getIcrSeries(q) {
+  return toSeries(getLoanHistory(q), "icr");
+}
+
+function getLiquidationBufferSeries(q) {
+  return toSeries(getLoanHistory(q), "liquidationBufferFrac");
+}
+
+function getDebtAheadSeries(q) {
+  return toSeries(getLoanHistory(q), "debtAheadPct");
+}
+
+function getLpPositionFracSeries(q) {
+  return toSeries(getLpHistory(q), "lpPositionFrac");
+}
+
+// first/last/min/max/delta for a series (null when empty)
+function summarizeSeries(series) {
+  if (!series || !series.length) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const p of series) {
+    if (p.v < min) min = p.v;
+    if (p.v > max) max = p.v;
+  }
+  const first = series[0].v;
+  const last = series[series.length - 1].v;
+  return { first, last, min, max, delta: last - first, count: series.length };
+}
+
+module.exports = {
+  FULL_RES_HOURS,
+  HOURLY_RES_DAYS,
+  recordLoanHistory,
+  recordLpHistory,
+  compactPositionHistory,
+  getLoanHistory,
+  getLpHistory,
+  toSeries,
+  getIcrSeries,
+  getLiquidationBufferSeries,
+  getDebtAheadSeries,
+  getLpPositionFracSeries,
+  summarizeSeries,
+};
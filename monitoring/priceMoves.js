@@ -0,0 +1,91 @@
+// monitoring/priceMoves.js
+//
+// Price-velocity detection for PRICE_MOVE alerts (alertEngine.handlePriceMoveAlert):
+// - loans: collateral oracle price, LPs: pool price, as sampled into position history every run
+// - the current price is compared with every sample inside the window and the largest move wins,
+//   so a drop that started mid-window is still caught
+// - samples from before the previous PRICE_MOVE alert are ignored, so one move alerts once
+// - percentage and window are per user / wallet / position (/alert-settings, "Price move");
+//   a missing or 0 percentage turns the alert off
+
+const { FULL_RES_HOURS, getLoanHistory, getLpHistory, toSeries } = require("./positionHistory");
+const { pickThreshold } = require("./alertThresholds");
+
+const DEFAULT_WINDOW_MIN = 60;
+
+function envNumber(name) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Effective { pct, windowMin } for a position, or null when price-move alerts are off.
+ * @param {object} thresholds resolveThresholdOverrides() result
+ */
+function getPriceMoveSettings(thresholds) {
+  const pct = pickThreshold(thresholds, "priceMovePct", envNumber("PRICE_MOVE_ALERT_PCT"));
+  if (pct == null || !(pct > 0)) return null;
+
+  const rawWindow = pickThreshold(thresholds, "priceMoveWindowMin", envNumber("PRICE_MOVE_WINDOW_MIN"));
+  const windowMin = Math.min(
+    FULL_RES_HOURS * 60,
+    Math.max(1, Math.round(rawWindow > 0 ? rawWindow : DEFAULT_WINDOW_MIN))
+  );
+  return { pct, windowMin };
+}
+
+/**
+ * Largest move of `price` against the position's samples in the window, if it reaches `pct`.
+ *
+ * @returns {{movePct:number, direction:"UP"|"DOWN", refPrice:number, refAtMs:number,
+ *            windowMin:number, thresholdPct:number}|null}
+ */
+function findPriceMove({
+  kind,
+  userId,
+  walletId,
+  contractId,
+  tokenId,
+  price,
+  pct,
+  windowMin,
+  notBeforeMs = 0,
+  nowMs = Date.now(),
+}) {
+  if (!(typeof price === "number" && Number.isFinite(price) && price > 0)) return null;
+
+  const query = { userId, walletId, contractId, tokenId, sinceHours: windowMin / 60 };
+  const series =
+    kind === "LP" ? toSeries(getLpHistory(query), "currentPrice") : toSeries(getLoanHistory(query), "price");
+
+  // sampled_at has second precision
+  const since = Math.max(nowMs - windowMin * 60 * 1000, Math.floor((notBeforeMs || 0) / 1000) * 1000);
+
+  let best = null;
+  for (const p of series) {
+    if (p.t < since || !(p.v > 0)) continue;
+    const movePct = (price / p.v - 1) * 100;
+    if (!best || Math.abs(movePct) > Math.abs(best.movePct)) best = { movePct, refPrice: p.v, refAtMs: p.t };
+  }
+  if (!best || Math.abs(best.movePct) < pct) return null;
+
+  return { ...best, direction: best.movePct < 0 ? "DOWN" : "UP", windowMin, thresholdPct: pct };
+}
+
+// Distance from the price to the nearer range edge, as a fraction of the price (null out of range)
+function lpEdgeBufferFrac({ price, priceLower, priceUpper }) {
+  if (![price, priceLower, priceUpper].every((v) => typeof v === "number" && Number.isFinite(v))) return null;
+  const lo = Math.min(priceLower, priceUpper);
+  const hi = Math.max(priceLower, priceUpper);
+  if (!(price > 0) || price < lo || price > hi) return null;
+  return Math.min(price - lo, hi - price) / price;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_MIN,
+  getPriceMoveSettings,
+  findPriceMove,
+  lpEdgeBufferFrac,
+};
@@ -0,0 +1,306 @@
+// monitoring/quietHours.js
+//
+// Per-user quiet hours + digest:
+// - user_quiet_hours holds a local time window (minutes after midnight) and IANA timezone
+// - While the window is open, processAlert queues non-CRITICAL alerts in alert_digest_queue
+// - flushAlertDigests() (digest job) sends one summary embed per user once the window has ended
+// - CRITICAL liquidation alerts and LIQUIDATED events are never queued
+
+const { EmbedBuilder } = require("discord.js");
+
+const { getDb } = require("../db");
+const { deliverAlert } = require("./notifiers");
+const { ALERT_TYPE_LABELS } = require("./alertActions");
+const { shortenAddress } = require("../utils/ethers/shortenAddress");
+const logger = require("../utils/logger");
+
+const TIER_EMOJI = { CRITICAL: "🟥", HIGH: "🟧", MEDIUM: "🟨", LOW: "🟩", UNKNOWN: "⬜" };
+
+// -----------------------------
+// Time helpers
+// -----------------------------
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// "22:30" -> 1350
+function parseClock(s) {
+  const m = /^\s*(\d{1,2}):(\d{2})\s*$/.exec(String(s || ""));
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return h * 60 + min;
+}
+
+function formatClock(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (t) => Number(parts.find((p) => p.type === t)?.value || 0);
+  return get("hour") * 60 + get("minute");
+}
+
+// Window may wrap midnight (22:00 -> 07:00)
+function isWithinWindow(nowMin, startMin, endMin) {
+  if (startMin < endMin) return nowMin >= startMin && nowMin < endMin;
+  return nowMin >= startMin || nowMin < endMin;
+}
+
+// -----------------------------
+// Settings
+// -----------------------------
+function getQuietHours(userId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `
+      SELECT user_id, start_min, end_min, timezone, is_enabled
+      FROM user_quiet_hours
+      WHERE user_id = ?
+    `
+    )
+    .get(userId);
+  if (!row) return null;
+  return {
+    userId: row.user_id,
+    startMin: Number(row.start_min),
+    endMin: Number(row.end_min),
+    timezone: row.timezone,
+    isEnabled: Number(row.is_enabled) === 1,
+  };
+}
+
+function setQuietHours(userId, { startMin, endMin, timezone }) {
+  if (!Number.isInteger(startMin) || !Number.isInteger(endMin)) throw new Error("Times must be HH:MM");
+  if (startMin === endMin) throw new Error("Start and end must differ");
+  if (!isValidTimeZone(timezone)) throw new Error(`Unknown timezone "${timezone}"`);
+
+  const db = getDb();
+  db.prepare(
+    `
+    INSERT INTO user_quiet_hours (user_id, start_min, end_min, timezone, is_enabled)
+    VALUES (?, ?, ?, ?, 1)
+    ON CONFLICT(user_id) DO UPDATE SET
+      start_min  = excluded.start_min,
+      end_min    = excluded.end_min,
+      timezone   = excluded.timezone,
+      is_enabled = 1
+  `
+  ).run(userId, startMin, endMin, timezone);
+  return getQuietHours(userId);
+}
+
+function disableQuietHours(userId) {
+  const db = getDb();
+  return db.prepare(`UPDATE user_quiet_hours SET is_enabled = 0 WHERE user_id = ?`).run(userId).changes > 0;
+}
+
+function isInQuietHours(userId, now = new Date()) {
+  const qh = getQuietHours(userId);
+  if (!qh || !qh.isEnabled) return false;
+  try {
+    return isWithinWindow(localMinutes(now, qh.timezone), qh.startMin, qh.endMin);
+  } catch (e) {
+    logger.warn(`[quietHours] Bad timezone for userId=${userId}: ${e?.message || e}`);
+    return false;
+  }
+}
+
+// Any CRITICAL alert (tier or rule severity, whatever the type) and actual liquidations
+// always go out immediately; only RESOLVED ones wait for the digest
+function breaksQuietHours({ alertType, phase, meta }) {
+  if (String(alertType || "").toUpperCase() === "LIQUIDATED") return true;
+  if (phase === "RESOLVED") return false;
+  return [meta?.newTier, meta?.severity].some((v) => String(v || "").toUpperCase() === "CRITICAL");
+}
+
+// -----------------------------
+// Queue
+// -----------------------------
+function enqueueDigestAlert({ userId, alertLogId, walletId, contractId, tokenId, alertType, phase, message, meta }) {
+  const db = getDb();
+  db.prepare(
+    `
+    INSERT INTO alert_digest_queue (
+      user_id, alert_log_id, wallet_id, contract_id, token_id,
+      alert_type, phase, tier, message, meta_json
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `
+  ).run(
+    userId,
+    alertLogId ?? null,
+    walletId ?? null,
+    contractId ?? null,
+    tokenId != null ? String(tokenId) : null,
+    String(alertType || "GENERIC").toUpperCase(),
+    phase,
+    meta?.newTier ? String(meta.newTier).toUpperCase() : null,
+    message,
+    meta && Object.keys(meta).length ? JSON.stringify(meta) : null
+  );
+}
+
+function getPendingDigestUsers() {
+  const db = getDb();
+  return db
+    .prepare(`SELECT DISTINCT user_id FROM alert_digest_queue WHERE delivered_at IS NULL`)
+    .all()
+    .map((r) => r.user_id);
+}
+
+function getPendingDigestRows(userId) {
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      SELECT *
+      FROM alert_digest_queue
+      WHERE user_id = ? AND delivered_at IS NULL
+      ORDER BY id
+    `
+    )
+    .all(userId);
+}
+
+function markDigestDelivered(ids) {
+  if (!ids.length) return;
+  const db = getDb();
+  const stmt = db.prepare(`UPDATE alert_digest_queue SET delivered_at = datetime('now') WHERE id = ?`);
+  db.transaction((list) => {
+    for (const id of list) stmt.run(id);
+  })(ids);
+}
+
+function parseUtc(raw) {
+  const ts = Date.parse(`${String(raw).replace(" ", "T")}Z`);
+  return Number.isFinite(ts) ? Math.floor(ts / 1000) : null;
+}
+
+function positionName(meta, row) {
+  const id = meta?.troveId || meta?.tokenId || row.token_id;
+  const who = meta?.walletLabel || (meta?.walletAddress ? shortenAddress(meta.walletAddress) : null);
+  const proto = meta?.protocol || "";
+  return [proto, id ? `#${id}` : null, who ? `(${who})` : null].filter(Boolean).join(" ");
+}
+
+/**
+ * One embed summarizing queued alerts: latest state per position + alert type,
+ * with how many updates were folded into it.
+ */
+function buildDigestEmbed(rows, client = null) {
+  const byKey = new Map();
+  for (const r of rows) {
+    const key = `${r.alert_type}|${r.contract_id}|${r.token_id}`;
+    const cur = byKey.get(key);
+    byKey.set(key, { latest: r, count: (cur?.count || 0) + 1 });
+  }
+
+  const from = parseUtc(rows[0].queued_at);
+  const to = parseUtc(rows[rows.length - 1].queued_at);
+  const desc = [
+    `**${rows.length}** alert update(s) were held during your quiet hours` +
+      (from && to ? ` (<t:${from}:t> – <t:${to}:t>).` : "."),
+    "Latest state per position:",
+  ];
+
+  const fields = [];
+  for (const { latest, count } of byKey.values()) {
+    let meta = null;
+    try {
+      meta = latest.meta_json ? JSON.parse(latest.meta_json) : null;
+    } catch (_) {}
+    const tier = latest.tier || "UNKNOWN";
+    const status =
+      latest.phase === "RESOLVED"
+        ? "✅ resolved"
+        : latest.phase === "EVENT"
+        ? "⚡ happened"
+        : `${TIER_EMOJI[tier] || "⬜"} ${tier}`;
+    const name = `${ALERT_TYPE_LABELS[latest.alert_type] || latest.alert_type} · ${positionName(meta, latest)}`;
+    let value = `${status}${count > 1 ? ` (${count} updates)` : ""}\n${latest.message}`;
+    if (value.length > 1024) value = value.slice(0, 1020) + "…";
+    fields.push({ name: name.slice(0, 256), value, inline: false });
+  }
+
+  const shown = fields.slice(0, 24);
+  if (fields.length > shown.length) {
+    shown.push({ name: "More", value: `+${fields.length - shown.length} more position(s)`, inline: false });
+  }
+
+  const worst = ["CRITICAL", "HIGH", "MEDIUM", "LOW"].find((t) => rows.some((r) => r.tier === t && r.phase !== "RESOLVED"));
+  const color = { CRITICAL: "Red", HIGH: "Orange", MEDIUM: "Yellow", LOW: "Green" }[worst] || "DarkBlue";
+
+  const embed = new EmbedBuilder()
+    .setTitle("Quiet Hours Digest 🌙")
+    .setDescription(desc.join("\n"))
+    .setColor(color)
+    .addFields(shown)
+    .setTimestamp();
+  if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+  return embed;
+}
+
+/**
+ * Send digests for every user whose quiet window has ended.
+ * Safe to call often; users still inside their window are skipped.
+ */
+async function flushAlertDigests(client, now = new Date()) {
+  let sent = 0;
+  for (const userId of getPendingDigestUsers()) {
+    if (isInQuietHours(userId, now)) continue;
+
+    const rows = getPendingDigestRows(userId);
+    if (!rows.length) continue;
+
+    try {
+      const embed = buildDigestEmbed(rows, client);
+      await deliverAlert({
+        client,
+        userId,
+        logPrefix: "[digest]",
+        payload: {
+          alertType: "DIGEST",
+          phase: "DIGEST",
+          message: `${rows.length} alert update(s) held during quiet hours`,
+          meta: { count: rows.length },
+          discord: { embeds: [embed] },
+        },
+      });
+      sent += 1;
+    } catch (e) {
+      logger.error(`[digest] Failed to build/send digest for userId=${userId}:`, e?.message || e);
+    }
+    // Failures are recorded in notification_deliveries; never resend the same digest
+    markDigestDelivered(rows.map((r) => r.id));
+  }
+  return sent;
+}
+
+module.exports = {
+  parseClock,
+  formatClock,
+  isValidTimeZone,
+  getQuietHours,
+  setQuietHours,
+  disableQuietHours,
+  isInQuietHours,
+  breaksQuietHours,
+  enqueueDigestAlert,
+  buildDigestEmbed,
+  flushAlertDigests,
+};
@@ -0,0 +1,375 @@
+// monitoring/troveEvents.js
+//
+// Redemptions / liquidations that actually happened ("it happened" alerts):
+// - indexes TroveManager TroveOperation logs per enabled LOAN_NFT contract, from a
+//   per-contract cursor (trove_event_cursors) up to head - TROVE_EVENTS_CONFIRMATIONS
+// - keeps redeemCollateral / liquidate operations on troves owned by a monitored wallet
+//   (owner at the time of the event, from nft_transfers) in trove_events
+// - adds the trove's debt/coll after the operation (TroveUpdated) and the price
+//   (Redemption / Liquidation) from the same transaction
+// - each new row is alerted once per watching wallet as REDEEMED / LIQUIDATED
+// - the same logs (plus batch events) keep the local trove index current (monitoring/troveIndex.js)
+
+const { ethers } = require("ethers");
+
+const troveNftAbi = require("../abi/troveNFT.json");
+const troveManagerAbi = require("../abi/troveManager.json");
+const erc20MetadataAbi = require("../abi/erc20Metadata.json");
+
+const { getDb } = require("../db");
+const { getLoanContractConfig } = require("../config/loanContracts");
+const { handleTroveEventAlert } = require("./alertEngine");
+const { applyTroveIndexEvents } = require("./troveIndex");
+const { getLogsWithRetry, getStableLogIndex } = require("../jobs/nftScanner");
+const { providerForChain, scanBlocksForChain, pauseMsForChain } = require("../jobs/scanLoanLpPositions");
+const { sleep } = require("../utils/sleep");
+const logger = require("../utils/logger");
+
+function numberEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Blocks behind head to stay clear of short reorgs
+const TROVE_EVENTS_CONFIRMATIONS = Math.max(0, Math.floor(numberEnv("TROVE_EVENTS_CONFIRMATIONS", 2)));
+// First run starts this far back (0 = only events from now on)
+const TROVE_EVENTS_START_LOOKBACK_BLOCKS = Math.max(0, Math.floor(numberEnv("TROVE_EVENTS_START_LOOKBACK_BLOCKS", 0)));
+// Upper bound per contract per monitor run; a backlog is worked off over several runs
+const TROVE_EVENTS_MAX_BLOCKS_PER_RUN = Math.max(1, Math.floor(numberEnv("TROVE_EVENTS_MAX_BLOCKS_PER_RUN", 20000)));
+
+// Liquity v2 ITroveEvents.Operation
+const OPERATION = { LIQUIDATE: 5, REDEEM_COLLATERAL: 6 };
+
+const tmIface = new ethers.Interface(troveManagerAbi);
+const TOPIC = {
+  troveOperation: tmIface.getEvent("TroveOperation").topicHash,
+  troveUpdated: tmIface.getEvent("TroveUpdated").topicHash,
+  redemption: tmIface.getEvent("Redemption").topicHash,
+  liquidation: tmIface.getEvent("Liquidation").topicHash,
+  batchUpdated: tmIface.getEvent("BatchUpdated").topicHash,
+  batchedTroveUpdated: tmIface.getEvent("BatchedTroveUpdated").topicHash,
+};
+
+const BURN_ADDRS = [
+  "0x0000000000000000000000000000000000000000",
+  "0x000000000000000000000000000000000000dead",
+];
+
+// contractId -> { troveManager, collDecimals, collSymbol }
+const contractInfoCache = new Map();
+
+async function getContractInfo(provider, c) {
+  const cached = contractInfoCache.get(c.contract_id);
+  if (cached) return cached;
+
+  const troveNFT = new ethers.Contract(c.address_eip55, troveNftAbi, provider);
+  const [troveManager, collTokenAddr] = await Promise.all([troveNFT.troveManager(), troveNFT.collToken()]);
+  const collToken = new ethers.Contract(collTokenAddr, erc20MetadataAbi, provider);
+  const [collDecimals, collSymbol] = await Promise.all([
+    collToken.decimals(),
+    collToken.symbol().catch(() => ""),
+  ]);
+
+  const info = {
+    troveManager: troveManager.toLowerCase(),
+    collDecimals: Number(collDecimals),
+    collSymbol: collSymbol || null,
+  };
+  contractInfoCache.set(c.contract_id, info);
+  return info;
+}
+
+// -----------------------------
+// DB helpers
+// -----------------------------
+function selectLoanContracts(db) {
+  return db
+    .prepare(
+      `
+      SELECT id AS contract_id, chain_id, protocol, contract_key, address_eip55
+      FROM contracts
+      WHERE is_enabled = 1 AND kind = 'LOAN_NFT'
+      ORDER BY chain_id, contract_key
+    `
+    )
+    .all();
+}
+
+function getCursor(db, contractId) {
+  return db
+    .prepare(`SELECT trove_manager, last_scanned_block FROM trove_event_cursors WHERE contract_id = ?`)
+    .get(contractId);
+}
+
+function setCursor(db, contractId, troveManager, lastBlock) {
+  db.prepare(
+    `
+    INSERT INTO trove_event_cursors (contract_id, trove_manager, last_scanned_block)
+    VALUES (?, ?, ?)
+    ON CONFLICT(contract_id) DO UPDATE SET
+      trove_manager      = excluded.trove_manager,
+      last_scanned_block = excluded.last_scanned_block,
+      updated_at         = datetime('now')
+  `
+  ).run(contractId, troveManager, lastBlock);
+}
+
+// Owner just before the event; liquidation burns the NFT in the same tx, so the
+// current nft_tokens row may already point at the zero address
+function ownerAtEvent(db, contractId, tokenId, blockNumber, logIndex) {
+  const row = db
+    .prepare(
+      `
+      SELECT to_lower
+      FROM nft_transfers
+      WHERE contract_id = ? AND token_id = ?
+        AND to_lower NOT IN (?, ?)
+        AND (block_number < ? OR (block_number = ? AND log_index < ?))
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT 1
+    `
+    )
+    .get(contractId, tokenId, ...BURN_ADDRS, blockNumber, blockNumber, logIndex);
+  if (row) return row.to_lower;
+
+  const tok = db
+    .prepare(`SELECT owner_lower FROM nft_tokens WHERE contract_id = ? AND token_id = ?`)
+    .get(contractId, tokenId);
+  return tok && !BURN_ADDRS.includes(tok.owner_lower) ? tok.owner_lower : null;
+}
+
+// Enabled wallets at `ownerLower` that do not ignore this trove
+function selectWatchers(db, chainId, contractId, tokenId, ownerLower) {
+  return db
+    .prepare(
+      `
+      SELECT uw.id AS walletId, uw.user_id AS userId, uw.label AS walletLabel, uw.address_eip55 AS owner
+      FROM user_wallets uw
+      LEFT JOIN position_ignores pi
+        ON pi.user_id       = uw.user_id
+       AND pi.position_kind = 'LOAN'
+       AND pi.wallet_id     = uw.id
+       AND pi.contract_id   = ?
+       AND (pi.token_id IS NULL OR pi.token_id = ?)
+      WHERE uw.chain_id = ?
+        AND uw.address_lower = ?
+        AND uw.is_enabled = 1
+        AND pi.id IS NULL
+    `
+    )
+    .all(contractId, tokenId, chainId, ownerLower);
+}
+
+function insertTroveEvent(db, e) {
+  return (
+    db
+      .prepare(
+        `
+      INSERT OR IGNORE INTO trove_events (
+        contract_id, token_id, operation, block_number, tx_hash, log_index,
+        owner_lower, debt_change, coll_change, debt_after, coll_after, price
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `
+      )
+      .run(
+        e.contractId,
+        e.tokenId,
+        e.operation,
+        e.blockNumber,
+        e.txHash,
+        e.logIndex,
+        e.ownerLower,
+        e.debtChange,
+        e.collChange,
+        e.debtAfter,
+        e.collAfter,
+        e.price
+      ).changes > 0
+  );
+}
+
+// -----------------------------
+// Log decoding
+// -----------------------------
+// [{ name, args, blockNumber, log }] for the TroveManager events we know, in log order
+function parseTroveLogs(logs) {
+  const out = [];
+  for (const lg of logs) {
+    let parsed;
+    try {
+      parsed = tmIface.parseLog(lg);
+    } catch (_) {
+      continue;
+    }
+    if (!parsed) continue;
+    out.push({ name: parsed.name, args: parsed.args, blockNumber: Number(lg.blockNumber), log: lg });
+  }
+  return out;
+}
+
+/**
+ * Turn one window of parsed TroveManager logs into redemption / liquidation events
+ * (one per affected trove), enriched from the other logs of the same tx.
+ */
+function decodeTroveEvents(parsedLogs, info) {
+  const pricesByTx = new Map();
+  const updatesByTxTrove = new Map();
+  const ops = [];
+
+  const norm = (v, decimals) => Number(ethers.formatUnits(v, decimals));
+
+  for (const { log: lg, ...parsed } of parsedLogs) {
+    const tx = lg.transactionHash;
+
+    if (parsed.name === "Redemption" || parsed.name === "Liquidation") {
+      pricesByTx.set(tx, norm(parsed.args._price, 18));
+    } else if (parsed.name === "TroveUpdated") {
+      updatesByTxTrove.set(`${tx}|${parsed.args._troveId}`, {
+        debtAfter: norm(parsed.args._debt, 18),
+        collAfter: norm(parsed.args._coll, info.collDecimals),
+      });
+    } else if (parsed.name === "TroveOperation") {
+      const op = Number(parsed.args._operation);
+      if (op !== OPERATION.LIQUIDATE && op !== OPERATION.REDEEM_COLLATERAL) continue;
+      ops.push({
+        tokenId: parsed.args._troveId.toString(),
+        operation: op === OPERATION.LIQUIDATE ? "LIQUIDATE" : "REDEEM",
+        blockNumber: Number(lg.blockNumber),
+        txHash: tx,
+        logIndex: getStableLogIndex(lg) ?? 0,
+        debtChange: norm(parsed.args._debtChangeFromOperation, 18),
+        collChange: norm(parsed.args._collChangeFromOperation, info.collDecimals),
+      });
+    }
+  }
+
+  return ops.map((o) => {
+    const upd = updatesByTxTrove.get(`${o.txHash}|${o.tokenId}`);
+    return {
+      ...o,
+      // Liquidation closes the trove; TroveUpdated (if any) describes the zeroed trove
+      debtAfter: o.operation === "LIQUIDATE" ? 0 : upd?.debtAfter ?? null,
+      collAfter: o.operation === "LIQUIDATE" ? 0 : upd?.collAfter ?? null,
+      price: pricesByTx.get(o.txHash) ?? null,
+    };
+  });
+}
+
+// -----------------------------
+// Scan
+// -----------------------------
+async function alertTroveEvent(db, c, info, e) {
+  const ownerLower = ownerAtEvent(db, c.contract_id, e.tokenId, e.blockNumber, e.logIndex);
+  if (!ownerLower) return 0;
+
+  const watchers = selectWatchers(db, c.chain_id, c.contract_id, e.tokenId, ownerLower);
+  if (!watchers.length) return 0;
+
+  if (!insertTroveEvent(db, { ...e, contractId: c.contract_id, ownerLower })) return 0;
+
+  const debtSymbol = getLoanContractConfig(c.protocol)?.debtSymbol || null;
+  let sent = 0;
+  for (const w of watchers) {
+    try {
+      await handleTroveEventAlert({
+        userId: w.userId,
+        walletId: w.walletId,
+        contractId: c.contract_id,
+        positionId: e.tokenId,
+        alertType: e.operation === "LIQUIDATE" ? "LIQUIDATED" : "REDEEMED",
+        protocol: c.protocol,
+        wallet: w.owner,
+        walletLabel: w.walletLabel,
+        chainId: c.chain_id,
+        txHash: e.txHash,
+        logIndex: e.logIndex,
+        blockNumber: e.blockNumber,
+        debtChange: e.debtChange,
+        collChange: e.collChange,
+        debtAfter: e.debtAfter,
+        collAfter: e.collAfter,
+        price: e.price,
+        debtSymbol,
+        collSymbol: info.collSymbol,
+      });
+      sent += 1;
+    } catch (err) {
+      logger.error(
+        `[troveEvents] Alert failed trove=${e.tokenId} tx=${e.txHash} userId=${w.userId}: ${err?.message || err}`
+      );
+    }
+  }
+  return sent;
+}
+
+async function scanContractTroveEvents(db, c) {
+  const provider = providerForChain(c.chain_id);
+  const info = await getContractInfo(provider, c);
+
+  const head = (await provider.getBlockNumber()) - TROVE_EVENTS_CONFIRMATIONS;
+  let cursor = getCursor(db, c.contract_id);
+  if (!cursor || cursor.trove_manager !== info.troveManager) {
+    const start = Math.max(0, head - TROVE_EVENTS_START_LOOKBACK_BLOCKS);
+    setCursor(db, c.contract_id, info.troveManager, start);
+    cursor = { trove_manager: info.troveManager, last_scanned_block: start };
+  }
+
+  const toBlock = Math.min(head, cursor.last_scanned_block + TROVE_EVENTS_MAX_BLOCKS_PER_RUN);
+  const step = scanBlocksForChain(c.chain_id);
+  const pauseMs = pauseMsForChain(c.chain_id);
+  let events = 0;
+  let alerts = 0;
+
+  for (let from = cursor.last_scanned_block + 1; from <= toBlock; from += step) {
+    const to = Math.min(from + step - 1, toBlock);
+    const res = await getLogsWithRetry(provider, {
+      address: info.troveManager,
+      fromBlock: from,
+      toBlock: to,
+      topics: [
+        [
+          TOPIC.troveOperation,
+          TOPIC.troveUpdated,
+          TOPIC.redemption,
+          TOPIC.liquidation,
+          TOPIC.batchUpdated,
+          TOPIC.batchedTroveUpdated,
+        ],
+      ],
+    });
+    if (!res.ok) throw res.error;
+
+    const parsed = parseTroveLogs(res.logs);
+    applyTroveIndexEvents(db, c.contract_id, parsed);
+    for (const e of decodeTroveEvents(parsed, info)) {
+      events += 1;
+      alerts += await alertTroveEvent(db, c, info, e);
+    }
+    setCursor(db, c.contract_id, info.troveManager, to);
+    if (pauseMs > 0 && to < toBlock) await sleep(pauseMs);
+  }
+
+  if (alerts) {
+    logger.info(`[troveEvents] ${c.chain_id} ${c.contract_key}: ${events} redemption/liquidation op(s), ${alerts} alert(s)`);
+  }
+  return { events, alerts };
+}
+
+/**
+ * Index new TroveManager events for every enabled loan contract and alert on
+ * monitored troves. Per-contract failures are logged; the cursor keeps what was done.
+ */
+async function monitorTroveEvents() {
+  const db = getDb();
+  for (const c of selectLoanContracts(db)) {
+    try {
+      await scanContractTroveEvents(db, c);
+    } catch (err) {
+      logger.error(`[troveEvents] ${c.chain_id} ${c.contract_key} failed: ${err?.message || err}`);
+    }
+  }
+}
+
+module.exports = { monitorTroveEvents };
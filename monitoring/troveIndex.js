@@ -0,0 +1,260 @@
+// monitoring/troveIndex.js
+//
+// Local index of every trove per loan branch (trove_index), so debt-ahead, percentile
+// and IR histograms are SQL over SQLite instead of a SortedTroves walk per position:
+// - reconciliation (scanner, every TROVE_INDEX_RECONCILE_MINUTES) walks the sorted list
+//   once and rewrites the branch with list positions (list_pos 0 = next to be redeemed)
+// - between reconciliations, TroveManager events (monitoring/troveEvents.js) keep it current:
+//   TroveUpdated upserts IR/debt, BatchedTroveUpdated records batch shares, BatchUpdated
+//   re-rates and re-prices batch members, close/liquidate removes
+// - redemption order = IR ascending, ties by list position; a trove whose position is not
+//   known yet (new or re-rated since the walk) never counts as ahead of an equal-IR trove
+
+const { ethers } = require("ethers");
+
+// Liquity v2 ITroveEvents.Operation
+const OPERATION = { CLOSE_TROVE: 1, LIQUIDATE: 5, REMOVE_FROM_BATCH: 9 };
+
+// -----------------------------
+// Reconciliation (full rewrite)
+// -----------------------------
+function getTroveIndexState(db, contractId) {
+  return db
+    .prepare(
+      `
+      SELECT contract_id, reconciled_block, reconciled_at, trove_count
+      FROM trove_index_state
+      WHERE contract_id = ?
+    `
+    )
+    .get(contractId);
+}
+
+/**
+ * Replace a branch with a fresh walk of SortedTroves (tail first).
+ * Rows updated by events after `fromBlock` (the head when the walk started) are kept.
+ *
+ * @param {Array<{ troveId: string, irPct: number, debt: number, batchManager?: string|null, batchDebtShares?: number|null }>} troves
+ *   in redemption order
+ */
+function replaceTroveIndex(db, contractId, troves, fromBlock) {
+  const upsert = db.prepare(`
+    INSERT INTO trove_index (contract_id, trove_id, ir_pct, debt, batch_manager, batch_debt_shares, list_pos, updated_block, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(contract_id, trove_id) DO UPDATE SET
+      ir_pct            = excluded.ir_pct,
+      debt              = excluded.debt,
+      batch_manager     = excluded.batch_manager,
+      batch_debt_shares = excluded.batch_debt_shares,
+      list_pos          = excluded.list_pos,
+      updated_block     = excluded.updated_block,
+      updated_at        = datetime('now')
+    WHERE trove_index.updated_block <= excluded.updated_block
+  `);
+
+  const tx = db.transaction(() => {
+    db.prepare(`DELETE FROM trove_index WHERE contract_id = ? AND updated_block <= ?`).run(contractId, fromBlock);
+    troves.forEach((t, pos) =>
+      upsert.run(contractId, t.troveId, t.irPct, t.debt, t.batchManager || null, t.batchDebtShares ?? null, pos, fromBlock)
+    );
+    db.prepare(
+      `
+      INSERT INTO trove_index_state (contract_id, reconciled_block, reconciled_at, trove_count)
+      VALUES (?, ?, datetime('now'), ?)
+      ON CONFLICT(contract_id) DO UPDATE SET
+        reconciled_block = excluded.reconciled_block,
+        reconciled_at    = excluded.reconciled_at,
+        trove_count      = excluded.trove_count
+    `
+    ).run(contractId, fromBlock, troves.length);
+  });
+  tx();
+}
+
+// -----------------------------
+// Incremental updates (TroveManager events)
+// -----------------------------
+/**
+ * Apply parsed TroveManager logs, oldest first.
+ * @param {Array<{ name: string, args: Object, blockNumber: number }>} events
+ */
+function applyTroveIndexEvents(db, contractId, events) {
+  if (!events.length) return 0;
+  // Nothing to keep current until the first reconciliation seeds the branch
+  if (!getTroveIndexState(db, contractId)) return 0;
+
+  const norm18 = (v) => Number(ethers.formatUnits(v, 18));
+
+  const upsertTrove = db.prepare(`
+    INSERT INTO trove_index (contract_id, trove_id, ir_pct, debt, list_pos, updated_block, updated_at)
+    VALUES (@contractId, @troveId, @irPct, @debt, NULL, @block, datetime('now'))
+    ON CONFLICT(contract_id, trove_id) DO UPDATE SET
+      list_pos      = CASE WHEN trove_index.ir_pct = excluded.ir_pct THEN trove_index.list_pos ELSE NULL END,
+      ir_pct        = excluded.ir_pct,
+      debt          = excluded.debt,
+      updated_block = excluded.updated_block,
+      updated_at    = datetime('now')
+    WHERE trove_index.updated_block <= excluded.updated_block
+  `);
+  // Batched troves emit no TroveUpdated: IR and debt come from the batch's BatchUpdated
+  // (debt = shares * batch debt / batch shares), which follows in the same transaction
+  const upsertBatched = db.prepare(`
+    INSERT INTO trove_index (contract_id, trove_id, ir_pct, debt, batch_manager, batch_debt_shares, list_pos, updated_block, updated_at)
+    VALUES (@contractId, @troveId, NULL, 0, @batchManager, @shares, NULL, @block, datetime('now'))
+    ON CONFLICT(contract_id, trove_id) DO UPDATE SET
+      list_pos          = CASE WHEN trove_index.batch_manager IS excluded.batch_manager THEN trove_index.list_pos ELSE NULL END,
+      batch_manager     = excluded.batch_manager,
+      batch_debt_shares = excluded.batch_debt_shares,
+      updated_block     = excluded.updated_block,
+      updated_at        = datetime('now')
+    WHERE trove_index.updated_block <= excluded.updated_block
+  `);
+  const updateBatch = db.prepare(`
+    UPDATE trove_index
+    SET
+      list_pos      = CASE WHEN ir_pct = @irPct THEN list_pos ELSE NULL END,
+      ir_pct        = @irPct,
+      debt          = CASE WHEN @totalShares > 0 THEN batch_debt_shares * @batchDebt / @totalShares ELSE 0 END,
+      updated_block = @block,
+      updated_at    = datetime('now')
+    WHERE contract_id = @contractId AND batch_manager = @batchManager AND updated_block <= @block
+  `);
+  const leaveBatch = db.prepare(`
+    UPDATE trove_index SET batch_manager = NULL, batch_debt_shares = NULL, updated_at = datetime('now')
+    WHERE contract_id = ? AND trove_id = ? AND updated_block <= ?
+  `);
+  const removeTrove = db.prepare(`
+    DELETE FROM trove_index WHERE contract_id = ? AND trove_id = ? AND updated_block <= ?
+  `);
+
+  let changed = 0;
+  const tx = db.transaction(() => {
+    for (const e of events) {
+      const a = e.args;
+      const block = e.blockNumber;
+      if (e.name === "TroveUpdated") {
+        changed += upsertTrove.run({
+          contractId,
+          troveId: a._troveId.toString(),
+          irPct: norm18(a._annualInterestRate) * 100,
+          debt: norm18(a._debt),
+          block,
+        }).changes;
+      } else if (e.name === "BatchedTroveUpdated") {
+        changed += upsertBatched.run({
+          contractId,
+          troveId: a._troveId.toString(),
+          batchManager: a._interestBatchManager.toLowerCase(),
+          shares: norm18(a._batchDebtShares),
+          block,
+        }).changes;
+      } else if (e.name === "BatchUpdated") {
+        changed += updateBatch.run({
+          contractId,
+          batchManager: a._interestBatchManager.toLowerCase(),
+          irPct: norm18(a._annualInterestRate) * 100,
+          batchDebt: norm18(a._debt),
+          totalShares: norm18(a._totalDebtShares),
+          block,
+        }).changes;
+      } else if (e.name === "TroveOperation") {
+        const op = Number(a._operation);
+        const troveId = a._troveId.toString();
+        if (op === OPERATION.CLOSE_TROVE || op === OPERATION.LIQUIDATE) {
+          changed += removeTrove.run(contractId, troveId, block).changes;
+        } else if (op === OPERATION.REMOVE_FROM_BATCH) {
+          changed += leaveBatch.run(contractId, troveId, block).changes;
+        }
+      }
+    }
+  });
+  tx();
+  return changed;
+}
+
+// -----------------------------
+// Queries
+// -----------------------------
+// Redemption order: lowest IR first; equal IR by walk position, unknown positions last
+const ORDER_BY = `ir_pct ASC, list_pos IS NULL, list_pos ASC, trove_id ASC`;
+
+/**
+ * Debt ahead of a trove in redemption order, from the index.
+ * `irPct` places a trove the index does not know yet (opened since the last walk).
+ * @returns {null | { debtInFront, trovesAhead, troveCount, percentile, found, firstId, lastId, firstIr, lastIr }}
+ */
+function computeDebtInFrontFromIndex(db, contractId, troveId, { irPct = null } = {}) {
+  if (!getTroveIndexState(db, contractId)) return null;
+
+  const target = String(troveId);
+  const row = db
+    .prepare(`SELECT ir_pct, list_pos FROM trove_index WHERE contract_id = ? AND trove_id = ?`)
+    .get(contractId, target);
+  const ir = row?.ir_pct ?? irPct;
+  if (ir == null || !Number.isFinite(ir)) return null;
+  const pos = row ? row.list_pos : null;
+
+  const ahead = db
+    .prepare(
+      `
+      SELECT COUNT(*) AS n, COALESCE(SUM(debt), 0) AS debt
+      FROM trove_index
+      WHERE contract_id = @contractId
+        AND ir_pct IS NOT NULL
+        AND trove_id != @target
+        AND (
+          ir_pct < @ir
+          OR (ir_pct = @ir AND @pos IS NOT NULL AND list_pos IS NOT NULL AND list_pos < @pos)
+        )
+    `
+    )
+    .get({ contractId, target, ir, pos });
+
+  const troveCount = db
+    .prepare(`SELECT COUNT(*) AS n FROM trove_index WHERE contract_id = ? AND ir_pct IS NOT NULL`)
+    .get(contractId).n;
+  const last = db
+    .prepare(`SELECT trove_id, ir_pct FROM trove_index WHERE contract_id = ? AND ir_pct IS NOT NULL ORDER BY ${ORDER_BY} LIMIT 1`)
+    .get(contractId);
+  const first = db
+    .prepare(
+      `SELECT trove_id, ir_pct FROM trove_index WHERE contract_id = ? AND ir_pct IS NOT NULL
+       ORDER BY ir_pct DESC, list_pos IS NULL DESC, list_pos DESC, trove_id DESC LIMIT 1`
+    )
+    .get(contractId);
+
+  return {
+    debtInFront: ahead.debt,
+    trovesAhead: ahead.n,
+    troveCount,
+    // Share of troves redeemed before this one
+    percentile: troveCount > 0 ? ahead.n / troveCount : null,
+    found: Boolean(row),
+    firstId: first?.trove_id || "0",
+    lastId: last?.trove_id || "0",
+    firstIr: first?.ir_pct ?? null,
+    lastIr: last?.ir_pct ?? null,
+  };
+}
+
+// [{ troveId, irPct, debt }] in redemption order
+function getIndexedTroves(db, contractId) {
+  return db
+    .prepare(
+      `
+      SELECT trove_id AS troveId, ir_pct AS irPct, debt
+      FROM trove_index
+      WHERE contract_id = ? AND ir_pct IS NOT NULL
+      ORDER BY ${ORDER_BY}
+    `
+    )
+    .all(contractId);
+}
+
+module.exports = {
+  getTroveIndexState,
+  replaceTroveIndex,
+  applyTroveIndexEvents,
+  computeDebtInFrontFromIndex,
+  getIndexedTroves,
+};
@@ -0,0 +1,351 @@
+// monitoring/usdPricing.js
+//
+// USD valuation for position snapshots (routes in data/usd_pricing.json):
+// - One price cache per snapshot run (createPriceCache); nothing is reused across runs
+// - Resolution order: seeded oracle prices (loan collateral feeds) -> stablecoins (1.0)
+//   -> configured feeds -> pinned pools -> factory pools vs stablecoins -> one hop via route tokens
+//   -> pools already seen while summarizing LPs
+// - Unpriced tokens resolve to null; USD totals then count the position as unpriced
+
+const { ethers } = require("ethers");
+
+const priceFeedAbi = require("../abi/priceFeed.json");
+const erc20MetadataAbi = require("../abi/erc20Metadata.json");
+const uniswapV3FactoryAbi = require("../abi/uniswapV3Factory.json");
+const uniswapV3PoolAbi = require("../abi/uniswapV3Pool.json");
+
+const { DEFAULT_PRICE_METHODS } = require("../config/loanContracts");
+const { getUsdPricingConfig } = require("../config/usdPricing");
+const { priceFromSqrtPriceX96 } = require("./lpAnalytics");
+const logger = require("../utils/logger");
+
+// token -> route token -> stablecoin is as far as we go
+const MAX_ROUTE_DEPTH = 1;
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function priceKey(chainId, token) {
+  return `${String(chainId || "").toUpperCase()}:${String(token || "").toLowerCase()}`;
+}
+
+function createPriceCache() {
+  return {
+    prices: new Map(), // "CHAIN:token" -> { usd, source } | null (null also marks "in progress")
+    decimals: new Map(), // "CHAIN:token" -> number
+    factories: new Map(), // CHAIN -> Set(factory)
+    pairs: new Map(), // "CHAIN:token" -> [{ other, rate }] where usd(token) = usd(other) * rate
+  };
+}
+
+// -----------------------------
+// Oracle feeds (Liquity-style: fetchPrice -> lastGoodPrice -> fetchRedemptionPrice)
+// -----------------------------
+async function getOraclePrice(priceFeedContract, methods = DEFAULT_PRICE_METHODS) {
+  for (const method of methods) {
+    try {
+      if (method === "lastGoodPrice") {
+        const last = await priceFeedContract.lastGoodPrice();
+        if (last && last.toString() !== "0") {
+          return { rawPrice: last, source: "lastGoodPrice()" };
+        }
+        continue;
+      }
+      const [price, isValid] = await priceFeedContract[method]();
+      if (isValid && price && price.toString() !== "0") {
+        return { rawPrice: price, source: `${method}()` };
+      }
+    } catch (_) {}
+  }
+
+  return { rawPrice: null, source: null };
+}
+
+// -----------------------------
+// Cache seeding (called by the loan / LP summarizers)
+// -----------------------------
+function setUsdPrice(cache, chainId, token, usd, source) {
+  if (!cache || !token || !isNum(usd) || usd <= 0) return;
+  cache.prices.set(priceKey(chainId, token), { usd, source: source || "seeded" });
+}
+
+function registerFactory(cache, chainId, factoryAddr) {
+  if (!cache || !factoryAddr || factoryAddr === ethers.ZeroAddress) return;
+  const key = String(chainId || "").toUpperCase();
+  if (!cache.factories.has(key)) cache.factories.set(key, new Set());
+  cache.factories.get(key).add(String(factoryAddr).toLowerCase());
+}
+
+// price1Per0 = token1 per token0, decimals applied
+function registerPoolPrice(cache, chainId, { token0, token1, price1Per0 }) {
+  if (!cache || !token0 || !token1 || !isNum(price1Per0) || price1Per0 <= 0) return;
+  const add = (token, other, rate) => {
+    const k = priceKey(chainId, token);
+    const list = cache.pairs.get(k) || [];
+    list.push({ other: String(other).toLowerCase(), rate });
+    cache.pairs.set(k, list);
+  };
+  add(token0, token1, price1Per0);
+  add(token1, token0, 1 / price1Per0);
+}
+
+// -----------------------------
+// Pool helpers
+// -----------------------------
+async function getDecimals(cache, provider, chainId, token) {
+  const k = priceKey(chainId, token);
+  if (cache.decimals.has(k)) return cache.decimals.get(k);
+  let dec = 18;
+  try {
+    const n = Number(await new ethers.Contract(token, erc20MetadataAbi, provider).decimals());
+    if (Number.isFinite(n)) dec = n;
+  } catch (_) {}
+  cache.decimals.set(k, dec);
+  return dec;
+}
+
+// Quote-token units per 1 `token` in the given pool, plus the pool's active liquidity
+async function readPoolRate(cache, provider, chainId, poolAddr, token) {
+  const pool = new ethers.Contract(poolAddr, uniswapV3PoolAbi, provider);
+  const [token0, token1, slot0, liquidity] = await Promise.all([
+    pool.token0(),
+    pool.token1(),
+    pool.slot0(),
+    pool.liquidity(),
+  ]);
+  if (BigInt(liquidity.toString()) === 0n) return null;
+
+  const [dec0, dec1] = await Promise.all([
+    getDecimals(cache, provider, chainId, token0),
+    getDecimals(cache, provider, chainId, token1),
+  ]);
+  const sp = slot0.sqrtPriceX96 !== undefined ? slot0.sqrtPriceX96 : slot0[0];
+  const price1Per0 = priceFromSqrtPriceX96(sp, dec0, dec1);
+  if (price1Per0 == null) return null;
+
+  const t = String(token).toLowerCase();
+  if (String(token0).toLowerCase() === t) {
+    return { quote: String(token1).toLowerCase(), rate: price1Per0, liquidity: BigInt(liquidity.toString()) };
+  }
+  if (String(token1).toLowerCase() === t) {
+    return { quote: String(token0).toLowerCase(), rate: 1 / price1Per0, liquidity: BigInt(liquidity.toString()) };
+  }
+  return null;
+}
+
+// Deepest pool for (token, quote) across known factories and fee tiers
+async function findBestPoolRate(cache, provider, chainId, cfg, token, quote) {
+  const factories = cache.factories.get(String(chainId).toUpperCase());
+  if (!factories || !factories.size) return null;
+
+  let best = null;
+  for (const factoryAddr of factories) {
+    const factory = new ethers.Contract(factoryAddr, uniswapV3FactoryAbi, provider);
+    for (const fee of cfg.feeTiers) {
+      try {
+        const poolAddr = await factory.getPool(token, quote, fee);
+        if (!poolAddr || poolAddr === ethers.ZeroAddress) continue;
+        const r = await readPoolRate(cache, provider, chainId, poolAddr, token);
+        if (r && (!best || r.liquidity > best.liquidity)) best = { ...r, pool: poolAddr, fee };
+      } catch (e) {
+        logger.debug(`[usdPricing] getPool ${token}/${quote} fee=${fee} failed: ${e?.message || e}`);
+      }
+    }
+  }
+  return best;
+}
+
+// -----------------------------
+// Resolution
+// -----------------------------
+async function resolveUsdPrice(cache, provider, chainId, cfg, token, depth) {
+  const feed = cfg.feedByToken.get(token);
+  if (feed) {
+    const priceFeed = new ethers.Contract(feed.address, priceFeedAbi, provider);
+    const { rawPrice, source } = await getOraclePrice(priceFeed, feed.methods);
+    if (rawPrice) return { usd: Number(ethers.formatUnits(rawPrice, 18)), source: `oracle ${source}` };
+  }
+
+  for (const poolAddr of cfg.poolsByToken.get(token) || []) {
+    try {
+      const r = await readPoolRate(cache, provider, chainId, poolAddr, token);
+      if (!r) continue;
+      const q = await getUsdPrice(cache, provider, chainId, r.quote, depth + 1);
+      if (q) return { usd: q.usd * r.rate, source: `pool ${poolAddr}` };
+    } catch (e) {
+      logger.debug(`[usdPricing] pinned pool ${poolAddr} failed: ${e?.message || e}`);
+    }
+  }
+
+  for (const stable of cfg.stablecoins) {
+    const r = await findBestPoolRate(cache, provider, chainId, cfg, token, stable.address);
+    if (r) return { usd: r.rate, source: `pool vs ${stable.symbol || stable.address}` };
+  }
+
+  if (depth < MAX_ROUTE_DEPTH) {
+    for (const route of cfg.routeTokens) {
+      if (route.address === token) continue;
+      const r = await findBestPoolRate(cache, provider, chainId, cfg, token, route.address);
+      if (!r) continue;
+      const q = await getUsdPrice(cache, provider, chainId, route.address, depth + 1);
+      if (q) return { usd: q.usd * r.rate, source: `pool via ${route.symbol || route.address}` };
+    }
+
+    for (const { other, rate } of cache.pairs.get(priceKey(chainId, token)) || []) {
+      const q = await getUsdPrice(cache, provider, chainId, other, depth + 1);
+      if (q) return { usd: q.usd * rate, source: "position pool" };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * USD price for one token, cached for the lifetime of `cache`.
+ *
+ * @returns {Promise<{usd:number, source:string}|null>}
+ */
+async function getUsdPrice(cache, provider, chainId, token, depth = 0) {
+  if (!cache || !token) return null;
+  const k = priceKey(chainId, token);
+  if (cache.prices.has(k)) return cache.prices.get(k);
+
+  const cfg = getUsdPricingConfig(chainId);
+  const lower = String(token).toLowerCase();
+  if (cfg.stablecoinSet.has(lower)) {
+    const out = { usd: 1, source: "stablecoin" };
+    cache.prices.set(k, out);
+    return out;
+  }
+
+  // Mark in progress so routes through this token cannot recurse back into it
+  cache.prices.set(k, null);
+  let out = null;
+  try {
+    out = await resolveUsdPrice(cache, provider, chainId, cfg, lower, depth);
+  } catch (e) {
+    logger.debug(`[usdPricing] ${chainId} ${token} failed: ${e?.message || e}`);
+  }
+  if (out && !(isNum(out.usd) && out.usd > 0)) out = null;
+  // A failed nested lookup is retried at the top level (it may have more routes there)
+  if (out || depth === 0) cache.prices.set(k, out);
+  else cache.prices.delete(k);
+  return out;
+}
+
+// -----------------------------
+// Position values
+// -----------------------------
+function mul(amount, price) {
+  return isNum(amount) && isNum(price) ? amount * price : null;
+}
+
+function loanUsdValues({ collAmount, debtAmount, collPriceUsd, debtPriceUsd, collSource, debtSource }) {
+  const collateral = mul(collAmount, collPriceUsd);
+  const debt = mul(debtAmount, debtPriceUsd);
+  return {
+    collateral,
+    debt,
+    net: collateral != null && debt != null ? collateral - debt : null,
+    collPrice: isNum(collPriceUsd) ? collPriceUsd : null,
+    debtPrice: isNum(debtPriceUsd) ? debtPriceUsd : null,
+    collSource: collSource || null,
+    debtSource: debtSource || null,
+  };
+}
+
+function lpUsdValues({ amount0, amount1, fees0, fees1, price0, price1 }) {
+  const p0 = price0?.usd ?? null;
+  const p1 = price1?.usd ?? null;
+  const sum = (a, b) => (a != null && b != null ? a + b : null);
+  const principal = sum(mul(amount0, p0), mul(amount1, p1));
+  const fees = sum(mul(fees0 ?? 0, p0), mul(fees1 ?? 0, p1));
+  return {
+    principal,
+    fees,
+    total: sum(principal, fees),
+    price0: p0,
+    price1: p1,
+    source0: price0?.source || null,
+    source1: price1?.source || null,
+  };
+}
+
+// -----------------------------
+// Totals (per wallet + user portfolio) from snapshot summaries
+// -----------------------------
+function emptyTotals() {
+  return { collateral: 0, debt: 0, lp: 0, fees: 0, net: 0, positions: 0, unpriced: 0 };
+}
+
+/**
+ * Aggregate snapshot USD values. Positions without a USD value are counted in `unpriced`
+ * and left out of the sums.
+ *
+ * @returns {{ total: Object, wallets: Array<Object> }}
+ */
+function summarizeUsdTotals({ loans = [], lps = [] }) {
+  const total = emptyTotals();
+  const byWallet = new Map();
+
+  const walletFor = (s) => {
+    const key = `${s.walletId ?? "?"}`;
+    if (!byWallet.has(key)) {
+      byWallet.set(key, {
+        walletId: s.walletId ?? null,
+        walletLabel: s.walletLabel || null,
+        owner: s.owner || null,
+        chainId: s.chainId || null,
+        ...emptyTotals(),
+      });
+    }
+    return byWallet.get(key);
+  };
+
+  const add = (targets, field, v) => {
+    for (const t of targets) {
+      t[field] += v;
+      t.net += field === "debt" ? -v : v;
+    }
+  };
+
+  for (const s of loans) {
+    const targets = [total, walletFor(s)];
+    for (const t of targets) t.positions += 1;
+    const u = s.usd;
+    if (!u || u.collateral == null || u.debt == null) {
+      for (const t of targets) t.unpriced += 1;
+      continue;
+    }
+    add(targets, "collateral", u.collateral);
+    add(targets, "debt", u.debt);
+  }
+
+  for (const s of lps) {
+    if (s.status === "INACTIVE") continue;
+    const targets = [total, walletFor(s)];
+    for (const t of targets) t.positions += 1;
+    const u = s.usd;
+    if (!u || u.principal == null) {
+      for (const t of targets) t.unpriced += 1;
+      continue;
+    }
+    add(targets, "lp", u.principal);
+    if (u.fees != null) add(targets, "fees", u.fees);
+  }
+
+  return { total, wallets: Array.from(byWallet.values()) };
+}
+
+module.exports = {
+  createPriceCache,
+  getOraclePrice,
+  setUsdPrice,
+  registerFactory,
+  registerPoolPrice,
+  getUsdPrice,
+  loanUsdValues,
+  lpUsdValues,
+  summarizeUsdTotals,
+};
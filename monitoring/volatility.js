@@ -0,0 +1,285 @@
+// monitoring/volatility.js
+//
+// Realized volatility and "hit" probabilities for liquidation prices and LP range edges:
+// - volatility per collateral (a loan contract is one collateral branch) and per LP pool
+//   (contract + token0/token1/fee), from the prices recorded in position history; samples of
+//   every position on the same collateral / pool are pooled, so new positions inherit history
+// - estimate = sum of squared log returns / elapsed time, which copes with the mixed sampling
+//   of compacted history (every run for 48h, hourly after)
+// - hit probability assumes a driftless log-normal walk (reflection principle):
+//   P(touch barrier within T) = 2 * N(-|ln(barrier / price)| / (sigma * sqrt(T)));
+//   LP ranges have two barriers and use the series solution for leaving a band
+// - optional probability tiers (/alert-settings, "Hit chance") replace the buffer tiers
+// Not enough history -> null everywhere; callers show "n/a" and keep buffer tiers.
+
+const { getDb } = require("../db");
+const { pickThreshold } = require("./alertThresholds");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LN_TICK = Math.log(1.0001);
+
+const VOL_MIN_SAMPLES = 12;
+const VOL_MIN_SPAN_HOURS = 6;
+const VOL_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Horizons shown everywhere (days)
+const HIT_HORIZONS = { p24h: 1, p7d: 7 };
+
+const _volCache = new Map(); // key -> { atMs, vol }
+
+function envNumber(name) {
+  const raw = process.env[name];
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+function lookbackDays() {
+  const d = envNumber("VOL_LOOKBACK_DAYS");
+  return d != null && d >= 1 ? Math.min(d, 90) : 7;
+}
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+function normCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Daily volatility of a log-price series.
+ * @param {{t:number, x:number}[]} points ascending, x = ln(price)
+ * @returns {{sigmaDaily:number, samples:number, spanHours:number}|null}
+ */
+function realizedVolatility(points) {
+  let sumSq = 0;
+  let sumDays = 0;
+  let samples = points.length ? 1 : 0;
+  for (let i = 1; i < points.length; i++) {
+    const dt = (points[i].t - points[i - 1].t) / DAY_MS;
+    if (!(dt > 0)) continue;
+    const r = points[i].x - points[i - 1].x;
+    sumSq += r * r;
+    sumDays += dt;
+    samples++;
+  }
+  if (samples < VOL_MIN_SAMPLES || sumDays * 24 < VOL_MIN_SPAN_HOURS) return null;
+  return { sigmaDaily: Math.sqrt(sumSq / sumDays), samples, spanHours: sumDays * 24 };
+}
+
+// sampled_at is stored as UTC 'YYYY-MM-DD HH:MM:SS'
+function rowsToPoints(rows, toLog) {
+  const out = [];
+  for (const r of rows) {
+    const t = Date.parse(`${String(r.sampledAt).replace(" ", "T")}Z`);
+    const x = toLog(r.v);
+    if (Number.isFinite(t) && Number.isFinite(x)) out.push({ t, x });
+  }
+  return out;
+}
+
+function cached(key, compute) {
+  const hit = _volCache.get(key);
+  if (hit && Date.now() - hit.atMs < VOL_CACHE_TTL_MS) return hit.vol;
+  const vol = compute();
+  _volCache.set(key, { atMs: Date.now(), vol });
+  return vol;
+}
+
+// Positions of one run share a minute; average them into one sample
+function getCollateralVolatility(contractId) {
+  if (contractId == null) return null;
+  return cached(`L:${contractId}`, () => {
+    const rows = getDb()
+      .prepare(
+        `
+        SELECT MIN(sampled_at) AS sampledAt, AVG(price) AS v
+        FROM loan_position_history
+        WHERE contract_id = ?
+          AND price > 0
+          AND sampled_at >= datetime('now', ?)
+        GROUP BY strftime('%Y-%m-%d %H:%M', sampled_at)
+        ORDER BY sampledAt ASC
+      `
+      )
+      .all(contractId, `-${lookbackDays()} days`);
+    return realizedVolatility(rowsToPoints(rows, Math.log));
+  });
+}
+
+// Pool = same contract, tokens and fee tier (lp_token_meta); falls back to the position alone
+function getLpPoolVolatility({ contractId, tokenId }) {
+  if (contractId == null || tokenId == null) return null;
+  const db = getDb();
+  const pool = db
+    .prepare(`SELECT token0_lower, token1_lower, fee FROM lp_token_meta WHERE contract_id = ? AND token_id = ?`)
+    .get(contractId, String(tokenId));
+  const since = `-${lookbackDays()} days`;
+
+  if (!pool || !pool.token0_lower || !pool.token1_lower || pool.fee == null) {
+    return cached(`T:${contractId}:${tokenId}`, () => {
+      const rows = db
+        .prepare(
+          `
+          SELECT sampled_at AS sampledAt, current_tick AS v
+          FROM lp_position_history
+          WHERE contract_id = ? AND token_id = ?
+            AND current_tick IS NOT NULL
+            AND sampled_at >= datetime('now', ?)
+          ORDER BY sampled_at ASC, id ASC
+        `
+        )
+        .all(contractId, String(tokenId), since);
+      return realizedVolatility(rowsToPoints(rows, (tick) => tick * LN_TICK));
+    });
+  }
+
+  return cached(`P:${contractId}:${pool.token0_lower}:${pool.token1_lower}:${pool.fee}`, () => {
+    const rows = db
+      .prepare(
+        `
+        SELECT MIN(h.sampled_at) AS sampledAt, AVG(h.current_tick) AS v
+        FROM lp_position_history h
+        JOIN lp_token_meta m
+          ON m.contract_id = h.contract_id AND m.token_id = h.token_id
+        WHERE h.contract_id = ?
+          AND m.token0_lower = ? AND m.token1_lower = ? AND m.fee = ?
+          AND h.current_tick IS NOT NULL
+          AND h.sampled_at >= datetime('now', ?)
+        GROUP BY strftime('%Y-%m-%d %H:%M', h.sampled_at)
+        ORDER BY sampledAt ASC
+      `
+      )
+      .all(contractId, pool.token0_lower, pool.token1_lower, pool.fee, since);
+    return realizedVolatility(rowsToPoints(rows, (tick) => tick * LN_TICK));
+  });
+}
+
+/**
+ * Probability of touching a barrier `logDistance` away (|ln(barrier / price)|) within `days`.
+ */
+function hitProbability(logDistance, sigmaDaily, days) {
+  if (!Number.isFinite(logDistance) || !Number.isFinite(sigmaDaily) || !(days > 0)) return null;
+  if (logDistance <= 0) return 1;
+  if (!(sigmaDaily > 0)) return 0;
+  return Math.min(1, 2 * normCdf(-logDistance / (sigmaDaily * Math.sqrt(days))));
+}
+
+/**
+ * Probability of leaving a band `distLower` below / `distUpper` above (log units) within `days`.
+ * Eigenfunction series of the driftless walk; while hitting both edges is negligible
+ * (short horizon vs band width) the two one-sided probabilities are summed instead.
+ */
+function bandExitProbability(distLower, distUpper, sigmaDaily, days) {
+  if (![distLower, distUpper, sigmaDaily].every(Number.isFinite) || !(days > 0)) return null;
+  if (distLower <= 0 || distUpper <= 0) return 1;
+  if (!(sigmaDaily > 0)) return 0;
+
+  const width = distLower + distUpper;
+  const k = (Math.PI * Math.PI * sigmaDaily * sigmaDaily * days) / (2 * width * width);
+  if (k < 0.02) {
+    return Math.min(1, hitProbability(distLower, sigmaDaily, days) + hitProbability(distUpper, sigmaDaily, days));
+  }
+
+  let stay = 0;
+  for (let n = 1; n * n * k < 30; n += 2) {
+    stay += (4 / (n * Math.PI)) * Math.sin((n * Math.PI * distLower) / width) * Math.exp(-n * n * k);
+  }
+  return Math.min(1, Math.max(0, 1 - stay));
+}
+
+function probabilities(vol, probAt) {
+  const out = { sigmaDaily: vol.sigmaDaily, samples: vol.samples, lookbackDays: lookbackDays() };
+  for (const [key, days] of Object.entries(HIT_HORIZONS)) out[key] = probAt(days);
+  return out;
+}
+
+/**
+ * Chance the collateral price touches the liquidation price.
+ * @returns {{p24h:number, p7d:number, sigmaDaily:number, samples:number, lookbackDays:number}|null}
+ */
+function loanHitChance({ contractId, price, liquidationPrice }) {
+  if (!(price > 0) || !(liquidationPrice > 0)) return null;
+  const vol = getCollateralVolatility(contractId);
+  if (!vol) return null;
+  const dist = price > liquidationPrice ? Math.log(price / liquidationPrice) : 0;
+  return probabilities(vol, (days) => hitProbability(dist, vol.sigmaDaily, days));
+}
+
+/**
+ * Chance an in-range LP position touches either range edge.
+ * Null when out of range: there is no edge left to hit.
+ */
+function lpRangeExitChance({ contractId, tokenId, rangeStatus, currentTick, tickLower, tickUpper }) {
+  if (String(rangeStatus || "").toUpperCase() !== "IN_RANGE") return null;
+  if (![currentTick, tickLower, tickUpper].every(Number.isFinite) || !(tickUpper > tickLower)) return null;
+  const vol = getLpPoolVolatility({ contractId, tokenId });
+  if (!vol) return null;
+  const distLower = Math.max(0, currentTick - tickLower) * LN_TICK;
+  const distUpper = Math.max(0, tickUpper - currentTick) * LN_TICK;
+  return probabilities(vol, (days) => bandExitProbability(distLower, distUpper, vol.sigmaDaily, days));
+}
+
+const PROB_TIER_ORDER = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+/**
+ * Tier from the 24h hit chance, or null when probability tiers are off (no level set)
+ * or the chance is unknown. `maxTier` caps the result (LP in range never goes CRITICAL).
+ */
+function classifyByHitChance(hitChance, thresholds = null, { maxTier = "CRITICAL" } = {}) {
+  const warn = pickThreshold(thresholds, "hitProbWarnPct", envNumber("HIT_PROB_WARN_PCT"));
+  const high = pickThreshold(thresholds, "hitProbHighPct", envNumber("HIT_PROB_HIGH_PCT"));
+  const crit = pickThreshold(thresholds, "hitProbCritPct", envNumber("HIT_PROB_CRIT_PCT"));
+  if (warn == null && high == null && crit == null) return null;
+
+  const p = hitChance?.p24h;
+  if (typeof p !== "number" || !Number.isFinite(p)) return null;
+
+  const pct = p * 100;
+  let tier = "LOW";
+  if (crit != null && pct >= crit) tier = "CRITICAL";
+  else if (high != null && pct >= high) tier = "HIGH";
+  else if (warn != null && pct >= warn) tier = "MEDIUM";
+
+  const cap = PROB_TIER_ORDER.indexOf(maxTier);
+  return cap >= 0 && PROB_TIER_ORDER.indexOf(tier) > cap ? maxTier : tier;
+}
+
+function formatProb(p) {
+  if (typeof p !== "number" || !Number.isFinite(p)) return "n/a";
+  if (p > 0 && p < 0.001) return "<0.1%";
+  if (p < 1 && p > 0.999) return ">99.9%";
+  return `${(p * 100).toFixed(1)}%`;
+}
+
+/**
+ * "24h 3.1% · 7d 18.4% (vol 4.2%/day)"; `bold` wraps the percentages in ** for Discord.
+ * Returns null when there is not enough history.
+ */
+function formatHitChance(hitChance, { bold = false, withVol = true } = {}) {
+  if (!hitChance) return null;
+  const b = (s) => (bold ? `**${s}**` : s);
+  const vol =
+    withVol && Number.isFinite(hitChance.sigmaDaily)
+      ? ` (vol ${(hitChance.sigmaDaily * 100).toFixed(1)}%/day)`
+      : "";
+  return `24h ${b(formatProb(hitChance.p24h))} · 7d ${b(formatProb(hitChance.p7d))}${vol}`;
+}
+
+module.exports = {
+  HIT_HORIZONS,
+  VOL_MIN_SAMPLES,
+  VOL_MIN_SPAN_HOURS,
+  normCdf,
+  realizedVolatility,
+  getCollateralVolatility,
+  getLpPoolVolatility,
+  hitProbability,
+  bandExitProbability,
+  loanHitChance,
+  lpRangeExitChance,
+  classifyByHitChance,
+  formatHitChance,
+};
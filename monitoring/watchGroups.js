@@ -0,0 +1,355 @@
+// monitoring/watchGroups.js
+//
+// Shared "watch groups": wallets attached to a guild channel.
+// - Alerts for a group wallet are posted once per group (not DMed to each member)
+// - Dedup uses watch_group_alert_state keyed by group + position + alert type, so
+//   several members tracking the same wallet collapse into a single post
+// - Roles are mentioned by severity (meta.newTier) on NEW/UPDATED posts
+
+const { getDb, getOrCreateWalletId } = require("../db");
+const { normalizeEvmAddress } = require("../utils/ethers/addresses");
+const { sendLongDM } = require("../utils/discord/sendLongDM");
+const logger = require("../utils/logger");
+
+const ROLE_COLUMN_BY_TIER = {
+  CRITICAL: "role_critical_id",
+  HIGH: "role_high_id",
+  MEDIUM: "role_medium_id",
+};
+
+// -----------------------------
+// Groups
+// -----------------------------
+function listWatchGroups(guildId) {
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      SELECT
+        g.*,
+        (SELECT COUNT(*) FROM watch_group_wallets gw WHERE gw.group_id = g.id) AS wallet_count
+      FROM watch_groups g
+      WHERE g.guild_id = ?
+      ORDER BY g.name
+    `
+    )
+    .all(String(guildId));
+}
+
+function getWatchGroupByName(guildId, name) {
+  const db = getDb();
+  return (
+    db
+      .prepare(`SELECT * FROM watch_groups WHERE guild_id = ? AND name = ? COLLATE NOCASE`)
+      .get(String(guildId), String(name || "").trim()) || null
+  );
+}
+
+function createWatchGroup({ guildId, channelId, name, roles = {}, createdByUserId = null }) {
+  const cleanName = String(name || "").trim();
+  if (!cleanName) throw new Error("Group name is required");
+  if (getWatchGroupByName(guildId, cleanName)) throw new Error(`A group named "${cleanName}" already exists`);
+
+  const db = getDb();
+  const info = db
+    .prepare(
+      `
+      INSERT INTO watch_groups (
+        guild_id, channel_id, name,
+        role_critical_id, role_high_id, role_medium_id,
+        created_by_user_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+    )
+    .run(
+      String(guildId),
+      String(channelId),
+      cleanName,
+      roles.critical || null,
+      roles.high || null,
+      roles.medium || null,
+      createdByUserId
+    );
+  return db.prepare(`SELECT * FROM watch_groups WHERE id = ?`).get(Number(info.lastInsertRowid));
+}
+
+function updateWatchGroup(groupId, { channelId, roles, isEnabled } = {}) {
+  const db = getDb();
+  const group = db.prepare(`SELECT * FROM watch_groups WHERE id = ?`).get(groupId);
+  if (!group) return null;
+
+  db.prepare(
+    `
+    UPDATE watch_groups
+    SET channel_id = ?,
+        role_critical_id = ?,
+        role_high_id = ?,
+        role_medium_id = ?,
+        is_enabled = ?
+    WHERE id = ?
+  `
+  ).run(
+    channelId ? String(channelId) : group.channel_id,
+    roles ? roles.critical || null : group.role_critical_id,
+    roles ? roles.high || null : group.role_high_id,
+    roles ? roles.medium || null : group.role_medium_id,
+    isEnabled == null ? group.is_enabled : isEnabled ? 1 : 0,
+    groupId
+  );
+  return db.prepare(`SELECT * FROM watch_groups WHERE id = ?`).get(groupId);
+}
+
+function deleteWatchGroup(groupId) {
+  const db = getDb();
+  return db.prepare(`DELETE FROM watch_groups WHERE id = ?`).run(groupId).changes > 0;
+}
+
+// -----------------------------
+// Group wallets
+// -----------------------------
+function listWatchGroupWallets(groupId) {
+  const db = getDb();
+  return db
+    .prepare(
+      `
+      SELECT
+        gw.*,
+        (
+          SELECT COUNT(*)
+          FROM user_wallets uw
+          WHERE uw.chain_id = gw.chain_id
+            AND uw.address_lower = gw.address_lower
+            AND uw.is_enabled = 1
+        ) AS tracker_count
+      FROM watch_group_wallets gw
+      WHERE gw.group_id = ?
+      ORDER BY gw.chain_id, gw.address_lower
+    `
+    )
+    .all(groupId);
+}
+
+/**
+ * Attach a wallet to a group. Monitoring is driven by user_wallets, so when no
+ * member tracks the address yet it is added to the acting user's wallets.
+ *
+ * @returns {{ chainId:string, addressEip55:string, addedTracking:boolean }}
+ */
+function addWatchGroupWallet({ groupId, chainId, addressInput, label = null, actingUserId }) {
+  const chain = String(chainId || "").toUpperCase();
+  const { checksum, lower } = normalizeEvmAddress(chain, addressInput);
+  const cleanLabel = label == null ? null : String(label).trim() || null;
+
+  const db = getDb();
+  db.prepare(
+    `
+    INSERT INTO watch_group_wallets (group_id, chain_id, address_lower, address_eip55, label)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(group_id, chain_id, address_lower) DO UPDATE SET
+      label = COALESCE(excluded.label, watch_group_wallets.label)
+  `
+  ).run(groupId, chain, lower, checksum, cleanLabel);
+
+  const tracked = db
+    .prepare(
+      `
+      SELECT 1
+      FROM user_wallets
+      WHERE chain_id = ? AND address_lower = ? AND is_enabled = 1
+      LIMIT 1
+    `
+    )
+    .get(chain, lower);
+
+  let addedTracking = false;
+  if (!tracked && actingUserId) {
+    getOrCreateWalletId(db, { userId: actingUserId, chainId: chain, addressInput: checksum, label: cleanLabel });
+    addedTracking = true;
+  }
+
+  return { chainId: chain, addressEip55: checksum, addedTracking };
+}
+
+function removeWatchGroupWallet({ groupId, chainId, addressInput }) {
+  const chain = String(chainId || "").toUpperCase();
+  const { lower } = normalizeEvmAddress(chain, addressInput);
+  const db = getDb();
+  const removed =
+    db
+      .prepare(`DELETE FROM watch_group_wallets WHERE group_id = ? AND chain_id = ? AND address_lower = ?`)
+      .run(groupId, chain, lower).changes > 0;
+  if (removed) {
+    // Drop group dedup rows for positions that no longer belong to the group
+    db.prepare(
+      `
+      DELETE FROM watch_group_alert_state
+      WHERE group_id = ?
+        AND NOT EXISTS (
+          SELECT 1
+          FROM nft_tokens nt
+          JOIN contracts c ON c.id = nt.contract_id
+          JOIN watch_group_wallets gw
+            ON gw.group_id = watch_group_alert_state.group_id
+           AND gw.chain_id = c.chain_id
+           AND gw.address_lower = nt.owner_lower
+          WHERE nt.contract_id = watch_group_alert_state.contract_id
+            AND nt.token_id = watch_group_alert_state.token_id
+        )
+    `
+    ).run(groupId);
+  }
+  return removed;
+}
+
+// Enabled groups that contain the user wallet's address
+let _groupsForWalletStmt = null;
+function getWatchGroupsForWallet(walletId) {
+  const db = getDb();
+  if (!_groupsForWalletStmt) {
+    _groupsForWalletStmt = db.prepare(
+      `
+      SELECT g.*, gw.label AS group_wallet_label
+      FROM user_wallets uw
+      JOIN watch_group_wallets gw
+        ON gw.chain_id = uw.chain_id
+       AND gw.address_lower = uw.address_lower
+      JOIN watch_groups g
+        ON g.id = gw.group_id
+       AND g.is_enabled = 1
+      WHERE uw.id = ?
+    `
+    );
+  }
+  return _groupsForWalletStmt.all(walletId);
+}
+
+// -----------------------------
+// Delivery
+// -----------------------------
+function getGroupState(groupId, contractId, tokenId, alertType) {
+  const db = getDb();
+  return (
+    db
+      .prepare(
+        `
+        SELECT is_active AS isActive, signature
+        FROM watch_group_alert_state
+        WHERE group_id = ? AND contract_id = ? AND token_id = ? AND alert_type = ?
+      `
+      )
+      .get(groupId, contractId, String(tokenId), alertType) || { isActive: 0, signature: null }
+  );
+}
+
+function setGroupState(groupId, contractId, tokenId, alertType, { isActive, signature, posted }) {
+  const db = getDb();
+  db.prepare(
+    `
+    INSERT INTO watch_group_alert_state (
+      group_id, contract_id, token_id, alert_type, is_active, signature, last_posted_at
+    ) VALUES (?, ?, ?, ?, ?, ?, CASE WHEN ? THEN datetime('now') END)
+    ON CONFLICT(group_id, contract_id, token_id, alert_type) DO UPDATE SET
+      is_active      = excluded.is_active,
+      signature      = excluded.signature,
+      last_posted_at = COALESCE(excluded.last_posted_at, watch_group_alert_state.last_posted_at)
+  `
+  ).run(groupId, contractId, String(tokenId), alertType, isActive ? 1 : 0, signature ?? null, posted ? 1 : 0);
+}
+
+function mentionRoleForTier(group, tier) {
+  const col = ROLE_COLUMN_BY_TIER[String(tier || "").toUpperCase()];
+  return col ? group[col] || null : null;
+}
+
+async function postToChannel(client, group, discord, roleId) {
+  const channel = await client.channels.fetch(group.channel_id);
+  if (!channel || typeof channel.isTextBased !== "function" || !channel.isTextBased()) {
+    throw new Error(`channel ${group.channel_id} is not a text channel`);
+  }
+
+  const mention = roleId ? `<@&${roleId}>` : null;
+  const allowedMentions = { roles: roleId ? [roleId] : [] };
+
+  if (discord?.embeds?.length) {
+    await channel.send({ content: mention || undefined, embeds: discord.embeds, allowedMentions });
+    return;
+  }
+  if (mention) await channel.send({ content: mention, allowedMentions });
+  await sendLongDM(channel, discord?.content || "");
+}
+
+/**
+ * Group-level dedup + post for one alert transition.
+ *
+ * @param {Object} opts
+ * @param {import("discord.js").Client|null} opts.client
+ * @param {Array<Object>} opts.groups - rows from getWatchGroupsForWallet
+ * @param {string} opts.phase - NEW | UPDATED | RESOLVED
+ * @param {Object|null} opts.discord - rendered payload, null = update state only
+ */
+async function dispatchToWatchGroups({
+  client,
+  groups,
+  contractId,
+  tokenId,
+  alertType,
+  phase,
+  signature,
+  meta,
+  discord,
+  logPrefix = "[watchGroup]",
+}) {
+  const alertTypeU = (alertType || "GENERIC").toString().toUpperCase();
+
+  for (const group of groups) {
+    const prev = getGroupState(group.id, contractId, tokenId, alertTypeU);
+    const prevActive = Number(prev.isActive) === 1;
+
+    if (phase === "RESOLVED") {
+      // Another member's run already resolved it for the group
+      if (!prevActive) continue;
+    } else if (prevActive && prev.signature === signature) {
+      continue;
+    }
+
+    const isActive = phase !== "RESOLVED";
+    let posted = false;
+    if (discord) {
+      if (!client || !client.channels) {
+        logger.error(`${logPrefix} Discord client not set; cannot post to watch group "${group.name}"`);
+      } else {
+        try {
+          const roleId = isActive ? mentionRoleForTier(group, meta?.newTier) : null;
+          await postToChannel(client, group, discord, roleId);
+          posted = true;
+        } catch (err) {
+          logger.error(
+            `${logPrefix} Failed to post ${alertTypeU} ${phase} to watch group "${group.name}" ` +
+              `(channel ${group.channel_id}): ${err?.message || err}`
+          );
+        }
+      }
+    }
+    // Failed post: keep the stored state and signature so the next run retries it
+    if (discord && !posted) continue;
+
+    setGroupState(group.id, contractId, tokenId, alertTypeU, {
+      isActive,
+      signature: isActive ? signature : null,
+      posted,
+    });
+  }
+}
+
+module.exports = {
+  listWatchGroups,
+  getWatchGroupByName,
+  createWatchGroup,
+  updateWatchGroup,
+  deleteWatchGroup,
+  listWatchGroupWallets,
+  addWatchGroupWallet,
+  removeWatchGroupWallet,
+  getWatchGroupsForWallet,
+  dispatchToWatchGroups,
+};
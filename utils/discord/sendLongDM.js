@@ -69,11 +69,12 @@ function splitIntoDiscordMessages(text, maxLen = DISCORD_SAFE_MAX) {
 /**
  * Sends long content as multiple DMs (chunked).
  * Adds "(i/n) " prefix when multiple chunks.
+ * opts.components (buttons) go on the last message.
  *
  * Includes a small delay between sends to reduce 429 risk.
  */
 async function sendLongDM(user, content, opts = {}) {
-  const { maxLen = DISCORD_SAFE_MAX, interMessageDelayMs = 350 } = opts;
+  const { maxLen = DISCORD_SAFE_MAX, interMessageDelayMs = 350, components = [] } = opts;
 
   const chunks = splitIntoDiscordMessages(content, maxLen);
 
@@ -88,7 +89,8 @@ async function sendLongDM(user, content, opts = {}) {
     const room = DISCORD_MSG_MAX - prefix.length;
     const body = chunks[i].length > room ? chunks[i].slice(0, room) : chunks[i];
 
-    await user.send({ content: prefix + body });
+    const isLast = i === total - 1;
+    await user.send(isLast && components.length ? { content: prefix + body, components } : { content: prefix + body });
 
     // Rate-limit friendliness (skip delay after last message)
     if (interMessageDelayMs > 0 && i < total - 1) {
@@ -1,9 +1,333 @@
 // utils/ethers/providers.js
+//
+// Shared chain provider layer:
+// - each chain's rpcEnvKey may hold a comma-separated list of RPC URLs
+// - MultiRpcProvider health-scores every endpoint (latency, error rate, head lag)
+//   and sends each request to the best one, failing over on network/server errors
+// - crossCheckRead() optionally runs a critical read on two endpoints pinned to the
+//   same block and only returns when they agree (third endpoint breaks ties)
+// - providers are cached per chain + env key so health survives across runs
 const { ethers } = require("ethers");
 
+const logger = require("../logger");
+
+function numberEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") return fallback;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) throw new Error(`Env var ${name} must be numeric (got "${raw}")`);
+  return n;
+}
+
+const RPC_TIMEOUT_MS = Math.max(1000, numberEnv("RPC_TIMEOUT_MS", 10000));
+const RPC_MAX_HEAD_LAG_BLOCKS = Math.max(0, numberEnv("RPC_MAX_HEAD_LAG_BLOCKS", 10));
+const RPC_HEALTH_INTERVAL_MS = Math.max(5000, numberEnv("RPC_HEALTH_INTERVAL_MS", 60000));
+const RPC_CROSS_CHECK = process.env.RPC_CROSS_CHECK === "1";
+const RPC_CROSS_CHECK_TOLERANCE_BPS = Math.max(0, numberEnv("RPC_CROSS_CHECK_TOLERANCE_BPS", 10));
+
+const CHAIN_IDS = { FLR: 14, XDC: 50 };
+
+// Score weights (lower score = preferred endpoint)
+const ERROR_PENALTY_MS = 5000; // added per unit of error rate (0..1)
+const LAG_PENALTY_MS = 250; // added per block behind the best known head
+const COOLDOWN_AFTER_FAILURES = 3;
+const COOLDOWN_BASE_MS = 30000;
+const COOLDOWN_MAX_MS = 10 * 60 * 1000;
+const EWMA_ALPHA = 0.3;
+
+// The node answered; retrying elsewhere would give the same result
+const DETERMINISTIC_ERROR_CODES = new Set(["CALL_EXCEPTION", "INVALID_ARGUMENT", "NUMERIC_FAULT"]);
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (_) {
+    return "rpc";
+  }
+}
+
+function parseRpcUrls(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${what} timed out after ${ms}ms`);
+      err.code = "TIMEOUT";
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class RpcEndpoint {
+  constructor(url, network) {
+    this.url = url;
+    this.host = hostOf(url);
+    const request = new ethers.FetchRequest(url);
+    request.timeout = RPC_TIMEOUT_MS;
+    this.backend = new ethers.JsonRpcProvider(request, network, { staticNetwork: network });
+    this.latencyMs = null;
+    this.errorRate = 0;
+    this.requests = 0;
+    this.failures = 0;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+    this.head = null;
+    this.lastError = null;
+  }
+
+  recordSuccess(latencyMs) {
+    this.requests += 1;
+    this.latencyMs = this.latencyMs == null ? latencyMs : this.latencyMs * (1 - EWMA_ALPHA) + latencyMs * EWMA_ALPHA;
+    this.errorRate *= 1 - EWMA_ALPHA;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+  }
+
+  recordFailure(err) {
+    this.requests += 1;
+    this.failures += 1;
+    this.errorRate = this.errorRate * (1 - EWMA_ALPHA) + EWMA_ALPHA;
+    this.consecutiveFailures += 1;
+    this.lastError = err?.shortMessage || err?.message || String(err);
+    if (this.consecutiveFailures >= COOLDOWN_AFTER_FAILURES) {
+      const n = this.consecutiveFailures - COOLDOWN_AFTER_FAILURES;
+      this.cooldownUntil = Date.now() + Math.min(COOLDOWN_BASE_MS * 2 ** n, COOLDOWN_MAX_MS);
+    }
+  }
+
+  recordHead(blockNumber) {
+    const n = Number(blockNumber);
+    if (Number.isFinite(n) && (this.head == null || n > this.head)) this.head = n;
+  }
+}
+
+/**
+ * Provider that spreads reads over several RPC endpoints for one chain.
+ * Drop-in for ethers.JsonRpcProvider in read-only code (Contract, getLogs, getBlock...).
+ */
+class MultiRpcProvider extends ethers.AbstractProvider {
+  constructor(urls, { chainId, label }) {
+    if (!urls.length) throw new Error(`No RPC URLs for ${label}`);
+    const network = ethers.Network.from(chainId);
+    // No 250 ms request cache: providers are shared, and a scan started right after another
+    // (e.g. the transfer listener's reconnect backfill) must see the new head
+    super(network, { cacheTimeout: -1 });
+    this.label = label;
+    this.network = network;
+    this.endpoints = urls.map((url) => new RpcEndpoint(url, network));
+    this._lastHealthCheck = 0;
+    this._healthCheck = null;
+  }
+
+  bestHead() {
+    let best = null;
+    for (const e of this.endpoints) if (e.head != null && (best == null || e.head > best)) best = e.head;
+    return best;
+  }
+
+  headLag(e) {
+    const best = this.bestHead();
+    return best == null || e.head == null ? 0 : best - e.head;
+  }
+
+  score(e) {
+    return (e.latencyMs ?? RPC_TIMEOUT_MS / 10) + e.errorRate * ERROR_PENALTY_MS + this.headLag(e) * LAG_PENALTY_MS;
+  }
+
+  // Healthy endpoints first (by score); cooling-down or lagging ones are last resorts
+  rankedEndpoints() {
+    const now = Date.now();
+    const healthy = [];
+    const degraded = [];
+    for (const e of this.endpoints) {
+      const ok = e.cooldownUntil <= now && this.headLag(e) <= RPC_MAX_HEAD_LAG_BLOCKS;
+      (ok ? healthy : degraded).push(e);
+    }
+    const byScore = (a, b) => this.score(a) - this.score(b);
+    return [...healthy.sort(byScore), ...degraded.sort(byScore)];
+  }
+
+  async _detectNetwork() {
+    return this.network;
+  }
+
+  async _performOn(e, req) {
+    const started = Date.now();
+    const result = await withTimeout(e.backend._perform(req), RPC_TIMEOUT_MS, `${this.label} ${req.method}`);
+    e.recordSuccess(Date.now() - started);
+    if (req.method === "getBlockNumber") e.recordHead(result);
+    return result;
+  }
+
+  async _perform(req) {
+    this.maybeCheckHealth();
+
+    let lastErr = null;
+    const ranked = this.rankedEndpoints();
+    for (const [i, e] of ranked.entries()) {
+      try {
+        return await this._performOn(e, req);
+      } catch (err) {
+        if (DETERMINISTIC_ERROR_CODES.has(err?.code)) {
+          e.recordSuccess(RPC_TIMEOUT_MS / 10);
+          throw err;
+        }
+        e.recordFailure(err);
+        lastErr = err;
+        if (i < ranked.length - 1) {
+          logger.warn(`[rpc] ${this.label} ${req.method} failed on ${e.host}, failing over: ${e.lastError}`);
+        }
+      }
+    }
+    throw lastErr || new Error(`${this.label}: no RPC endpoints available`);
+  }
+
+  // Probe all endpoints' heads in the background at most once per interval
+  maybeCheckHealth() {
+    if (this.endpoints.length < 2 || this._healthCheck) return;
+    if (Date.now() - this._lastHealthCheck < RPC_HEALTH_INTERVAL_MS) return;
+    this._lastHealthCheck = Date.now();
+    this._healthCheck = this.checkHealth().finally(() => {
+      this._healthCheck = null;
+    });
+  }
+
+  async checkHealth() {
+    await Promise.all(
+      this.endpoints.map((e) =>
+        this._performOn(e, { method: "getBlockNumber" }).catch((err) => e.recordFailure(err))
+      )
+    );
+  }
+
+  getHealth() {
+    return this.endpoints.map((e) => ({
+      host: e.host,
+      score: Math.round(this.score(e)),
+      latencyMs: e.latencyMs == null ? null : Math.round(e.latencyMs),
+      errorRate: Number(e.errorRate.toFixed(3)),
+      head: e.head,
+      headLag: this.headLag(e),
+      requests: e.requests,
+      failures: e.failures,
+      coolingDown: e.cooldownUntil > Date.now(),
+      lastError: e.lastError,
+    }));
+  }
+
+  destroy() {
+    for (const e of this.endpoints) e.backend.destroy();
+    super.destroy();
+  }
+}
+
+/**
+ * Read-only provider bound to one endpoint and one block, used by crossCheckRead
+ * so both sides of a comparison see the same chain state.
+ */
+class PinnedProvider extends ethers.AbstractProvider {
+  constructor(parent, endpoint, blockNumber) {
+    super(parent.network);
+    this.parent = parent;
+    this.endpoint = endpoint;
+    this.blockTag = ethers.toQuantity(blockNumber);
+  }
+
+  async _detectNetwork() {
+    return this.parent.network;
+  }
+
+  async _perform(req) {
+    const pinned = "blockTag" in req ? { ...req, blockTag: this.blockTag } : req;
+    return this.parent._performOn(this.endpoint, pinned);
+  }
+}
+
+function valuesAgree(a, b, tolBps) {
+  if (typeof a === "bigint" || typeof b === "bigint" || typeof a === "number" || typeof b === "number") {
+    if (typeof a !== typeof b) return false;
+    const x = typeof a === "bigint" ? a : BigInt(Math.round(a * 1e6));
+    const y = typeof b === "bigint" ? b : BigInt(Math.round(b * 1e6));
+    const diff = x > y ? x - y : y - x;
+    const ax = x < 0n ? -x : x;
+    const ay = y < 0n ? -y : y;
+    const base = ax > ay ? ax : ay;
+    return diff * 10000n <= base * BigInt(tolBps);
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) if (!valuesAgree(a[i], b[i], tolBps)) return false;
+    return true;
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const k of keys) if (!valuesAgree(a[k], b[k], tolBps)) return false;
+    return true;
+  }
+  return a === b;
+}
+
+/**
+ * Run a critical read on two endpoints at the same block and compare.
+ * Falls back to a plain read when cross-checking is off (RPC_CROSS_CHECK != 1),
+ * the provider has a single endpoint, or a second endpoint cannot be reached.
+ *
+ * @param {ethers.Provider} provider - from getProviderForChain()
+ * @param {string} label - for logs
+ * @param {(p: ethers.Provider) => Promise<any>} fn - the read; must only use `p`
+ * @returns {Promise<any>} agreed result
+ * @throws when endpoints disagree and no majority can be formed
+ */
+async function crossCheckRead(provider, label, fn) {
+  if (!RPC_CROSS_CHECK || !(provider instanceof MultiRpcProvider) || provider.endpoints.length < 2) {
+    return fn(provider);
+  }
+
+  const [a, b, c] = provider.rankedEndpoints();
+  let block;
+  try {
+    const heads = await Promise.all([a, b].map((e) => provider._performOn(e, { method: "getBlockNumber" })));
+    block = Math.min(...heads.map(Number));
+  } catch (err) {
+    logger.warn(`[rpc] ${provider.label} cross-check for ${label} skipped: ${err?.message || err}`);
+    return fn(provider);
+  }
+
+  const run = (e) => fn(new PinnedProvider(provider, e, block));
+  const [ra, rb] = await Promise.allSettled([run(a), run(b)]);
+  if (ra.status === "rejected" && rb.status === "rejected") throw ra.reason;
+  if (ra.status === "rejected") return rb.value;
+  if (rb.status === "rejected") return ra.value;
+  if (valuesAgree(ra.value, rb.value, RPC_CROSS_CHECK_TOLERANCE_BPS)) return ra.value;
+
+  logger.warn(`[rpc] ${provider.label} cross-check mismatch for ${label} at block ${block}: ${a.host} vs ${b.host}`);
+  if (c) {
+    const rc = await run(c).catch(() => undefined);
+    if (rc !== undefined && valuesAgree(ra.value, rc, RPC_CROSS_CHECK_TOLERANCE_BPS)) {
+      b.recordFailure(new Error(`cross-check mismatch for ${label}`));
+      return ra.value;
+    }
+    if (rc !== undefined && valuesAgree(rb.value, rc, RPC_CROSS_CHECK_TOLERANCE_BPS)) {
+      a.recordFailure(new Error(`cross-check mismatch for ${label}`));
+      return rb.value;
+    }
+  }
+  throw new Error(`RPC cross-check mismatch for ${label} on ${provider.label} at block ${block}`);
+}
+
+const _providers = new Map();
+
 /**
- * Returns an ethers provider for a given chain based on chainsConfig.
- * Expects chainsConfig[chainId] to have an `rpcEnvKey` (e.g. "FLR_MAINNET").
+ * Returns the (cached) provider for a given chain based on chainsConfig.
+ * Expects chainsConfig[chainId] to have an `rpcEnvKey` (e.g. "FLR_MAINNET") whose
+ * env value is one RPC URL or a comma-separated list (preferred order is learned).
  *
  * No defaults. If config/env is missing, throws.
  */
@@ -20,12 +344,23 @@ function getProviderForChain(chainId, chainsConfig) {
     throw new Error(`Missing rpcEnvKey for chain "${cid}" in CHAINS_CONFIG`);
   }
 
-  const rpcUrl = process.env[rpcKey];
-  if (!rpcUrl) {
+  const urls = parseRpcUrls(process.env[rpcKey]);
+  if (!urls.length) {
     throw new Error(`Missing RPC URL for chain "${cid}": expected env var ${rpcKey}`);
   }
 
-  return new ethers.JsonRpcProvider(rpcUrl);
+  const numericChainId = chainCfg.chainId ?? CHAIN_IDS[cid];
+  if (numericChainId == null) {
+    throw new Error(`Unknown chain id for "${cid}": set chainId in CHAINS_CONFIG`);
+  }
+
+  const cacheKey = `${cid}|${rpcKey}|${urls.join(",")}`;
+  let provider = _providers.get(cacheKey);
+  if (!provider) {
+    provider = new MultiRpcProvider(urls, { chainId: numericChainId, label: `${cid}/${rpcKey}` });
+    _providers.set(cacheKey, provider);
+  }
+  return provider;
 }
 
-module.exports = { getProviderForChain };
+module.exports = { getProviderForChain, crossCheckRead, MultiRpcProvider };
@@ -1,5 +1,6 @@
 // utils/links.js
 const { shortenAddress } = require("./ethers/shortenAddress");
+const { getLoanContractConfig, formatTroveUrl } = require("../config/loanContracts");
 
 function getExplorerAddressUrl(chainId, address) {
   if (!chainId || !address) return null;
@@ -13,6 +14,25 @@ function getExplorerAddressUrl(chainId, address) {
   return null;
 }
 
+function getExplorerTxUrl(chainId, txHash) {
+  if (!chainId || !txHash) return null;
+  const chain = String(chainId).toUpperCase();
+  if (chain === "FLR") {
+    return `https://flare-explorer.flare.network/tx/${txHash}`;
+  }
+  if (chain === "XDC") {
+    return `https://xdcscan.io/tx/${txHash}`;
+  }
+  return null;
+}
+
+function formatTxLink(chainId, txHash) {
+  if (!txHash) return "n/a";
+  const url = getExplorerTxUrl(chainId, txHash);
+  const label = shortenAddress(txHash);
+  return url ? `[${label}](${url})` : label;
+}
+
 function formatAddressLink(chainId, address) {
   if (!address) return "n/a";
   const url = getExplorerAddressUrl(chainId, address);
@@ -45,19 +65,14 @@ function formatLpPositionLink(protocol, tokenId, label) {
   return url ? `[${text}](${url})` : text;
 }
 
-function getLoanTroveUrl(protocol) {
+function getLoanTroveUrl(protocol, troveId = null) {
   if (!protocol) return null;
-  const p = String(protocol).toUpperCase();
-  if (p.includes("ENOSYS")) {
-    const base = String(process.env.ENOSYS_LOAN_TROVE_URL || "").trim();
-    return base || null;
-  }
-  return null;
+  return formatTroveUrl(getLoanContractConfig(protocol), troveId);
 }
 
 function formatLoanTroveLink(protocol, troveId, label) {
   if (troveId == null) return "n/a";
-  const url = getLoanTroveUrl(protocol);
+  const url = getLoanTroveUrl(protocol, troveId);
   const text = label || String(troveId);
   return url ? `[${text}](${url})` : text;
 }
@@ -65,6 +80,8 @@ function formatLoanTroveLink(protocol, troveId, label) {
 module.exports = {
   getExplorerAddressUrl,
   formatAddressLink,
+  getExplorerTxUrl,
+  formatTxLink,
   getLpPositionUrl,
   formatLpPositionLink,
   getLoanTroveUrl,
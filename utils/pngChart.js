@@ -0,0 +1,293 @@
+// ./utils/pngChart.js
+//
+// Minimal line-chart renderer that outputs PNG bytes (no native deps):
+// - RGBA canvas with Bresenham lines, optional dashes
+// - Tiny built-in bitmap font for numeric axis labels
+// - PNG encoding via zlib + CRC32
+
+const zlib = require("zlib");
+
+// -----------------------------
+// PNG encoding
+// -----------------------------
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length, 0);
+  const typeBuf = Buffer.from(type, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([typeBuf, data])), 0);
+  return Buffer.concat([len, typeBuf, data, crc]);
+}
+
+/**
+ * Encode an RGBA pixel buffer as PNG.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} rgba - width * height * 4 bytes
+ * @returns {Buffer}
+ */
+function encodePng(width, height, rgba) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: none
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // color type RGBA
+  ihdr[10] = 0;
+  ihdr[11] = 0;
+  ihdr[12] = 0;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// -----------------------------
+// Canvas
+// -----------------------------
+function hexToRgb(hex) {
+  const n = typeof hex === "number" ? hex : parseInt(String(hex).replace("#", ""), 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+function createCanvas(width, height, background) {
+  const px = new Uint8Array(width * height * 4);
+  const [r, g, b] = hexToRgb(background);
+  for (let i = 0; i < px.length; i += 4) {
+    px[i] = r;
+    px[i + 1] = g;
+    px[i + 2] = b;
+    px[i + 3] = 255;
+  }
+
+  function setPixel(x, y, rgb) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 4;
+    px[i] = rgb[0];
+    px[i + 1] = rgb[1];
+    px[i + 2] = rgb[2];
+  }
+
+  function line(x0, y0, x1, y1, color, { thickness = 1, dash = null, dashOffset = 0 } = {}) {
+    const rgb = hexToRgb(color);
+    x0 = Math.round(x0);
+    y0 = Math.round(y0);
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let step = dashOffset;
+    const half = Math.floor(thickness / 2);
+
+    for (;;) {
+      const on = !dash || step % (dash[0] + dash[1]) < dash[0];
+      if (on) {
+        for (let ox = -half; ox < thickness - half; ox++) {
+          for (let oy = -half; oy < thickness - half; oy++) setPixel(x0 + ox, y0 + oy, rgb);
+        }
+      }
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) {
+        err += dy;
+        x0 += sx;
+      }
+      if (e2 <= dx) {
+        err += dx;
+        y0 += sy;
+      }
+      step++;
+    }
+    // returned so polylines can keep the dash phase across segments
+    return step;
+  }
+
+  function text(x, y, str, color, scale = 2) {
+    const rgb = hexToRgb(color);
+    let cx = x;
+    for (const ch of String(str)) {
+      const glyph = FONT_3X5[ch] || FONT_3X5[" "];
+      for (let row = 0; row < 5; row++) {
+        for (let col = 0; col < 3; col++) {
+          if (!(glyph[row] & (4 >> col))) continue;
+          for (let a = 0; a < scale; a++) {
+            for (let b = 0; b < scale; b++) setPixel(cx + col * scale + a, y + row * scale + b, rgb);
+          }
+        }
+      }
+      cx += 4 * scale;
+    }
+  }
+
+  return { width, height, px, line, text };
+}
+
+// 3x5 glyphs, one 3-bit row per entry (MSB = left column)
+const FONT_3X5 = {
+  " ": [0, 0, 0, 0, 0],
+  0: [7, 5, 5, 5, 7],
+  1: [2, 6, 2, 2, 7],
+  2: [7, 1, 7, 4, 7],
+  3: [7, 1, 7, 1, 7],
+  4: [5, 5, 7, 1, 1],
+  5: [7, 4, 7, 1, 7],
+  6: [7, 4, 7, 5, 7],
+  7: [7, 1, 1, 1, 1],
+  8: [7, 5, 7, 5, 7],
+  9: [7, 5, 7, 1, 7],
+  ".": [0, 0, 0, 0, 2],
+  ",": [0, 0, 0, 2, 4],
+  "-": [0, 0, 7, 0, 0],
+  "+": [0, 2, 7, 2, 0],
+  ":": [0, 2, 0, 2, 0],
+  "/": [1, 1, 2, 4, 4],
+  "%": [5, 1, 2, 4, 5],
+  k: [4, 5, 6, 5, 5],
+  M: [5, 7, 7, 5, 5],
+  e: [0, 7, 7, 4, 7],
+  x: [0, 5, 2, 5, 0],
+};
+
+// -----------------------------
+// Line chart
+// -----------------------------
+function formatAxisNumber(v) {
+  const abs = Math.abs(v);
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(2)}M`;
+  if (abs >= 1e4) return `${(v / 1e3).toFixed(1)}k`;
+  if (abs >= 100) return v.toFixed(0);
+  if (abs >= 1) return v.toFixed(2);
+  if (abs === 0) return "0";
+  return v.toPrecision(3);
+}
+
+function formatAxisTime(ms, spanMs) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  const hm = `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+  const md = `${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())}`;
+  return spanMs <= 36 * 3600 * 1000 ? hm : md;
+}
+
+/**
+ * Render a time-series line chart to PNG.
+ *
+ * Series points are { t: epochMs, v: number }. X labels are UTC.
+ *
+ * @param {Object} opts
+ * @param {Array<{points: Array<{t:number,v:number}>, color: string|number, dash?: number[], thickness?: number}>} opts.series
+ * @param {number} [opts.width=800]
+ * @param {number} [opts.height=400]
+ * @param {(v:number)=>string} [opts.formatY]
+ * @returns {Buffer} PNG bytes
+ */
+function renderLineChart({ series, width = 800, height = 400, formatY = formatAxisNumber }) {
+  const BG = "#2b2d31";
+  const GRID = "#3f4147";
+  const AXIS_TEXT = "#b5bac1";
+  const PAD_L = 90;
+  const PAD_R = 20;
+  const PAD_T = 20;
+  const PAD_B = 40;
+
+  const c = createCanvas(width, height, BG);
+  const all = (series || []).flatMap((s) => s.points || []);
+  if (!all.length) return encodePng(width, height, c.px);
+
+  let tMin = Infinity;
+  let tMax = -Infinity;
+  let vMin = Infinity;
+  let vMax = -Infinity;
+  for (const p of all) {
+    if (p.t < tMin) tMin = p.t;
+    if (p.t > tMax) tMax = p.t;
+    if (p.v < vMin) vMin = p.v;
+    if (p.v > vMax) vMax = p.v;
+  }
+  if (tMax === tMin) tMax = tMin + 1;
+  if (vMax === vMin) {
+    const pad = Math.abs(vMin) * 0.05 || 1;
+    vMin -= pad;
+    vMax += pad;
+  } else {
+    const pad = (vMax - vMin) * 0.08;
+    vMin -= pad;
+    vMax += pad;
+  }
+
+  const plotW = width - PAD_L - PAD_R;
+  const plotH = height - PAD_T - PAD_B;
+  const xOf = (t) => PAD_L + ((t - tMin) / (tMax - tMin)) * plotW;
+  const yOf = (v) => PAD_T + (1 - (v - vMin) / (vMax - vMin)) * plotH;
+
+  // grid + labels
+  const Y_TICKS = 5;
+  for (let i = 0; i <= Y_TICKS; i++) {
+    const v = vMin + ((vMax - vMin) * i) / Y_TICKS;
+    const y = yOf(v);
+    c.line(PAD_L, y, width - PAD_R, y, GRID);
+    const label = formatY(v);
+    c.text(PAD_L - 8 - label.length * 8, Math.round(y) - 5, label, AXIS_TEXT);
+  }
+  const X_TICKS = 6;
+  for (let i = 0; i <= X_TICKS; i++) {
+    const t = tMin + ((tMax - tMin) * i) / X_TICKS;
+    const x = xOf(t);
+    c.line(x, PAD_T, x, PAD_T + plotH, GRID);
+    const label = formatAxisTime(t, tMax - tMin);
+    const labelX = Math.min(width - 2 - label.length * 8, Math.round(x) - (label.length * 8) / 2);
+    c.text(labelX, PAD_T + plotH + 10, label, AXIS_TEXT);
+  }
+
+  for (const s of series) {
+    const pts = (s.points || []).slice().sort((a, b) => a.t - b.t);
+    const opts = { thickness: s.thickness || 2, dash: s.dash || null, dashOffset: 0 };
+    if (pts.length === 1) {
+      const x = xOf(pts[0].t);
+      const y = yOf(pts[0].v);
+      c.line(x - 2, y, x + 2, y, s.color, opts);
+      continue;
+    }
+    for (let i = 1; i < pts.length; i++) {
+      opts.dashOffset = c.line(xOf(pts[i - 1].t), yOf(pts[i - 1].v), xOf(pts[i].t), yOf(pts[i].v), s.color, opts);
+    }
+  }
+
+  return encodePng(width, height, c.px);
+}
+
+module.exports = {
+  encodePng,
+  renderLineChart,
+};